@@ -228,7 +228,7 @@ export class AnalyticsEngine extends EventEmitter {
         gamma: processedResult.uiState.gamma,
         interveneType: processedResult.uiState.interveneType,
         anchorPhase: processedResult.uiState.anchorPhase,
-        confidence: processedResult.uiState.confidence
+        confidence: processedResult.uiState.confidence ?? null // null unless MathCore runs surrogate tests (config.significance)
       },
       
       // Interventions
@@ -1,4 +1,6 @@
 import { AntifragileManager } from './AntifragileManager.js';
+import { StationarityProcessor } from '../core/math/processors/StationarityProcessor.js';
+import { CouplingProcessor } from '../core/math/processors/CouplingProcessor.js';
 
 export class FinancialAntifragileManager extends AntifragileManager {
     constructor(config = {}) {
@@ -15,9 +17,15 @@ export class FinancialAntifragileManager extends AntifragileManager {
             assetClasses: ['equity', 'bond', 'commodity', 'crypto', 'forex'],
             timeframes: ['1m', '5m', '15m', '1h', '1d'],
             riskFactors: ['volatility', 'liquidity', 'correlation', 'momentum'],
+            stationarity: { minLength: 50, significance: 0.05 }, // Log-price unit-root tests
+            coupling: { minLength: 50, maxLag: 5, measures: ['granger', 'transferEntropy'] }, // Cross-asset return lead/lag
             ...config.financialConfig
         };
 
+        this.stationarityTests = new StationarityProcessor(this.financialConfig.stationarity);
+        this.priceStationarity = null;
+        this.couplingAnalysis = new CouplingProcessor(this.financialConfig.coupling);
+
         this.marketMemory = {
             crisisPatterns: new Map(),
             assetBehaviors: new Map(),
@@ -111,17 +119,25 @@ export class FinancialAntifragileManager extends AntifragileManager {
         });
     }
 
+    /**
+     * Classify the regime from MFI components. When `marketData.prices` holds enough
+     * history, log prices that pass the ADF/PP/KPSS stationarity tests are mean-reverting
+     * and classed as sideways however strong the momentum; trends need a unit root.
+     */
     detectMarketRegime(marketData) {
-        const { components } = marketData;
+        const { components, prices } = marketData;
 
         // Analyze multiple indicators to determine market regime
         const spectralSlope = this.calculateAverageSpectralSlope(components);
         const volatility = this.calculateMarketVolatility(components);
         const momentum = this.calculateMarketMomentum(components);
+        this.priceStationarity = this.testPriceStationarity(prices);
 
         // Regime classification logic
         if (spectralSlope < -0.7 && volatility > 0.8) {
             return 'crash';
+        } else if (this.priceStationarity?.isStationary) {
+            return 'sideways';
         } else if (spectralSlope < -0.3 && momentum < -0.5) {
             return 'bear';
         } else if (spectralSlope > 0.3 && momentum > 0.5) {
@@ -131,6 +147,18 @@ export class FinancialAntifragileManager extends AntifragileManager {
         }
     }
 
+    /**
+     * Stationarity tests on log prices, or null without enough positive prices
+     */
+    testPriceStationarity(prices) {
+        if (!Array.isArray(prices) || prices.length < this.stationarityTests.config.minLength) {
+            return null;
+        }
+        if (prices.some(price => !(price > 0))) return null;
+
+        return this.stationarityTests.test(prices.map(price => Math.log(price)));
+    }
+
     calculateAverageSpectralSlope(components) {
         const slopes = Object.values(components)
             .map(data => data.spectralSlope)
@@ -268,7 +296,43 @@ export class FinancialAntifragileManager extends AntifragileManager {
         return {
             avgCorrelation: correlations.reduce((sum, c) => sum + c, 0) / correlations.length,
             correlationVariance: this.calculateVariance(correlations),
-            breakdownSeverity: 1 - Math.abs(correlations.reduce((sum, c) => sum + c, 0) / correlations.length)
+            breakdownSeverity: 1 - Math.abs(correlations.reduce((sum, c) => sum + c, 0) / correlations.length),
+            directionalCoupling: this.extractDirectionalCoupling(components)
+        };
+    }
+
+    /**
+     * Granger and transfer-entropy lead/lag between asset returns: which assets
+     * drive the others into a crisis. Null with fewer than two aligned price series.
+     */
+    extractDirectionalCoupling(components) {
+        const returns = {};
+        for (const [asset, data] of Object.entries(components)) {
+            const prices = data.price || [];
+            if (prices.length > this.couplingAnalysis.config.minLength && prices.every(price => price > 0)) {
+                returns[asset] = this.calculateReturns(prices);
+            }
+        }
+
+        const lengths = new Set(Object.values(returns).map(series => series.length));
+        if (Object.keys(returns).length < 2 || lengths.size !== 1) return null;
+
+        const network = this.couplingAnalysis.analyzeNetwork(returns);
+        const leader = Object.entries(network.outflow).sort((a, b) => b[1] - a[1])[0];
+
+        return {
+            causalDensity: network.causalDensity,
+            links: network.links,
+            outflow: network.outflow,
+            leader: leader && leader[1] > 0 ? leader[0] : null,
+            pairs: network.pairs.map(pair => ({
+                assets: [pair.x, pair.y],
+                direction: pair.direction ?? null,
+                transferEntropy: pair.transferEntropy ? {
+                    xToY: pair.transferEntropy.xToY?.effective ?? null,
+                    yToX: pair.transferEntropy.yToX?.effective ?? null
+                } : null
+            }))
         };
     }
 
@@ -619,6 +683,7 @@ export class FinancialAntifragileManager extends AntifragileManager {
     getFinancialContext() {
         return {
             currentRegime: this.currentRegime,
+            priceStationarity: this.priceStationarity,
             crisisCount: this.crisisCounter,
             learningMetrics: this.learningMetrics,
             assetBehaviors: Object.fromEntries(this.marketMemory.assetBehaviors),
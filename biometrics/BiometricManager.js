@@ -17,6 +17,11 @@
  */
 
 import { EventEmitter } from 'events';
+import { FilterProcessor } from '../core/math/processors/FilterProcessor.js';
+import { FractalProcessor } from '../core/math/processors/FractalProcessor.js';
+import { CouplingProcessor } from '../core/math/processors/CouplingProcessor.js';
+import { SampleBuffer } from '../core/math/RingBuffer.js';
+import { seededUniform } from '../core/math/Random.js';
 
 export class BiometricManager extends EventEmitter {
   constructor(config = {}) {
@@ -40,6 +45,8 @@ export class BiometricManager extends EventEmitter {
         minRRInterval: 300,  // ms
         maxRRInterval: 2000, // ms
         artifactThreshold: 0.2, // 20% deviation
+        bands: { lf: [0.04, 0.15], hf: [0.15, 0.4] }, // Hz
+        resampleRate: 4, // Hz, evenly resampled RR tachogram for band powers
         enableTime域: true,
         enableFrequency域: true,
         enableNonlinear: true
@@ -55,6 +62,7 @@ export class BiometricManager extends EventEmitter {
           beta: [13, 30],
           gamma: [30, 100]
         },
+        mainsFrequency: 50, // Hz notch applied before band extraction (null to disable)
         enableArtifactDetection: true
       },
       
@@ -70,7 +78,10 @@ export class BiometricManager extends EventEmitter {
         enableMultimodal: true,
         weightingStrategy: 'adaptive', // 'fixed', 'adaptive', 'learned'
         correlationThreshold: 0.3,
-        synchronizationTolerance: 50 // ms
+        synchronizationTolerance: 50, // ms
+        couplingRate: 4,       // Hz, common grid HRV and GSR are interpolated onto
+        couplingWindow: 60,    // seconds of history used for coupling
+        couplingInterval: 5000 // ms between coupling updates
       },
       
       // Privacy and security
@@ -81,9 +92,15 @@ export class BiometricManager extends EventEmitter {
         consentRequired: true
       },
       
+      // Mock sensors and placeholder real-time metrics draw from a generator seeded
+      // with this (reproducible runs); null uses Math.random
+      seed: null,
+      
       ...config
     };
     
+    this.random = this.config.seed === null ? Math.random : seededUniform(this.config.seed);
+    
     // Internal state
     this.state = {
       initialized: false,
@@ -105,18 +122,18 @@ export class BiometricManager extends EventEmitter {
     
     // Sensor connectors
     this.sensors = {
-      hrv: new HRVSensorConnector(this.config.hrv),
-      eeg: new EEGSensorConnector(this.config.eeg),
-      gsr: new GSRSensorConnector(this.config.gsr),
-      eyeTracking: new EyeTrackingConnector(this.config.eyeTracking),
-      facialAnalysis: new FacialAnalysisConnector(this.config.facialAnalysis)
+      hrv: new HRVSensorConnector(this.config.hrv, this.random),
+      eeg: new EEGSensorConnector(this.config.eeg, this.random),
+      gsr: new GSRSensorConnector(this.config.gsr, this.random),
+      eyeTracking: new EyeTrackingConnector(this.config.eyeTracking, this.random),
+      facialAnalysis: new FacialAnalysisConnector(this.config.facialAnalysis, this.random)
     };
     
     // Data processors
     this.processors = {
-      hrv: new HRVProcessor(this.config.hrv),
-      eeg: new EEGProcessor(this.config.eeg),
-      gsr: new GSRProcessor(this.config.gsr),
+      hrv: new HRVProcessor(this.config.hrv, this.random),
+      eeg: new EEGProcessor({ samplingRate: this.config.samplingRate, ...this.config.eeg }, this.random),
+      gsr: new GSRProcessor(this.config.gsr, this.random),
       fusion: new BiometricFusionProcessor(this.config.fusion)
     };
     
@@ -223,7 +240,7 @@ export class BiometricManager extends EventEmitter {
       });
       
       // Create data buffer
-      this.state.dataBuffers.set(sensorType, new CircularBuffer(this.config.bufferSize));
+      this.state.dataBuffers.set(sensorType, new SampleBuffer(this.config.bufferSize));
       
       // Mark as active
       this.state.activeSensors.set(sensorType, {
@@ -248,10 +265,10 @@ export class BiometricManager extends EventEmitter {
   handleSensorData(sensorType, data) {
     const timestamp = Date.now();
     
-    // Add to buffer
+    // Add to buffer (numeric fields are stored column-wise; the buffer is keyed by sensor type)
     const buffer = this.state.dataBuffers.get(sensorType);
     if (buffer) {
-      buffer.push({ ...data, timestamp, sensorType });
+      buffer.push({ ...data, timestamp });
     }
     
     // Update sensor status
@@ -317,6 +334,7 @@ export class BiometricManager extends EventEmitter {
         gsr: this.state.realTimeMetrics.gsr,
         eyeTracking: this.state.realTimeMetrics.eyeTracking,
         facialAnalysis: this.state.realTimeMetrics.facialAnalysis,
+        series: this.getCouplingSeries(),
         timestamp: Date.now()
       };
       
@@ -421,11 +439,11 @@ export class BiometricManager extends EventEmitter {
     const buffer = this.state.dataBuffers.get(sensorType);
     if (!buffer || buffer.length < 2) return 0;
     
-    const recentData = buffer.getRecent(100); // Last 100 samples
-    if (recentData.length < 2) return 0;
+    const timestamps = buffer.column('timestamp', 100); // Last 100 samples
+    if (timestamps.length < 2) return 0;
     
-    const timeSpan = recentData[recentData.length - 1].timestamp - recentData[0].timestamp;
-    return (recentData.length - 1) / (timeSpan / 1000); // Hz
+    const timeSpan = timestamps[timestamps.length - 1] - timestamps[0];
+    return (timestamps.length - 1) / (timeSpan / 1000); // Hz
   }
 
   /**
@@ -502,6 +520,51 @@ export class BiometricManager extends EventEmitter {
     }
   }
 
+  /**
+   * Recent HRV (RR interval) and GSR (conductance) samples interpolated onto a
+   * common time grid for cross-modal coupling; null unless both overlap
+   */
+  getCouplingSeries() {
+    const { couplingRate = 4, couplingWindow = 60 } = this.config.fusion;
+    const fields = { hrv: 'rrInterval', gsr: 'conductance' };
+    const tracks = {};
+    
+    for (const [sensorType, field] of Object.entries(fields)) {
+      const values = this.state.dataBuffers.get(sensorType)?.column(field);
+      if (!values) continue;
+      
+      const times = this.state.dataBuffers.get(sensorType).column('timestamp');
+      const track = [];
+      for (let i = 0; i < values.length; i++) {
+        if (Number.isFinite(values[i])) track.push({ time: times[i], value: values[i] });
+      }
+      if (track.length >= 2) {
+        tracks[sensorType] = track;
+      }
+    }
+    if (Object.keys(tracks).length < 2) return null;
+    
+    const end = Math.min(...Object.values(tracks).map(track => track[track.length - 1].time));
+    const start = Math.max(end - couplingWindow * 1000, ...Object.values(tracks).map(track => track[0].time));
+    const step = 1000 / couplingRate;
+    if (end - start < step) return null;
+    
+    const series = {};
+    for (const [sensorType, track] of Object.entries(tracks)) {
+      series[sensorType] = [];
+      let index = 0;
+      for (let time = start; time <= end; time += step) {
+        while (index < track.length - 2 && track[index + 1].time < time) index++;
+        const a = track[index];
+        const b = track[index + 1];
+        const fraction = b.time > a.time ? Math.min(1, Math.max(0, (time - a.time) / (b.time - a.time))) : 0;
+        series[sensorType].push(a.value + fraction * (b.value - a.value));
+      }
+    }
+    
+    return series;
+  }
+
   /**
    * Handle sensor errors
    */
@@ -674,62 +737,14 @@ export class BiometricManager extends EventEmitter {
   }
 }
 
-/**
- * Circular buffer for efficient sensor data storage
- */
-class CircularBuffer {
-  constructor(maxSize) {
-    this.maxSize = maxSize;
-    this.buffer = new Array(maxSize);
-    this.head = 0;
-    this.tail = 0;
-    this.length = 0;
-  }
-
-  push(item) {
-    this.buffer[this.tail] = item;
-    this.tail = (this.tail + 1) % this.maxSize;
-    
-    if (this.length < this.maxSize) {
-      this.length++;
-    } else {
-      this.head = (this.head + 1) % this.maxSize;
-    }
-  }
-
-  getRecent(count) {
-    const items = [];
-    let current = this.tail - 1;
-    
-    for (let i = 0; i < Math.min(count, this.length); i++) {
-      if (current < 0) current = this.maxSize - 1;
-      items.unshift(this.buffer[current]);
-      current--;
-    }
-    
-    return items;
-  }
-
-  getAll() {
-    const items = [];
-    let current = this.head;
-    
-    for (let i = 0; i < this.length; i++) {
-      items.push(this.buffer[current]);
-      current = (current + 1) % this.maxSize;
-    }
-    
-    return items;
-  }
-}
-
 // Placeholder sensor connector classes
 // These would be implemented with actual sensor APIs
 
 class HRVSensorConnector extends EventEmitter {
-  constructor(config) {
+  constructor(config, random = Math.random) {
     super();
     this.config = config;
+    this.random = random;
     this.mockMode = true; // Set to false when real sensors are available
   }
 
@@ -745,8 +760,8 @@ class HRVSensorConnector extends EventEmitter {
   startMockDataGeneration() {
     this.mockInterval = setInterval(() => {
       const mockData = {
-        rrInterval: 800 + Math.random() * 400, // 600-1000ms
-        heartRate: 60 + Math.random() * 40,    // 60-100 bpm
+        rrInterval: 800 + this.random() * 400, // 600-1000ms
+        heartRate: 60 + this.random() * 40,    // 60-100 bpm
         timestamp: Date.now()
       };
       this.emit('data', mockData);
@@ -769,9 +784,10 @@ class HRVSensorConnector extends EventEmitter {
 }
 
 class EEGSensorConnector extends EventEmitter {
-  constructor(config) {
+  constructor(config, random = Math.random) {
     super();
     this.config = config;
+    this.random = random;
     this.mockMode = true;
   }
 
@@ -787,7 +803,7 @@ class EEGSensorConnector extends EventEmitter {
     this.mockInterval = setInterval(() => {
       const mockData = {
         channels: this.config.channels.reduce((acc, channel) => {
-          acc[channel] = (Math.random() - 0.5) * 100; // µV
+          acc[channel] = (this.random() - 0.5) * 100; // µV
           return acc;
         }, {}),
         timestamp: Date.now()
@@ -808,9 +824,10 @@ class EEGSensorConnector extends EventEmitter {
 }
 
 class GSRSensorConnector extends EventEmitter {
-  constructor(config) {
+  constructor(config, random = Math.random) {
     super();
     this.config = config;
+    this.random = random;
     this.mockMode = true;
   }
 
@@ -823,7 +840,7 @@ class GSRSensorConnector extends EventEmitter {
   startMockDataGeneration() {
     this.mockInterval = setInterval(() => {
       const mockData = {
-        conductance: 5 + Math.random() * 10, // µS
+        conductance: 5 + this.random() * 10, // µS
         timestamp: Date.now()
       };
       this.emit('data', mockData);
@@ -842,9 +859,10 @@ class GSRSensorConnector extends EventEmitter {
 }
 
 class EyeTrackingConnector extends EventEmitter {
-  constructor(config) {
+  constructor(config, random = Math.random) {
     super();
     this.config = config;
+    this.random = random;
     this.mockMode = true;
   }
 
@@ -857,9 +875,9 @@ class EyeTrackingConnector extends EventEmitter {
   startMockDataGeneration() {
     this.mockInterval = setInterval(() => {
       const mockData = {
-        x: Math.random() * 1920,
-        y: Math.random() * 1080,
-        pupilDiameter: 3 + Math.random() * 2, // mm
+        x: this.random() * 1920,
+        y: this.random() * 1080,
+        pupilDiameter: 3 + this.random() * 2, // mm
         timestamp: Date.now()
       };
       this.emit('data', mockData);
@@ -878,9 +896,10 @@ class EyeTrackingConnector extends EventEmitter {
 }
 
 class FacialAnalysisConnector extends EventEmitter {
-  constructor(config) {
+  constructor(config, random = Math.random) {
     super();
     this.config = config;
+    this.random = random;
     this.mockMode = true;
   }
 
@@ -893,9 +912,9 @@ class FacialAnalysisConnector extends EventEmitter {
   startMockDataGeneration() {
     this.mockInterval = setInterval(() => {
       const mockData = {
-        valence: (Math.random() - 0.5) * 2, // -1 to 1
-        arousal: Math.random(),              // 0 to 1
-        attention: Math.random(),            // 0 to 1
+        valence: (this.random() - 0.5) * 2, // -1 to 1
+        arousal: this.random(),              // 0 to 1
+        attention: this.random(),            // 0 to 1
         timestamp: Date.now()
       };
       this.emit('data', mockData);
@@ -913,66 +932,186 @@ class FacialAnalysisConnector extends EventEmitter {
   }
 }
 
-// Placeholder processor classes
+// Sensor processor classes
 class HRVProcessor {
-  constructor(config) {
-    this.config = config;
+  constructor(config, random = Math.random) {
+    this.random = random;
+    this.config = {
+      minRRInterval: 300,
+      maxRRInterval: 2000,
+      bands: { lf: [0.04, 0.15], hf: [0.15, 0.4] },
+      resampleRate: 4,
+      ...config
+    };
+    this.filters = new FilterProcessor({ sampleRate: this.config.resampleRate });
+    this.fractal = new FractalProcessor();
   }
 
   async processRealTime(data, timestamp) {
     // Real-time HRV processing
     return {
-      rmssd: 50 + Math.random() * 100,
-      pnn50: Math.random() * 50,
-      stressIndex: Math.random(),
-      coherence: Math.random(),
+      rmssd: 50 + this.random() * 100,
+      pnn50: this.random() * 50,
+      stressIndex: this.random(),
+      coherence: this.random(),
       timestamp
     };
   }
 
   async processBatch(data) {
     // Batch HRV processing
+    const rr = data
+      .map(sample => sample.rrInterval)
+      .filter(v => v >= this.config.minRRInterval && v <= this.config.maxRRInterval);
+
+    if (rr.length < 3) {
+      return { avgRMSSD: 0, relativeLF: 0, stressTrend: 'stable', bandPowers: null, lfHfRatio: null, multifractal: null };
+    }
+
+    const half = Math.floor(rr.length / 2);
+    const rmssd = this.computeRMSSD(rr);
+    const earlyRMSSD = this.computeRMSSD(rr.slice(0, half + 1));
+    const lateRMSSD = this.computeRMSSD(rr.slice(half));
+
+    let stressTrend = 'stable';
+    if (lateRMSSD < earlyRMSSD * 0.9) stressTrend = 'increasing';
+    else if (lateRMSSD > earlyRMSSD * 1.1) stressTrend = 'decreasing';
+
+    const bandPowers = this.computeBandPowers(rr);
+
     return {
-      avgRMSSD: 75,
-      avgCoherence: 0.6,
-      stressTrend: 'stable'
+      avgRMSSD: rmssd,
+      relativeLF: bandPowers ? bandPowers.relative.lf : 0, // LF share of LF + HF power
+      stressTrend,
+      bandPowers,
+      lfHfRatio: bandPowers && bandPowers.absolute.hf > 0 ?
+        bandPowers.absolute.lf / bandPowers.absolute.hf : null,
+      multifractal: this.computeMultifractality(rr)
     };
   }
+
+  /**
+   * MF-DFA of the RR series; healthy HRV is multifractal and loses width (Δα) under
+   * sustained stress or pathology
+   */
+  computeMultifractality(rr) {
+    if (rr.length < 64) return null;
+
+    const { width, alpha0, hurst } = this.fractal.computeMultifractalDFA(rr);
+    return { width, alpha0, hurst };
+  }
+
+  computeRMSSD(rr) {
+    let sum = 0;
+    for (let i = 1; i < rr.length; i++) {
+      sum += (rr[i] - rr[i - 1]) ** 2;
+    }
+    return rr.length > 1 ? Math.sqrt(sum / (rr.length - 1)) : 0;
+  }
+
+  /**
+   * LF/HF band powers (ms²) of the RR tachogram, linearly resampled to an even grid.
+   * Needs at least two cycles of the slowest band edge.
+   */
+  computeBandPowers(rr) {
+    const duration = rr.slice(1).reduce((sum, interval) => sum + interval, 0) / 1000;
+    const slowestEdge = Math.min(...Object.values(this.config.bands).map(([low]) => low));
+    if (duration < 2 / slowestEdge) return null;
+
+    const tachogram = this.filters.resampleTachogram(rr, this.config.resampleRate);
+    return this.filters.bandPowers(tachogram, this.config.bands);
+  }
 }
 
 class EEGProcessor {
-  constructor(config) {
-    this.config = config;
+  constructor(config, random = Math.random) {
+    this.random = random;
+    this.config = {
+      samplingRate: 250,
+      filterBands: {
+        delta: [0.5, 4],
+        theta: [4, 8],
+        alpha: [8, 13],
+        beta: [13, 30]
+      },
+      mainsFrequency: 50,
+      ...config
+    };
+    this.filters = new FilterProcessor({
+      sampleRate: this.config.samplingRate,
+      mainsFrequency: this.config.mainsFrequency || 50
+    });
   }
 
   async processRealTime(data, timestamp) {
     return {
-      attention: Math.random(),
-      workload: Math.random(),
-      drowsiness: Math.random() * 0.3,
-      engagement: 0.5 + Math.random() * 0.5,
+      attention: this.random(),
+      workload: this.random(),
+      drowsiness: this.random() * 0.3,
+      engagement: 0.5 + this.random() * 0.5,
       timestamp
     };
   }
 
   async processBatch(data) {
+    const channelNames = Object.keys(data[0]?.channels || {});
+    if (channelNames.length === 0) {
+      return { avgAttention: 0, avgWorkload: 0, peakEngagement: 0, bandPowers: null };
+    }
+
+    const channels = {};
+    const average = {};
+    let peakEngagement = 0;
+
+    for (const name of channelNames) {
+      let signal = data.map(sample => sample.channels?.[name] ?? 0);
+      if (this.config.mainsFrequency) {
+        signal = this.filters.removeMains(signal);
+      }
+
+      const powers = this.filters.bandPowers(signal, this.config.filterBands);
+      channels[name] = powers;
+      peakEngagement = Math.max(peakEngagement, this.computeIndices(powers.absolute).attention);
+
+      for (const [band, value] of Object.entries(powers.relative)) {
+        average[band] = (average[band] || 0) + value / channelNames.length;
+      }
+    }
+
+    const { attention, workload } = this.computeIndices(average);
+
+    return {
+      avgAttention: attention,
+      avgWorkload: workload,
+      peakEngagement,
+      bandPowers: { average, channels }
+    };
+  }
+
+  /**
+   * Engagement index β/(α+θ) (Pope et al.) squashed to [0, 1], and θ/(θ+α) workload ratio
+   */
+  computeIndices(powers) {
+    const { theta = 0, alpha = 0, beta = 0 } = powers;
+    const engagement = alpha + theta > 0 ? beta / (alpha + theta) : 0;
+
     return {
-      avgAttention: 0.7,
-      avgWorkload: 0.6,
-      peakEngagement: 0.9
+      attention: engagement / (1 + engagement),
+      workload: theta + alpha > 0 ? theta / (theta + alpha) : 0
     };
   }
 }
 
 class GSRProcessor {
-  constructor(config) {
+  constructor(config, random = Math.random) {
     this.config = config;
+    this.random = random;
   }
 
   async processRealTime(data, timestamp) {
     return {
-      arousal: Math.random(),
-      stress: Math.random() * 0.7,
+      arousal: this.random(),
+      stress: this.random() * 0.7,
       timestamp
     };
   }
@@ -989,6 +1128,15 @@ class BiometricFusionProcessor {
   constructor(config) {
     this.config = config;
     this.accuracy = 0.85;
+    
+    // Cross-modal coherence and directional (Granger / transfer entropy) coupling
+    this.couplingProcessor = new CouplingProcessor({
+      sampleRate: config?.couplingRate ?? 4,
+      maxLag: 8,
+      measures: ['coherence', 'granger', 'transferEntropy']
+    });
+    this.coupling = null;
+    this.lastCouplingUpdate = -Infinity;
   }
 
   async initialize() {
@@ -1032,10 +1180,44 @@ class BiometricFusionProcessor {
       attention: Math.max(0, Math.min(1, attention)),
       cognitiveLoad: Math.max(0, Math.min(1, cognitiveLoad)),
       confidence: this.accuracy * (weightSum / 2), // Confidence based on available data
+      coupling: this.updateCoupling(fusionInput.series, fusionInput.timestamp ?? Date.now()),
       timestamp: Date.now()
     };
   }
 
+  /**
+   * Directional coupling between modalities, refreshed every couplingInterval ms.
+   * A pair counts as coupled when its mean coherence exceeds correlationThreshold
+   * or either Granger direction is significant.
+   */
+  updateCoupling(series, timestamp) {
+    if (!series) return this.coupling;
+    if (timestamp - this.lastCouplingUpdate < (this.config?.couplingInterval ?? 5000)) return this.coupling;
+    
+    const network = this.couplingProcessor.analyzeNetwork(series);
+    if (network.pairs.length === 0) return this.coupling;
+    
+    const threshold = this.config?.correlationThreshold ?? 0.3;
+    this.lastCouplingUpdate = timestamp;
+    this.coupling = {
+      causalDensity: network.causalDensity,
+      links: network.links,
+      pairs: network.pairs.map(pair => ({
+        signals: [pair.x, pair.y],
+        coherence: pair.coherence.mean,
+        direction: pair.direction,
+        coupled: pair.coherence.mean > threshold || pair.direction !== 'none',
+        transferEntropy: {
+          xToY: pair.transferEntropy.xToY?.effective ?? null,
+          yToX: pair.transferEntropy.yToX?.effective ?? null
+        }
+      })),
+      timestamp
+    };
+    
+    return this.coupling;
+  }
+
   getAccuracy() {
     return this.accuracy;
   }
@@ -47,6 +47,8 @@ export class ConfigManager extends EventEmitter {
         enableWavelets: true,
         enableFractals: true,
         enableAdaptive: true,
+        enableWorkers: false,
+        parallelWorkers: 4,
         cacheSize: 1000
       },
       
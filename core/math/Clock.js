@@ -0,0 +1,38 @@
+/**
+ * Clock - Injectable time sources
+ *
+ * MathCore reads the time through a clock ({ now() } in ms since the epoch)
+ * for cache expiry and time-of-day thresholds, so deterministic runs and
+ * replays can substitute a clock that only moves when told to.
+ *
+ * @version 2.1.0
+ */
+
+/**
+ * Wall clock
+ */
+export const systemClock = {
+  now: () => Date.now()
+};
+
+/**
+ * Clock that stands still until set or advanced
+ */
+export class ManualClock {
+  constructor(start = 0) {
+    this.time = start;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  set(time) {
+    this.time = time;
+  }
+
+  advance(ms) {
+    this.time += ms;
+    return this.time;
+  }
+}
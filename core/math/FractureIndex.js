@@ -0,0 +1,332 @@
+/**
+ * FractureIndex - Composite index builder
+ *
+ * A fracture index keeps one analysis window per input series, turns the
+ * windows into metrics, scores each component in [0, 1] and combines the
+ * scores into a weighted composite with a level and a trend. The Market and
+ * Physiological Fracture Indices derive from it; a new index names its series,
+ * defines its components and fills the metrics they read in analyzeSeries():
+ *
+ *   class ReviewFatigueIndex extends FractureIndex {
+ *     constructor(config = {}) {
+ *       super('rfi', { series: ['latency'], weights: { slowdown: 1 }, ...config });
+ *       this.defineComponent('slowdown', metrics => Math.min(1, metrics.latency.mean / 48));
+ *     }
+ *
+ *     createMetrics() {
+ *       return { latency: null };
+ *     }
+ *
+ *     analyzeSeries(name, values, timestamps, metrics) {
+ *       metrics.latency = { mean: values.reduce((a, b) => a + b, 0) / values.length };
+ *       return values;
+ *     }
+ *   }
+ *
+ * The composite divides the weighted scores by the total weight of the enabled
+ * components, so weights need not sum to one and switching an optional
+ * component on renormalizes the rest.
+ *
+ * @version 2.1.0
+ */
+
+import { EventEmitter } from 'events';
+import { SampleBuffer } from './RingBuffer.js';
+import { systemClock } from './Clock.js';
+
+export class FractureIndex extends EventEmitter {
+  constructor(name, config = {}) {
+    super();
+
+    this.name = name; // Result and event prefix ('mfi' emits 'mfiUpdated')
+    this.config = {
+      series: [],                  // Input series, one analysis window each
+      windowSize: 60,              // Seconds of data per window
+      sampleRate: 1,               // Hz
+      minWindowFraction: 0.5,      // Share of the window a series needs before it is analyzed
+      updateInterval: 1000,        // ms between updates triggered by addData()
+      historySize: 100,            // Readings kept
+      trendWindow: 3,              // Readings spanned by the trend
+      trendThreshold: 0.1,         // Change over trendWindow that counts as increasing / decreasing
+      weights: {},                 // Component weights (components without one do not count)
+      thresholds: {                // Level names and the values they start at
+        gentle: 0.3,
+        moderate: 0.6,
+        aggressive: 0.8
+      },
+      clock: null,                 // { now() } for timestamps and update pacing (defaults to the wall clock)
+      ...config
+    };
+
+    this.clock = this.config.clock || systemClock;
+    this.components = new Map();   // name -> { score(metrics), enabled() }
+    this.buffers = new Map();
+    this.history = [];
+    this.lastValue = 0;
+
+    // Scorer state carried between readings (e.g. slope baselines)
+    this.baselineMetrics = new Map();
+
+    const capacity = this.config.windowSize * this.config.sampleRate;
+    for (const series of this.config.series) {
+      this.buffers.set(series, new SampleBuffer(capacity));
+    }
+  }
+
+  /**
+   * Add a component scorer (metrics -> [0, 1]). `enabled` switches optional
+   * components in and out of the composite. Returns the index for chaining.
+   */
+  defineComponent(name, score, { enabled = () => true } = {}) {
+    if (typeof score !== 'function') {
+      throw new Error(`Component ${name} needs a score function`);
+    }
+    this.components.set(name, { score, enabled });
+    return this;
+  }
+
+  removeComponent(name) {
+    return this.components.delete(name);
+  }
+
+  /**
+   * Add a sample to a series window, updating the index when it is due
+   */
+  addData(series, value, timestamp = this.clock.now()) {
+    const buffer = this.buffers.get(series);
+    if (!buffer) return;
+
+    // The oldest sample drops out once the window is full
+    buffer.push({ value, timestamp });
+
+    if (this.shouldUpdate(series)) {
+      this.update();
+    }
+  }
+
+  /**
+   * Score the components on the current windows and record the composite.
+   * Resolves null until some series has enough data.
+   */
+  async calculate() {
+    const metrics = await this.computeMetrics();
+    if (!metrics) return null;
+
+    const components = {};
+    for (const [name, component] of this.components) {
+      if (component.enabled()) components[name] = component.score(metrics);
+    }
+    const value = this.combine(components);
+
+    this.history.push({
+      value,
+      timestamp: this.clock.now(),
+      components,
+      rawMetrics: metrics
+    });
+    if (this.history.length > this.config.historySize) {
+      this.history.shift();
+    }
+    this.lastValue = value;
+
+    return this.formatResult({
+      value,
+      components,
+      level: this.classifyLevel(value),
+      trend: this.calculateTrend(),
+      confidence: this.calculateConfidence(metrics)
+    }, metrics);
+  }
+
+  /**
+   * Weighted mean of component scores over their weights, clamped to [0, 1]
+   */
+  combine(components) {
+    let total = 0;
+    let totalWeight = 0;
+
+    for (const [name, score] of Object.entries(components)) {
+      const weight = this.config.weights[name] ?? 0;
+      total += weight * score;
+      totalWeight += weight;
+    }
+
+    return totalWeight > 0 ? Math.max(0, Math.min(1, total / totalWeight)) : 0;
+  }
+
+  /**
+   * Analyze every series with enough data. Each window is snapshotted (buffer
+   * views are overwritten by samples arriving while we await) and handed to
+   * analyzeSeries(); its quality feeds the confidence.
+   */
+  async computeMetrics() {
+    const metrics = { ...this.createMetrics(), series: {} };
+    const minLength = this.config.windowSize * this.config.sampleRate * this.config.minWindowFraction;
+
+    for (const [name, buffer] of this.buffers) {
+      if (buffer.length < minLength) continue;
+
+      const values = buffer.column('value')?.slice();
+      if (!values) continue; // Non-numeric series are read from their buffers by the scorers
+      const timestamps = buffer.column('timestamp').slice();
+
+      try {
+        const analyzed = await this.analyzeSeries(name, values, timestamps, metrics);
+        metrics.series[name] = {
+          length: analyzed.length,
+          quality: this.assessQuality(values),
+          lastUpdate: timestamps[timestamps.length - 1]
+        };
+      } catch (error) {
+        console.warn(`Failed to process ${name} series:`, error);
+      }
+    }
+
+    return this.hasMetrics(metrics) ? metrics : null;
+  }
+
+  /**
+   * Initial metrics object for a reading
+   */
+  createMetrics() {
+    return {};
+  }
+
+  /**
+   * Fill `metrics` from one series window; returns the series as analyzed
+   */
+  analyzeSeries(name, values, timestamps, metrics) {
+    return values;
+  }
+
+  /**
+   * Whether a reading has enough to score
+   */
+  hasMetrics(metrics) {
+    return Object.keys(metrics.series).length > 0;
+  }
+
+  /**
+   * Shape the result of calculate() (subclasses rename and add fields)
+   */
+  formatResult(result, metrics) {
+    return result;
+  }
+
+  /**
+   * Highest level whose threshold the value reaches, else 'normal'
+   */
+  classifyLevel(value) {
+    const levels = Object.entries(this.config.thresholds).sort((a, b) => b[1] - a[1]);
+    return levels.find(([, threshold]) => value >= threshold)?.[0] ?? 'normal';
+  }
+
+  /**
+   * Direction of the last trendWindow readings
+   */
+  calculateTrend() {
+    const { trendWindow, trendThreshold } = this.config;
+    if (this.history.length < trendWindow) return 'stable';
+
+    const change = this.history[this.history.length - 1].value - this.history[this.history.length - trendWindow].value;
+    if (change > trendThreshold) return 'increasing';
+    if (change < -trendThreshold) return 'decreasing';
+    return 'stable';
+  }
+
+  /**
+   * Mean quality of the analyzed series
+   */
+  calculateConfidence(metrics) {
+    const series = Object.values(metrics.series);
+    if (series.length === 0) return 0;
+
+    return series.reduce((sum, info) => sum + info.quality, 0) / series.length;
+  }
+
+  /**
+   * Window quality in [0, 1]: the share of finite values
+   */
+  assessQuality(values) {
+    if (values.length === 0) return 0;
+
+    let finite = 0;
+    for (const value of values) {
+      if (Number.isFinite(value)) finite++;
+    }
+    return finite / values.length;
+  }
+
+  /**
+   * ms between updates triggered by addData()
+   */
+  getUpdateInterval() {
+    return this.config.updateInterval;
+  }
+
+  /**
+   * Check if the index is due for an update
+   */
+  shouldUpdate(series) {
+    const buffer = this.buffers.get(series);
+    if (!buffer || buffer.length === 0) return false;
+
+    const lastUpdate = this.history.length > 0 ? this.history[this.history.length - 1].timestamp : 0;
+    return this.clock.now() - lastUpdate >= this.getUpdateInterval();
+  }
+
+  /**
+   * Recalculate and emit `${name}Updated`
+   */
+  async update() {
+    const result = await this.calculate();
+    if (result) {
+      this.emit(`${this.name}Updated`, result);
+    }
+    return result;
+  }
+
+  getStatus() {
+    return {
+      current: this.lastValue,
+      level: this.classifyLevel(this.lastValue),
+      trend: this.calculateTrend(),
+      history: this.history.slice(-10), // Last 10 readings
+      quality: this.getQualitySummary(),
+      baselineMetrics: Object.fromEntries(this.baselineMetrics)
+    };
+  }
+
+  /**
+   * Sample count, quality and last timestamp per series
+   */
+  getQualitySummary() {
+    const summary = {};
+
+    for (const [series, buffer] of this.buffers) {
+      const values = buffer.column('value') ?? buffer.getAll().map(point => point.value);
+      summary[series] = {
+        available: buffer.length > 0,
+        sampleCount: buffer.length,
+        quality: this.assessQuality(values),
+        lastUpdate: buffer.length > 0 ? buffer.at(-1).timestamp : null
+      };
+    }
+
+    return summary;
+  }
+
+  reset() {
+    this.buffers.forEach(buffer => buffer.clear());
+    this.history.length = 0;
+    this.baselineMetrics.clear();
+    this.lastValue = 0;
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+}
@@ -8,26 +8,54 @@
  * - Spectral Slope Change (Δα): Flattening of price action spectral slope
  * - Lag-1 Autocorrelation (AC₁): Critical slowing down in market dynamics
  * - Order Book Imbalance: Buy/sell pressure asymmetry
- * - Composite MFI: Weighted combination of above metrics
+ * - Multifractal width (Δα) of log returns, reported alongside the composite
+ * - Regime breaks (change points in log-return mean/volatility), emitted as 'regimeBreak'
+ * - Chaos onset (optional): rise of the largest Lyapunov exponent of log returns
+ * - Early warning (optional): trends in rolling variance, AR(1), skewness, flickering
+ *   and return rate of detrended series (critical slowing down)
+ * - Composite MFI: Weighted combination of above metrics (see FractureIndex)
  */
 
 import { SpectralProcessor } from './processors/SpectralProcessor.js';
 import { StatisticalProcessor } from './processors/StatisticalProcessor.js';
-
-export class MarketFractureIndex {
+import { WaveletProcessor } from './processors/WaveletProcessor.js';
+import { FractalProcessor } from './processors/FractalProcessor.js';
+import { ChangePointProcessor } from './processors/ChangePointProcessor.js';
+import { SeasonalityProcessor } from './processors/SeasonalityProcessor.js';
+import { LyapunovProcessor } from './processors/LyapunovProcessor.js';
+import { EarlyWarningProcessor } from './processors/EarlyWarningProcessor.js';
+import { FractureIndex } from './FractureIndex.js';
+
+// Regime-break defaults; a partial changePoints override is merged over them
+const CHANGE_POINT_DEFAULTS = { method: 'pelt', cost: 'meanvar', minConfidence: 0.95 };
+
+export class MarketFractureIndex extends FractureIndex {
   constructor(config = {}) {
-    this.config = {
+    super('mfi', {
       // MFI calculation parameters
+      series: ['price', 'volume', 'orderbook', 'volatility', 'sentiment'], // Market data types, one buffer each
       windowSize: 300, // 5 minutes of market data (at 1Hz)
       updateInterval: 1000, // Update MFI every second
       sampleRate: 1, // 1 Hz for market data
+      streamingSpectrum: false, // Update the price spectrum per tick (sliding DFT) instead of per frame
+      spectralEstimator: 'periodogram', // PSD used for the slope: 'periodogram' | 'welch' | 'multitaper'
+      denoise: false, // Wavelet-denoise series before feature extraction: false | true | { wavelet, levels, thresholdRule, thresholdMode }
+      denoiseSeries: ['price', 'volume', 'volatility'], // Data types the denoiser is applied to
+      deseasonalize: false, // Remove intraday / weekly cycles first: false | true | { periods, cycles, method, robust }
+      deseasonalizeSeries: ['price', 'volume', 'volatility'], // Data types seasonal adjustment is applied to
+      changePoints: CHANGE_POINT_DEFAULTS, // Regime breaks in log returns: { method, cost, minConfidence, ... }
+      lyapunov: false, // Chaos-onset component from sliding Lyapunov exponents of log returns: false | true | { method, window, step, embeddingDimension, delay }
+      earlyWarning: false, // Early-warning component: false | true | { indicators, windowFraction, detrending, bandwidth, surrogates }
+      earlyWarningSeries: ['price', 'volatility'], // Data types early-warning indicators are computed on
 
       // Metric weights for MFI composite
       weights: {
         spectralSlope: 0.3,
         autocorrelation: 0.25,
         orderImbalance: 0.25,
-        volumeVelocity: 0.2
+        volumeVelocity: 0.2,
+        chaosOnset: 0.15, // Only when lyapunov is enabled; the composite is renormalized
+        earlyWarning: 0.2 // Only when earlyWarning is enabled; the composite is renormalized
       },
 
       // Thresholds for MFI levels
@@ -57,152 +85,224 @@ export class MarketFractureIndex {
       },
 
       ...config
-    };
+    });
+
+    // Composite components; the optional ones only count while enabled
+    this.defineComponent('spectralSlope', metrics => this.calculateSpectralSlopeScore(metrics))
+      .defineComponent('autocorrelation', metrics => this.calculateAutocorrelationScore(metrics))
+      .defineComponent('orderImbalance', metrics => this.calculateOrderImbalanceScore(metrics))
+      .defineComponent('volumeVelocity', metrics => this.calculateVolumeVelocityScore(metrics))
+      .defineComponent('chaosOnset', metrics => this.calculateChaosOnsetScore(metrics), {
+        enabled: () => Boolean(this.config.lyapunov)
+      })
+      .defineComponent('earlyWarning', metrics => this.calculateEarlyWarningScore(metrics), {
+        enabled: () => Boolean(this.config.earlyWarning)
+      });
 
     // Initialize processors
     this.spectralProcessor = new SpectralProcessor({
       windowSize: this.config.windowSize * this.config.sampleRate,
-      sampleRate: this.config.sampleRate
+      sampleRate: this.config.sampleRate,
+      fftMode: 'exact', // Transform the full window rather than padding/truncating to fftSize
+      psdMethod: this.config.spectralEstimator
     });
 
     this.statisticalProcessor = new StatisticalProcessor({
       windowSize: this.config.windowSize * this.config.sampleRate
     });
 
-    // Data buffers for each market data type
-    this.marketBuffers = new Map();
-    this.lastMFI = 0;
-    this.mfiHistory = [];
-    this.baselineMetrics = new Map();
+    this.fractalProcessor = new FractalProcessor();
+    this.changePointProcessor = new ChangePointProcessor();
+    this.lyapunovProcessor = new LyapunovProcessor({ window: 100, step: 25 });
+    this.earlyWarningProcessor = new EarlyWarningProcessor({ sampleRate: this.config.sampleRate, includeValues: false });
+    this.lastRegimeBreakTimestamp = -Infinity;
 
-    // Initialize market data buffers
-    ['price', 'volume', 'orderbook', 'volatility', 'sentiment'].forEach(dataType => {
-      this.marketBuffers.set(dataType, []);
-    });
+    // Wavelet shrinkage against tick jitter
+    this.waveletProcessor = new WaveletProcessor();
+
+    // STL / MSTL seasonal adjustment (hour-of-day, day-of-week from buffer timestamps)
+    this.seasonalityProcessor = new SeasonalityProcessor();
+
+    // Streaming price spectrum, updated sample-by-sample as ticks arrive
+    this.priceStream = this.config.streamingSpectrum ?
+      this.spectralProcessor.createStream({ windowSize: this.config.windowSize * this.config.sampleRate }) :
+      null;
   }
 
   /**
-   * Add market data to processing buffers
+   * Add a sample to a market data buffer (price ticks also feed the streaming spectrum)
    */
-  addMarketData(dataType, data, timestamp = Date.now()) {
-    const buffer = this.marketBuffers.get(dataType);
-    if (!buffer) return;
-
-    // Add timestamped data point
-    buffer.push({ value: data, timestamp });
-
-    // Maintain buffer size (sliding window)
-    const maxBufferSize = this.config.windowSize * this.config.sampleRate;
-    if (buffer.length > maxBufferSize) {
-      buffer.shift();
+  addData(dataType, data, timestamp = this.clock.now()) {
+    if (dataType === 'price' && this.priceStream) {
+      this.priceStream.push(data);
     }
+    super.addData(dataType, data, timestamp);
+  }
 
-    // Trigger MFI update if enough data
-    if (this.shouldUpdateMFI(dataType)) {
-      this.updateMFI();
-    }
+  createMetrics() {
+    return {
+      spectral: {},
+      statistical: {},
+      earlyWarning: {}
+    };
   }
 
   /**
-   * Calculate Market Fracture Index
+   * Spectral, multifractal and regime-break analysis of prices; statistics and
+   * early-warning indicators of every numeric market series
    */
-  async calculateMFI() {
-    const metrics = await this.computeAllMarketMetrics();
-
-    if (!metrics) return null;
-
-    // Calculate individual components
-    const spectralSlopeScore = this.calculateSpectralSlopeScore(metrics);
-    const autocorrelationScore = this.calculateAutocorrelationScore(metrics);
-    const orderImbalanceScore = this.calculateOrderImbalanceScore(metrics);
-    const volumeVelocityScore = this.calculateVolumeVelocityScore(metrics);
-
-    // Weighted composite MFI
-    const mfi = (
-      this.config.weights.spectralSlope * spectralSlopeScore +
-      this.config.weights.autocorrelation * autocorrelationScore +
-      this.config.weights.orderImbalance * orderImbalanceScore +
-      this.config.weights.volumeVelocity * volumeVelocityScore
-    );
-
-    // Normalize to [0, 1]
-    const normalizedMFI = Math.max(0, Math.min(1, mfi));
-
-    // Store in history
-    this.mfiHistory.push({
-      value: normalizedMFI,
-      timestamp: Date.now(),
-      components: {
-        spectralSlope: spectralSlopeScore,
-        autocorrelation: autocorrelationScore,
-        orderImbalance: orderImbalanceScore,
-        volumeVelocity: volumeVelocityScore
-      },
-      rawMetrics: metrics
-    });
+  async analyzeSeries(dataType, rawValues, timestamps, metrics) {
+    const dataValues = this.prepareSeries(dataType, rawValues, timestamps);
+
+    // Spectral analysis for price data (the raw-tick stream is bypassed when preprocessing)
+    if (dataType === 'price') {
+      const spectralResult = this.priceStream && !this.isDenoised(dataType) && !this.isDeseasonalized(dataType) ?
+        this.priceStream.analyze() :
+        await this.spectralProcessor.analyze(dataValues);
+      if (this.config.spectralEstimator !== 'periodogram') {
+        spectralResult.psd = this.spectralProcessor.estimatePSD(dataValues);
+      }
+      metrics.spectral.price = spectralResult;
+      metrics.multifractal = this.computeReturnMultifractality(dataValues);
+      metrics.regimeBreaks = this.detectRegimeBreaks(dataValues, timestamps);
+      if (this.config.lyapunov) {
+        metrics.lyapunov = this.computeReturnLyapunov(dataValues);
+      }
+    }
+
+    // Statistical analysis for all data types
+    const statisticalResult = await this.statisticalProcessor.computeFeatures(dataValues);
+    metrics.statistical[dataType] = statisticalResult;
 
-    // Maintain history size
-    if (this.mfiHistory.length > 100) {
-      this.mfiHistory.shift();
+    if (this.config.earlyWarning && this.config.earlyWarningSeries.includes(dataType)) {
+      const options = this.config.earlyWarning === true ? {} : this.config.earlyWarning;
+      const result = this.earlyWarningProcessor.analyze(dataValues, options);
+      if (result) metrics.earlyWarning[dataType] = result;
     }
 
-    this.lastMFI = normalizedMFI;
+    return dataValues;
+  }
+
+  /**
+   * The MFI needs the price spectrum
+   */
+  hasMetrics(metrics) {
+    return Boolean(metrics.spectral.price);
+  }
 
+  formatResult({ value, ...result }, metrics) {
     return {
-      mfi: normalizedMFI,
-      components: {
-        spectralSlope: spectralSlopeScore,
-        autocorrelation: autocorrelationScore,
-        orderImbalance: orderImbalanceScore,
-        volumeVelocity: volumeVelocityScore
-      },
-      level: this.classifyMFILevel(normalizedMFI),
-      trend: this.calculateMFITrend(),
-      confidence: this.calculateMFIConfidence(metrics)
+      mfi: value,
+      ...result,
+      multifractal: metrics.multifractal || null,
+      regimeBreaks: metrics.regimeBreaks || [],
+      lyapunov: metrics.lyapunov || null,
+      earlyWarning: this.config.earlyWarning ? metrics.earlyWarning : null
     };
   }
 
   /**
-   * Compute all required market metrics from available data
+   * Whether the configured denoiser applies to a data type
    */
-  async computeAllMarketMetrics() {
-    const metrics = {
-      spectral: {},
-      statistical: {},
-      market: {}
-    };
+  isDenoised(dataType) {
+    return Boolean(this.config.denoise) && this.config.denoiseSeries.includes(dataType);
+  }
 
-    // Process each data type
-    for (const [dataType, buffer] of this.marketBuffers) {
-      if (buffer.length < this.config.windowSize * this.config.sampleRate * 0.5) {
-        continue; // Need at least 50% of window
-      }
+  /**
+   * Whether seasonal adjustment applies to a data type
+   */
+  isDeseasonalized(dataType) {
+    return Boolean(this.config.deseasonalize) && this.config.deseasonalizeSeries.includes(dataType);
+  }
+
+  /**
+   * Optionally remove seasonal cycles (periods from the buffer timestamps unless
+   * configured) so daily and weekly rhythms are not read as fracture precursors,
+   * then wavelet-denoise so tick jitter does not register as spectral flattening
+   * or autocorrelation change
+   */
+  prepareSeries(dataType, values, timestamps = null) {
+    let series = values;
 
-      const dataValues = buffer.map(point => point.value);
+    if (this.isDeseasonalized(dataType)) {
+      const options = this.config.deseasonalize === true ? {} : this.config.deseasonalize;
+      series = this.seasonalityProcessor.deseasonalize(series, { timestamps, ...options });
+    }
 
-      try {
-        // Spectral analysis for price data
-        if (dataType === 'price') {
-          const spectralResult = await this.spectralProcessor.analyze(dataValues);
-          metrics.spectral.price = spectralResult;
-        }
+    if (this.isDenoised(dataType)) {
+      const options = this.config.denoise === true ? {} : this.config.denoise;
+      series = this.waveletProcessor.denoise(series, options).signal;
+    }
 
-        // Statistical analysis for all data types
-        const statisticalResult = await this.statisticalProcessor.computeFeatures(dataValues);
-        metrics.statistical[dataType] = statisticalResult;
+    return series;
+  }
+
+  /**
+   * MF-DFA of log returns: singularity-spectrum width and generalized Hurst h(2).
+   * Widening Δα signals heterogeneous, intermittent dynamics ahead of fractures.
+   */
+  computeReturnMultifractality(prices) {
+    const returns = [];
+    for (let i = 1; i < prices.length; i++) {
+      if (prices[i] > 0 && prices[i - 1] > 0) {
+        returns.push(Math.log(prices[i] / prices[i - 1]));
+      }
+    }
 
-        metrics.market[dataType] = {
-          length: dataValues.length,
-          quality: this.assessDataQuality(dataValues),
-          lastUpdate: buffer.length > 0 ? buffer[buffer.length - 1].timestamp : null
-        };
+    // Four segments at the smallest scale of the largest fit
+    if (returns.length < 64) return null;
+
+    const { width, alpha0, hurst } = this.fractalProcessor.computeMultifractalDFA(returns);
+    return { width, alpha0, hurst };
+  }
 
-      } catch (error) {
-        console.warn(`Failed to process ${dataType} data:`, error);
+  /**
+   * Sliding largest Lyapunov exponents of log returns; `onset` rises as nearby
+   * return trajectories start diverging faster than in the earlier windows
+   */
+  computeReturnLyapunov(prices) {
+    const returns = [];
+    for (let i = 1; i < prices.length; i++) {
+      if (prices[i] > 0 && prices[i - 1] > 0) {
+        returns.push(Math.log(prices[i] / prices[i - 1]));
       }
     }
 
-    return Object.keys(metrics.spectral).length > 0 ? metrics : null;
+    const options = this.config.lyapunov === true ? {} : this.config.lyapunov;
+    const result = this.lyapunovProcessor.slidingExponent(returns, options);
+    return result && { latest: result.latest, baseline: result.baseline, onset: result.onset, embedding: result.embedding };
+  }
+
+  /**
+   * New confident change points in the log returns, mapped to the price timestamps.
+   * Breaks at or before the last reported one are skipped so each is emitted once.
+   */
+  detectRegimeBreaks(prices, timestamps) {
+    const { minConfidence, ...options } = { ...CHANGE_POINT_DEFAULTS, ...this.config.changePoints };
+    const returns = [];
+    for (let i = 1; i < prices.length; i++) {
+      returns.push(prices[i] > 0 && prices[i - 1] > 0 ? Math.log(prices[i] / prices[i - 1]) : 0);
+    }
+
+    const { method, changePoints } = this.changePointProcessor.detect(returns, options);
+    const breaks = changePoints
+      .filter(cp => (cp.confidence ?? 1) >= minConfidence)
+      .map(cp => ({
+        dataType: 'price',
+        // Return i spans prices i and i + 1; the new regime starts at price i + 1
+        timestamp: timestamps[cp.index + 1],
+        confidence: cp.confidence,
+        returnShift: cp.shift,
+        method
+      }))
+      .filter(b => b.timestamp > this.lastRegimeBreakTimestamp);
+
+    for (const regimeBreak of breaks) {
+      this.lastRegimeBreakTimestamp = regimeBreak.timestamp;
+      this.emit('regimeBreak', regimeBreak);
+    }
+
+    return breaks;
   }
 
   /**
@@ -212,7 +312,9 @@ export class MarketFractureIndex {
     if (!metrics.spectral.price) return 0;
 
     const priceSpectral = metrics.spectral.price;
-    const slope = this.calculatePriceSpectralSlope(priceSpectral.powerSpectrum);
+    const slope = priceSpectral.psd ?
+      this.calculatePriceSpectralSlope(priceSpectral.psd.psd, priceSpectral.psd.frequencies) :
+      this.calculatePriceSpectralSlope(priceSpectral.powerSpectrum, priceSpectral.frequencies);
 
     // Normalize slope change (flattening indicates instability)
     const baselineSlope = this.baselineMetrics.get('price_slope') || slope;
@@ -247,15 +349,33 @@ export class MarketFractureIndex {
     return dataCount > 0 ? totalScore / dataCount : 0;
   }
 
+  /**
+   * Calculate chaos onset score (z-score of the latest Lyapunov exponent; 3σ saturates)
+   */
+  calculateChaosOnsetScore(metrics) {
+    if (!metrics.lyapunov) return 0;
+    return Math.min(1, Math.max(0, metrics.lyapunov.onset / 3));
+  }
+
+  /**
+   * Calculate early-warning score (mean oriented Kendall τ of the indicators)
+   */
+  calculateEarlyWarningScore(metrics) {
+    const results = Object.values(metrics.earlyWarning);
+    if (results.length === 0) return 0;
+
+    return results.reduce((sum, result) => sum + result.score, 0) / results.length;
+  }
+
   /**
    * Calculate order book imbalance score
    */
   calculateOrderImbalanceScore(metrics) {
-    const orderbookBuffer = this.marketBuffers.get('orderbook');
+    const orderbookBuffer = this.buffers.get('orderbook');
     if (!orderbookBuffer || orderbookBuffer.length < 10) return 0;
 
     // Calculate recent order imbalance
-    const recentOrders = orderbookBuffer.slice(-10);
+    const recentOrders = orderbookBuffer.getRecent(10);
     let totalBuyVolume = 0;
     let totalSellVolume = 0;
 
@@ -279,11 +399,11 @@ export class MarketFractureIndex {
    * Calculate volume velocity score
    */
   calculateVolumeVelocityScore(metrics) {
-    const volumeBuffer = this.marketBuffers.get('volume');
+    const volumeBuffer = this.buffers.get('volume');
     if (!volumeBuffer || volumeBuffer.length < 20) return 0;
 
     // Calculate volume velocity (rate of change)
-    const recentVolumes = volumeBuffer.slice(-20).map(point => point.value);
+    const recentVolumes = volumeBuffer.column('value', 20) ?? [];
     const velocities = [];
 
     for (let i = 1; i < recentVolumes.length; i++) {
@@ -306,9 +426,8 @@ export class MarketFractureIndex {
   /**
    * Calculate spectral slope from price power spectrum
    */
-  calculatePriceSpectralSlope(powerSpectrum) {
+  calculatePriceSpectralSlope(powerSpectrum, freqBins = this.spectralProcessor.getFrequencyBins()) {
     // Focus on relevant frequency bands for market data
-    const freqBins = this.spectralProcessor.getFrequencyBins();
     const startIdx = freqBins.findIndex(f => f >= 0.001); // Low frequency (long-term trends)
     const endIdx = freqBins.findIndex(f => f >= 0.1); // High frequency (short-term noise)
 
@@ -329,50 +448,10 @@ export class MarketFractureIndex {
     return slope;
   }
 
-  /**
-   * Classify MFI level
-   */
-  classifyMFILevel(mfi) {
-    if (mfi >= this.config.thresholds.aggressive) return 'aggressive';
-    if (mfi >= this.config.thresholds.moderate) return 'moderate';
-    if (mfi >= this.config.thresholds.gentle) return 'gentle';
-    return 'normal';
-  }
-
-  /**
-   * Calculate MFI trend
-   */
-  calculateMFITrend() {
-    if (this.mfiHistory.length < 3) return 'stable';
-
-    const recent = this.mfiHistory.slice(-3);
-    const values = recent.map(h => h.value);
-    const trend = values[2] - values[0];
-
-    if (trend > 0.1) return 'increasing';
-    if (trend < -0.1) return 'decreasing';
-    return 'stable';
-  }
-
-  /**
-   * Calculate MFI confidence based on data quality
-   */
-  calculateMFIConfidence(metrics) {
-    let totalQuality = 0;
-    let dataCount = 0;
-
-    for (const [dataType, dataInfo] of Object.entries(metrics.market)) {
-      totalQuality += dataInfo.quality;
-      dataCount++;
-    }
-
-    return dataCount > 0 ? totalQuality / dataCount : 0;
-  }
-
   /**
    * Assess market data quality
    */
-  assessDataQuality(dataValues) {
+  assessQuality(dataValues) {
     if (dataValues.length === 0) return 0;
 
     let quality = 1.0;
@@ -404,79 +483,62 @@ export class MarketFractureIndex {
   }
 
   /**
-   * Check if MFI should be updated
+   * Reset MFI calculator
    */
-  shouldUpdateMFI(dataType) {
-    const buffer = this.marketBuffers.get(dataType);
-    if (!buffer || buffer.length === 0) return false;
+  reset() {
+    super.reset();
+    if (this.priceStream) this.priceStream.reset();
+    this.lastRegimeBreakTimestamp = -Infinity;
+  }
 
-    const timeSinceLastUpdate = Date.now() - (this.mfiHistory.length > 0 ?
-      this.mfiHistory[this.mfiHistory.length - 1].timestamp : 0);
+  // MFI names for the FractureIndex API
 
-    return timeSinceLastUpdate >= this.config.updateInterval;
+  get marketBuffers() {
+    return this.buffers;
   }
 
-  /**
-   * Update MFI calculation
-   */
-  async updateMFI() {
-    const result = await this.calculateMFI();
-    if (result) {
-      this.emit('mfiUpdated', result);
-    }
+  get mfiHistory() {
+    return this.history;
   }
 
-  /**
-   * Get current MFI status
-   */
-  getMFIStatus() {
-    return {
-      currentMFI: this.lastMFI,
-      level: this.classifyMFILevel(this.lastMFI),
-      trend: this.calculateMFITrend(),
-      history: this.mfiHistory.slice(-10), // Last 10 readings
-      dataQuality: this.getDataQualitySummary(),
-      baselineMetrics: Object.fromEntries(this.baselineMetrics)
-    };
+  get lastMFI() {
+    return this.lastValue;
   }
 
-  /**
-   * Get market data quality summary
-   */
-  getDataQualitySummary() {
-    const summary = {};
-
-    for (const [dataType, buffer] of this.marketBuffers) {
-      const dataValues = buffer.map(point => point.value);
-      summary[dataType] = {
-        available: buffer.length > 0,
-        sampleCount: buffer.length,
-        quality: this.assessDataQuality(dataValues),
-        lastUpdate: buffer.length > 0 ? buffer[buffer.length - 1].timestamp : null
-      };
-    }
+  addMarketData(dataType, data, timestamp) {
+    this.addData(dataType, data, timestamp);
+  }
 
-    return summary;
+  calculateMFI() {
+    return this.calculate();
   }
 
-  /**
-   * Reset MFI calculator
-   */
-  reset() {
-    this.marketBuffers.forEach(buffer => buffer.length = 0);
-    this.mfiHistory.length = 0;
-    this.baselineMetrics.clear();
-    this.lastMFI = 0;
+  classifyMFILevel(mfi) {
+    return this.classifyLevel(mfi);
   }
 
-  /**
-   * Update configuration
-   */
-  updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
+  calculateMFITrend() {
+    return this.calculateTrend();
+  }
+
+  calculateMFIConfidence(metrics) {
+    return this.calculateConfidence(metrics);
+  }
+
+  shouldUpdateMFI(dataType) {
+    return this.shouldUpdate(dataType);
   }
-}
 
-// EventEmitter mixin for MFI calculator
-import { EventEmitter } from 'events';
-Object.setPrototypeOf(MarketFractureIndex.prototype, EventEmitter.prototype);
\ No newline at end of file
+  updateMFI() {
+    return this.update();
+  }
+
+  getMFIStatus() {
+    const { current, quality, ...status } = this.getStatus();
+    return { currentMFI: current, ...status, dataQuality: quality };
+  }
+
+  getDataQualitySummary() {
+    return this.getQualitySummary();
+  }
+}
@@ -17,12 +17,107 @@ import { SpectralProcessor } from './processors/SpectralProcessor.js';
 import { StatisticalProcessor } from './processors/StatisticalProcessor.js';
 import { FractalProcessor } from './processors/FractalProcessor.js';
 import { WaveletProcessor } from './processors/WaveletProcessor.js';
+import { RecurrenceProcessor } from './processors/RecurrenceProcessor.js';
+import { SurrogateProcessor } from './processors/SurrogateProcessor.js';
+import { RingBuffer } from './RingBuffer.js';
+import { WorkerPool } from './WorkerPool.js';
+import { ProcessorRegistry } from './ProcessorRegistry.js';
+import { Pipeline } from './Pipeline.js';
+import { systemClock, ManualClock } from './Clock.js';
+
+// Alternative hypothesis of each surrogate-tested statistic: structure shows up as
+// autocorrelation of either sign, or as entropy below that of the surrogates
+const SIGNIFICANCE_ALTERNATIVES = {
+  autocorrelation: 'two-sided',
+  sampleEntropy: 'less',
+  permutationEntropy: 'less'
+};
+
+// Surrogate tests run when significance is enabled (each config entry overrides one)
+const SIGNIFICANCE_DEFAULTS = {
+  method: 'shuffle',               // H0: the window is i.i.d. noise
+  surrogates: 39,
+  statistics: ['autocorrelation', 'sampleEntropy']
+};
+
+// Relative spread below which a phi history counts as flat (rounding residue only)
+const FLAT_TOLERANCE = 1e-12;
+
+// Contribution of each biometric signal to the load that scales FI (inattention = 1 - attention)
+const BIOMETRIC_LOAD_WEIGHTS = {
+  stress: 0.4,
+  cognitiveLoad: 0.3,
+  inattention: 0.2,
+  drowsiness: 0.1
+};
+
+// Sample entropy counted towards FI: white noise reaches about 2.2 (m = 2,
+// r = 0.2σ); values above it come from the ln C(N - m, 2) no-match fallback
+const MAX_SAMPLE_ENTROPY = 2.5;
+
+// FI weights before adaptation (registered processors add their own)
+const BASE_WEIGHTS = {
+  primary: 1.0,
+  deltaAlpha: 1.0,
+  autocorr: 1.0,
+  skewness: 0.7,
+  complexity: 0.5,
+  fractal: 0.3,
+  wavelet: 0.4,
+  shortScale: 0.2,
+  longScale: 0.1
+};
+
+// Feature groups produced by extractFeatures itself
+const BUILTIN_FEATURES = [
+  'spectral', 'statistical', 'fractal', 'wavelet', 'recurrence',
+  'biometric', 'temporal', 'complexity', 'significance', 'performance'
+];
+
+// Stage graph behind process(). One windowed FFT feeds the spectral features and,
+// through them, the spectral entropies; processor stages are cached by input.
+export const DEFAULT_PIPELINE = {
+  stages: {
+    preprocess: { op: 'preprocess', inputs: ['input'] },
+    fft: { op: 'fft', inputs: ['preprocess'], cache: true },
+    spectral: { op: 'spectral', inputs: ['fft'] },
+    statistical: { op: 'statistical', inputs: ['preprocess'], cache: true },
+    fractal: { op: 'fractal', inputs: ['preprocess'], cache: true },
+    wavelet: { op: 'wavelet', inputs: ['preprocess'], cache: true },
+    recurrence: { op: 'recurrence', inputs: ['preprocess'], cache: true },
+    biometric: { op: 'biometric', inputs: ['input'] },
+    temporal: { op: 'temporal', inputs: ['preprocess', 'statistical'] },
+    complexity: { op: 'complexity', inputs: ['preprocess', 'spectral'] },
+    significance: { op: 'significance', inputs: ['preprocess'] },
+    features: {
+      op: 'features',
+      inputs: [
+        'input', 'preprocess', 'spectral', 'statistical', 'fractal', 'wavelet',
+        'recurrence', 'biometric', 'temporal', 'complexity', 'significance'
+      ]
+    },
+    fi: { op: 'fi', inputs: ['features'] },
+    uiState: { op: 'uiState', inputs: ['input', 'fi', 'features'] },
+    thresholds: { op: 'thresholds', inputs: ['input', 'features'] },
+    regimeBreaks: { op: 'regimeBreaks', inputs: ['input', 'features'] }
+  },
+  outputs: ['fi', 'uiState', 'thresholds', 'features', 'regimeBreaks']
+};
+
+// Pipeline outputs process() reads (a custom pipeline must at least produce fi)
+const RESULT_STAGES = ['fi', 'uiState', 'thresholds', 'features', 'regimeBreaks'];
+
+// Config entries that stay on the main thread (functions and classes cannot be sent to workers)
+const MAIN_THREAD_CONFIG = ['customProcessors', 'pipeline', 'operations', 'clock'];
+
+// Option groups merged key by key, so a partial override keeps the other defaults
+const NESTED_CONFIG = ['complexity', 'changePoints', 'recurrence', 'fractureIndex'];
 
 export class MathCore extends EventEmitter {
   constructor(config = {}) {
     super();
     
-    this.config = {
+    this.config = mergeConfig({
       // Core parameters
       windowSize: 64,              // Primary analysis window
       samplingRate: 50,            // Hz
@@ -32,37 +127,127 @@ export class MathCore extends EventEmitter {
       enableGPU: true,             // GPU acceleration
       enableWavelets: true,        // Wavelet analysis
       enableFractals: true,        // Fractal dimension analysis
+      enableRecurrence: false,     // Recurrence quantification (O(N²) in the window length)
       enableAdaptive: true,        // Adaptive parameters
+      enableDistributionFitting: false, // StatisticalProcessor MLE fits (unused by FI, costly per frame)
       
       // Performance
       maxProcessingTime: 5,        // ms per frame
       cacheSize: 1000,            // Result cache size
       parallelWorkers: 4,         // Web workers for parallel processing
+      enableWorkers: false,       // Run processors on a worker_threads pool (in-thread fallback)
+      workerTimeout: 1000,        // ms before a worker task falls back to in-thread execution
       
       // Precision
       floatPrecision: 'float64',   // float32 | float64
       numericalStability: true,    // Enhanced numerical stability
       
-      ...config
-    };
+      // Complexity features
+      complexity: {
+        embeddingDimension: 2,     // Sample entropy template length m
+        tolerance: 0.2,            // Sample entropy r as a fraction of the standard deviation
+        maxScale: 5,               // Multiscale entropy coarse-graining scales
+        permutationOrder: 3,
+        permutationDelay: 1,
+        renyiOrder: 2              // Order of the Rényi / Tsallis spectral entropies
+      },
+      
+      // Regime breaks (options are also passed to StatisticalProcessor's change-point detector)
+      changePoints: {
+        method: 'pelt',            // 'pelt' | 'cusum' | 'bocpd'
+        minConfidence: 0.95,       // Minimum confidence for a 'regimeBreak' event
+        confirmationSamples: 8,    // A break must be this many samples old before it is reported
+        recentWindow: 16           // ...and no older than this
+      },
+      
+      // Recurrence quantification (RecurrenceProcessor options, used with enableRecurrence)
+      recurrence: {
+        embeddingDimension: 'auto', // False nearest neighbours
+        delay: 'auto',             // First mutual-information minimum
+        thresholdMode: 'diameter',
+        threshold: 0.1             // ε as a fraction of the phase-space diameter
+      },
+      
+      // Multi-scale FI components and biometric modulation
+      fractureIndex: {
+        shortScaleLevels: 2,       // Finest wavelet detail levels read as short-scale jitter
+        healthyExponent: 1,        // DFA α of healthy 1/f dynamics (long-scale reference)
+        exponentTolerance: 0.5,    // |α - healthyExponent| at which the long-scale score saturates
+        biometricGain: 0.5         // FI scale per unit of biometric load away from 0.5 (x0.75 to x1.25)
+      },
+      
+      // Surrogate tests behind uiState.confidence: false | true | { method, surrogates, statistics, ... }
+      // (off by default: 39 surrogates per statistic more than double the frame time)
+      significance: false,
+      
+      // Application processors (ProcessorRegistry definitions), registered on construction
+      customProcessors: [],
+      
+      // Stage graph behind process() (Pipeline definition; null uses DEFAULT_PIPELINE)
+      pipeline: null,
+      operations: {},              // Extra named operations for pipeline definitions
+      
+      // Reproducibility (see Replay.js for recording and golden-file replay)
+      deterministic: false,        // Clock-driven cache expiry, UTC time of day, seeded surrogates
+      clock: null,                 // { now() } in ms; null: wall clock (a ManualClock stepped one frame per process() when deterministic)
+      seed: 42,                    // Surrogate seed when deterministic (otherwise surrogates are unseeded)
+      
+      // Preprocessing
+      denoise: false,              // Wavelet-denoise phi history: false | true | { wavelet, levels, thresholdRule, thresholdMode }
+    }, config);
     
     // Initialize processors
     this.stats = new StatisticalProcessor(this.config);
     this.spectral = new SpectralProcessor(this.config);
     this.fractal = new FractalProcessor(this.config);
     this.wavelet = new WaveletProcessor(this.config);
+    this.recurrence = new RecurrenceProcessor(this.config.recurrence);
+    this.surrogates = new SurrogateProcessor({
+      seed: null,
+      ...this.config.significance,
+      ...(this.config.deterministic ? { seed: this.config.seed } : {})
+    });
+    
+    // Time source for cache expiry and time-of-day thresholds. The default
+    // deterministic clock moves one frame per process() call, so cached results
+    // still expire.
+    this.ownsClock = this.config.deterministic && !this.config.clock;
+    this.clock = this.config.clock || (this.config.deterministic ? new ManualClock() : systemClock);
+    
+    // Application processors run after the built-in ones
+    this.registry = new ProcessorRegistry([...BUILTIN_FEATURES, ...Object.keys(BASE_WEIGHTS)]);
+    for (const definition of this.config.customProcessors) {
+      this.registry.register(definition);
+    }
+    
+    this.pipeline = this.createPipeline(this.config.pipeline || DEFAULT_PIPELINE, this.config.operations);
+    if (!this.pipeline.stages.has('fi')) {
+      throw new Error('MathCore pipeline has no fi stage');
+    }
+    
+    // Optional worker threads running the processors above off the event loop
+    this.workerPool = this.config.enableWorkers ? new WorkerPool({
+      size: this.config.parallelWorkers,
+      taskTimeout: this.config.workerTimeout,
+      workerData: { config: workerConfig(this.config) }
+    }) : null;
     
     // Processing state
     this.state = {
       initialized: false,
       processing: false,
       frameCount: 0,
+      frameTime: null,             // Clock time of the latest frame (after the default deterministic clock steps)
       cacheHits: 0,
-      cacheMisses: 0
+      cacheMisses: 0,
+      samplesSeen: 0,              // Absolute position of the newest phi sample
+      historyLength: 0,            // Length of the previous frame's phi history (the newest dataBuffer samples)
+      reportedBreaks: [],          // Absolute positions of reported regime breaks
+      workerFallbacks: 0           // Worker tasks rerun in-thread
     };
     
-    // Data buffers
-    this.dataBuffer = new CircularBuffer(this.config.windowSize * 4);
+    // Phi history seen so far (regime-break positions align each frame against it)
+    this.dataBuffer = new RingBuffer(this.config.windowSize * 4);
     this.resultCache = new Map();
     this.processingQueue = [];
     
@@ -92,11 +277,16 @@ export class MathCore extends EventEmitter {
 
       await Promise.all(initPromises);
       
+      // Workers are best effort: without them every processor runs in-thread
+      if (this.workerPool) {
+        await this.workerPool.initialize();
+      }
+      
       // Set up performance monitoring
       this.setupPerformanceMonitoring();
       
       this.state.initialized = true;
-      this.emit('initialized', { timestamp: Date.now() });
+      this.emit('initialized', { timestamp: this.clock.now() });
       
     } catch (error) {
       this.emit('error', { phase: 'initialization', error });
@@ -114,6 +304,8 @@ export class MathCore extends EventEmitter {
     
     const startTime = performance.now();
     this.state.frameCount++;
+    if (this.ownsClock) this.clock.advance(1000 / this.config.frameRate);
+    this.state.frameTime = this.clock.now();
     
     try {
       // Extract and validate input
@@ -136,20 +328,13 @@ export class MathCore extends EventEmitter {
         return this.createMinimalResult(phiHistory, metadata);
       }
       
-      // Stage 1: Preprocessing and windowing
-      const processedData = await this.preprocessData(phiHistory);
-      
-      // Stage 2: Parallel feature extraction
-      const features = await this.extractFeatures(processedData, biometricData);
-      
-      // Stage 3: Compute Fracture Index
-      const fi = this.computeAdvancedFI(features);
-      
-      // Stage 4: Generate UI state
-      const uiState = this.computeUIState(fi, features, metadata);
-      
-      // Stage 5: Adaptive thresholds
-      const thresholds = this.computeAdaptiveThresholds(features, metadata);
+      // Preprocessing, feature extraction, FI, UI state, thresholds and regime
+      // breaks, run as a stage graph (DEFAULT_PIPELINE unless configured)
+      const { results, timings } = await this.pipeline.run({ phiHistory, biometricData, metadata }, {
+        key: `${hashSamples(phiHistory)}_${biometricData ? this.hashObject(biometricData) : 'none'}`,
+        outputs: RESULT_STAGES.filter(name => this.pipeline.stages.has(name))
+      });
+      const { fi, uiState, thresholds, features, regimeBreaks = [] } = results;
       
       // Compile final result
       const result = {
@@ -157,9 +342,11 @@ export class MathCore extends EventEmitter {
         uiState,
         thresholds,
         features,
+        regimeBreaks,
         metadata: {
           ...metadata,
           processingTime: performance.now() - startTime,
+          stageTimings: timings,
           frameNumber: this.state.frameCount,
           cacheKey
         }
@@ -171,6 +358,10 @@ export class MathCore extends EventEmitter {
       // Update metrics
       this.updateMetrics(performance.now() - startTime);
       
+      for (const regimeBreak of regimeBreaks) {
+        this.emit('regimeBreak', regimeBreak);
+      }
+      
       // Emit processing complete event
       this.emit('processed', {
         frameNumber: this.state.frameCount,
@@ -194,7 +385,7 @@ export class MathCore extends EventEmitter {
    * Advanced preprocessing with multiple techniques
    */
   async preprocessData(phiHistory) {
-    const data = Array.from(phiHistory);
+    const data = phiHistory;
     
     // Stage 1: Outlier detection and removal
     const cleaned = this.stats.detectOutliers ?
@@ -218,60 +409,228 @@ export class MathCore extends EventEmitter {
     // I need to implement basic helpers here or fix calls.
     // I will implement basic versions here to ensure it works.
 
-    const mean = data.reduce((a, b) => a + b, 0) / data.length;
-    const normalized = data.map(v => v - mean); // Center it
+    // Optional wavelet shrinkage to suppress sensor noise before feature extraction
+    const denoising = this.config.denoise ?
+      this.wavelet.denoise(data, this.config.denoise === true ? {} : this.config.denoise) :
+      null;
+    const denoised = denoising ? denoising.signal : data;
+
+    const mean = denoised.reduce((a, b) => a + b, 0) / denoised.length;
+    const normalized = Float64Array.from(denoised, v => v - mean); // Center it
+    
+    // Centering a flat history leaves rounding residue; zero it so no feature reads structure into it
+    if (isFlatSeries(denoised)) normalized.fill(0);
     
     // Stage 4: Windowing
     const windowed = this.applyWindow(normalized, 'hann');
     
     return {
       original: data,
-      cleaned: data,
+      cleaned: denoised,
       detrended: normalized,
       normalized,
       windowed,
       metadata: {
         outliers: 0,
         trend: 0,
-        stationarity: 0
+        stationarity: 0,
+        noiseSigma: denoising ? denoising.noiseSigma : null
       }
     };
   }
 
   /**
-   * Extract comprehensive features using multiple processors
+   * Extract comprehensive features using multiple processors (the pipeline's
+   * features stage, from already preprocessed data)
    */
   async extractFeatures(processedData, biometricData = null) {
-    const { windowed, normalized } = processedData;
-    
-    // Parallel feature extraction
-    const [
-      spectralFeatures,
-      statisticalFeatures,
-      fractalFeatures,
-      waveletFeatures
-    ] = await Promise.all([
-      this.spectral.analyze(windowed),
-      this.stats.computeFeatures(normalized),
-      this.config.enableFractals ? this.fractal.analyze(normalized) : null,
-      this.config.enableWavelets ? this.wavelet.analyze(windowed) : null
-    ]);
-    
-    // Biometric features if available
-    const biometricFeatures = biometricData ? 
-      this.computeBiometricFeatures(biometricData) : null;
-    
+    const { results } = await this.pipeline.run({ phiHistory: processedData.original, biometricData, metadata: {} }, {
+      outputs: ['features'],
+      values: { preprocess: processedData }
+    });
+    return results.features;
+  }
+
+  /**
+   * Build a Pipeline over MathCore's operations (plus `operations`), e.g. for a
+   * custom fracture index from the same primitives. Run it on
+   * { phiHistory, biometricData, metadata }.
+   */
+  createPipeline(definition, operations = {}) {
+    return new Pipeline(definition, { ...this.createOperations(), ...operations });
+  }
+
+  /**
+   * Named pipeline operations; each reads its inputs by stage name
+   */
+  createOperations() {
     return {
-      spectral: spectralFeatures,
-      statistical: statisticalFeatures,
-      fractal: fractalFeatures,
-      wavelet: waveletFeatures,
-      biometric: biometricFeatures,
-      temporal: this.computeTemporalFeatures(normalized),
-      complexity: this.computeComplexityFeatures(normalized)
+      preprocess: ({ input }) => this.preprocessData(input.phiHistory),
+      fft: ({ preprocess }) => this.runProcessor('spectral', 'computeWindowedFFT', preprocess.windowed),
+      spectral: ({ fft }) => this.spectral.analyzeSpectrum(fft),
+      statistical: ({ preprocess }) => this.runProcessor('stats', 'computeFeatures', preprocess.normalized),
+      fractal: ({ preprocess }) => this.config.enableFractals ?
+        this.runProcessor('fractal', 'analyze', preprocess.normalized) : null,
+      wavelet: ({ preprocess }) => this.config.enableWavelets ?
+        this.runProcessor('wavelet', 'analyze', preprocess.windowed) : null,
+      recurrence: ({ preprocess }) => this.config.enableRecurrence ?
+        this.runProcessor('recurrence', 'analyze', preprocess.normalized) : null,
+      biometric: ({ input }) => input.biometricData ? this.computeBiometricFeatures(input.biometricData) : null,
+      temporal: ({ preprocess, statistical }) => this.computeTemporalFeatures(preprocess.normalized, statistical),
+      complexity: ({ preprocess, spectral }) => this.computeComplexityFeatures(preprocess.normalized, spectral),
+      significance: ({ preprocess }) => this.computeSignificanceFeatures(preprocess.normalized),
+      features: ({ input, preprocess, ...groups }) => this.collectFeatures(groups, preprocess, input.biometricData),
+      fi: ({ features }) => this.computeAdvancedFI(features),
+      uiState: ({ input, fi, features }) => this.computeUIState(fi, features, input.metadata),
+      thresholds: ({ input, features }) => this.computeAdaptiveThresholds(features, input.metadata),
+      regimeBreaks: ({ input, features }) => this.detectRegimeBreaks(features, input.phiHistory),
+      
+      // Building blocks for custom indices
+      shortScale: ({ features }) => this.computeShortScaleFI(features),
+      longScale: ({ features }) => this.computeLongScaleFI(features),
+      biometricFactor: ({ features }) => features.biometric ? this.computeBiometricFactor(features.biometric) : 1
     };
   }
 
+  /**
+   * Feature groups plus the outputs of registered processors, which see the built-in groups
+   */
+  async collectFeatures(groups, processedData, biometricData) {
+    const features = { ...groups };
+    const names = this.registry.list().map(entry => entry.name);
+    const outputs = await Promise.all(names.map(name => this.runCustomProcessor(name, processedData, biometricData, features)));
+    names.forEach((name, i) => { features[name] = outputs[i]; });
+    
+    return features;
+  }
+
+  /**
+   * Run a registered processor; a failure leaves its feature null (scored 0)
+   * and is reported as a 'processorError' event rather than failing the frame
+   */
+  async runCustomProcessor(name, processedData, biometricData, features) {
+    try {
+      return await this.registry.run(name, processedData, biometricData, features);
+    } catch (error) {
+      this.emit('processorError', { processor: name, frameNumber: this.state.frameCount, error });
+      return null;
+    }
+  }
+
+  /**
+   * Add an application processor (see ProcessorRegistry.register for the definition)
+   */
+  registerProcessor(definition) {
+    const entry = this.registry.register(definition);
+    this.resultCache.clear();
+    this.pipeline.clearCache();
+    this.emit('processorRegistered', { processor: entry.name });
+    return entry;
+  }
+
+  unregisterProcessor(name) {
+    const removed = this.registry.unregister(name);
+    if (removed) {
+      this.resultCache.clear();
+      this.pipeline.clearCache();
+      this.emit('processorUnregistered', { processor: name });
+    }
+    return removed;
+  }
+
+  /**
+   * Call `this[processor][method](...args)` on the worker pool when it is
+   * running, falling back to in-thread execution if the task fails
+   */
+  async runProcessor(processor, method, ...args) {
+    if (this.workerPool?.available) {
+      try {
+        return await this.workerPool.run(processor, method, args);
+      } catch (error) {
+        this.state.workerFallbacks++;
+        this.emit('workerFallback', { processor, method, error });
+      }
+    }
+    return this[processor][method](...args);
+  }
+
+  /**
+   * Confident change points aged between `confirmationSamples` and `recentWindow`.
+   * Breaks are tracked by absolute sample position (from the overlap with the previous
+   * frame's history) so each one is reported once however the window slides.
+   */
+  detectRegimeBreaks(features, phiHistory) {
+    const { minConfidence, confirmationSamples, recentWindow, method } = this.config.changePoints;
+    const changePoints = features.statistical?.timeSeries?.changePoints || [];
+    const length = phiHistory.length;
+    
+    this.state.samplesSeen += this.countNewSamples(phiHistory);
+    const reported = this.state.reportedBreaks;
+    const breaks = [];
+    
+    for (const cp of changePoints) {
+      const samplesAgo = length - cp.index;
+      const position = this.state.samplesSeen - samplesAgo;
+      
+      if (samplesAgo < confirmationSamples || samplesAgo > recentWindow) continue;
+      if ((cp.confidence ?? 1) < minConfidence) continue;
+      // Locations may wander by a sample or two as data accumulates
+      if (reported.some(p => Math.abs(p - position) <= 2)) continue;
+      
+      reported.push(position);
+      breaks.push({
+        frameNumber: this.state.frameCount,
+        position,
+        samplesAgo,
+        confidence: cp.confidence,
+        shift: cp.shift,
+        method
+      });
+    }
+    
+    // Only positions that can still fall inside the reporting range matter
+    this.state.reportedBreaks = reported.filter(p => this.state.samplesSeen - p <= recentWindow + 2);
+    return breaks;
+  }
+
+  /**
+   * Number of samples appended since the previous frame, found as the smallest shift
+   * aligning the new history with the old one (all samples if none does). Only
+   * the new samples are appended to dataBuffer.
+   */
+  countNewSamples(phiHistory) {
+    if (phiHistory.length > this.dataBuffer.capacity) {
+      const grown = new RingBuffer(2 * phiHistory.length);
+      for (const value of this.dataBuffer) grown.push(value);
+      this.dataBuffer = grown;
+    }
+    
+    const previous = this.dataBuffer.view(this.state.historyLength);
+    let added = phiHistory.length;
+    let from = 0;                  // First sample of phiHistory to append
+    
+    for (let shift = 0; shift < previous.length; shift++) {
+      const overlap = Math.min(previous.length - shift, phiHistory.length);
+      let matches = true;
+      for (let i = 0; i < overlap && matches; i++) {
+        matches = phiHistory[i] === previous[i + shift];
+      }
+      if (matches) {
+        added = phiHistory.length - overlap;
+        // A history ending inside the previous one is appended whole
+        if (shift + overlap === previous.length) from = overlap;
+        break;
+      }
+    }
+    
+    for (let i = from; i < phiHistory.length; i++) {
+      this.dataBuffer.push(phiHistory[i]);
+    }
+    this.state.historyLength = phiHistory.length;
+    
+    return added;
+  }
+
   /**
    * Compute advanced Fracture Index using multiple feature sets
    */
@@ -284,7 +643,7 @@ export class MathCore extends EventEmitter {
     const skewness = Math.abs(features.statistical.moments?.skewness || 0);
     
     // Advanced components
-    const complexity = features.complexity?.sampleEntropy || 0;
+    const complexity = Math.min(features.complexity?.sampleEntropy || 0, MAX_SAMPLE_ENTROPY);
     const fractalDim = features.fractal?.boxCounting?.dimension || 0;
     const waveletEntropy = features.wavelet?.entropyApprox || 0;
     
@@ -308,6 +667,11 @@ export class MathCore extends EventEmitter {
     fi += weights.shortScale * shortScale;
     fi += weights.longScale * longScale;
     
+    // Registered processors
+    for (const { name } of this.registry.list()) {
+      fi += weights[name] * this.registry.score(name, features[name], features);
+    }
+    
     // Biometric modulation
     if (features.biometric) {
       const biometricFactor = this.computeBiometricFactor(features.biometric);
@@ -322,17 +686,10 @@ export class MathCore extends EventEmitter {
    * Compute adaptive weights based on current features
    */
   getAdaptiveWeights(features) {
-    const base = {
-      primary: 1.0,
-      deltaAlpha: 1.0,
-      autocorr: 1.0,
-      skewness: 0.7,
-      complexity: 0.5,
-      fractal: 0.3,
-      wavelet: 0.4,
-      shortScale: 0.2,
-      longScale: 0.1
-    };
+    const base = { ...BASE_WEIGHTS };
+    for (const { name, weight } of this.registry.list()) {
+      base[name] = weight;
+    }
     
     // Adapt based on signal characteristics
     // Note: SNR is not computed in statistical processor directly, simplified check
@@ -419,7 +776,9 @@ export class MathCore extends EventEmitter {
     
     // Adapt based on time of day
     if (metadata.timeOfDay) {
-      const hour = new Date().getHours();
+      // UTC when deterministic, so recorded runs replay the same in any time zone
+      const now = new Date(this.clock.now());
+      const hour = this.config.deterministic ? now.getUTCHours() : now.getHours();
       if (hour < 9 || hour > 18) {
         // Outside work hours - more sensitive
         Object.keys(base).forEach(key => base[key] *= 0.9);
@@ -446,9 +805,9 @@ export class MathCore extends EventEmitter {
       throw new Error('Invalid input data');
     }
     
-    const phiHistory = Array.isArray(inputData.phiHistory) ? 
-      inputData.phiHistory : 
-      Array.isArray(inputData) ? inputData : [];
+    // Arrays, typed arrays, or a RingBuffer of phi samples (copied here, before the first
+    // await, so producers can keep pushing while the frame is processed)
+    const phiHistory = toSeries(inputData.phiHistory) || toSeries(inputData) || [];
     
     if (phiHistory.length === 0) {
       throw new Error('No phi history provided');
@@ -504,7 +863,7 @@ export class MathCore extends EventEmitter {
    */
   isCacheValid(cached) {
     const maxAge = 100; // ms
-    return (Date.now() - cached.timestamp) < maxAge;
+    return (this.clock.now() - cached.timestamp) < maxAge;
   }
 
   /**
@@ -513,7 +872,7 @@ export class MathCore extends EventEmitter {
   cacheResult(key, result) {
     this.resultCache.set(key, {
       result: { ...result },
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
     
     // Limit cache size
@@ -528,7 +887,7 @@ export class MathCore extends EventEmitter {
    */
   applyWindow(data, windowType = 'hann') {
     const N = data.length;
-    const windowed = new Array(N);
+    const windowed = new Float64Array(N);
     
     switch (windowType) {
       case 'hann':
@@ -591,8 +950,14 @@ export class MathCore extends EventEmitter {
         spectral: this.spectral.getStatus ? this.spectral.getStatus() : 'active',
         statistical: this.stats.getStatus ? this.stats.getStatus() : 'active',
         fractal: this.fractal?.getStatus ? this.fractal.getStatus() : 'active',
-        wavelet: this.wavelet?.getStatus ? this.wavelet.getStatus() : 'active'
-      }
+        wavelet: this.wavelet?.getStatus ? this.wavelet.getStatus() : 'active',
+        ...this.registry.getStatus()
+      },
+      pipeline: this.pipeline.getStatus(),
+      workers: this.workerPool ? {
+        ...this.workerPool.getStatus(),
+        fallbacks: this.state.workerFallbacks
+      } : null
     };
   }
 
@@ -628,13 +993,15 @@ export class MathCore extends EventEmitter {
    * Update configuration
    */
   updateConfig(newConfig) {
-    Object.assign(this.config, newConfig);
+    Object.assign(this.config, mergeConfig(this.config, newConfig));
     
     // Propagate to processors
     if (this.spectral.updateConfig) this.spectral.updateConfig(this.config);
     if (this.stats.updateConfig) this.stats.updateConfig(this.config);
     if (this.fractal?.updateConfig) this.fractal.updateConfig(this.config);
     if (this.wavelet?.updateConfig) this.wavelet.updateConfig(this.config);
+    this.workerPool?.broadcast({ type: 'configure', config: workerConfig(this.config) });
+    this.pipeline.clearCache();
   }
 
   /**
@@ -647,6 +1014,10 @@ export class MathCore extends EventEmitter {
     this.resultCache.clear();
     this.processingQueue.length = 0;
     
+    if (this.workerPool) {
+      await this.workerPool.terminate();
+    }
+    
     // Shutdown processors
     // await Promise.all([
     //   this.fft.shutdown(),
@@ -667,7 +1038,7 @@ export class MathCore extends EventEmitter {
   createMinimalResult(phiHistory, metadata) {
     return {
       fi: 0,
-      uiState: { gamma: 1.0 },
+      uiState: { gamma: 1.0, confidence: null },
       thresholds: {},
       features: {},
       metadata: { ...metadata, minimal: true }
@@ -678,63 +1049,344 @@ export class MathCore extends EventEmitter {
     return { ...result, metadata: { ...result.metadata, ...metadata } };
   }
 
-  computeBiometricFeatures(data) { return {}; }
-  computeTemporalFeatures(data) { return { stationarity: 1.0 }; }
-  computeComplexityFeatures(data) { return { sampleEntropy: 0.5 }; }
+  /**
+   * Normalized biometric signals from a BiometricManager.getBiometricState()
+   * payload (or a flat { stress, cognitiveLoad, attention, ... } object). Fused
+   * estimates take precedence over single-sensor ones; missing signals are null.
+   */
+  computeBiometricFeatures(data) {
+    const { hrv = {}, eeg = {}, fused = {} } = data.processed ?? {};
+    const pick = (...values) => {
+      const value = values.find(Number.isFinite);
+      return value === undefined ? null : Math.max(0, Math.min(1, value));
+    };
+    
+    return {
+      stress: pick(fused.stress, hrv.stressIndex, data.stress),
+      cognitiveLoad: pick(fused.cognitiveLoad, eeg.workload, data.cognitiveLoad),
+      attention: pick(fused.attention, eeg.attention, data.attention),
+      drowsiness: pick(eeg.drowsiness, data.drowsiness),
+      hrvCoherence: pick(hrv.coherence, data.hrvCoherence),
+      quality: pick(data.quality) ?? 1
+    };
+  }
+  
+  /**
+   * Stationarity of the phi history from ADF / Phillips-Perron / KPSS, reusing the
+   * tests already run by the statistical features when available. `stationarity` is
+   * the combined score in [0, 1], or null when the history is too short to test.
+   */
+  computeTemporalFeatures(data, statisticalFeatures = null) {
+    const tests = statisticalFeatures?.timeSeries?.stationarity ?? this.stats.testStationarity(data);
+
+    if (!tests) {
+      return { stationarity: null, isStationary: null, verdict: null };
+    }
 
-  computeShortScaleFI(features) { return 0.5; }
-  computeLongScaleFI(features) { return 0.5; }
-  computeBiometricFactor(features) { return 1.0; }
-  computeCoherenceAnchor(features, metadata) { return 0; }
-  computeVisualComplexity(features) { return 0.5; }
-  computeAttentionFocus(features) { return 0.8; }
-  computeConfidence(features) { return 0.9; }
+    return {
+      stationarity: tests.stationarity,
+      isStationary: tests.isStationary,
+      verdict: tests.verdict,
+      adf: { statistic: tests.adf.statistic, pValue: tests.adf.pValue, lags: tests.adf.lags },
+      pp: { statistic: tests.pp.statistic, pValue: tests.pp.pValue },
+      kpss: { statistic: tests.kpss.statistic, pValue: tests.kpss.pValue }
+    };
+  }
 
-  computeBlurLevel(fi, features) { return fi * 2; }
-  computeSaturationLevel(fi, features) { return 1 - (fi * 0.5); }
-  computeSpacingAdjustment(fi, features) { return fi * 10; }
-}
+  /**
+   * Entropy-based complexity: sample, multiscale and permutation entropy of the
+   * series, plus normalized Shannon / Rényi / Tsallis entropies of its spectrum
+   */
+  computeComplexityFeatures(data, spectralFeatures = null) {
+    const { embeddingDimension: m, tolerance, maxScale, permutationOrder, permutationDelay, renyiOrder } =
+      this.config.complexity;
+    const r = tolerance * this.stats.computeStandardDeviation(data);
+    const multiscale = this.stats.computeMultiscaleEntropy(data, { maxScale, m, tolerance });
 
-/**
- * Circular buffer for efficient data management
- */
-class CircularBuffer {
-  constructor(size) {
-    this.buffer = new Array(size);
-    this.size = size;
-    this.head = 0;
-    this.tail = 0;
-    this.count = 0;
+    // One-sided power spectrum
+    const spectrum = spectralFeatures ?
+      spectralFeatures.powerSpectrum.slice(0, spectralFeatures.frequencies.length) :
+      null;
+
+    return {
+      sampleEntropy: this.stats.computeSampleEntropy(data, m, r),
+      multiscaleEntropy: multiscale.entropies,
+      complexityIndex: multiscale.complexityIndex,
+      permutationEntropy: this.stats.computePermutationEntropy(data, {
+        order: permutationOrder,
+        delay: permutationDelay
+      }),
+      spectralEntropy: spectrum ? {
+        shannon: this.spectral.computeSpectralEntropy(spectrum, { normalize: true }),
+        renyi: this.spectral.computeSpectralEntropy(spectrum, { method: 'renyi', order: renyiOrder, normalize: true }),
+        tsallis: this.spectral.computeSpectralEntropy(spectrum, { method: 'tsallis', order: renyiOrder, normalize: true })
+      } : null
+    };
+  }
+
+  /**
+   * Surrogate test of each configured statistic: its value, p-value, z-score and
+   * null-distribution quantiles. Null when significance testing is disabled.
+   */
+  computeSignificanceFeatures(data) {
+    if (!this.config.significance) return null;
+    const { statistics, surrogates, ...options } = {
+      ...SIGNIFICANCE_DEFAULTS,
+      ...(this.config.significance === true ? {} : this.config.significance)
+    };
+    const { embeddingDimension: m, tolerance, permutationOrder, permutationDelay } = this.config.complexity;
+
+    const features = {};
+    for (const name of statistics) {
+      let statistic;
+      switch (name) {
+        case 'autocorrelation':
+          statistic = series => this.stats.computeLaggedCorrelation(series, 1);
+          break;
+        case 'sampleEntropy':
+          statistic = series => this.stats.computeSampleEntropy(series, m, tolerance * this.stats.computeStandardDeviation(series));
+          break;
+        case 'permutationEntropy':
+          statistic = series => this.stats.computePermutationEntropy(series, { order: permutationOrder, delay: permutationDelay });
+          break;
+        default:
+          throw new Error(`Unknown significance statistic: ${name}`);
+      }
+
+      const result = this.surrogates.significance(statistic, data, surrogates, {
+        alternative: SIGNIFICANCE_ALTERNATIVES[name],
+        ...options
+      });
+      features[name] = result && {
+        statistic: result.statistic,
+        pValue: result.pValue,
+        zScore: result.zScore,
+        quantiles: result.nullDistribution.quantiles
+      };
+    }
+    return features;
+  }
+
+  /**
+   * Confidence that the window holds structure rather than noise: one minus the
+   * Bonferroni-adjusted smallest surrogate p-value. Null without surrogate tests
+   * (config.significance is false by default), so uiState.confidence is a number
+   * only when significance testing is on.
+   */
+  computeConfidence(features) {
+    const pValues = Object.values(features.significance || {})
+      .filter(Boolean)
+      .map(test => test.pValue);
+    if (pValues.length === 0) return null;
+
+    return 1 - Math.min(1, pValues.length * Math.min(...pValues));
+  }
+
+  /**
+   * Short-scale instability: share of the window's energy in the finest wavelet
+   * detail levels (the upper part of the spectrum without wavelets), scaled so
+   * white noise scores 1 and smooth dynamics score near 0
+   */
+  computeShortScaleFI(features) {
+    const levels = this.config.fractureIndex.shortScaleLevels;
+    const whiteShare = 1 - 2 ** -levels;
+    
+    const byLevel = features.wavelet?.energy?.dwt?.byLevel;
+    if (byLevel?.length >= levels && byLevel[0].total > 0) {
+      const detail = byLevel.slice(0, levels).reduce((sum, level) => sum + level.detail, 0);
+      return Math.min(1, detail / byLevel[0].total / whiteShare);
+    }
+    
+    // Level j covers the top 2^-j of the band, so the finest levels span the top whiteShare of it
+    const bins = features.spectral?.frequencies?.length ?? 0;
+    const power = features.spectral?.powerSpectrum;
+    if (!power || bins < 4) return 0;
+    
+    const cutoff = Math.round(bins * (1 - whiteShare));
+    let total = 0;
+    let high = 0;
+    for (let k = 1; k < bins; k++) {
+      total += power[k];
+      if (k >= cutoff) high += power[k];
+    }
+    return total > 0 ? Math.min(1, high / total / whiteShare) : 0;
   }
   
-  push(item) {
-    this.buffer[this.head] = item;
-    this.head = (this.head + 1) % this.size;
+  /**
+   * Long-scale instability: departure of the DFA exponent from healthy 1/f
+   * scaling (towards uncorrelated noise or towards drift), averaged with the
+   * lack of stationarity
+   */
+  computeLongScaleFI(features) {
+    const { healthyExponent, exponentTolerance } = this.config.fractureIndex;
+    const scores = [];
     
-    if (this.count < this.size) {
-      this.count++;
-    } else {
-      this.tail = (this.tail + 1) % this.size;
+    const exponent = features.fractal?.dfa?.exponent;
+    if (Number.isFinite(exponent)) {
+      scores.push(Math.min(1, Math.abs(exponent - healthyExponent) / exponentTolerance));
+    }
+    const stationarity = features.temporal?.stationarity;
+    if (Number.isFinite(stationarity)) {
+      scores.push(1 - stationarity);
     }
+    
+    return scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
   }
   
-  toArray() {
-    if (this.count === 0) return [];
+  /**
+   * FI multiplier from the weighted biometric load (stress, cognitive load,
+   * inattention, drowsiness): 1 at a load of 0.5 or without biometrics, up to
+   * 1 + gain / 2 under full load, shrunk towards 1 by poor signal quality
+   */
+  computeBiometricFactor(features) {
+    const signals = {
+      stress: features.stress,
+      cognitiveLoad: features.cognitiveLoad,
+      inattention: features.attention === null || features.attention === undefined ? null : 1 - features.attention,
+      drowsiness: features.drowsiness
+    };
+    
+    let load = 0;
+    let weight = 0;
+    for (const [name, value] of Object.entries(signals)) {
+      if (!Number.isFinite(value)) continue;
+      load += BIOMETRIC_LOAD_WEIGHTS[name] * value;
+      weight += BIOMETRIC_LOAD_WEIGHTS[name];
+    }
+    if (weight === 0) return 1;
     
-    const result = new Array(this.count);
-    let bufferIndex = this.tail;
+    const quality = features.quality ?? 1;
+    return 1 + this.config.fractureIndex.biometricGain * (load / weight - 0.5) * quality;
+  }
+  
+  /**
+   * Phase (radians, [0, 2π)) of the dominant oscillation in phi at the newest
+   * sample, so UI anchors can pulse in step with the user's rhythm. Zero when
+   * there is no spectrum or phi is flat.
+   */
+  computeCoherenceAnchor(features, metadata) {
+    const fft = features.spectral?.fft;
+    const bins = features.spectral?.frequencies?.length ?? 0;
+    const length = features.statistical?.basic?.count;
+    if (!fft || bins < 2 || !length || isFlat(features)) return 0;
     
-    for (let i = 0; i < this.count; i++) {
-      result[i] = this.buffer[bufferIndex];
-      bufferIndex = (bufferIndex + 1) % this.size;
+    let peak = 1;
+    let peakPower = -Infinity;
+    for (let k = 1; k < bins; k++) {
+      const power = fft[k].real ** 2 + fft[k].imag ** 2;
+      if (power > peakPower) {
+        peak = k;
+        peakPower = power;
+      }
     }
+    if (!(peakPower > 0)) return 0;
+    
+    // Bin phase refers to the first sample; advance it to the last
+    const phase = Math.atan2(fft[peak].imag, fft[peak].real) + 2 * Math.PI * peak * (length - 1) / fft.length;
+    return ((phase % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+  }
+  
+  /**
+   * Visual complexity the interface can afford: high for ordered phi dynamics,
+   * low when permutation and spectral entropies say the signal is disordered
+   * (neutral 0.5 for flat phi, which has neither)
+   */
+  computeVisualComplexity(features) {
+    if (isFlat(features)) return 0.5;
+    
+    const entropies = [
+      features.complexity?.permutationEntropy,
+      features.complexity?.spectralEntropy?.shannon
+    ].filter(Number.isFinite);
+    if (entropies.length === 0) return 0.5;
     
-    return result;
+    const disorder = entropies.reduce((a, b) => a + b, 0) / entropies.length;
+    return Math.max(0, Math.min(1, 1 - disorder));
   }
   
-  get length() {
-    return this.count;
+  /**
+   * Attention focus from spectral concentration and lag-1 persistence of phi,
+   * averaged with measured attention when biometrics provide it (flat phi
+   * contributes a neutral 0.5)
+   */
+  computeAttentionFocus(features) {
+    const spectralEntropy = features.complexity?.spectralEntropy?.shannon;
+    const persistence = features.statistical?.autocorrelation?.lag1;
+    const concentration = Number.isFinite(spectralEntropy) ? 1 - spectralEntropy : 0.5;
+    const signalFocus = isFlat(features) ? 0.5 :
+      0.5 * concentration + 0.5 * Math.max(0, Number.isFinite(persistence) ? persistence : 0);
+    
+    const measured = features.biometric?.attention;
+    const focus = Number.isFinite(measured) ? 0.5 * signalFocus + 0.5 * measured : signalFocus;
+    return Math.max(0, Math.min(1, focus));
+  }
+  
+  computeBlurLevel(fi, features) { return fi * 2; }
+  computeSaturationLevel(fi, features) { return 1 - (fi * 0.5); }
+  computeSpacingAdjustment(fi, features) { return fi * 10; }
+}
+
+/**
+ * Array-like phi samples (a snapshot of a RingBuffer's window), or null for anything else
+ */
+function toSeries(input) {
+  if (input instanceof RingBuffer) return input.toArray();
+  if (Array.isArray(input) || (ArrayBuffer.isView(input) && !(input instanceof DataView))) return input;
+  return null;
+}
+
+/**
+ * Whether a series' spread is within FLAT_TOLERANCE of its magnitude
+ */
+function isFlatSeries(series) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of series) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return max - min <= FLAT_TOLERANCE * Math.max(Math.abs(min), Math.abs(max));
+}
+
+/**
+ * Whether the features come from a flat phi history (centered to exact zeros)
+ */
+function isFlat(features) {
+  return features.statistical?.basic?.range === 0;
+}
+
+/**
+ * Overrides applied over a config, merging the NESTED_CONFIG groups
+ */
+function mergeConfig(config, overrides) {
+  const merged = { ...config, ...overrides };
+  for (const key of NESTED_CONFIG) {
+    if (overrides[key]) merged[key] = { ...config[key], ...overrides[key] };
+  }
+  return merged;
+}
+
+/**
+ * Config sent to worker threads
+ */
+function workerConfig(config) {
+  const cloneable = { ...config };
+  for (const key of MAIN_THREAD_CONFIG) delete cloneable[key];
+  return cloneable;
+}
+
+/**
+ * Exact hash of a sample series (its float64 bits), keying cached pipeline stages
+ */
+function hashSamples(samples) {
+  const words = new Uint32Array(Float64Array.from(samples).buffer);
+  let fnv = 0x811c9dc5;
+  let djb = 5381;
+  for (let i = 0; i < words.length; i++) {
+    fnv = Math.imul(fnv ^ words[i], 0x01000193);
+    djb = (Math.imul(djb, 33) + words[i]) | 0;
   }
+  return `${samples.length}.${(fnv >>> 0).toString(36)}.${(djb >>> 0).toString(36)}`;
 }
 
-export default MathCore;
\ No newline at end of file
+export default MathCore;
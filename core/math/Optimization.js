@@ -0,0 +1,104 @@
+/**
+ * Optimization - Shared derivative-free minimizers
+ *
+ * Nelder-Mead simplex search used by the processors for maximum-likelihood
+ * fits whose likelihoods have no convenient gradients.
+ *
+ * @version 2.1.0
+ */
+
+/**
+ * Minimize `objective` from `start` with the Nelder-Mead simplex method (standard
+ * reflection 1, expansion 2, contraction and shrink ½). Non-finite objective values
+ * are treated as +∞, so constraints can be enforced by returning Infinity.
+ */
+export function nelderMead(objective, start, options = {}) {
+  const {
+    maxIterations = 200 * start.length,
+    tolerance = 1e-8,
+    step = 0.1
+  } = options;
+
+  const dimension = start.length;
+  const evaluate = (point) => {
+    const value = objective(point);
+    return Number.isFinite(value) ? value : Infinity;
+  };
+
+  // Initial simplex: the start and one vertex along each axis
+  let simplex = [{ point: [...start], value: evaluate(start) }];
+  for (let i = 0; i < dimension; i++) {
+    const point = [...start];
+    const offset = Array.isArray(step) ? step[i] : step;
+    point[i] += offset !== 0 ? offset : 0.00025;
+    simplex.push({ point, value: evaluate(point) });
+  }
+
+  const combine = (a, b, weight) => a.map((v, i) => v + weight * (b[i] - v));
+
+  let iterations = 0;
+  let converged = false;
+
+  for (; iterations < maxIterations; iterations++) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[dimension];
+
+    const spread = Math.abs(worst.value - best.value);
+    const size = Math.max(...simplex.slice(1).map(vertex =>
+      Math.max(...vertex.point.map((v, i) => Math.abs(v - best.point[i])))
+    ));
+    if (spread <= tolerance * (Math.abs(best.value) + tolerance) && size <= Math.sqrt(tolerance)) {
+      converged = true;
+      break;
+    }
+
+    // Centroid of all vertices but the worst
+    const centroid = new Array(dimension).fill(0);
+    for (let v = 0; v < dimension; v++) {
+      for (let i = 0; i < dimension; i++) centroid[i] += simplex[v].point[i] / dimension;
+    }
+
+    const reflected = combine(centroid, worst.point, -1);
+    const reflectedValue = evaluate(reflected);
+
+    if (reflectedValue < best.value) {
+      const expanded = combine(centroid, worst.point, -2);
+      const expandedValue = evaluate(expanded);
+      simplex[dimension] = expandedValue < reflectedValue ?
+        { point: expanded, value: expandedValue } :
+        { point: reflected, value: reflectedValue };
+      continue;
+    }
+
+    if (reflectedValue < simplex[dimension - 1].value) {
+      simplex[dimension] = { point: reflected, value: reflectedValue };
+      continue;
+    }
+
+    // Contract towards the better of the worst and reflected vertices
+    const outside = reflectedValue < worst.value;
+    const contracted = combine(centroid, outside ? reflected : worst.point, 0.5);
+    const contractedValue = evaluate(contracted);
+
+    if (contractedValue < (outside ? reflectedValue : worst.value)) {
+      simplex[dimension] = { point: contracted, value: contractedValue };
+      continue;
+    }
+
+    // Shrink towards the best vertex
+    simplex = simplex.map((vertex, v) => {
+      if (v === 0) return vertex;
+      const point = combine(best.point, vertex.point, 0.5);
+      return { point, value: evaluate(point) };
+    });
+  }
+
+  simplex.sort((a, b) => a.value - b.value);
+  return {
+    point: simplex[0].point,
+    value: simplex[0].value,
+    iterations,
+    converged
+  };
+}
@@ -8,26 +8,42 @@
  * - Spectral Slope Change (Δα): Flattening of power spectrum in EEG/HRV
  * - Lag-1 Autocorrelation (AC₁): Critical slowing down indicator
  * - Statistical Skewness: Distribution asymmetry indicating instability
- * - Composite PFI: Weighted combination of above metrics
+ * - Chaos onset (optional): rise of the largest Lyapunov exponent over sliding windows
+ * - Early warning (optional): trends in rolling variance, AR(1), skewness, flickering
+ *   and return rate of detrended signals (critical slowing down)
+ * - Composite PFI: Weighted combination of above metrics (see FractureIndex)
  */
 
-import { SpectralProcessor } from './SpectralProcessor.js';
-import { StatisticalProcessor } from './StatisticalProcessor.js';
+import { SpectralProcessor } from './processors/SpectralProcessor.js';
+import { StatisticalProcessor } from './processors/StatisticalProcessor.js';
+import { FilterProcessor } from './processors/FilterProcessor.js';
+import { SeasonalityProcessor } from './processors/SeasonalityProcessor.js';
+import { LyapunovProcessor } from './processors/LyapunovProcessor.js';
+import { EarlyWarningProcessor } from './processors/EarlyWarningProcessor.js';
+import { FractureIndex } from './FractureIndex.js';
 
-export class PhysiologicalFractureIndex {
+export class PhysiologicalFractureIndex extends FractureIndex {
   constructor(config = {}) {
-    this.config = {
+    super('pfi', {
       // PFI calculation parameters
+      series: ['ecg', 'eeg', 'bp', 'spo2', 'rr'], // Signal types, one buffer each
       windowSize: 60, // 60 seconds of data for analysis
       updateInterval: 5, // Update PFI every 5 seconds
       sampleRate: 250, // Hz for high-frequency signals
+      spectralEstimator: 'periodogram', // PSD used for the slope: 'periodogram' | 'welch' | 'multitaper'
+      mainsFrequency: null, // Hz; notch 50/60 Hz mains interference from signals before analysis
+      deseasonalize: false, // Remove circadian cycles before analysis: false | true | { periods, cycles, method, robust }
+      lyapunov: false, // Chaos-onset component from sliding Lyapunov exponents: false | true | { method, window, step, embeddingDimension, delay }
+      earlyWarning: false, // Early-warning component: false | true | { indicators, windowFraction, detrending, bandwidth, surrogates }
 
       // Metric weights for PFI composite
       weights: {
         spectralSlope: 0.4,
         autocorrelation: 0.3,
         skewness: 0.2,
-        entropy: 0.1
+        entropy: 0.1,
+        chaosOnset: 0.15, // Only when lyapunov is enabled; the composite is renormalized
+        earlyWarning: 0.2 // Only when earlyWarning is enabled; the composite is renormalized
       },
 
       // Thresholds for PFI levels
@@ -40,7 +56,8 @@ export class PhysiologicalFractureIndex {
       // Signal-specific parameters
       signals: {
         ecg: {
-          bands: { lf: [0.04, 0.15], hf: [0.15, 0.4] },
+          bands: { lf: [0.04, 0.15], hf: [0.15, 0.4] }, // Of the RR tachogram behind the waveform
+          resampleRate: 4, // Hz, evenly resampled RR tachogram for band powers
           spectralSlopeRange: [0.5, 40] // Hz
         },
         eeg: {
@@ -54,149 +71,142 @@ export class PhysiologicalFractureIndex {
       },
 
       ...config
-    };
+    });
+
+    // Composite components; the optional ones only count while enabled
+    this.defineComponent('spectralSlope', metrics => this.calculateSpectralSlopeScore(metrics))
+      .defineComponent('autocorrelation', metrics => this.calculateAutocorrelationScore(metrics))
+      .defineComponent('skewness', metrics => this.calculateSkewnessScore(metrics))
+      .defineComponent('entropy', metrics => this.calculateEntropyScore(metrics))
+      .defineComponent('chaosOnset', metrics => this.calculateChaosOnsetScore(metrics), {
+        enabled: () => Boolean(this.config.lyapunov)
+      })
+      .defineComponent('earlyWarning', metrics => this.calculateEarlyWarningScore(metrics), {
+        enabled: () => Boolean(this.config.earlyWarning)
+      });
 
     // Initialize processors
     this.spectralProcessor = new SpectralProcessor({
       windowSize: this.config.windowSize * this.config.sampleRate,
-      sampleRate: this.config.sampleRate
+      sampleRate: this.config.sampleRate,
+      fftMode: 'exact', // Transform the full window rather than padding/truncating to fftSize
+      psdMethod: this.config.spectralEstimator
     });
 
     this.statisticalProcessor = new StatisticalProcessor({
       windowSize: this.config.windowSize * this.config.sampleRate
     });
 
-    // Data buffers for each signal type
-    this.signalBuffers = new Map();
-    this.lastPFI = 0;
-    this.pfiHistory = [];
-    this.baselineMetrics = new Map();
-
-    // Initialize signal buffers
-    ['ecg', 'eeg', 'bp', 'spo2', 'rr'].forEach(signalType => {
-      this.signalBuffers.set(signalType, []);
+    this.filterProcessor = new FilterProcessor({
+      sampleRate: this.config.sampleRate,
+      mainsFrequency: this.config.mainsFrequency || 50
     });
-  }
 
-  /**
-   * Add clinical data to processing buffers
-   */
-  addClinicalData(signalType, data, timestamp = Date.now()) {
-    const buffer = this.signalBuffers.get(signalType);
-    if (!buffer) return;
+    // Divergence of nearby trajectories, per second
+    this.lyapunovProcessor = new LyapunovProcessor({ sampleRate: this.config.sampleRate });
 
-    // Add timestamped data point
-    buffer.push({ value: data, timestamp });
+    // Critical slowing down on detrended signals (long records are block-averaged)
+    this.earlyWarningProcessor = new EarlyWarningProcessor({ sampleRate: this.config.sampleRate, includeValues: false });
 
-    // Maintain buffer size (sliding window)
-    const maxBufferSize = this.config.windowSize * this.config.sampleRate;
-    if (buffer.length > maxBufferSize) {
-      buffer.shift();
-    }
-
-    // Trigger PFI update if enough data
-    if (this.shouldUpdatePFI(signalType)) {
-      this.updatePFI();
-    }
+    // Circadian adjustment for long-running vitals (periods from buffer timestamps)
+    this.seasonalityProcessor = new SeasonalityProcessor({ cycles: ['day'] });
   }
 
-  /**
-   * Calculate Physiological Fracture Index
-   */
-  async calculatePFI() {
-    const metrics = await this.computeAllMetrics();
-
-    if (!metrics) return null;
-
-    // Calculate individual components
-    const spectralSlopeScore = this.calculateSpectralSlopeScore(metrics);
-    const autocorrelationScore = this.calculateAutocorrelationScore(metrics);
-    const skewnessScore = this.calculateSkewnessScore(metrics);
-    const entropyScore = this.calculateEntropyScore(metrics);
-
-    // Weighted composite PFI
-    const pfi = (
-      this.config.weights.spectralSlope * spectralSlopeScore +
-      this.config.weights.autocorrelation * autocorrelationScore +
-      this.config.weights.skewness * skewnessScore +
-      this.config.weights.entropy * entropyScore
-    );
-
-    // Normalize to [0, 1]
-    const normalizedPFI = Math.max(0, Math.min(1, pfi));
-
-    // Store in history
-    this.pfiHistory.push({
-      value: normalizedPFI,
-      timestamp: Date.now(),
-      components: {
-        spectralSlope: spectralSlopeScore,
-        autocorrelation: autocorrelationScore,
-        skewness: skewnessScore,
-        entropy: entropyScore
-      },
-      rawMetrics: metrics
-    });
-
-    // Maintain history size
-    if (this.pfiHistory.length > 100) {
-      this.pfiHistory.shift();
-    }
-
-    this.lastPFI = normalizedPFI;
-
+  createMetrics() {
     return {
-      pfi: normalizedPFI,
-      components: {
-        spectralSlope: spectralSlopeScore,
-        autocorrelation: autocorrelationScore,
-        skewness: skewnessScore,
-        entropy: entropyScore
-      },
-      level: this.classifyPFILevel(normalizedPFI),
-      trend: this.calculatePFITrend(),
-      confidence: this.calculatePFIConfidence(metrics)
+      spectral: {},
+      statistical: {},
+      bandPowers: {},
+      lyapunov: {},
+      earlyWarning: {}
     };
   }
 
   /**
-   * Compute all required metrics from available signals
+   * Filter a signal window, then compute its band powers, spectrum, statistics
+   * and the enabled early-warning and Lyapunov analyses
    */
-  async computeAllMetrics() {
-    const metrics = {
-      spectral: {},
-      statistical: {},
-      signals: {}
-    };
+  async analyzeSeries(signalType, values, timestamps, metrics) {
+    let signalData = values;
 
-    // Process each signal type
-    for (const [signalType, buffer] of this.signalBuffers) {
-      if (buffer.length < this.config.windowSize * this.config.sampleRate * 0.5) {
-        continue; // Need at least 50% of window
-      }
+    if (this.config.mainsFrequency) {
+      signalData = Array.from(this.filterProcessor.removeMains(signalData));
+    }
 
-      const signalData = buffer.map(point => point.value);
+    if (this.config.deseasonalize) {
+      const options = this.config.deseasonalize === true ? {} : this.config.deseasonalize;
+      signalData = this.seasonalityProcessor.deseasonalize(signalData, { timestamps, ...options });
+    }
 
-      try {
-        // Spectral analysis
-        const spectralResult = await this.spectralProcessor.analyze(signalData);
-        metrics.spectral[signalType] = spectralResult;
+    // Band powers for signals with declared physiological bands (cardiac LF/HF
+    // are defined on beat-to-beat intervals, not on the ECG waveform)
+    const bands = this.config.signals[signalType]?.bands;
+    if (bands) {
+      metrics.bandPowers[signalType] = signalType === 'ecg' ?
+        this.computeHRVBandPowers(signalData, bands) :
+        this.filterProcessor.bandPowers(signalData, bands);
+    }
 
-        // Statistical analysis
-        const statisticalResult = await this.statisticalProcessor.computeFeatures(signalData);
-        metrics.statistical[signalType] = statisticalResult;
+    // Spectral analysis
+    const spectralResult = await this.spectralProcessor.analyze(signalData);
+    if (this.config.spectralEstimator !== 'periodogram') {
+      spectralResult.psd = this.spectralProcessor.estimatePSD(signalData);
+    }
+    metrics.spectral[signalType] = spectralResult;
 
-        metrics.signals[signalType] = {
-          length: signalData.length,
-          quality: this.assessSignalQuality(signalData)
-        };
+    // Statistical analysis
+    const statisticalResult = await this.statisticalProcessor.computeFeatures(signalData);
+    metrics.statistical[signalType] = statisticalResult;
+
+    if (this.config.earlyWarning) {
+      const options = this.config.earlyWarning === true ? {} : this.config.earlyWarning;
+      const result = this.earlyWarningProcessor.analyze(signalData, options);
+      if (result) metrics.earlyWarning[signalType] = result;
+    }
 
-      } catch (error) {
-        console.warn(`Failed to process ${signalType} signal:`, error);
+    if (this.config.lyapunov) {
+      const options = this.config.lyapunov === true ? {} : this.config.lyapunov;
+      const result = this.lyapunovProcessor.slidingExponent(signalData, options);
+      if (result) {
+        metrics.lyapunov[signalType] = {
+          latest: result.latest,
+          baseline: result.baseline,
+          onset: result.onset,
+          embedding: result.embedding
+        };
       }
     }
 
-    return Object.keys(metrics.spectral).length > 0 ? metrics : null;
+    return signalData;
+  }
+
+  /**
+   * LF/HF powers (ms²) of an ECG window's RR tachogram: R peaks, their
+   * intervals, evenly resampled. Null until the beats span two cycles of the
+   * slowest band edge.
+   */
+  computeHRVBandPowers(ecg, bands) {
+    const { sampleRate } = this.config;
+    const { resampleRate } = this.config.signals.ecg;
+    const peaks = this.filterProcessor.detectRPeaks(ecg);
+    const rr = peaks.slice(1).map((peak, i) => (peak - peaks[i]) * 1000 / sampleRate);
+
+    // The tachogram starts at the end of the first interval
+    const slowestEdge = Math.min(...Object.values(bands).map(([low]) => low));
+    if (rr.length < 3 || (peaks[peaks.length - 1] - peaks[1]) / sampleRate < 2 / slowestEdge) return null;
+
+    const tachogram = this.filterProcessor.resampleTachogram(rr, resampleRate);
+    return this.filterProcessor.bandPowers(tachogram, bands, { sampleRate: resampleRate });
+  }
+
+  formatResult({ value, ...result }, metrics) {
+    return {
+      pfi: value,
+      ...result,
+      bandPowers: metrics.bandPowers,
+      lyapunov: this.config.lyapunov ? metrics.lyapunov : null,
+      earlyWarning: this.config.earlyWarning ? metrics.earlyWarning : null
+    };
   }
 
   /**
@@ -209,8 +219,8 @@ export class PhysiologicalFractureIndex {
     // Analyze EEG spectral slope (most critical for seizure prediction)
     if (metrics.spectral.eeg) {
       const eegSpectral = metrics.spectral.eeg;
-      const slope = this.calculateSpectralSlope(eegSpectral.powerSpectrum,
-                                               this.config.signals.eeg.spectralSlopeRange);
+      const slope = this.calculateSpectralSlopeFromResult(eegSpectral,
+                                                         this.config.signals.eeg.spectralSlopeRange);
 
       // Normalize slope change (flattening indicates instability)
       const baselineSlope = this.baselineMetrics.get('eeg_slope') || slope;
@@ -226,8 +236,8 @@ export class PhysiologicalFractureIndex {
     // Analyze HRV/ECG spectral slope
     if (metrics.spectral.ecg || metrics.spectral.hrv) {
       const cardiacSpectral = metrics.spectral.ecg || metrics.spectral.hrv;
-      const slope = this.calculateSpectralSlope(cardiacSpectral.powerSpectrum,
-                                               this.config.signals.ecg.spectralSlopeRange);
+      const slope = this.calculateSpectralSlopeFromResult(cardiacSpectral,
+                                                         this.config.signals.ecg.spectralSlopeRange);
 
       const baselineSlope = this.baselineMetrics.get('cardiac_slope') || slope;
       const slopeChange = Math.abs(slope - baselineSlope) / Math.abs(baselineSlope);
@@ -264,6 +274,27 @@ export class PhysiologicalFractureIndex {
     return signalCount > 0 ? totalScore / signalCount : 0;
   }
 
+  /**
+   * Calculate chaos onset score (z-score of the latest Lyapunov exponent; 3σ saturates)
+   */
+  calculateChaosOnsetScore(metrics) {
+    const results = Object.values(metrics.lyapunov);
+    if (results.length === 0) return 0;
+
+    const total = results.reduce((sum, result) => sum + Math.min(1, Math.max(0, result.onset / 3)), 0);
+    return total / results.length;
+  }
+
+  /**
+   * Calculate early-warning score (mean oriented Kendall τ of the indicators)
+   */
+  calculateEarlyWarningScore(metrics) {
+    const results = Object.values(metrics.earlyWarning);
+    if (results.length === 0) return 0;
+
+    return results.reduce((sum, result) => sum + result.score, 0) / results.length;
+  }
+
   /**
    * Calculate skewness score (distribution asymmetry)
    */
@@ -309,12 +340,21 @@ export class PhysiologicalFractureIndex {
     return signalCount > 0 ? totalScore / signalCount : 0;
   }
 
+  /**
+   * Calculate spectral slope from a spectral result, preferring the variance-reduced PSD
+   */
+  calculateSpectralSlopeFromResult(spectralResult, freqRange) {
+    if (spectralResult.psd) {
+      return this.calculateSpectralSlope(spectralResult.psd.psd, freqRange, spectralResult.psd.frequencies);
+    }
+    return this.calculateSpectralSlope(spectralResult.powerSpectrum, freqRange, spectralResult.frequencies);
+  }
+
   /**
    * Calculate spectral slope from power spectrum
    */
-  calculateSpectralSlope(powerSpectrum, freqRange) {
+  calculateSpectralSlope(powerSpectrum, freqRange, freqBins = this.spectralProcessor.getFrequencyBins()) {
     // Extract frequencies within range
-    const freqBins = this.spectralProcessor.getFrequencyBins();
     const startIdx = freqBins.findIndex(f => f >= freqRange[0]);
     const endIdx = freqBins.findIndex(f => f >= freqRange[1]);
 
@@ -335,50 +375,10 @@ export class PhysiologicalFractureIndex {
     return slope;
   }
 
-  /**
-   * Classify PFI level
-   */
-  classifyPFILevel(pfi) {
-    if (pfi >= this.config.thresholds.aggressive) return 'aggressive';
-    if (pfi >= this.config.thresholds.moderate) return 'moderate';
-    if (pfi >= this.config.thresholds.gentle) return 'gentle';
-    return 'normal';
-  }
-
-  /**
-   * Calculate PFI trend
-   */
-  calculatePFITrend() {
-    if (this.pfiHistory.length < 3) return 'stable';
-
-    const recent = this.pfiHistory.slice(-3);
-    const values = recent.map(h => h.value);
-    const trend = values[2] - values[0];
-
-    if (trend > 0.1) return 'increasing';
-    if (trend < -0.1) return 'decreasing';
-    return 'stable';
-  }
-
-  /**
-   * Calculate PFI confidence based on data quality
-   */
-  calculatePFIConfidence(metrics) {
-    let totalQuality = 0;
-    let signalCount = 0;
-
-    for (const [signalType, signalInfo] of Object.entries(metrics.signals)) {
-      totalQuality += signalInfo.quality;
-      signalCount++;
-    }
-
-    return signalCount > 0 ? totalQuality / signalCount : 0;
-  }
-
   /**
    * Assess signal quality
    */
-  assessSignalQuality(signalData) {
+  assessQuality(signalData) {
     if (signalData.length === 0) return 0;
 
     // Basic quality checks
@@ -411,79 +411,60 @@ export class PhysiologicalFractureIndex {
   }
 
   /**
-   * Check if PFI should be updated
+   * updateInterval is in seconds for the PFI
    */
-  shouldUpdatePFI(signalType) {
-    const buffer = this.signalBuffers.get(signalType);
-    if (!buffer || buffer.length === 0) return false;
+  getUpdateInterval() {
+    return this.config.updateInterval * 1000;
+  }
 
-    const timeSinceLastUpdate = Date.now() - (this.pfiHistory.length > 0 ?
-      this.pfiHistory[this.pfiHistory.length - 1].timestamp : 0);
+  // PFI names for the FractureIndex API
 
-    return timeSinceLastUpdate >= this.config.updateInterval * 1000;
+  get signalBuffers() {
+    return this.buffers;
   }
 
-  /**
-   * Update PFI calculation
-   */
-  async updatePFI() {
-    const result = await this.calculatePFI();
-    if (result) {
-      this.emit('pfiUpdated', result);
-    }
+  get pfiHistory() {
+    return this.history;
   }
 
-  /**
-   * Get current PFI status
-   */
-  getPFIStatus() {
-    return {
-      currentPFI: this.lastPFI,
-      level: this.classifyPFILevel(this.lastPFI),
-      trend: this.calculatePFITrend(),
-      history: this.pfiHistory.slice(-10), // Last 10 readings
-      signalQuality: this.getSignalQualitySummary(),
-      baselineMetrics: Object.fromEntries(this.baselineMetrics)
-    };
+  get lastPFI() {
+    return this.lastValue;
   }
 
-  /**
-   * Get signal quality summary
-   */
-  getSignalQualitySummary() {
-    const summary = {};
-
-    for (const [signalType, buffer] of this.signalBuffers) {
-      const signalData = buffer.map(point => point.value);
-      summary[signalType] = {
-        available: buffer.length > 0,
-        sampleCount: buffer.length,
-        quality: this.assessSignalQuality(signalData),
-        lastUpdate: buffer.length > 0 ? buffer[buffer.length - 1].timestamp : null
-      };
-    }
+  addClinicalData(signalType, data, timestamp) {
+    this.addData(signalType, data, timestamp);
+  }
 
-    return summary;
+  calculatePFI() {
+    return this.calculate();
   }
 
-  /**
-   * Reset PFI calculator
-   */
-  reset() {
-    this.signalBuffers.forEach(buffer => buffer.length = 0);
-    this.pfiHistory.length = 0;
-    this.baselineMetrics.clear();
-    this.lastPFI = 0;
+  classifyPFILevel(pfi) {
+    return this.classifyLevel(pfi);
   }
 
-  /**
-   * Update configuration
-   */
-  updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
+  calculatePFITrend() {
+    return this.calculateTrend();
   }
-}
 
-// EventEmitter mixin for PFI calculator
-import { EventEmitter } from 'events';
-Object.setPrototypeOf(PhysiologicalFractureIndex.prototype, EventEmitter.prototype);
\ No newline at end of file
+  calculatePFIConfidence(metrics) {
+    return this.calculateConfidence(metrics);
+  }
+
+  shouldUpdatePFI(signalType) {
+    return this.shouldUpdate(signalType);
+  }
+
+  updatePFI() {
+    return this.update();
+  }
+
+  getPFIStatus() {
+    const { current, quality, ...status } = this.getStatus();
+    return { currentPFI: current, ...status, signalQuality: quality };
+  }
+
+  getSignalQualitySummary() {
+    return this.getQualitySummary();
+  }
+}
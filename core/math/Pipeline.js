@@ -0,0 +1,212 @@
+/**
+ * Pipeline - declarative stage graph for MathCore
+ *
+ * A definition (plain JSON, or a JS object with function operations) names
+ * each stage, the operation it runs and the stages it reads:
+ *
+ *   {
+ *     stages: {
+ *       fft:      { op: 'fft', inputs: ['preprocess'] },
+ *       spectral: { op: 'spectral', inputs: ['fft'], cache: true },
+ *       score:    { op: ({ spectrum }, { options }) => ..., inputs: { spectrum: 'spectral' } }
+ *     },
+ *     outputs: ['score']
+ *   }
+ *
+ * `input` is the value passed to run(). Named operations come from the
+ * operations table; an operation receives its inputs as an object keyed by
+ * stage name (or by alias, for an { alias: stage } map) and a context with
+ * the stage's `options`. Stages run as a DAG: each at most once per run, only
+ * when an output depends on it, as soon as its inputs are ready. Stages marked
+ * `cache` also keep their results across runs made with the same key.
+ *
+ * @version 2.1.0
+ */
+
+export class Pipeline {
+  constructor(definition, operations = {}, config = {}) {
+    this.config = {
+      cacheSize: 16,               // Results kept per cached stage
+      ...config
+    };
+
+    this.stages = new Map();
+    for (const [name, stage] of Object.entries(definition.stages || {})) {
+      this.stages.set(name, normalizeStage(name, stage, operations));
+    }
+    for (const stage of this.stages.values()) {
+      for (const [, source] of stage.inputs) {
+        if (source !== 'input' && !this.stages.has(source)) {
+          throw new Error(`Unknown input of pipeline stage ${stage.name}: ${source}`);
+        }
+      }
+    }
+
+    this.order = this.sortStages();
+    this.outputs = definition.outputs || this.findSinks();
+    for (const name of this.outputs) {
+      if (!this.stages.has(name)) {
+        throw new Error(`Unknown pipeline output: ${name}`);
+      }
+    }
+
+    this.cache = new Map(this.order.map(name => [name, new Map()]));
+    this.stats = new Map(this.order.map(name => [name, createStats()]));
+  }
+
+  /**
+   * Evaluate the stages `outputs` depend on. `values` supplies results for
+   * stages (or the input) up front; `key` identifies the input for cached stages.
+   * Resolves { results, timings, totalTime } with results keyed by output and
+   * per-stage { time, cached } timings in ms.
+   */
+  async run(input, { key = null, outputs = this.outputs, values = {} } = {}) {
+    const startTime = performance.now();
+    const pending = new Map(Object.entries({ input, ...values }).map(([name, value]) => [name, Promise.resolve(value)]));
+    const timings = {};
+
+    const evaluate = name => {
+      if (!pending.has(name)) {
+        const stage = this.stages.get(name);
+        if (!stage) throw new Error(`Unknown pipeline stage: ${name}`);
+        pending.set(name, this.execute(stage, evaluate, key, timings));
+      }
+      return pending.get(name);
+    };
+
+    const computed = await Promise.all(outputs.map(evaluate));
+    return {
+      results: Object.fromEntries(outputs.map((name, i) => [name, computed[i]])),
+      timings,
+      totalTime: performance.now() - startTime
+    };
+  }
+
+  async execute(stage, evaluate, key, timings) {
+    const stats = this.stats.get(stage.name);
+    const cache = stage.cache && key !== null ? this.cache.get(stage.name) : null;
+
+    // A cached result also spares the stages upstream of it
+    if (cache?.has(key)) {
+      stats.cacheHits++;
+      timings[stage.name] = { time: 0, cached: true };
+      return cache.get(key);
+    }
+
+    const values = await Promise.all(stage.inputs.map(([, source]) => evaluate(source)));
+    const inputs = Object.fromEntries(stage.inputs.map(([alias], i) => [alias, values[i]]));
+
+    const startTime = performance.now();
+    let value;
+    try {
+      value = await stage.op(inputs, { stage: stage.name, options: stage.options, key });
+    } catch (error) {
+      stats.errors++;
+      throw new Error(`Pipeline stage ${stage.name} failed: ${error.message}`, { cause: error });
+    }
+    const time = performance.now() - startTime;
+
+    stats.runs++;
+    stats.lastTime = time;
+    stats.totalTime += time;
+    stats.maxTime = Math.max(stats.maxTime, time);
+    timings[stage.name] = { time, cached: false };
+
+    if (cache) {
+      cache.set(key, value);
+      if (cache.size > this.config.cacheSize) cache.delete(cache.keys().next().value);
+    }
+    return value;
+  }
+
+  /**
+   * Per-stage run counts, cache hits and timings since creation or reset()
+   */
+  getStatus() {
+    return {
+      order: this.order,
+      outputs: this.outputs,
+      stages: Object.fromEntries(this.order.map(name => {
+        const stats = this.stats.get(name);
+        return [name, {
+          runs: stats.runs,
+          cacheHits: stats.cacheHits,
+          errors: stats.errors,
+          lastTime: stats.lastTime,
+          meanTime: stats.runs > 0 ? stats.totalTime / stats.runs : 0,
+          maxTime: stats.maxTime
+        }];
+      }))
+    };
+  }
+
+  /**
+   * Drop cached stage results (e.g. after a configuration change)
+   */
+  clearCache() {
+    for (const cache of this.cache.values()) cache.clear();
+  }
+
+  reset() {
+    this.clearCache();
+    for (const name of this.order) this.stats.set(name, createStats());
+  }
+
+  /**
+   * Stages in dependency order; throws on a cycle
+   */
+  sortStages() {
+    const order = [];
+    const state = new Map();       // name -> 'visiting' | 'done'
+
+    const visit = (name, path) => {
+      if (state.get(name) === 'done') return;
+      if (state.get(name) === 'visiting') {
+        const cycle = path.slice(path.indexOf(name));
+        throw new Error(`Pipeline cycle: ${[...cycle, name].join(' -> ')}`);
+      }
+
+      state.set(name, 'visiting');
+      for (const [, source] of this.stages.get(name).inputs) {
+        if (source !== 'input') visit(source, [...path, name]);
+      }
+      state.set(name, 'done');
+      order.push(name);
+    };
+
+    for (const name of this.stages.keys()) visit(name, []);
+    return order;
+  }
+
+  /**
+   * Stages no other stage reads
+   */
+  findSinks() {
+    const read = new Set();
+    for (const stage of this.stages.values()) {
+      for (const [, source] of stage.inputs) read.add(source);
+    }
+    return this.order.filter(name => !read.has(name));
+  }
+}
+
+function normalizeStage(name, stage, operations) {
+  if (name === 'input') {
+    throw new Error('Pipeline stage name reserved: input');
+  }
+
+  const op = typeof stage.op === 'function' ? stage.op : operations[stage.op];
+  if (typeof op !== 'function') {
+    throw new Error(`Unknown pipeline operation: ${stage.op}`);
+  }
+
+  const inputs = Array.isArray(stage.inputs) ?
+    stage.inputs.map(source => [source, source]) :
+    Object.entries(stage.inputs || {});
+
+  return { name, op, inputs, cache: Boolean(stage.cache), options: stage.options || {} };
+}
+
+function createStats() {
+  return { runs: 0, cacheHits: 0, errors: 0, lastTime: 0, totalTime: 0, maxTime: 0 };
+}
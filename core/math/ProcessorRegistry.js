@@ -0,0 +1,164 @@
+/**
+ * ProcessorRegistry - application-defined feature processors for MathCore
+ *
+ * A registered processor runs in MathCore's feature extraction stage, after the
+ * built-in processors, on one of the preprocessed series. Its output is checked
+ * against the declared schema and stored as features[name]; a scalar score read
+ * from the output joins the Fracture Index with the processor's weight from
+ * getAdaptiveWeights. Registered processors always run in-thread.
+ *
+ * @version 2.1.0
+ */
+
+// Preprocessed series a processor can ask for (fields of MathCore.preprocessData's result)
+const INPUT_SERIES = ['original', 'cleaned', 'normalized', 'windowed'];
+
+// Output schema types and how a value is checked against them
+const OUTPUT_TYPES = {
+  number: value => typeof value === 'number',
+  string: value => typeof value === 'string',
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  typedArray: value => ArrayBuffer.isView(value) && !(value instanceof DataView),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+export class ProcessorRegistry {
+  /**
+   * @param {Iterable<string>} reserved - Names taken by built-in features and FI weights
+   */
+  constructor(reserved = []) {
+    this.reserved = new Set(reserved);
+    this.entries = new Map();
+  }
+
+  /**
+   * Register a processor:
+   * {
+   *   name,                              // features[name] and weights[name]
+   *   processor,                         // Class (constructed with `options`) or instance
+   *   options: {},
+   *   method: 'analyze',                 // Called as processor[method](series, { biometricData, features })
+   *   input: { series: 'normalized', minLength: 0, biometric: false },
+   *   output: { score: 'number' },       // Required output fields and their types
+   *   score: 'score',                    // Output field, or (output, features) => number, added to FI
+   *   weight: 0                          // FI weight; 0 computes the feature without scoring it
+   * }
+   */
+  register(definition) {
+    const { name, processor, options = {}, method = 'analyze', input = {}, output = {}, score = 'score', weight = 0 } = definition;
+
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error(`Invalid processor name: ${name}`);
+    }
+    if (this.reserved.has(name) || this.entries.has(name)) {
+      throw new Error(`Processor name already in use: ${name}`);
+    }
+
+    const instance = typeof processor === 'function' ? new processor(options) : processor;
+    if (typeof instance?.[method] !== 'function') {
+      throw new Error(`Processor ${name} has no method ${method}`);
+    }
+
+    const requirements = { series: 'normalized', minLength: 0, biometric: false, ...input };
+    if (!INPUT_SERIES.includes(requirements.series)) {
+      throw new Error(`Unknown input series: ${requirements.series}`);
+    }
+    for (const [field, type] of Object.entries(output)) {
+      if (!OUTPUT_TYPES[type]) {
+        throw new Error(`Unknown output type for ${name}.${field}: ${type}`);
+      }
+    }
+    if (typeof score !== 'string' && typeof score !== 'function') {
+      throw new Error(`Invalid score for processor ${name}`);
+    }
+    if (!Number.isFinite(weight)) {
+      throw new Error(`Invalid weight for processor ${name}: ${weight}`);
+    }
+
+    const entry = { name, instance, method, input: requirements, output, score, weight, initialized: null };
+    this.entries.set(name, entry);
+    return entry;
+  }
+
+  unregister(name) {
+    return this.entries.delete(name);
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  get(name) {
+    return this.entries.get(name);
+  }
+
+  list() {
+    return [...this.entries.values()];
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Run a processor on the preprocessed data. Resolves null when the input
+   * requirements are not met; rejects when the processor fails or its output
+   * does not match the schema.
+   */
+  async run(name, processedData, biometricData = null, features = {}) {
+    const entry = this.entries.get(name);
+    if (!entry) {
+      throw new Error(`Unknown processor: ${name}`);
+    }
+
+    const series = processedData[entry.input.series];
+    if (!series || series.length < entry.input.minLength) return null;
+    if (entry.input.biometric && !biometricData) return null;
+
+    entry.initialized ??= Promise.resolve(entry.instance.initialize?.());
+    await entry.initialized;
+
+    const result = await entry.instance[entry.method](series, { biometricData, features });
+    this.validate(entry, result);
+    return result;
+  }
+
+  /**
+   * Check an output against the entry's schema
+   */
+  validate(entry, result) {
+    if (result === null || typeof result !== 'object') {
+      throw new Error(`Processor ${entry.name} returned ${result === null ? 'null' : typeof result}, expected an object`);
+    }
+    for (const [field, type] of Object.entries(entry.output)) {
+      if (!OUTPUT_TYPES[type](result[field])) {
+        throw new Error(`Processor ${entry.name} output ${field}: expected ${type}, got ${describe(result[field])}`);
+      }
+    }
+  }
+
+  /**
+   * The entry's FI score for `output` (0 when there is no output or it is not finite)
+   */
+  score(name, output, features = {}) {
+    const entry = this.entries.get(name);
+    if (!entry || !output) return 0;
+
+    const value = typeof entry.score === 'function' ? entry.score(output, features) : output[entry.score];
+    return Number.isFinite(value) ? value : 0;
+  }
+
+  getStatus() {
+    return Object.fromEntries(this.list().map(entry => [
+      entry.name,
+      entry.instance.getStatus ? entry.instance.getStatus() : 'active'
+    ]));
+  }
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
@@ -0,0 +1,55 @@
+/**
+ * ProcessorWorker - worker_threads entry point for WorkerPool
+ *
+ * Builds MathCore's processors from the configuration in workerData and
+ * answers { id, processor, method, args } messages with { id, result, time }
+ * (compute time in ms) or { id, error }. A { type: 'configure', config }
+ * message rebuilds the processors.
+ *
+ * @version 2.1.0
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { SpectralProcessor } from './processors/SpectralProcessor.js';
+import { StatisticalProcessor } from './processors/StatisticalProcessor.js';
+import { FractalProcessor } from './processors/FractalProcessor.js';
+import { WaveletProcessor } from './processors/WaveletProcessor.js';
+import { RecurrenceProcessor } from './processors/RecurrenceProcessor.js';
+
+/**
+ * Processors under the names MathCore gives them
+ */
+function createProcessors(config = {}) {
+  return {
+    spectral: new SpectralProcessor(config),
+    stats: new StatisticalProcessor(config),
+    fractal: new FractalProcessor(config),
+    wavelet: new WaveletProcessor(config),
+    recurrence: new RecurrenceProcessor(config.recurrence)
+  };
+}
+
+let processors = createProcessors(workerData?.config);
+
+parentPort.on('message', async message => {
+  if (message.type === 'configure') {
+    processors = createProcessors(message.config);
+    return;
+  }
+
+  const { id, processor, method, args } = message;
+  const startTime = performance.now();
+  try {
+    const target = processors[processor];
+    if (typeof target?.[method] !== 'function') {
+      throw new Error(`Unknown worker task: ${processor}.${method}`);
+    }
+
+    const result = await target[method](...args);
+    parentPort.postMessage({ id, result, time: performance.now() - startTime });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message, time: performance.now() - startTime });
+  }
+});
+
+parentPort.postMessage({ type: 'ready' });
@@ -0,0 +1,30 @@
+/**
+ * Random - Shared seeded pseudo-random generators
+ *
+ * Park-Miller minimal-standard generator and Box-Muller normal draws, so
+ * surrogate and Monte Carlo results are reproducible from a seed.
+ *
+ * @version 2.1.0
+ */
+
+const MODULUS = 2147483647;
+const MULTIPLIER = 16807;
+
+/**
+ * Uniform draws in (0, 1) from a Park-Miller generator
+ */
+export function seededUniform(seed = 42) {
+  let state = Math.floor(Math.abs(seed)) % MODULUS || 1;
+  return () => {
+    state = (state * MULTIPLIER) % MODULUS;
+    return state / MODULUS;
+  };
+}
+
+/**
+ * Standard normal draws (Box-Muller on a Park-Miller generator)
+ */
+export function seededGaussian(seed = 42) {
+  const uniform = seededUniform(seed);
+  return () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+}
@@ -0,0 +1,212 @@
+/**
+ * Replay - Recording MathCore runs and diffing them against golden files
+ *
+ * MathCoreRecorder wraps a MathCore and keeps every frame's input, clock time
+ * and output as plain JSON. MathCoreReplayer feeds a recording through a fresh
+ * deterministic MathCore (its clock set to each recorded time) and compares the
+ * outputs with numeric tolerances, so silent numeric regressions show up as
+ * per-path differences.
+ *
+ * Recordings encode typed arrays as arrays and non-finite numbers as the
+ * strings 'NaN', 'Infinity' and '-Infinity'.
+ *
+ * @version 2.1.0
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { MathCore } from './MathCore.js';
+import { ManualClock } from './Clock.js';
+
+const FORMAT_VERSION = 1;
+
+// Output fields that measure this run rather than the math (compared only by presence)
+const DEFAULT_IGNORE = ['timestamp', 'processingTime', 'stageTimings'];
+
+// Config entries that cannot be written to JSON; replays must pass them again
+const UNRECORDED_CONFIG = ['customProcessors', 'pipeline', 'operations', 'clock'];
+
+export class MathCoreRecorder {
+  constructor(mathCore, config = {}) {
+    this.mathCore = mathCore;
+    this.config = {
+      fields: null,                // Output paths to keep (e.g. ['fi', 'features.complexity']); null keeps all
+      metadata: {},                // Stored with the recording (version, description, ...)
+      ...config
+    };
+    this.frames = [];
+  }
+
+  /**
+   * Process a frame through the wrapped MathCore and record it
+   */
+  async process(inputData) {
+    const { phiHistory, biometricData, metadata } = this.mathCore.validateInput(inputData);
+    const input = toRecord({ phiHistory, biometricData, metadata });
+
+    // The frame's own clock time (a MathCore-owned clock steps inside process())
+    const result = await this.mathCore.process(inputData);
+    const time = this.mathCore.state.frameTime;
+    this.frames.push({ time, input, output: toRecord(pick(result, this.config.fields)) });
+    return result;
+  }
+
+  toJSON() {
+    const config = { ...this.mathCore.config };
+    for (const key of UNRECORDED_CONFIG) delete config[key];
+
+    return {
+      format: FORMAT_VERSION,
+      metadata: this.config.metadata,
+      fields: this.config.fields,
+      config: toRecord(config),
+      frames: this.frames
+    };
+  }
+
+  async save(path) {
+    await writeFile(path, `${JSON.stringify(this, null, 2)}\n`);
+  }
+
+  clear() {
+    this.frames = [];
+  }
+}
+
+export class MathCoreReplayer {
+  constructor(recording, config = {}) {
+    if (recording.format !== FORMAT_VERSION) {
+      throw new Error(`Unsupported recording format: ${recording.format}`);
+    }
+
+    this.recording = recording;
+    this.config = {
+      absoluteTolerance: 1e-9,
+      relativeTolerance: 1e-6,     // |actual - expected| <= absolute + relative * |expected|
+      ignore: DEFAULT_IGNORE,      // Keys skipped at any depth
+      config: {},                  // MathCore config over the recorded one (e.g. customProcessors)
+      maxDifferences: 100,         // Stop collecting after this many
+      ...config
+    };
+  }
+
+  static async load(path, config = {}) {
+    return new MathCoreReplayer(JSON.parse(await readFile(path, 'utf8')), config);
+  }
+
+  /**
+   * Replay every frame and diff the outputs. Resolves
+   * { passed, frames, differences: [{ frame, path, expected, actual, reason }] }.
+   */
+  async replay() {
+    const clock = new ManualClock();
+    const mathCore = new MathCore({
+      ...fromRecord(this.recording.config),
+      ...this.config.config,
+      deterministic: true,
+      clock
+    });
+    await mathCore.initialize();
+
+    const differences = [];
+    try {
+      for (const [index, frame] of this.recording.frames.entries()) {
+        clock.set(frame.time);
+        const result = await mathCore.process(fromRecord(frame.input));
+        const actual = toRecord(pick(result, this.recording.fields));
+
+        for (const difference of diffRecords(frame.output, actual, this.config)) {
+          if (differences.length >= this.config.maxDifferences) break;
+          differences.push({ frame: index, ...difference });
+        }
+      }
+    } finally {
+      await mathCore.shutdown();
+    }
+
+    return {
+      passed: differences.length === 0,
+      frames: this.recording.frames.length,
+      differences
+    };
+  }
+}
+
+/**
+ * Differences between two recorded values: numbers within tolerance, every
+ * other value exactly. Returns [{ path, expected, actual, reason }].
+ */
+export function diffRecords(expected, actual, options = {}, path = '') {
+  const { absoluteTolerance = 1e-9, relativeTolerance = 1e-6, ignore = DEFAULT_IGNORE } = options;
+  const settings = { absoluteTolerance, relativeTolerance, ignore };
+
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    const error = Math.abs(actual - expected);
+    return error <= absoluteTolerance + relativeTolerance * Math.abs(expected) ? [] :
+      [{ path, expected, actual, reason: `off by ${error}` }];
+  }
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    if (expected.length !== actual.length) {
+      return [{ path, expected: expected.length, actual: actual.length, reason: 'length' }];
+    }
+    return expected.flatMap((value, i) => diffRecords(value, actual[i], settings, `${path}[${i}]`));
+  }
+  if (isObject(expected) && isObject(actual)) {
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    return [...keys].flatMap(key => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (!(key in actual)) return [{ path: childPath, expected: expected[key], actual: undefined, reason: 'missing' }];
+      if (!(key in expected)) return [{ path: childPath, expected: undefined, actual: actual[key], reason: 'unexpected' }];
+      if (settings.ignore.includes(key)) return [];
+      return diffRecords(expected[key], actual[key], settings, childPath);
+    });
+  }
+  return expected === actual ? [] : [{ path, expected, actual, reason: 'value' }];
+}
+
+/**
+ * Plain-JSON copy of a value (typed arrays as arrays, non-finite numbers as strings)
+ */
+export function toRecord(value) {
+  return JSON.parse(JSON.stringify(value, (key, v) => {
+    if (typeof v === 'number' && !Number.isFinite(v)) return String(v);
+    if (ArrayBuffer.isView(v) && !(v instanceof DataView)) return Array.from(v);
+    if (v instanceof Map) return Object.fromEntries(v);
+    return v;
+  }));
+}
+
+/**
+ * Inverse of toRecord for inputs and config (non-finite numbers restored)
+ */
+export function fromRecord(value) {
+  if (value === 'NaN') return NaN;
+  if (value === 'Infinity') return Infinity;
+  if (value === '-Infinity') return -Infinity;
+  if (Array.isArray(value)) return value.map(fromRecord);
+  if (isObject(value)) return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, fromRecord(v)]));
+  return value;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * The listed dotted paths of `result` (all of it when `fields` is null)
+ */
+function pick(result, fields) {
+  if (!fields) return result;
+
+  const picked = {};
+  for (const field of fields) {
+    const keys = field.split('.');
+    let source = result;
+    for (const key of keys) source = source?.[key];
+    if (source === undefined) continue;
+
+    let target = picked;
+    for (const key of keys.slice(0, -1)) target = target[key] ??= {};
+    target[keys[keys.length - 1]] = source;
+  }
+  return picked;
+}
@@ -0,0 +1,165 @@
+/**
+ * RingBuffer - Fixed-capacity sample buffers backed by Float64Array
+ *
+ * Every sample is written twice, at slot and slot + capacity, so the newest
+ * `count` samples are always contiguous and windows are zero-copy subarray
+ * views. Nothing is allocated per sample once a buffer exists.
+ *
+ * Views alias the storage and are overwritten by later pushes; copy them with
+ * toArray() (or Float64Array.prototype.slice) before handing them to async work.
+ *
+ * @version 2.1.0
+ */
+
+/**
+ * Ring of numbers
+ */
+export class RingBuffer {
+  constructor(capacity) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error(`Invalid ring buffer capacity: ${capacity}`);
+    }
+
+    this.capacity = capacity;
+    this.data = new Float64Array(2 * capacity);
+    this.head = 0;                 // Slot of the next write
+    this.length = 0;
+    this.total = 0;                // Samples pushed since creation or clear()
+  }
+
+  push(value) {
+    this.data[this.head] = value;
+    this.data[this.head + this.capacity] = value;
+    this.head = this.head + 1 === this.capacity ? 0 : this.head + 1;
+    if (this.length < this.capacity) this.length++;
+    this.total++;
+  }
+
+  /**
+   * Zero-copy view of the newest `count` samples, oldest first
+   */
+  view(count = this.length) {
+    const end = this.head + this.capacity;
+    return this.data.subarray(end - Math.max(0, Math.min(count, this.length)), end);
+  }
+
+  /**
+   * Sample by position: 0 is the oldest, -1 the newest
+   */
+  at(index) {
+    const position = index < 0 ? this.length + index : index;
+    if (position < 0 || position >= this.length) return undefined;
+    return this.data[this.head + this.capacity - this.length + position];
+  }
+
+  /**
+   * Copy of the newest `count` samples
+   */
+  toArray(count = this.length) {
+    return this.view(count).slice();
+  }
+
+  clear() {
+    this.head = 0;
+    this.length = 0;
+    this.total = 0;
+  }
+
+  [Symbol.iterator]() {
+    return this.view()[Symbol.iterator]();
+  }
+}
+
+/**
+ * Ring of records ({ value, timestamp }, sensor samples, ...). Numeric fields
+ * are stored as RingBuffer columns; anything else (order-book snapshots, EEG
+ * channel maps, labels) is kept per slot in a plain array. Fields missing from
+ * a record read as NaN in its column.
+ */
+export class SampleBuffer {
+  constructor(capacity) {
+    this.index = new RingBuffer(capacity); // Slot bookkeeping shared by every column
+    this.capacity = capacity;
+    this.columns = new Map();
+    this.extras = null;            // Non-numeric fields by slot, allocated on first use
+  }
+
+  get length() {
+    return this.index.length;
+  }
+
+  push(record) {
+    const slot = this.index.head;
+    let extra = null;
+
+    for (const field in record) {
+      const value = record[field];
+      if (typeof value === 'number') {
+        if (!this.columns.has(field)) this.addColumn(field);
+      } else {
+        (extra ??= {})[field] = value;
+      }
+    }
+    for (const [field, column] of this.columns) {
+      column.push(typeof record[field] === 'number' ? record[field] : NaN);
+    }
+
+    if (extra || this.extras) {
+      this.extras ??= new Array(this.capacity);
+      this.extras[slot] = extra;
+    }
+    this.index.push(slot);
+  }
+
+  /**
+   * Zero-copy view of a numeric field over the newest `count` records (null if
+   * the field has never been seen)
+   */
+  column(field, count = this.length) {
+    return this.columns.get(field)?.view(count) ?? null;
+  }
+
+  /**
+   * Record by position: 0 is the oldest, -1 the newest
+   */
+  at(index) {
+    const slot = this.index.at(index);
+    if (slot === undefined) return undefined;
+
+    const position = index < 0 ? this.length + index : index;
+    const record = { ...this.extras?.[slot] };
+    for (const [field, column] of this.columns) {
+      const value = column.at(position);
+      if (!Number.isNaN(value)) record[field] = value;
+    }
+    return record;
+  }
+
+  /**
+   * The newest `count` records as objects, oldest first (allocates; prefer column())
+   */
+  getRecent(count) {
+    const size = Math.max(0, Math.min(count, this.length));
+    return Array.from({ length: size }, (_, i) => this.at(this.length - size + i));
+  }
+
+  getAll() {
+    return this.getRecent(this.length);
+  }
+
+  clear() {
+    this.index.clear();
+    this.columns.clear();
+    this.extras = null;
+  }
+
+  /**
+   * New column back-filled with NaN for the records already held
+   */
+  addColumn(field) {
+    const column = new RingBuffer(this.capacity);
+    for (let i = 0; i < this.length; i++) column.push(NaN);
+    column.head = this.index.head;
+    this.columns.set(field, column);
+  }
+}
@@ -0,0 +1,261 @@
+/**
+ * SpecialFunctions - Shared numerical special functions and distributions
+ *
+ * Gamma- and beta-family functions and the normal / chi-square / Student t / F
+ * distributions used by the processors for confidence intervals and significance tests.
+ *
+ * @version 2.1.0
+ */
+
+const LANCZOS_COEFFICIENTS = [
+  676.5203681218851,
+  -1259.1392167224028,
+  771.32342877765313,
+  -176.61502916214059,
+  12.507343278686905,
+  -0.13857109526572012,
+  9.9843695780195716e-6,
+  1.5056327351493116e-7
+];
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ */
+export function lnGamma(x) {
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - lnGamma(1 - x);
+  }
+
+  x -= 1;
+  let a = 0.99999999999980993;
+  const t = x + 7.5;
+
+  for (let i = 0; i < LANCZOS_COEFFICIENTS.length; i++) {
+    a += LANCZOS_COEFFICIENTS[i] / (x + i + 1);
+  }
+
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+/**
+ * Regularized lower incomplete gamma function P(a, x)
+ */
+export function regularizedGammaP(a, x) {
+  if (x <= 0) return 0;
+  if (x < a + 1) {
+    // Series representation
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return sum * Math.exp(-x + a * Math.log(x) - lnGamma(a));
+  }
+  return 1 - regularizedGammaQ(a, x);
+}
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x)
+ */
+export function regularizedGammaQ(a, x) {
+  if (x <= 0) return 1;
+  if (x < a + 1) return 1 - regularizedGammaP(a, x);
+
+  // Continued fraction (modified Lentz)
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+
+  return Math.exp(-x + a * Math.log(x) - lnGamma(a)) * h;
+}
+
+/**
+ * Error function (via the incomplete gamma function)
+ */
+export function erf(x) {
+  const value = regularizedGammaP(0.5, x * x);
+  return x >= 0 ? value : -value;
+}
+
+/**
+ * Standard normal cumulative distribution function
+ */
+export function normalCdf(x, mean = 0, stdDev = 1) {
+  const z = (x - mean) / (stdDev * Math.SQRT2);
+  return z >= 0 ? 0.5 * (1 + erf(z)) : 0.5 * regularizedGammaQ(0.5, z * z);
+}
+
+/**
+ * Standard normal quantile function (Acklam's rational approximation with one Newton refinement)
+ */
+export function normalQuantile(p, mean = 0, stdDev = 1) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  let z;
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    z = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  } else if (p <= 1 - pLow) {
+    const q = p - 0.5;
+    const r = q * q;
+    z = (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  } else {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    z = -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+         ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  // Halley refinement against the exact CDF
+  const e = normalCdf(z) - p;
+  const u = e * Math.sqrt(2 * Math.PI) * Math.exp(z * z / 2);
+  z -= u / (1 + z * u / 2);
+
+  return mean + stdDev * z;
+}
+
+/**
+ * Chi-square cumulative distribution function
+ */
+export function chiSquareCdf(x, dof) {
+  if (x <= 0) return 0;
+  return regularizedGammaP(dof / 2, x / 2);
+}
+
+/**
+ * Chi-square quantile function (Wilson-Hilferty start, Newton refinement)
+ */
+export function chiSquareQuantile(p, dof) {
+  if (p <= 0) return 0;
+  if (p >= 1) return Infinity;
+
+  const z = normalQuantile(p);
+  const h = 2 / (9 * dof);
+  let x = Math.max(1e-8, dof * Math.pow(1 - h + z * Math.sqrt(h), 3));
+
+  const k = dof / 2;
+  for (let i = 0; i < 50; i++) {
+    const error = chiSquareCdf(x, dof) - p;
+    const density = Math.exp((k - 1) * Math.log(x) - x / 2 - k * Math.LN2 - lnGamma(k));
+    if (!(density > 0)) break;
+
+    const step = error / density;
+    const next = x - step;
+    x = next > 0 ? next : x / 2;
+    if (Math.abs(step) < 1e-12 * Math.max(1, x)) break;
+  }
+
+  return x;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b) (continued fraction, modified Lentz)
+ */
+export function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  // The continued fraction converges fastest below the mean; use the symmetry otherwise
+  if (x > (a + 1) / (a + b + 2)) {
+    return 1 - regularizedBeta(1 - x, b, a);
+  }
+
+  const lnFront = lnGamma(a + b) - lnGamma(a) - lnGamma(b) + a * Math.log(x) + b * Math.log(1 - x);
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m < 500; m++) {
+    const m2 = 2 * m;
+
+    // Even step
+    let an = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + an * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    // Odd step
+    an = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + an * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+
+  return Math.exp(lnFront) * h / a;
+}
+
+/**
+ * Student t cumulative distribution function
+ */
+export function studentTCdf(t, dof) {
+  const tail = 0.5 * regularizedBeta(dof / (dof + t * t), dof / 2, 0.5);
+  return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Student t quantile function (normal start, Newton refinement)
+ */
+export function studentTQuantile(p, dof) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  let t = normalQuantile(p);
+  const lnNorm = lnGamma((dof + 1) / 2) - lnGamma(dof / 2) - 0.5 * Math.log(dof * Math.PI);
+
+  for (let i = 0; i < 50; i++) {
+    const error = studentTCdf(t, dof) - p;
+    const density = Math.exp(lnNorm - (dof + 1) / 2 * Math.log(1 + t * t / dof));
+    if (!(density > 0)) break;
+
+    const step = error / density;
+    t -= step;
+    if (Math.abs(step) < 1e-12 * Math.max(1, Math.abs(t))) break;
+  }
+
+  return t;
+}
+
+/**
+ * Fisher-Snedecor F cumulative distribution function
+ */
+export function fisherFCdf(f, d1, d2) {
+  if (f <= 0) return 0;
+  return regularizedBeta(d1 * f / (d1 * f + d2), d1 / 2, d2 / 2);
+}
@@ -0,0 +1,263 @@
+/**
+ * WorkerPool - worker_threads pool for processor calls
+ *
+ * Runs processor methods on a fixed set of worker threads so the event loop
+ * stays free while a frame is analyzed. Typed-array arguments are copied once
+ * and transferred (not cloned) to the worker. The pool is optional: when
+ * worker_threads is unavailable, a worker fails to start, crashes or times
+ * out, callers get a rejected task and run the call in-thread instead.
+ *
+ * @version 2.1.0
+ */
+
+import { EventEmitter } from 'events';
+
+const DEFAULT_SCRIPT = new URL('./ProcessorWorker.js', import.meta.url);
+
+export class WorkerPool extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      size: 4,                     // Worker threads
+      script: DEFAULT_SCRIPT,      // Worker entry module
+      workerData: {},              // Passed to every worker (e.g. processor config)
+      taskTimeout: 1000,           // ms before a task is abandoned and its worker replaced
+      startupTimeout: 5000,        // ms for a worker to report ready
+      restartAttempts: 3,          // Starts tried when replacing a worker before its slot is dropped
+      restartDelay: 100,           // ms before the first retry, doubling after each failed start
+      ...config
+    };
+
+    this.Worker = null;
+    this.workers = [];
+    this.restarts = new Set();     // Pending restart retries
+    this.queue = [];
+    this.nextTaskId = 1;
+    this.available = false;
+    this.error = null;             // Why the pool is unavailable, if it is
+  }
+
+  /**
+   * Start the workers; resolves false (and leaves the pool unavailable) when
+   * worker threads cannot be used here
+   */
+  async initialize() {
+    if (this.available) return true;
+
+    try {
+      ({ Worker: this.Worker } = await import('node:worker_threads'));
+      await Promise.all(Array.from({ length: this.config.size }, (_, id) => this.spawn(id)));
+      this.available = true;
+      this.error = null;
+    } catch (error) {
+      this.error = error;
+      await this.terminate();
+      this.emit('unavailable', { error });
+    }
+    return this.available;
+  }
+
+  /**
+   * Run `method` of the worker-side `processor` on `args`. Typed arrays among
+   * the arguments are transferred; the caller's arrays are left untouched.
+   */
+  run(processor, method, args = []) {
+    if (!this.available) {
+      return Promise.reject(new Error('Worker pool unavailable'));
+    }
+
+    const transfer = [];
+    const payload = args.map(arg => {
+      if (!ArrayBuffer.isView(arg) || arg instanceof DataView) return arg;
+      const copy = arg.slice();
+      transfer.push(copy.buffer);
+      return copy;
+    });
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextTaskId++, processor, method, args: payload, transfer, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Send a message to every worker (e.g. a configuration update)
+   */
+  broadcast(message) {
+    for (const slot of this.workers) slot?.worker.postMessage(message);
+  }
+
+  /**
+   * Per-worker task counts and timings (compute time inside the worker and
+   * round trip including transfer and queueing)
+   */
+  getStatus() {
+    return {
+      available: this.available,
+      size: this.config.size,
+      queued: this.queue.length,
+      error: this.error?.message ?? null,
+      workers: this.workers.filter(Boolean).map(slot => ({
+        id: slot.id,
+        threadId: slot.worker.threadId,
+        busy: slot.task !== null,
+        tasks: slot.stats.tasks,
+        errors: slot.stats.errors,
+        restarts: slot.stats.restarts,
+        lastTime: slot.stats.lastTime,
+        meanTime: slot.stats.tasks > 0 ? slot.stats.totalTime / slot.stats.tasks : 0,
+        maxTime: slot.stats.maxTime,
+        meanRoundTrip: slot.stats.tasks > 0 ? slot.stats.totalRoundTrip / slot.stats.tasks : 0
+      }))
+    };
+  }
+
+  /**
+   * Stop all workers and reject queued and running tasks
+   */
+  async terminate() {
+    this.available = false;
+    for (const task of this.queue.splice(0)) task.reject(new Error('Worker pool terminated'));
+    this.restarts.forEach(clearTimeout);
+    this.restarts.clear();
+
+    const slots = this.workers.filter(Boolean);
+    this.workers = [];
+    await Promise.all(slots.map(slot => {
+      this.settle(slot, new Error('Worker pool terminated'));
+      return slot.worker.terminate();
+    }));
+  }
+
+  /**
+   * Start worker `id` and resolve once it reports ready. A worker that fails
+   * to start is terminated and its slot freed before the promise rejects.
+   */
+  spawn(id, stats = { tasks: 0, errors: 0, restarts: 0, totalTime: 0, totalRoundTrip: 0, lastTime: 0, maxTime: 0 }) {
+    const worker = new this.Worker(this.config.script, { workerData: this.config.workerData });
+    const slot = { id, worker, task: null, timer: null, ready: false, failed: false, stats };
+    this.workers[id] = slot;
+
+    return new Promise((resolve, reject) => {
+      const fail = error => {
+        clearTimeout(startup);
+        if (slot.ready || slot.failed) return;
+        slot.failed = true;
+        if (this.workers[id] === slot) this.workers[id] = null;
+        worker.terminate();
+        reject(error);
+      };
+      const startup = setTimeout(() => fail(new Error(`Worker ${id} did not start`)), this.config.startupTimeout);
+
+      worker.on('message', message => {
+        if (slot.failed) return;
+        if (message.type === 'ready') {
+          clearTimeout(startup);
+          slot.ready = true;
+          resolve(slot);
+          this.dispatch();
+        } else if (slot.task && message.id === slot.task.id) {
+          this.complete(slot, message);
+        }
+      });
+      worker.on('error', error => {
+        if (!slot.ready) fail(error);
+        else this.replace(slot, error);
+      });
+      worker.on('exit', code => {
+        if (!slot.ready) fail(new Error(`Worker ${id} exited with code ${code}`));
+        else if (this.workers[id] === slot && this.available) this.replace(slot, new Error(`Worker ${id} exited with code ${code}`));
+      });
+    });
+  }
+
+  dispatch() {
+    for (const slot of this.workers) {
+      if (this.queue.length === 0) return;
+      if (!slot || !slot.ready || slot.task) continue;
+
+      const task = this.queue.shift();
+      const { id, processor, method, args, transfer } = task;
+      slot.task = { ...task, startTime: performance.now() };
+      slot.timer = setTimeout(() => {
+        this.replace(slot, new Error(`Worker task ${processor}.${method} timed out after ${this.config.taskTimeout}ms`));
+      }, this.config.taskTimeout);
+      slot.worker.postMessage({ id, processor, method, args }, transfer);
+    }
+  }
+
+  complete(slot, message) {
+    const task = slot.task;
+    const roundTrip = performance.now() - task.startTime;
+    clearTimeout(slot.timer);
+    slot.task = null;
+    slot.timer = null;
+
+    if (message.error) {
+      slot.stats.errors++;
+      task.reject(new Error(message.error));
+    } else {
+      slot.stats.tasks++;
+      slot.stats.lastTime = message.time;
+      slot.stats.totalTime += message.time;
+      slot.stats.maxTime = Math.max(slot.stats.maxTime, message.time);
+      slot.stats.totalRoundTrip += roundTrip;
+      task.resolve(message.result);
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Fail the slot's running task, if any
+   */
+  settle(slot, error) {
+    clearTimeout(slot.timer);
+    slot.timer = null;
+    if (slot.task) {
+      slot.stats.errors++;
+      slot.task.reject(error);
+      slot.task = null;
+    }
+  }
+
+  /**
+   * Replace a crashed or stuck worker, keeping its statistics
+   */
+  replace(slot, error) {
+    if (this.workers[slot.id] !== slot) return;
+    this.settle(slot, error);
+    this.workers[slot.id] = null;
+    slot.worker.removeAllListeners('exit');
+    slot.worker.terminate();
+    this.emit('workerError', { id: slot.id, error });
+
+    if (!this.available) return;
+    slot.stats.restarts++;
+    this.restart(slot.id, slot.stats);
+  }
+
+  /**
+   * Start a replacement worker, retrying failed starts with exponential
+   * backoff. After restartAttempts failures the slot stays empty, and once no
+   * worker is left the pool becomes unavailable.
+   */
+  restart(id, stats, attempt = 0) {
+    this.spawn(id, stats).catch(error => {
+      this.emit('workerError', { id, error });
+      if (!this.available) return;
+
+      if (attempt + 1 < this.config.restartAttempts) {
+        const timer = setTimeout(() => {
+          this.restarts.delete(timer);
+          if (this.available) this.restart(id, stats, attempt + 1);
+        }, this.config.restartDelay * 2 ** attempt);
+        this.restarts.add(timer);
+      } else if (!this.workers.some(Boolean) && this.restarts.size === 0) {
+        this.error = error;
+        this.terminate();
+        this.emit('unavailable', { error });
+      }
+    });
+  }
+}
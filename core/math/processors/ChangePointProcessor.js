@@ -0,0 +1,412 @@
+/**
+ * ChangePointProcessor - Statistical change-point detection
+ *
+ * Locates regime breaks in a series with:
+ * - Two-sided tabular CUSUM (Page) for sequential mean shifts
+ * - PELT (Killick et al.) exact penalized segmentation with selectable costs
+ * - Bayesian online change-point detection (Adams & MacKay run-length posterior)
+ *
+ * Series are standardized by their median and a difference-based robust noise
+ * scale first, so thresholds carry the same meaning for prices in the thousands
+ * and for normalized phi values.
+ *
+ * @version 2.1.0
+ */
+
+import { chiSquareCdf, lnGamma } from '../SpecialFunctions.js';
+
+// Parameters per segment for each cost, used by penalties and confidence tests
+const COST_PARAMETERS = {
+  mean: 1,
+  variance: 1,
+  meanvar: 2
+};
+
+export class ChangePointProcessor {
+  constructor(config = {}) {
+    this.config = {
+      method: 'pelt',            // 'pelt' | 'cusum' | 'bocpd'
+      cost: 'meanvar',           // PELT segment cost: 'mean' | 'variance' | 'meanvar'
+      penalty: 'bic',            // 'bic' | 'aic' | number (in -2 log-likelihood units)
+      minSegmentLength: 5,
+      cusum: {
+        drift: 0.5,              // Allowance k, in noise standard deviations
+        threshold: 8,            // Decision interval h, in noise standard deviations (wider than the
+                                 // textbook 5 because the in-control mean is estimated)
+        baselineLength: 50       // Samples used to estimate the in-control mean
+      },
+      bocpd: {
+        hazard: 1 / 250,         // Prior probability of a change at each step
+        delay: 10,               // Samples a new run must persist before it is reported
+        tolerance: 2,            // Run-length window (±) summed into the confidence
+        minProbability: 1e-10    // Long run-length tail below this is truncated
+      },
+      ...config
+    };
+  }
+
+  /**
+   * Detect change points with the configured (or given) method. Each change point
+   * reports the index of the first sample of the new regime, a confidence in [0, 1]
+   * and the shift in mean between the neighbouring segments (original units).
+   */
+  detect(signal, options = {}) {
+    const method = options.method || this.config.method;
+
+    switch (method) {
+      case 'pelt':
+        return this.detectPELT(signal, options);
+      case 'cusum':
+        return this.detectCUSUM(signal, options);
+      case 'bocpd':
+        return this.detectBayesianOnline(signal, options);
+      default:
+        throw new Error(`Unknown change-point method: ${method}`);
+    }
+  }
+
+  /**
+   * PELT: minimizes Σ cost(segment) + β·(number of changes) exactly, pruning
+   * candidates that can never become optimal
+   */
+  detectPELT(signal, options = {}) {
+    const cost = options.cost || this.config.cost;
+    const minSegment = Math.max(options.minSegmentLength ?? this.config.minSegmentLength, cost === 'mean' ? 1 : 2);
+    const n = signal.length;
+    const { z, scale } = this.standardize(signal);
+
+    if (COST_PARAMETERS[cost] === undefined) {
+      throw new Error(`Unknown change-point cost: ${cost}`);
+    }
+    if (scale === 0 || n < 2 * minSegment) {
+      return this.createResult('pelt', signal, [], { cost });
+    }
+
+    const beta = this.resolvePenalty(options.penalty ?? this.config.penalty, cost, n);
+    const sums = this.computePrefixSums(z, cost);
+    const segmentCost = (start, end) => this.segmentCost(sums, start, end, cost);
+
+    const F = new Float64Array(n + 1);
+    const last = new Int32Array(n + 1);
+    F[0] = -beta;
+    let candidates = [0];
+
+    for (let t = minSegment; t <= n; t++) {
+      let best = Infinity;
+      let bestTau = 0;
+      const totals = candidates.map(tau => {
+        const total = F[tau] + segmentCost(tau, t);
+        if (total + beta < best) {
+          best = total + beta;
+          bestTau = tau;
+        }
+        return total;
+      });
+
+      F[t] = best;
+      last[t] = bestTau;
+
+      // Prune candidates whose cost already exceeds the optimum
+      candidates = candidates.filter((_, i) => totals[i] <= F[t]);
+
+      const next = t + 1 - minSegment;
+      if (next >= minSegment) candidates.push(next);
+    }
+
+    const locations = [];
+    for (let t = last[n]; t > 0; t = last[t]) {
+      locations.unshift(t);
+    }
+
+    return this.createResult('pelt', signal, locations, { cost, penalty: beta, z });
+  }
+
+  /**
+   * Two-sided tabular CUSUM. An alarm is raised when either cumulative sum exceeds
+   * h; the change is placed where that sum last left zero and the in-control mean
+   * is re-estimated from the new regime.
+   */
+  detectCUSUM(signal, options = {}) {
+    const { drift, threshold, baselineLength } = { ...this.config.cusum, ...options };
+    const n = signal.length;
+    const { z, scale } = this.standardize(signal);
+
+    if (scale === 0 || n < 2) {
+      return this.createResult('cusum', signal, [], { cost: 'mean' });
+    }
+
+    const baselineMean = (start, end) => {
+      const stop = Math.min(n, Math.max(end, start + 1));
+      let sum = 0;
+      for (let i = start; i < stop; i++) sum += z[i];
+      return sum / (stop - start);
+    };
+
+    const locations = [];
+    const alarms = [];
+    let target = baselineMean(0, Math.min(baselineLength, n));
+    let upper = 0;
+    let lower = 0;
+    let upperStart = 0;
+    let lowerStart = 0;
+
+    for (let t = 0; t < n; t++) {
+      upper = Math.max(0, upper + z[t] - target - drift);
+      lower = Math.max(0, lower + target - z[t] - drift);
+      if (upper === 0) upperStart = t + 1;
+      if (lower === 0) lowerStart = t + 1;
+
+      if (upper > threshold || lower > threshold) {
+        const location = upper > threshold ? upperStart : lowerStart;
+        if (location > 0 && location > (locations[locations.length - 1] ?? 0)) {
+          locations.push(location);
+          alarms.push(t);
+        }
+
+        target = baselineMean(location, Math.max(t + 1, location + baselineLength));
+        upper = 0;
+        lower = 0;
+        upperStart = t + 1;
+        lowerStart = t + 1;
+      }
+    }
+
+    return this.createResult('cusum', signal, locations, { cost: 'mean', z, alarms });
+  }
+
+  /**
+   * Bayesian online change-point detection with a Normal-Gamma prior (Student t
+   * predictive) and constant hazard. A change is reported once the MAP run length
+   * has supported the new run for `delay` samples; its confidence is the posterior
+   * mass of run lengths within ±tolerance of that start.
+   */
+  detectBayesianOnline(signal, options = {}) {
+    const { hazard, delay, tolerance, minProbability } = { ...this.config.bocpd, ...options };
+    const n = signal.length;
+    const { z, scale } = this.standardize(signal);
+
+    if (scale === 0 || n < 2) {
+      return { ...this.createResult('bocpd', signal, []), runLength: new Array(n).fill(0) };
+    }
+
+    // Prior in standardized units: unit noise variance, weakly informative mean
+    const prior = { mu: 0, kappa: 0.1, alpha: 1, beta: 1 };
+    let probabilities = [1];
+    let params = [{ ...prior }];
+
+    const runLength = new Array(n);
+    const changePoints = [];
+    let currentStart = 0;
+
+    for (let t = 0; t < n; t++) {
+      const x = z[t];
+
+      // Log predictive probability under each run-length hypothesis
+      const logPredictive = params.map(({ mu, kappa, alpha, beta }) => {
+        const dof = 2 * alpha;
+        const scale2 = beta * (kappa + 1) / (alpha * kappa);
+        return lnGamma((dof + 1) / 2) - lnGamma(dof / 2) - 0.5 * Math.log(dof * Math.PI * scale2) -
+          (dof + 1) / 2 * Math.log(1 + (x - mu) ** 2 / (dof * scale2));
+      });
+      const maxLog = Math.max(...logPredictive);
+
+      const next = new Array(probabilities.length + 1);
+      let changeMass = 0;
+      let total = 0;
+      for (let r = 0; r < probabilities.length; r++) {
+        const joint = probabilities[r] * Math.exp(logPredictive[r] - maxLog);
+        next[r + 1] = joint * (1 - hazard);
+        changeMass += joint * hazard;
+      }
+      next[0] = changeMass;
+      for (const p of next) total += p;
+
+      // Posterior parameters: the new run starts from the prior, others absorb x
+      params = [{ ...prior }, ...params.map(({ mu, kappa, alpha, beta }) => ({
+        mu: (kappa * mu + x) / (kappa + 1),
+        kappa: kappa + 1,
+        alpha: alpha + 0.5,
+        beta: beta + kappa * (x - mu) ** 2 / (2 * (kappa + 1))
+      }))];
+      probabilities = next.map(p => p / total);
+
+      // Drop the negligible tail of long run lengths
+      let keep = probabilities.length;
+      while (keep > 1 && probabilities[keep - 1] < minProbability) keep--;
+      probabilities.length = keep;
+      params.length = keep;
+
+      let map = 0;
+      for (let r = 1; r < keep; r++) {
+        if (probabilities[r] > probabilities[map]) map = r;
+      }
+      runLength[t] = map;
+      const start = t + 1 - map;
+
+      // Starts within the tolerance of the current one are the same change re-estimated
+      if (start > currentStart + tolerance && map >= delay) {
+        let confidence = 0;
+        for (let r = Math.max(0, map - tolerance); r <= Math.min(keep - 1, map + tolerance); r++) {
+          confidence += probabilities[r];
+        }
+
+        changePoints.push({ index: start, confidence: Math.min(1, confidence), detectedAt: t });
+        currentStart = start;
+      }
+    }
+
+    const result = this.createResult('bocpd', signal, changePoints.map(cp => cp.index));
+    result.changePoints = result.changePoints.map((cp, i) => ({
+      ...cp,
+      confidence: changePoints[i].confidence,
+      detectedAt: changePoints[i].detectedAt
+    }));
+
+    return { ...result, runLength };
+  }
+
+  /**
+   * Median-centred series in units of the robust noise scale
+   * MAD(Δx) / (0.6745·√2), which is insensitive to level shifts
+   */
+  standardize(signal) {
+    const n = signal.length;
+    if (n < 2) return { z: [...signal], center: signal[0] ?? 0, scale: 0 };
+
+    const median = (values) => {
+      const sorted = [...values].sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    };
+
+    const differences = [];
+    for (let i = 1; i < n; i++) differences.push(signal[i] - signal[i - 1]);
+    const diffMedian = median(differences);
+    let scale = median(differences.map(d => Math.abs(d - diffMedian))) / (0.6745 * Math.SQRT2);
+
+    if (!(scale > 0)) {
+      // Piecewise-constant series: fall back to the ordinary standard deviation
+      const mean = signal.reduce((sum, v) => sum + v, 0) / n;
+      scale = Math.sqrt(signal.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1));
+    }
+
+    const center = median(signal);
+    return {
+      z: scale > 0 ? signal.map(v => (v - center) / scale) : signal.map(() => 0),
+      center,
+      scale: scale > 0 ? scale : 0
+    };
+  }
+
+  /**
+   * Penalty per change point in -2 log-likelihood units
+   */
+  resolvePenalty(penalty, cost, n) {
+    if (typeof penalty === 'number') return penalty;
+
+    // Segment parameters plus the change location
+    const k = COST_PARAMETERS[cost] + 1;
+    switch (penalty) {
+      case 'bic':
+        return k * Math.log(n);
+      case 'aic':
+        return 2 * k;
+      default:
+        throw new Error(`Unknown change-point penalty: ${penalty}`);
+    }
+  }
+
+  /**
+   * Prefix sums of z and z² (the variance cost measures spread about the global mean)
+   */
+  computePrefixSums(z, cost) {
+    const n = z.length;
+    const offset = cost === 'variance' ? z.reduce((sum, v) => sum + v, 0) / n : 0;
+    const s1 = new Float64Array(n + 1);
+    const s2 = new Float64Array(n + 1);
+
+    for (let i = 0; i < n; i++) {
+      const v = z[i] - offset;
+      s1[i + 1] = s1[i] + v;
+      s2[i + 1] = s2[i] + v * v;
+    }
+
+    return { s1, s2 };
+  }
+
+  /**
+   * -2 log-likelihood of z[start, end) as one Gaussian segment (up to constants)
+   */
+  segmentCost({ s1, s2 }, start, end, cost) {
+    const m = end - start;
+    const sum = s1[end] - s1[start];
+    const sumSquares = s2[end] - s2[start];
+
+    switch (cost) {
+      case 'mean':
+        return sumSquares - sum * sum / m;
+      case 'variance':
+        return m * Math.log(Math.max(sumSquares / m, 1e-8));
+      case 'meanvar':
+        return m * Math.log(Math.max((sumSquares - sum * sum / m) / m, 1e-8));
+      default:
+        throw new Error(`Unknown change-point cost: ${cost}`);
+    }
+  }
+
+  /**
+   * Change points with mean shifts and likelihood-ratio confidences. The confidence
+   * of each location is the χ² probability of the LR statistic for splitting its two
+   * neighbouring segments there, a local test that ignores the search over locations.
+   */
+  createResult(method, signal, locations, { cost = null, penalty = null, z = null, alarms = null } = {}) {
+    const boundaries = [0, ...locations, signal.length];
+    const mean = (start, end) => {
+      let sum = 0;
+      for (let i = start; i < end; i++) sum += signal[i];
+      return sum / (end - start);
+    };
+    const sums = z && cost ? this.computePrefixSums(z, cost) : null;
+
+    const changePoints = locations.map((index, i) => {
+      const start = boundaries[i];
+      const end = boundaries[i + 2];
+      const shift = mean(index, end) - mean(start, index);
+
+      let confidence = null;
+      if (sums) {
+        const statistic = this.segmentCost(sums, start, end, cost) -
+          this.segmentCost(sums, start, index, cost) -
+          this.segmentCost(sums, index, end, cost);
+        confidence = chiSquareCdf(Math.max(statistic, 0), COST_PARAMETERS[cost]);
+      }
+
+      return {
+        index,
+        confidence,
+        shift,
+        magnitude: Math.abs(shift),
+        ...(alarms ? { detectedAt: alarms[i] } : {})
+      };
+    });
+
+    return {
+      method,
+      changePoints,
+      segments: boundaries.slice(0, -1).map((start, i) => ({
+        start,
+        end: boundaries[i + 1],
+        mean: mean(start, boundaries[i + 1])
+      })),
+      ...(cost ? { cost } : {}),
+      ...(penalty !== null ? { penalty } : {})
+    };
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+}
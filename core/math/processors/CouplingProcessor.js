@@ -0,0 +1,513 @@
+/**
+ * CouplingProcessor - Cross-signal coupling and directional influence
+ *
+ * Pairwise and multichannel measures between synchronously sampled signals
+ * (EEG channels, HRV vs GSR, ETH vs BTC returns):
+ * - Magnitude-squared coherence (Welch cross-spectra)
+ * - Phase-locking value of the analytic-signal phases, optionally band-limited
+ * - Transfer entropy on equiprobable bins, with shift-surrogate bias correction
+ * - Granger causality F tests with information-criterion lag selection
+ *
+ * @version 2.1.0
+ */
+
+import { SpectralProcessor } from './SpectralProcessor.js';
+import { FilterProcessor } from './FilterProcessor.js';
+import { fisherFCdf } from '../SpecialFunctions.js';
+
+// Measures computed by analyze() unless options.measures narrows them
+const MEASURES = ['coherence', 'phaseLocking', 'transferEntropy', 'granger'];
+
+export class CouplingProcessor {
+  constructor(config = {}) {
+    this.config = {
+      sampleRate: 250,           // Hz; sets coherence frequencies and PLV band filtering
+      measures: MEASURES,
+      minLength: 32,
+      segmentLength: null,       // Welch segment for coherence; null for n/8 (at least 16)
+      overlap: 0.5,
+      band: null,                // [low, high] Hz for PLV filtering and the coherence summary
+      maxLag: 10,                // Largest Granger model order considered
+      lagCriterion: 'bic',       // 'aic' | 'bic' | number (fixed order)
+      bins: 4,                   // Equiprobable bins for transfer entropy
+      historyLength: 1,          // Past samples of target and source in transfer entropy
+      surrogates: 19,            // Circular shifts of the source for the TE bias and p-value
+      significance: 0.05,
+      ...config
+    };
+
+    this.spectral = new SpectralProcessor({ fftMode: 'exact' });
+    this.filters = new FilterProcessor({ sampleRate: this.config.sampleRate });
+  }
+
+  /**
+   * Coupling between x and y over their common (most recent) samples. Directional
+   * measures are reported both ways as xToY and yToX. Null below minLength.
+   */
+  analyze(x, y, options = {}) {
+    const settings = { ...this.config, ...options };
+    const n = Math.min(x.length, y.length);
+    if (n < settings.minLength) return null;
+
+    const a = x.slice(x.length - n);
+    const b = y.slice(y.length - n);
+    const result = { length: n, correlation: correlation(a, b) };
+
+    for (const measure of settings.measures) {
+      switch (measure) {
+        case 'coherence':
+          result.coherence = this.coherence(a, b, settings);
+          break;
+        case 'phaseLocking':
+          result.phaseLocking = this.phaseLockingValue(a, b, settings);
+          break;
+        case 'transferEntropy':
+          result.transferEntropy = {
+            xToY: this.transferEntropy(a, b, settings),
+            yToX: this.transferEntropy(b, a, settings)
+          };
+          break;
+        case 'granger':
+          result.granger = {
+            xToY: this.grangerCausality(a, b, settings),
+            yToX: this.grangerCausality(b, a, settings)
+          };
+          result.direction = this.classifyDirection(result.granger, settings.significance);
+          break;
+        default:
+          throw new Error(`Unknown coupling measure: ${measure}`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Every channel pair of a { name: series } map, plus the directed Granger links
+   * and causal density (fraction of ordered pairs with significant influence)
+   */
+  analyzeNetwork(signals, options = {}) {
+    const settings = { ...this.config, ...options };
+    const channels = Object.keys(signals);
+    const pairs = [];
+    const links = [];
+    let tested = 0;
+
+    for (let i = 0; i < channels.length; i++) {
+      for (let j = i + 1; j < channels.length; j++) {
+        const coupling = this.analyze(signals[channels[i]], signals[channels[j]], settings);
+        if (!coupling) continue;
+        pairs.push({ x: channels[i], y: channels[j], ...coupling });
+
+        if (coupling.granger) {
+          tested += 2;
+          for (const [source, target, test] of [
+            [channels[i], channels[j], coupling.granger.xToY],
+            [channels[j], channels[i], coupling.granger.yToX]
+          ]) {
+            if (test && test.pValue < settings.significance) {
+              links.push({ source, target, strength: test.strength, pValue: test.pValue });
+            }
+          }
+        }
+      }
+    }
+
+    // Net outflow: Granger strength of significant links sent minus received
+    const outflow = Object.fromEntries(channels.map(name => [name, 0]));
+    for (const { source, target, strength } of links) {
+      outflow[source] += strength;
+      outflow[target] -= strength;
+    }
+
+    return {
+      channels,
+      pairs,
+      links,
+      outflow,
+      causalDensity: tested > 0 ? links.length / tested : null
+    };
+  }
+
+  /**
+   * Welch magnitude-squared coherence |Sxy|² / (Sxx·Syy) with the null threshold
+   * 1 − α^(1/(K−1)) for K equivalent independent segments
+   */
+  coherence(x, y, options = {}) {
+    const settings = { ...this.config, ...options };
+    const n = Math.min(x.length, y.length);
+    const segmentLength = Math.min(n, Math.floor(settings.segmentLength || Math.max(16, n / 8)));
+    const step = Math.max(1, Math.round(segmentLength * (1 - settings.overlap)));
+    const window = this.spectral.generateWindow('hanning', segmentLength);
+    const bins = Math.floor(segmentLength / 2) + 1;
+
+    const sxx = new Float64Array(bins);
+    const syy = new Float64Array(bins);
+    const sxyReal = new Float64Array(bins);
+    const sxyImag = new Float64Array(bins);
+    let segments = 0;
+
+    for (let start = 0; start + segmentLength <= n; start += step) {
+      const fx = this.spectral.fft(taper(x, start, segmentLength, window));
+      const fy = this.spectral.fft(taper(y, start, segmentLength, window));
+      for (let k = 0; k < bins; k++) {
+        sxx[k] += fx[k].real ** 2 + fx[k].imag ** 2;
+        syy[k] += fy[k].real ** 2 + fy[k].imag ** 2;
+        sxyReal[k] += fx[k].real * fy[k].real + fx[k].imag * fy[k].imag;
+        sxyImag[k] += fx[k].imag * fy[k].real - fx[k].real * fy[k].imag;
+      }
+      segments++;
+    }
+
+    const frequencies = [];
+    const values = [];
+    for (let k = 0; k < bins; k++) {
+      const power = sxx[k] * syy[k];
+      frequencies.push(k * settings.sampleRate / segmentLength);
+      values.push(power > 0 ? (sxyReal[k] ** 2 + sxyImag[k] ** 2) / power : 0);
+    }
+
+    // Summary over the band (or every bin but DC)
+    const [low, high] = settings.band || [0, Infinity];
+    let sum = 0;
+    let count = 0;
+    let peak = { frequency: null, value: 0 };
+    for (let k = 1; k < bins; k++) {
+      if (frequencies[k] < low || frequencies[k] > high) continue;
+      sum += values[k];
+      count++;
+      if (values[k] > peak.value) peak = { frequency: frequencies[k], value: values[k] };
+    }
+
+    const effective = this.effectiveSegments(window, segments, step);
+    return {
+      frequencies,
+      coherence: values,
+      mean: count > 0 ? sum / count : 0,
+      peak,
+      segments,
+      threshold: effective > 1 ? 1 - Math.pow(settings.significance, 1 / (effective - 1)) : 1
+    };
+  }
+
+  /**
+   * Phase-locking value |⟨exp(i(φx − φy))⟩| of the analytic-signal phases, after a
+   * zero-phase bandpass when a band is given. The Rayleigh p-value assumes
+   * independent samples and is optimistic for strongly autocorrelated phases.
+   */
+  phaseLockingValue(x, y, options = {}) {
+    const settings = { ...this.config, ...options };
+    let a = x;
+    let b = y;
+    if (settings.band) {
+      const filterOptions = { sampleRate: settings.sampleRate };
+      a = this.filters.bandpass(x, settings.band, filterOptions);
+      b = this.filters.bandpass(y, settings.band, filterOptions);
+    }
+
+    const phaseX = this.instantaneousPhase(a);
+    const phaseY = this.instantaneousPhase(b);
+    const n = phaseX.length;
+
+    let real = 0;
+    let imag = 0;
+    for (let i = 0; i < n; i++) {
+      const difference = phaseX[i] - phaseY[i];
+      real += Math.cos(difference);
+      imag += Math.sin(difference);
+    }
+
+    const value = Math.hypot(real, imag) / n;
+    const resultant = n * value;
+    // Zar's approximation to the Rayleigh test
+    const pValue = Math.min(1, Math.exp(Math.sqrt(1 + 4 * n + 4 * (n * n - resultant * resultant)) - (1 + 2 * n)));
+
+    return {
+      value,
+      meanPhase: Math.atan2(imag, real),
+      pValue
+    };
+  }
+
+  /**
+   * Instantaneous phase from the FFT analytic signal (negative frequencies removed)
+   */
+  instantaneousPhase(signal) {
+    const n = signal.length;
+    const mean = signal.reduce((acc, v) => acc + v, 0) / n;
+    const spectrum = this.spectral.fft(signal.map(v => v - mean));
+
+    for (let k = 1; k < n; k++) {
+      const gain = k < n / 2 ? 2 : k === n / 2 ? 1 : 0;
+      spectrum[k].real *= gain;
+      spectrum[k].imag *= gain;
+    }
+
+    return this.spectral.inverseFFT(spectrum).map(({ real, imag }) => Math.atan2(imag, real));
+  }
+
+  /**
+   * Transfer entropy from source to target in bits,
+   * Σ p(y⁺, yᵏ, xᵏ) log₂[p(y⁺ | yᵏ, xᵏ) / p(y⁺ | yᵏ)], on equiprobable bins. The
+   * plug-in bias is estimated from circularly shifted sources, which keep the
+   * source's own dynamics but break its timing relative to the target.
+   */
+  transferEntropy(source, target, options = {}) {
+    const { bins, historyLength, surrogates } = { ...this.config, ...options };
+    const n = Math.min(source.length, target.length);
+    if (n <= historyLength + 1) return null;
+
+    const x = discretize(source.slice(source.length - n), bins);
+    const y = discretize(target.slice(target.length - n), bins);
+    const value = binnedTransferEntropy(x, y, bins, historyLength);
+
+    const shifted = [];
+    for (let s = 1; s <= surrogates; s++) {
+      const shift = Math.floor(n / 4 + s * (n / 2) / (surrogates + 1));
+      const rotated = x.map((_, i) => x[(i + shift) % n]);
+      shifted.push(binnedTransferEntropy(rotated, y, bins, historyLength));
+    }
+
+    const bias = shifted.length > 0 ? shifted.reduce((a, b) => a + b, 0) / shifted.length : 0;
+    return {
+      value,
+      effective: Math.max(0, value - bias),
+      bias,
+      pValue: shifted.length > 0 ?
+        (1 + shifted.filter(te => te >= value).length) / (1 + shifted.length) :
+        null
+    };
+  }
+
+  /**
+   * Granger causality of cause → effect: F test of the cause's lags in an
+   * autoregression of the effect. The order is chosen by the criterion over a
+   * common sample, then both models are refit on all usable samples. Strength is
+   * Geweke's ln(RSS restricted / RSS unrestricted).
+   */
+  grangerCausality(cause, effect, options = {}) {
+    const { maxLag, lagCriterion } = { ...this.config, ...options };
+    const n = Math.min(cause.length, effect.length);
+    const x = standardize(cause.slice(cause.length - n));
+    const y = standardize(effect.slice(effect.length - n));
+
+    // Keep at least ten residual degrees of freedom at the largest order
+    const largest = Math.min(maxLag, Math.floor((n - 11) / 3));
+    if (largest < 1) return null;
+
+    let lags = typeof lagCriterion === 'number' ? lagCriterion : 1;
+    if (typeof lagCriterion !== 'number') {
+      let best = Infinity;
+      for (let p = 1; p <= largest; p++) {
+        const rss = laggedRegressionRSS(y, x, p, largest, true);
+        const samples = n - largest;
+        const parameters = 2 * p + 1;
+        const penalty = lagCriterion === 'aic' ? 2 * parameters : parameters * Math.log(samples);
+        const criterion = samples * Math.log(rss / samples) + penalty;
+        if (criterion < best) {
+          best = criterion;
+          lags = p;
+        }
+      }
+    }
+    lags = Math.max(1, Math.min(lags, largest));
+
+    const unrestricted = laggedRegressionRSS(y, x, lags, lags, true);
+    const restricted = laggedRegressionRSS(y, x, lags, lags, false);
+    const dof = n - lags - (2 * lags + 1);
+    if (!(unrestricted > 0) || !Number.isFinite(restricted) || dof < 1) return null;
+
+    const statistic = Math.max(0, (restricted - unrestricted) / lags / (unrestricted / dof));
+    return {
+      statistic,
+      pValue: 1 - fisherFCdf(statistic, lags, dof),
+      lags,
+      strength: Math.log(restricted / unrestricted)
+    };
+  }
+
+  /**
+   * Dominant Granger direction: 'xToY', 'yToX', 'bidirectional' or 'none'
+   */
+  classifyDirection(granger, significance = this.config.significance) {
+    const forward = granger.xToY && granger.xToY.pValue < significance;
+    const backward = granger.yToX && granger.yToX.pValue < significance;
+    if (forward && backward) return 'bidirectional';
+    if (forward) return 'xToY';
+    if (backward) return 'yToX';
+    return 'none';
+  }
+
+  /**
+   * Equivalent independent segments for overlapping windows (as for Welch dof)
+   */
+  effectiveSegments(window, segments, step) {
+    const windowPower = window.reduce((sum, w) => sum + w * w, 0);
+    let correlationSum = 0;
+    for (let m = 1; m < segments; m++) {
+      const shift = m * step;
+      if (shift >= window.length) break;
+      let overlapPower = 0;
+      for (let i = 0; i + shift < window.length; i++) overlapPower += window[i] * window[i + shift];
+      correlationSum += (1 - m / segments) * (overlapPower / windowPower) ** 2;
+    }
+    return segments / (1 + 2 * correlationSum);
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+    this.filters.updateConfig({ sampleRate: this.config.sampleRate });
+  }
+}
+
+function correlation(x, y) {
+  const n = x.length;
+  const meanX = x.reduce((a, b) => a + b, 0) / n;
+  const meanY = y.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - meanX) * (y[i] - meanY);
+    sxx += (x[i] - meanX) ** 2;
+    syy += (y[i] - meanY) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+}
+
+function standardize(values) {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const sd = Math.sqrt(values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / n);
+  return values.map(v => sd > 0 ? (v - mean) / sd : 0);
+}
+
+/**
+ * Mean-removed, windowed segment
+ */
+function taper(signal, start, length, window) {
+  let mean = 0;
+  for (let i = 0; i < length; i++) mean += signal[start + i];
+  mean /= length;
+  return window.map((w, i) => (signal[start + i] - mean) * w);
+}
+
+/**
+ * Rank-based equiprobable bin labels 0..bins-1 (ties share the lower bin)
+ */
+function discretize(values, bins) {
+  const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+  const labels = new Array(values.length);
+  let rank = 0;
+  for (let i = 0; i < order.length; i++) {
+    if (i === 0 || values[order[i]] !== values[order[i - 1]]) rank = i;
+    labels[order[i]] = Math.min(bins - 1, Math.floor(rank * bins / values.length));
+  }
+  return labels;
+}
+
+function binnedTransferEntropy(x, y, bins, history) {
+  const n = y.length;
+  const joint = new Map();
+  const pastBoth = new Map();
+  const futurePast = new Map();
+  const past = new Map();
+  const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+  let samples = 0;
+  for (let t = history - 1; t < n - 1; t++) {
+    let yPast = 0;
+    let xPast = 0;
+    for (let h = 0; h < history; h++) {
+      yPast = yPast * bins + y[t - h];
+      xPast = xPast * bins + x[t - h];
+    }
+    const future = y[t + 1];
+    const both = yPast * bins ** history + xPast;
+
+    increment(joint, both * bins + future);
+    increment(pastBoth, both);
+    increment(futurePast, yPast * bins + future);
+    increment(past, yPast);
+    samples++;
+  }
+
+  const span = bins ** history;
+  let entropy = 0;
+  for (const [key, count] of joint) {
+    const future = key % bins;
+    const both = (key - future) / bins;
+    const yPast = Math.floor(both / span);
+    entropy += count * Math.log2(count * past.get(yPast) /
+      (pastBoth.get(both) * futurePast.get(yPast * bins + future)));
+  }
+  return entropy / samples;
+}
+
+/**
+ * Residual sum of squares of effect[t] on a constant, its own lags 1..p and
+ * (when includeCause) the cause's lags 1..p, for t from `start` on
+ */
+function laggedRegressionRSS(effect, cause, lags, start, includeCause) {
+  const rows = [];
+  const targets = [];
+  for (let t = start; t < effect.length; t++) {
+    const row = [1];
+    for (let k = 1; k <= lags; k++) row.push(effect[t - k]);
+    if (includeCause) {
+      for (let k = 1; k <= lags; k++) row.push(cause[t - k]);
+    }
+    rows.push(row);
+    targets.push(effect[t]);
+  }
+
+  const coefficients = solveLeastSquares(rows, targets);
+  if (!coefficients) return NaN;
+
+  let rss = 0;
+  for (let i = 0; i < rows.length; i++) {
+    let fitted = 0;
+    for (let j = 0; j < coefficients.length; j++) fitted += rows[i][j] * coefficients[j];
+    rss += (targets[i] - fitted) ** 2;
+  }
+  return rss;
+}
+
+/**
+ * Normal equations by Gaussian elimination with partial pivoting; null if singular
+ */
+function solveLeastSquares(rows, targets) {
+  const k = rows[0].length;
+  const a = Array.from({ length: k }, () => new Array(k + 1).fill(0));
+  for (let i = 0; i < rows.length; i++) {
+    for (let p = 0; p < k; p++) {
+      for (let q = 0; q < k; q++) a[p][q] += rows[i][p] * rows[i][q];
+      a[p][k] += rows[i][p] * targets[i];
+    }
+  }
+
+  for (let col = 0; col < k; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < k; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12 * rows.length) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let r = col + 1; r < k; r++) {
+      const factor = a[r][col] / a[col][col];
+      for (let c = col; c <= k; c++) a[r][c] -= factor * a[col][c];
+    }
+  }
+
+  const solution = new Array(k).fill(0);
+  for (let r = k - 1; r >= 0; r--) {
+    let sum = a[r][k];
+    for (let c = r + 1; c < k; c++) sum -= a[r][c] * solution[c];
+    solution[r] = sum / a[r][r];
+  }
+  return solution;
+}
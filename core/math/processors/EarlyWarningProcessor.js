@@ -0,0 +1,306 @@
+/**
+ * EarlyWarningProcessor - Early-warning signals of critical transitions
+ *
+ * Rolling-window indicators of critical slowing down (Scheffer et al. 2009,
+ * Dakos et al. 2012) on detrended residuals:
+ * - Variance and lag-1 autoregression AR(1), which rise as recovery slows
+ * - Skewness, which grows in magnitude as the potential becomes asymmetric
+ * - Flickering, as the bimodality coefficient of each window
+ * - Return rate (1 - AR(1)) per second, which falls towards zero
+ *
+ * Each indicator's trend is scored by Kendall's τ, with an asymptotic p-value
+ * and a p-value against AR(1) surrogates matched to the residuals (rolling
+ * indicators are autocorrelated, so only the surrogate test is calibrated).
+ *
+ * @version 2.1.0
+ */
+
+import { normalCdf } from '../SpecialFunctions.js';
+import { seededGaussian } from '../Random.js';
+
+// Direction each indicator moves ahead of a transition (0 = either way)
+const EXPECTED_TREND = {
+  variance: 1,
+  ar1: 1,
+  skewness: 0,
+  flickering: 1,
+  returnRate: -1
+};
+
+export class EarlyWarningProcessor {
+  constructor(config = {}) {
+    this.config = {
+      sampleRate: 1,
+      indicators: Object.keys(EXPECTED_TREND),
+      windowFraction: 0.5,       // Rolling window as a fraction of the series
+      detrending: 'gaussian',    // 'gaussian' | 'linear' | 'none'
+      bandwidth: 0.1,            // Gaussian kernel σ as a fraction of the series
+      maxLength: 2000,           // Longer series are block-averaged down to this length
+      maxTrendPoints: 200,       // Kendall τ is computed on at most this many evenly spaced windows
+      surrogates: 99,            // AR(1) surrogates for the trend p-values (0 disables)
+      significance: 0.05,
+      minIndicators: 2,          // Significant indicators needed to raise a warning
+      seed: 42,                  // Surrogate generator seed (results are reproducible)
+      includeValues: true,       // Return the rolling indicator series (false keeps only the trends)
+      ...config
+    };
+  }
+
+  /**
+   * Rolling indicators, their Kendall trends and an overall warning. Null when
+   * the series is too short for a meaningful rolling window.
+   */
+  analyze(signal, options = {}) {
+    const settings = { ...this.config, ...options };
+    const { series, factor } = downsample(signal, settings.maxLength);
+    const n = series.length;
+    const window = Math.max(8, Math.round(settings.windowFraction * n));
+    if (n - window + 1 < 4) return null;
+
+    for (const name of settings.indicators) {
+      if (!(name in EXPECTED_TREND)) throw new Error(`Unknown early-warning indicator: ${name}`);
+    }
+
+    const residuals = this.detrend(series, settings);
+    const rateScale = settings.sampleRate / factor;
+    const rolling = this.rollingIndicators(residuals, window, rateScale);
+    const end = rolling.end.map(i => i * factor + factor - 1);
+
+    // Null distribution of τ from AR(1) surrogates with the residuals' memory and variance
+    const nullTaus = Object.fromEntries(settings.indicators.map(name => [name, []]));
+    if (settings.surrogates > 0) {
+      const { phi, sigma } = fitAR1(residuals);
+      const random = seededGaussian(settings.seed);
+      for (let s = 0; s < settings.surrogates; s++) {
+        const surrogate = simulateAR1(n, phi, sigma, random);
+        const indicators = this.rollingIndicators(surrogate, window, rateScale);
+        for (const name of settings.indicators) {
+          nullTaus[name].push(kendallTau(thin(indicators[name], settings.maxTrendPoints)).tau);
+        }
+      }
+    }
+
+    const indicators = {};
+    let significant = 0;
+    let score = 0;
+    for (const name of settings.indicators) {
+      const values = rolling[name];
+      const { tau, pValue } = kendallTau(thin(values, settings.maxTrendPoints));
+      const expected = EXPECTED_TREND[name];
+
+      // One-sided in the expected direction, two-sided for skewness
+      const oriented = expected === 0 ? Math.abs(tau) : expected * tau;
+      const asymptotic = expected === 0 ? pValue : (expected * tau > 0 ? pValue / 2 : 1 - pValue / 2);
+      const surrogatePValue = nullTaus[name].length > 0 ?
+        (1 + nullTaus[name].filter(t => (expected === 0 ? Math.abs(t) : expected * t) >= oriented).length) /
+          (1 + nullTaus[name].length) :
+        null;
+
+      const warning = (surrogatePValue ?? asymptotic) < settings.significance;
+      if (warning) significant++;
+      score += Math.max(0, oriented);
+
+      indicators[name] = {
+        ...(settings.includeValues && { values }),
+        tau,
+        pValue: asymptotic,
+        surrogatePValue,
+        expected: expected > 0 ? 'increasing' : expected < 0 ? 'decreasing' : 'either',
+        warning
+      };
+    }
+
+    return {
+      window: window * factor,
+      ...(settings.includeValues && { end }),
+      indicators,
+      score: settings.indicators.length > 0 ? score / settings.indicators.length : 0,
+      significant,
+      warning: significant >= settings.minIndicators
+    };
+  }
+
+  /**
+   * Residuals after removing the slow trend: Gaussian kernel smoothing (σ =
+   * bandwidth · N, truncated at 3σ), a least-squares line, or nothing
+   */
+  detrend(signal, options = {}) {
+    const { detrending, bandwidth } = { ...this.config, ...options };
+    const n = signal.length;
+
+    switch (detrending) {
+      case 'none':
+        return Float64Array.from(signal);
+      case 'linear': {
+        const meanX = (n - 1) / 2;
+        const meanY = signal.reduce((a, b) => a + b, 0) / n;
+        let sxy = 0;
+        let sxx = 0;
+        for (let i = 0; i < n; i++) {
+          sxy += (i - meanX) * (signal[i] - meanY);
+          sxx += (i - meanX) ** 2;
+        }
+        const slope = sxx > 0 ? sxy / sxx : 0;
+        return Float64Array.from(signal, (v, i) => v - meanY - slope * (i - meanX));
+      }
+      case 'gaussian': {
+        const sigma = Math.max(1, bandwidth * n);
+        const reach = Math.ceil(3 * sigma);
+        const kernel = Float64Array.from({ length: reach + 1 }, (_, d) => Math.exp(-0.5 * (d / sigma) ** 2));
+        const residuals = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+          let sum = 0;
+          let weight = 0;
+          for (let j = Math.max(0, i - reach); j <= Math.min(n - 1, i + reach); j++) {
+            const w = kernel[Math.abs(i - j)];
+            sum += w * signal[j];
+            weight += w;
+          }
+          residuals[i] = signal[i] - sum / weight;
+        }
+        return residuals;
+      }
+      default:
+        throw new Error(`Unknown detrending method: ${detrending}`);
+    }
+  }
+
+  /**
+   * Every indicator over each window ending at `end[k]`, from running sums so
+   * the cost is linear in the series length
+   */
+  rollingIndicators(residuals, window, rateScale = this.config.sampleRate) {
+    const n = residuals.length;
+    const offset = residuals.reduce((a, b) => a + b, 0) / n; // Centre so the power sums do not cancel
+    const prefix = [1, 2, 3, 4].map(() => new Float64Array(n + 1));
+    const lagged = new Float64Array(n + 1); // Σ x[t]·x[t-1]
+    for (let i = 0; i < n; i++) {
+      const x = residuals[i] - offset;
+      prefix[0][i + 1] = prefix[0][i] + x;
+      prefix[1][i + 1] = prefix[1][i] + x * x;
+      prefix[2][i + 1] = prefix[2][i] + x * x * x;
+      prefix[3][i + 1] = prefix[3][i] + x * x * x * x;
+      lagged[i + 1] = lagged[i] + (i > 0 ? x * (residuals[i - 1] - offset) : 0);
+    }
+    const sum = (k, from, to) => prefix[k][to] - prefix[k][from];
+
+    const result = { end: [], variance: [], ar1: [], skewness: [], flickering: [], returnRate: [] };
+    const adjustment = 3 * (window - 1) ** 2 / ((window - 2) * (window - 3));
+    for (let start = 0; start + window <= n; start++) {
+      const stop = start + window;
+      const mean = sum(0, start, stop) / window;
+      const raw2 = sum(1, start, stop) / window;
+      const raw3 = sum(2, start, stop) / window;
+      const raw4 = sum(3, start, stop) / window;
+      const m2 = Math.max(0, raw2 - mean * mean);
+      const m3 = raw3 - 3 * mean * raw2 + 2 * mean ** 3;
+      const m4 = raw4 - 4 * mean * raw3 + 6 * mean * mean * raw2 - 3 * mean ** 4;
+      const skewness = m2 > 0 ? m3 / m2 ** 1.5 : 0;
+      const excessKurtosis = m2 > 0 ? m4 / (m2 * m2) - 3 : 0;
+
+      // OLS of x[t] on x[t-1] within the window
+      const pairs = window - 1;
+      const sx = sum(0, start, stop - 1);
+      const sy = sum(0, start + 1, stop);
+      const sxx = sum(1, start, stop - 1);
+      const sxy = lagged[stop] - lagged[start + 1];
+      const denominator = pairs * sxx - sx * sx;
+      const ar1 = denominator > 0 ? (pairs * sxy - sx * sy) / denominator : 0;
+
+      result.end.push(stop - 1);
+      result.variance.push(m2 * window / (window - 1));
+      result.ar1.push(ar1);
+      result.skewness.push(skewness);
+      result.flickering.push((skewness * skewness + 1) / (excessKurtosis + adjustment));
+      result.returnRate.push((1 - ar1) * rateScale);
+    }
+    return result;
+  }
+
+  /**
+   * Kendall's τ-b of a series against time with the tie-corrected normal
+   * approximation (two-sided p-value)
+   */
+  kendallTrend(values) {
+    return kendallTau(values);
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+}
+
+/**
+ * Block means reducing the series to at most maxLength points
+ */
+function downsample(signal, maxLength) {
+  const factor = Math.max(1, Math.ceil(signal.length / maxLength));
+  if (factor === 1) return { series: signal, factor };
+
+  const series = [];
+  for (let start = 0; start + factor <= signal.length; start += factor) {
+    let sum = 0;
+    for (let i = start; i < start + factor; i++) sum += signal[i];
+    series.push(sum / factor);
+  }
+  return { series, factor };
+}
+
+function thin(values, maxPoints) {
+  if (values.length <= maxPoints) return values;
+  const step = (values.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, i) => values[Math.round(i * step)]);
+}
+
+/**
+ * Kendall τ-b between the values and their index
+ */
+function kendallTau(values) {
+  const n = values.length;
+  let concordant = 0;
+  let discordant = 0;
+  let ties = 0;
+  const tieGroups = new Map();
+  for (let i = 0; i < n; i++) {
+    tieGroups.set(values[i], (tieGroups.get(values[i]) || 0) + 1);
+    for (let j = i + 1; j < n; j++) {
+      if (values[j] > values[i]) concordant++;
+      else if (values[j] < values[i]) discordant++;
+      else ties++;
+    }
+  }
+
+  const pairs = n * (n - 1) / 2;
+  const tau = pairs - ties > 0 ? (concordant - discordant) / Math.sqrt(pairs * (pairs - ties)) : 0;
+
+  // Variance of S under H0 with ties in the values (time has none)
+  let tieTerm = 0;
+  for (const t of tieGroups.values()) tieTerm += t * (t - 1) * (2 * t + 5);
+  const variance = (n * (n - 1) * (2 * n + 5) - tieTerm) / 18;
+  const z = variance > 0 ? (concordant - discordant) / Math.sqrt(variance) : 0;
+
+  return { tau, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+function fitAR1(residuals) {
+  const n = residuals.length;
+  const mean = residuals.reduce((a, b) => a + b, 0) / n;
+  let c0 = 0;
+  let c1 = 0;
+  for (let i = 0; i < n; i++) {
+    c0 += (residuals[i] - mean) ** 2;
+    if (i > 0) c1 += (residuals[i] - mean) * (residuals[i - 1] - mean);
+  }
+  const phi = c0 > 0 ? Math.max(-0.99, Math.min(0.99, c1 / c0)) : 0;
+  return { phi, sigma: Math.sqrt(c0 / n * (1 - phi * phi)) };
+}
+
+function simulateAR1(length, phi, sigma, random) {
+  const series = new Float64Array(length);
+  series[0] = random() * sigma / Math.sqrt(1 - phi * phi);
+  for (let t = 1; t < length; t++) series[t] = phi * series[t - 1] + sigma * random();
+  return series;
+}
@@ -0,0 +1,608 @@
+/**
+ * FilterProcessor - Digital IIR filter bank
+ *
+ * Designs and applies digital filters for biometric band extraction:
+ * - Butterworth and Chebyshev type I designs (lowpass, highpass, bandpass, bandstop)
+ * - Second-order-section (biquad) cascades for numerical stability at low cutoffs
+ * - Zero-phase forward-backward filtering (filtfilt)
+ * - Mains interference notch filters (50/60 Hz and harmonics)
+ * - Band power extraction for EEG rhythms and HRV LF/HF bands
+ * - ECG R-peak detection and evenly resampled RR tachograms
+ *
+ * Designs follow the analog prototype → frequency transform → bilinear
+ * transform route (with pre-warping), in zero/pole/gain form.
+ *
+ * @version 2.1.0
+ */
+
+export class FilterProcessor {
+  constructor(config = {}) {
+    this.config = {
+      sampleRate: 250,
+      order: 4,
+      design: 'butterworth', // 'butterworth' | 'chebyshev'
+      ripple: 0.5,           // Chebyshev passband ripple (dB)
+      mainsFrequency: 50,    // Hz (50 in Europe/Asia, 60 in the Americas)
+      notchQuality: 30,      // Notch quality factor (f0 / bandwidth)
+      ...config
+    };
+
+    this.cache = new Map();
+  }
+
+  /**
+   * Design a filter. `cutoff` is a frequency in Hz for lowpass/highpass or a
+   * [low, high] pair for bandpass/bandstop.
+   */
+  design(type, cutoff, options = {}) {
+    const {
+      order = this.config.order,
+      design = this.config.design,
+      ripple = this.config.ripple,
+      sampleRate = this.config.sampleRate
+    } = options;
+
+    const key = `${type}:${cutoff}:${order}:${design}:${ripple}:${sampleRate}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const nyquist = sampleRate / 2;
+    const edges = Array.isArray(cutoff) ? cutoff : [cutoff];
+    if (edges.some(f => !(f > 0 && f < nyquist))) {
+      throw new Error(`Cutoff ${edges.join('-')} Hz must lie strictly between 0 and Nyquist (${nyquist} Hz)`);
+    }
+    if ((type === 'bandpass' || type === 'bandstop') && !(edges.length === 2 && edges[0] < edges[1])) {
+      throw new Error(`${type} requires a [low, high] cutoff pair`);
+    }
+
+    // Analog prototype with unit cutoff
+    let prototype;
+    switch (design) {
+      case 'butterworth':
+        prototype = this.butterworthPrototype(order);
+        break;
+      case 'chebyshev':
+        prototype = this.chebyshevPrototype(order, ripple);
+        break;
+      default:
+        throw new Error(`Unknown filter design: ${design}`);
+    }
+
+    // Pre-warp edges so the digital response hits them exactly
+    const fs2 = 2 * sampleRate;
+    const warped = edges.map(f => fs2 * Math.tan(Math.PI * f / sampleRate));
+
+    let analog;
+    switch (type) {
+      case 'lowpass':
+        analog = this.lowpassToLowpass(prototype, warped[0]);
+        break;
+      case 'highpass':
+        analog = this.lowpassToHighpass(prototype, warped[0]);
+        break;
+      case 'bandpass':
+        analog = this.lowpassToBandpass(prototype, warped[0], warped[1]);
+        break;
+      case 'bandstop':
+        analog = this.lowpassToBandstop(prototype, warped[0], warped[1]);
+        break;
+      default:
+        throw new Error(`Unknown filter type: ${type}`);
+    }
+
+    const filter = {
+      type,
+      design,
+      order,
+      cutoff,
+      sampleRate,
+      sections: this.zpkToSections(this.bilinear(analog, fs2))
+    };
+
+    this.cache.set(key, filter);
+    return filter;
+  }
+
+  /**
+   * Second-order IIR notch (as in scipy.signal.iirnotch)
+   */
+  designNotch(frequency = this.config.mainsFrequency, options = {}) {
+    const {
+      quality = this.config.notchQuality,
+      sampleRate = this.config.sampleRate
+    } = options;
+
+    const w0 = 2 * Math.PI * frequency / sampleRate;
+    const bandwidth = w0 / quality;
+    const gain = 1 / (1 + Math.tan(bandwidth / 2));
+    const cosW0 = Math.cos(w0);
+
+    return {
+      type: 'notch',
+      design: 'notch',
+      order: 2,
+      cutoff: frequency,
+      sampleRate,
+      sections: [{
+        b: [gain, -2 * gain * cosW0, gain],
+        a: [1, -2 * gain * cosW0, 2 * gain - 1]
+      }]
+    };
+  }
+
+  /**
+   * Causal filtering through the section cascade (direct form II transposed)
+   */
+  filter(signal, filter, initialStates = null) {
+    let output = Float64Array.from(signal);
+
+    filter.sections.forEach((section, s) => {
+      const [b0, b1, b2] = section.b;
+      const [, a1, a2] = section.a;
+      let z1 = initialStates ? initialStates[s][0] : 0;
+      let z2 = initialStates ? initialStates[s][1] : 0;
+
+      for (let i = 0; i < output.length; i++) {
+        const x = output[i];
+        const y = b0 * x + z1;
+        z1 = b1 * x - a1 * y + z2;
+        z2 = b2 * x - a2 * y;
+        output[i] = y;
+      }
+    });
+
+    return output;
+  }
+
+  /**
+   * Zero-phase filtering: forward and reverse passes over an odd-extended signal,
+   * with section states initialized to the step-response steady state.
+   */
+  filtfilt(signal, filter) {
+    const n = signal.length;
+    if (n === 0) return new Float64Array(0);
+
+    const padLength = Math.min(n - 1, 3 * (2 * filter.sections.length + 1));
+    const extended = new Float64Array(n + 2 * padLength);
+
+    for (let i = 0; i < padLength; i++) {
+      extended[i] = 2 * signal[0] - signal[padLength - i];
+      extended[n + padLength + i] = 2 * signal[n - 1] - signal[n - 2 - i];
+    }
+    for (let i = 0; i < n; i++) {
+      extended[padLength + i] = signal[i];
+    }
+
+    const steadyState = this.computeSteadyStates(filter);
+    const scaled = (value) => steadyState.map(([z1, z2]) => [z1 * value, z2 * value]);
+
+    const forward = this.filter(extended, filter, scaled(extended[0]));
+    forward.reverse();
+    const backward = this.filter(forward, filter, scaled(forward[0]));
+    backward.reverse();
+
+    return backward.slice(padLength, padLength + n);
+  }
+
+  /**
+   * Per-section initial states for a unit step input (as in scipy.signal.sosfilt_zi)
+   */
+  computeSteadyStates(filter) {
+    let scale = 1;
+
+    return filter.sections.map(({ b, a }) => {
+      const dcGain = (b[0] + b[1] + b[2]) / (a[0] + a[1] + a[2]);
+      const z2 = b[2] - a[2] * dcGain;
+      const z1 = b[1] - a[1] * dcGain + z2;
+      const state = [z1 * scale, z2 * scale];
+      scale *= dcGain;
+      return state;
+    });
+  }
+
+  /**
+   * Band-limit a signal with a zero-phase bandpass
+   */
+  bandpass(signal, band, options = {}) {
+    return this.filtfilt(signal, this.design('bandpass', band, options));
+  }
+
+  /**
+   * Remove mains interference (fundamental and harmonics below Nyquist)
+   */
+  removeMains(signal, options = {}) {
+    const {
+      frequency = this.config.mainsFrequency,
+      harmonics = 1,
+      sampleRate = this.config.sampleRate
+    } = options;
+
+    let output = Float64Array.from(signal);
+    for (let h = 1; h <= harmonics; h++) {
+      const f = frequency * h;
+      if (f >= sampleRate / 2) break;
+      output = this.filtfilt(output, this.designNotch(f, options));
+    }
+
+    return output;
+  }
+
+  /**
+   * Mean power of the signal inside a frequency band (mean-removed, zero-phase bandpass)
+   */
+  bandPower(signal, band, options = {}) {
+    const mean = signal.reduce((sum, v) => sum + v, 0) / (signal.length || 1);
+    const filtered = this.bandpass(Array.from(signal, v => v - mean), band, options);
+
+    let power = 0;
+    for (let i = 0; i < filtered.length; i++) {
+      power += filtered[i] * filtered[i];
+    }
+
+    return filtered.length > 0 ? power / filtered.length : 0;
+  }
+
+  /**
+   * Absolute and relative band powers for a named band map, e.g. { alpha: [8, 13], ... }.
+   * Bands reaching Nyquist are clipped; bands entirely above it are reported as 0.
+   */
+  bandPowers(signal, bands, options = {}) {
+    const sampleRate = options.sampleRate || this.config.sampleRate;
+    const nyquist = sampleRate / 2;
+    const absolute = {};
+
+    for (const [name, [low, high]] of Object.entries(bands)) {
+      const upper = Math.min(high, nyquist * 0.99);
+      absolute[name] = low < upper ? this.bandPower(signal, [low, upper], options) : 0;
+    }
+
+    const total = Object.values(absolute).reduce((sum, p) => sum + p, 0);
+    const relative = {};
+    for (const name of Object.keys(absolute)) {
+      relative[name] = total > 0 ? absolute[name] / total : 0;
+    }
+
+    return { absolute, relative, total };
+  }
+
+  /**
+   * R-peak sample indices of an ECG: maxima of the QRS-band energy above half
+   * its 99th percentile, one per refractory period (seconds)
+   */
+  detectRPeaks(signal, options = {}) {
+    const { band = [5, 15], refractory = 0.25, sampleRate = this.config.sampleRate } = options;
+    const energy = this.bandpass(signal, band, { ...options, sampleRate }).map(v => v * v);
+    const sorted = Float64Array.from(energy).sort();
+    const threshold = 0.5 * sorted[Math.floor(0.99 * (sorted.length - 1))];
+    const minGap = Math.round(refractory * sampleRate);
+
+    const peaks = [];
+    for (let i = 1; i < energy.length - 1; i++) {
+      if (!(energy[i] >= threshold && energy[i] >= energy[i - 1] && energy[i] > energy[i + 1])) continue;
+
+      const last = peaks.length - 1;
+      if (last >= 0 && i - peaks[last] < minGap) {
+        if (energy[i] > energy[peaks[last]]) peaks[last] = i;
+      } else {
+        peaks.push(i);
+      }
+    }
+
+    return peaks;
+  }
+
+  /**
+   * RR intervals (ms) linearly interpolated onto an even grid at `rate` Hz,
+   * the series HRV band powers are defined on. Beat i falls rr[1] + ... + rr[i]
+   * ms after the first.
+   */
+  resampleTachogram(rr, rate) {
+    const beatTimes = [0];
+    for (let i = 1; i < rr.length; i++) {
+      beatTimes.push(beatTimes[i - 1] + rr[i] / 1000);
+    }
+
+    const duration = beatTimes[beatTimes.length - 1];
+    const resampled = [];
+    let j = 0;
+    for (let t = 0; t <= duration; t += 1 / rate) {
+      while (j < beatTimes.length - 2 && beatTimes[j + 1] < t) j++;
+      const span = beatTimes[j + 1] - beatTimes[j];
+      const fraction = span > 0 ? (t - beatTimes[j]) / span : 0;
+      resampled.push(rr[j] + fraction * (rr[j + 1] - rr[j]));
+    }
+
+    return resampled;
+  }
+
+  /**
+   * Complex frequency response magnitude at the given frequencies (Hz)
+   */
+  frequencyResponse(filter, frequencies) {
+    return frequencies.map(f => {
+      const w = 2 * Math.PI * f / filter.sampleRate;
+      // z^-1 and z^-2 on the unit circle
+      const z1 = { real: Math.cos(w), imag: -Math.sin(w) };
+      const z2 = { real: Math.cos(2 * w), imag: -Math.sin(2 * w) };
+
+      let magnitude = 1;
+      for (const { b, a } of filter.sections) {
+        const numerator = {
+          real: b[0] + b[1] * z1.real + b[2] * z2.real,
+          imag: b[1] * z1.imag + b[2] * z2.imag
+        };
+        const denominator = {
+          real: a[0] + a[1] * z1.real + a[2] * z2.real,
+          imag: a[1] * z1.imag + a[2] * z2.imag
+        };
+        magnitude *= cAbs(numerator) / cAbs(denominator);
+      }
+
+      return magnitude;
+    });
+  }
+
+  /**
+   * Butterworth analog lowpass prototype (unit cutoff)
+   */
+  butterworthPrototype(order) {
+    const poles = [];
+    for (let k = 0; k < order; k++) {
+      const theta = Math.PI * (2 * k + order + 1) / (2 * order);
+      poles.push({ real: Math.cos(theta), imag: Math.sin(theta) });
+    }
+    return { zeros: [], poles, gain: 1 };
+  }
+
+  /**
+   * Chebyshev type I analog lowpass prototype (unit passband edge, `ripple` dB)
+   */
+  chebyshevPrototype(order, ripple) {
+    const epsilon = Math.sqrt(Math.pow(10, ripple / 10) - 1);
+    const mu = Math.asinh(1 / epsilon) / order;
+    const poles = [];
+
+    for (let k = 0; k < order; k++) {
+      const theta = Math.PI * (2 * k + 1) / (2 * order);
+      poles.push({
+        real: -Math.sinh(mu) * Math.sin(theta),
+        imag: Math.cosh(mu) * Math.cos(theta)
+      });
+    }
+
+    let gain = cProduct(poles.map(cNegate)).real;
+    if (order % 2 === 0) gain /= Math.sqrt(1 + epsilon * epsilon);
+
+    return { zeros: [], poles, gain };
+  }
+
+  lowpassToLowpass({ zeros, poles, gain }, wo) {
+    const degree = poles.length - zeros.length;
+    return {
+      zeros: zeros.map(z => cScale(z, wo)),
+      poles: poles.map(p => cScale(p, wo)),
+      gain: gain * Math.pow(wo, degree)
+    };
+  }
+
+  lowpassToHighpass({ zeros, poles, gain }, wo) {
+    const degree = poles.length - zeros.length;
+    const ratio = cDivide(cProduct(zeros.map(cNegate)), cProduct(poles.map(cNegate)));
+    return {
+      zeros: [...zeros.map(z => cDivide({ real: wo, imag: 0 }, z)), ...zeroArray(degree)],
+      poles: poles.map(p => cDivide({ real: wo, imag: 0 }, p)),
+      gain: gain * ratio.real
+    };
+  }
+
+  lowpassToBandpass({ zeros, poles, gain }, w1, w2) {
+    const degree = poles.length - zeros.length;
+    const bandwidth = w2 - w1;
+    const wo = Math.sqrt(w1 * w2);
+
+    const transform = (roots) => roots.flatMap(r => {
+      const scaled = cScale(r, bandwidth / 2);
+      const root = cSqrt(cSubtract(cMultiply(scaled, scaled), { real: wo * wo, imag: 0 }));
+      return [cAdd(scaled, root), cSubtract(scaled, root)];
+    });
+
+    return {
+      zeros: [...transform(zeros), ...zeroArray(degree)],
+      poles: transform(poles),
+      gain: gain * Math.pow(bandwidth, degree)
+    };
+  }
+
+  lowpassToBandstop({ zeros, poles, gain }, w1, w2) {
+    const degree = poles.length - zeros.length;
+    const bandwidth = w2 - w1;
+    const wo = Math.sqrt(w1 * w2);
+    const ratio = cDivide(cProduct(zeros.map(cNegate)), cProduct(poles.map(cNegate)));
+
+    const transform = (roots) => roots.flatMap(r => {
+      const inverted = cDivide({ real: bandwidth / 2, imag: 0 }, r);
+      const root = cSqrt(cSubtract(cMultiply(inverted, inverted), { real: wo * wo, imag: 0 }));
+      return [cAdd(inverted, root), cSubtract(inverted, root)];
+    });
+
+    const stopZeros = [];
+    for (let i = 0; i < degree; i++) {
+      stopZeros.push({ real: 0, imag: wo }, { real: 0, imag: -wo });
+    }
+
+    return {
+      zeros: [...transform(zeros), ...stopZeros],
+      poles: transform(poles),
+      gain: gain * ratio.real
+    };
+  }
+
+  /**
+   * Bilinear transform s = fs2 (z - 1) / (z + 1) in zero/pole/gain form
+   */
+  bilinear({ zeros, poles, gain }, fs2) {
+    const degree = poles.length - zeros.length;
+    const fs2c = { real: fs2, imag: 0 };
+    const map = (r) => cDivide(cAdd(fs2c, r), cSubtract(fs2c, r));
+    const ratio = cDivide(
+      cProduct(zeros.map(z => cSubtract(fs2c, z))),
+      cProduct(poles.map(p => cSubtract(fs2c, p)))
+    );
+
+    const digitalZeros = zeros.map(map);
+    for (let i = 0; i < degree; i++) digitalZeros.push({ real: -1, imag: 0 });
+
+    return {
+      zeros: digitalZeros,
+      poles: poles.map(map),
+      gain: gain * ratio.real
+    };
+  }
+
+  /**
+   * Group conjugate roots into biquads, pairing each pole pair with its nearest
+   * zeros (poles closest to the unit circle first), gain applied to the first section.
+   */
+  zpkToSections({ zeros, poles, gain }) {
+    const poleGroups = groupRoots(poles);
+    const zeroGroups = groupRoots(zeros);
+    const remainingZeros = zeroGroups.flat();
+
+    poleGroups.sort((g1, g2) => maxAbs(g2) - maxAbs(g1));
+
+    const sections = poleGroups.map((poleGroup) => {
+      const sectionZeros = [];
+      const reference = poleGroup[0];
+
+      while (sectionZeros.length < poleGroup.length && remainingZeros.length > 0) {
+        // Prefer an intact conjugate pair when two zeros are needed
+        let best = -1;
+        let bestDistance = Infinity;
+        remainingZeros.forEach((z, i) => {
+          const distance = cAbs(cSubtract(z, reference));
+          if (distance < bestDistance) {
+            best = i;
+            bestDistance = distance;
+          }
+        });
+
+        const [zero] = remainingZeros.splice(best, 1);
+        sectionZeros.push(zero);
+
+        if (Math.abs(zero.imag) > ROOT_TOLERANCE) {
+          const conjugate = remainingZeros.findIndex(z =>
+            Math.abs(z.real - zero.real) < 1e-9 && Math.abs(z.imag + zero.imag) < 1e-9
+          );
+          if (conjugate !== -1) sectionZeros.push(remainingZeros.splice(conjugate, 1)[0]);
+        }
+      }
+
+      return {
+        b: quadraticFromRoots(sectionZeros),
+        a: quadraticFromRoots(poleGroup)
+      };
+    });
+
+    // Sections nearest the unit circle run last
+    sections.reverse();
+    if (sections.length > 0) {
+      sections[0].b = sections[0].b.map(c => c * gain);
+    }
+
+    return sections;
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+    this.cache.clear();
+  }
+}
+
+const ROOT_TOLERANCE = 1e-10;
+
+/**
+ * Complex helpers on { real, imag } values
+ */
+function cAdd(a, b) {
+  return { real: a.real + b.real, imag: a.imag + b.imag };
+}
+
+function cSubtract(a, b) {
+  return { real: a.real - b.real, imag: a.imag - b.imag };
+}
+
+function cMultiply(a, b) {
+  return { real: a.real * b.real - a.imag * b.imag, imag: a.real * b.imag + a.imag * b.real };
+}
+
+function cDivide(a, b) {
+  const denom = b.real * b.real + b.imag * b.imag;
+  return {
+    real: (a.real * b.real + a.imag * b.imag) / denom,
+    imag: (a.imag * b.real - a.real * b.imag) / denom
+  };
+}
+
+function cScale(a, k) {
+  return { real: a.real * k, imag: a.imag * k };
+}
+
+function cNegate(a) {
+  return { real: -a.real, imag: -a.imag };
+}
+
+function cAbs(a) {
+  return Math.hypot(a.real, a.imag);
+}
+
+function cSqrt(a) {
+  const r = cAbs(a);
+  const real = Math.sqrt((r + a.real) / 2);
+  const imag = Math.sqrt(Math.max(0, (r - a.real) / 2));
+  return { real, imag: a.imag < 0 ? -imag : imag };
+}
+
+function cProduct(values) {
+  return values.reduce((acc, v) => cMultiply(acc, v), { real: 1, imag: 0 });
+}
+
+function zeroArray(count) {
+  return Array.from({ length: count }, () => ({ real: 0, imag: 0 }));
+}
+
+function maxAbs(group) {
+  return Math.max(...group.map(cAbs));
+}
+
+/**
+ * Split roots into conjugate pairs and pairs of real roots (a lone real root stays single)
+ */
+function groupRoots(roots) {
+  const complex = roots.filter(r => r.imag > ROOT_TOLERANCE);
+  const real = roots
+    .filter(r => Math.abs(r.imag) <= ROOT_TOLERANCE)
+    .map(r => ({ real: r.real, imag: 0 }))
+    .sort((r1, r2) => Math.abs(r2.real) - Math.abs(r1.real));
+
+  const groups = complex.map(r => [r, { real: r.real, imag: -r.imag }]);
+  for (let i = 0; i < real.length; i += 2) {
+    groups.push(real.slice(i, i + 2));
+  }
+
+  return groups;
+}
+
+/**
+ * Real coefficients [1, c1, c2] of Π (1 - r z^-1) over up to two roots
+ */
+function quadraticFromRoots(roots) {
+  if (roots.length === 0) return [1, 0, 0];
+  if (roots.length === 1) return [1, -roots[0].real, 0];
+
+  const [r1, r2] = roots;
+  const sum = cAdd(r1, r2);
+  const product = cMultiply(r1, r2);
+  return [1, -sum.real, product.real];
+}
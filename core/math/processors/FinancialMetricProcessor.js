@@ -7,11 +7,13 @@
  * - Calmar Ratio (return vs maximum drawdown)
  * - Information Ratio
  * - Maximum Drawdown analysis
- * - Value at Risk (VaR) calculations
+ * - Value at Risk (VaR) calculations, empirical and from fitted tails
  * 
  * @version 2.0.0
  */
 
+import { DistributionProcessor } from './DistributionProcessor.js';
+
 export class FinancialMetricProcessor {
   constructor(config = {}) {
     this.config = {
@@ -19,8 +21,15 @@ export class FinancialMetricProcessor {
       confidenceLevel: 0.05, // 95% confidence for VaR
       periodsPerYear: 252, // Trading days per year (can be adjusted for hourly: 24*365)
       minObservations: 30,
+      tailRisk: {
+        tailFraction: 0.1,         // Share of returns in the Generalized Pareto loss tail
+        minExceedances: 20,        // Fitted tail risk needs this many tail returns
+        distribution: 'skewedT'    // Full-sample parametric model
+      },
       ...config
     };
+    
+    this.distributions = new DistributionProcessor();
   }
 
   /**
@@ -171,7 +180,41 @@ export class FinancialMetricProcessor {
       conditionalVaR,
       skewness,
       kurtosis,
-      confidenceLevel: this.config.confidenceLevel
+      confidenceLevel: this.config.confidenceLevel,
+      fittedTail: this.computeFittedTailRisk(returns)
+    };
+  }
+
+  /**
+   * VaR and expected shortfall (as returns, like the empirical values) from a
+   * Generalized Pareto fit to the loss tail and from a full-sample parametric fit.
+   * Null when the sample holds fewer than tailRisk.minExceedances tail returns.
+   */
+  computeFittedTailRisk(returns) {
+    const { tailFraction, minExceedances, distribution } = this.config.tailRisk;
+    const level = this.config.confidenceLevel;
+    
+    if (Math.floor(tailFraction * returns.length) < minExceedances) return null;
+    
+    const pareto = this.distributions.fitGeneralizedPareto(returns, { tail: 'lower', tailFraction, minExceedances });
+    const parametric = this.distributions.fitDistribution(distribution, returns);
+    
+    return {
+      generalizedPareto: pareto.fitted ? {
+        valueAtRisk: this.distributions.quantile('generalizedPareto', level, pareto.parameters),
+        conditionalVaR: this.distributions.expectedShortfall('generalizedPareto', level, pareto.parameters),
+        shape: pareto.parameters.shape,
+        scale: pareto.parameters.scale,
+        threshold: pareto.parameters.threshold,
+        exceedances: pareto.parameters.exceedances
+      } : null,
+      parametric: parametric.fitted ? {
+        distribution,
+        valueAtRisk: this.distributions.quantile(distribution, level, parametric.parameters),
+        conditionalVaR: this.distributions.expectedShortfall(distribution, level, parametric.parameters),
+        parameters: parametric.parameters,
+        aic: parametric.aic
+      } : null
     };
   }
 
@@ -6,10 +6,14 @@
  * - Correlation dimension
  * - Higuchi fractal dimension
  * - Detrended fluctuation analysis
+ * - Multifractal DFA (generalized Hurst exponents and singularity spectrum)
+ * - Rescaled-range Hurst exponent with confidence bounds
  * 
  * @version 2.0.0
  */
 
+import { lnGamma, studentTQuantile } from '../SpecialFunctions.js';
+
 export class FractalProcessor {
   constructor(config = {}) {
     this.config = {
@@ -29,6 +33,19 @@ export class FractalProcessor {
         maxWindowSize: 64,
         overlap: 0.5
       },
+      mfdfa: {
+        qValues: [-5, -4, -3, -2, -1, 0, 1, 2, 3, 4, 5],
+        order: 1,          // Detrending polynomial order
+        minScale: 8,
+        maxScale: null,    // Defaults to N / 4
+        numScales: 12
+      },
+      hurst: {
+        minWindow: 8,
+        numWindows: 10,
+        correction: 'anis-lloyd', // 'anis-lloyd' | 'none'
+        confidenceLevel: 0.95
+      },
       ...config
     };
   }
@@ -42,12 +59,16 @@ export class FractalProcessor {
       const correlation = this.computeCorrelationDimension(signal);
       const higuchi = this.computeHiguchiFractalDimension(signal);
       const dfa = this.computeDetrendedFluctuationAnalysis(signal);
+      const multifractal = this.computeMultifractalDFA(signal);
+      const hurst = this.computeRescaledRangeHurst(signal);
       
       return {
         boxCounting,
         correlation,
         higuchi,
         dfa,
+        multifractal,
+        hurst,
         complexity: this.assessComplexity(boxCounting, correlation, higuchi),
         timestamp: Date.now()
       };
@@ -310,6 +331,238 @@ export class FractalProcessor {
     return Math.sqrt(totalVariance / numWindows);
   }
 
+  /**
+   * Multifractal DFA (Kantelhardt et al., 2002). Segments are taken from both ends of
+   * the profile, detrended with a polynomial of the configured order, and the q-th order
+   * fluctuation F_q(s) ~ s^h(q) gives the generalized Hurst exponents. The singularity
+   * spectrum follows from τ(q) = q·h(q) - 1 by Legendre transform: α = τ'(q),
+   * f(α) = q·α - τ. Its width Δα = α_max - α_min measures multifractality.
+   */
+  computeMultifractalDFA(signal, options = {}) {
+    const { qValues, order, minScale, maxScale, numScales } = { ...this.config.mfdfa, ...options };
+    const n = signal.length;
+    const upper = Math.min(maxScale ?? Math.floor(n / 4), Math.floor(n / 4));
+    const lower = Math.max(minScale, order + 2);
+    
+    if (upper <= lower) {
+      return { qValues, scales: [], hq: [], tau: [], alpha: [], f: [], width: 0, alpha0: 0.5, hurst: 0.5 };
+    }
+    
+    // Profile of the mean-removed signal
+    const mean = signal.reduce((sum, val) => sum + val, 0) / n;
+    const profile = new Float64Array(n);
+    let cumulative = 0;
+    for (let i = 0; i < n; i++) {
+      cumulative += signal[i] - mean;
+      profile[i] = cumulative;
+    }
+    
+    const scales = this.logSpacedIntegers(lower, upper, numScales);
+    const fluctuations = scales.map(scale => {
+      const variances = this.computeSegmentVariances(profile, scale, order);
+      return qValues.map(q => this.computeQOrderFluctuation(variances, q));
+    });
+    
+    const logScales = scales.map(Math.log);
+    const hq = qValues.map((_, qi) =>
+      this.computeLinearSlope(logScales, fluctuations.map(f => Math.log(f[qi])))
+    );
+    
+    const tau = qValues.map((q, i) => q * hq[i] - 1);
+    const alpha = qValues.map((_, i) => {
+      const lo = Math.max(0, i - 1);
+      const hi = Math.min(qValues.length - 1, i + 1);
+      return (tau[hi] - tau[lo]) / (qValues[hi] - qValues[lo]);
+    });
+    const f = qValues.map((q, i) => q * alpha[i] - tau[i]);
+    
+    const peak = f.indexOf(Math.max(...f));
+    const q2 = qValues.indexOf(2);
+    
+    return {
+      qValues,
+      scales,
+      fluctuations: scales.map((scale, i) => ({ scale, fq: fluctuations[i] })),
+      hq,
+      tau,
+      alpha,
+      f,
+      width: Math.max(...alpha) - Math.min(...alpha),
+      alpha0: alpha[peak],
+      hurst: q2 >= 0 ? hq[q2] : this.computeLinearSlope(logScales, fluctuations.map(f => Math.log(f[Math.floor(f.length / 2)])))
+    };
+  }
+
+  /**
+   * Detrended variance of every length-`scale` segment of the profile, counted from
+   * the start and from the end so no samples are discarded
+   */
+  computeSegmentVariances(profile, scale, order) {
+    const basis = this.getOrthonormalPolynomials(scale, order);
+    const count = Math.floor(profile.length / scale);
+    const offsets = [];
+    
+    for (let v = 0; v < count; v++) {
+      offsets.push(v * scale);
+      offsets.push(profile.length - (v + 1) * scale);
+    }
+    
+    return offsets.map(start => {
+      // Residual after projecting onto the polynomial subspace
+      let energy = 0;
+      for (let j = 0; j < scale; j++) {
+        energy += profile[start + j] * profile[start + j];
+      }
+      for (const p of basis) {
+        let projection = 0;
+        for (let j = 0; j < scale; j++) {
+          projection += profile[start + j] * p[j];
+        }
+        energy -= projection * projection;
+      }
+      return Math.max(energy, 0) / scale;
+    });
+  }
+
+  /**
+   * q-th order average of segment variances; q = 0 uses the logarithmic average.
+   * Segments with vanishing variance are skipped since they diverge for q < 0.
+   */
+  computeQOrderFluctuation(variances, q) {
+    const valid = variances.filter(v => v > 1e-300);
+    if (valid.length === 0) return 1e-150;
+    
+    if (q === 0) {
+      return Math.exp(valid.reduce((sum, v) => sum + Math.log(v), 0) / (2 * valid.length));
+    }
+    
+    const mean = valid.reduce((sum, v) => sum + Math.pow(v, q / 2), 0) / valid.length;
+    return Math.pow(mean, 1 / q);
+  }
+
+  /**
+   * Discrete orthonormal polynomials of degree 0..order on `length` points
+   * (Gram-Schmidt on monomials of x scaled to [-1, 1])
+   */
+  getOrthonormalPolynomials(length, order) {
+    const x = Array.from({ length }, (_, i) => (length > 1 ? 2 * i / (length - 1) - 1 : 0));
+    const basis = [];
+    
+    for (let degree = 0; degree <= order && degree < length; degree++) {
+      const p = x.map(v => Math.pow(v, degree));
+      
+      // Two Gram-Schmidt passes for numerical orthogonality
+      for (let pass = 0; pass < 2; pass++) {
+        for (const b of basis) {
+          const dot = p.reduce((sum, v, i) => sum + v * b[i], 0);
+          for (let i = 0; i < length; i++) p[i] -= dot * b[i];
+        }
+      }
+      
+      const norm = Math.sqrt(p.reduce((sum, v) => sum + v * v, 0));
+      if (norm > 1e-12) basis.push(p.map(v => v / norm));
+    }
+    
+    return basis;
+  }
+
+  /**
+   * Hurst exponent by rescaled-range (R/S) analysis. With the Anis-Lloyd-Peters
+   * correction the small-sample bias of R/S is removed by regressing
+   * log(R/S) - log E[R/S] and adding 0.5. Bounds use the t distribution of the
+   * regression slope; R/S values at neighbouring windows are correlated, so they
+   * are somewhat narrower than the true sampling spread.
+   */
+  computeRescaledRangeHurst(signal, options = {}) {
+    const { minWindow, numWindows, correction, confidenceLevel } = { ...this.config.hurst, ...options };
+    const n = signal.length;
+    const upper = Math.floor(n / 2);
+    
+    if (upper <= minWindow) {
+      return { hurst: 0.5, standardError: null, lower: null, upper: null, confidenceLevel, windows: [] };
+    }
+    
+    const windows = [];
+    for (const size of this.logSpacedIntegers(minWindow, upper, numWindows)) {
+      const blocks = Math.floor(n / size);
+      let total = 0;
+      let counted = 0;
+      
+      for (let b = 0; b < blocks; b++) {
+        const rs = this.computeRescaledRange(signal, b * size, size);
+        if (rs !== null) {
+          total += rs;
+          counted++;
+        }
+      }
+      
+      if (counted > 0) {
+        windows.push({ size, rs: total / counted, expected: this.expectedRescaledRange(size) });
+      }
+    }
+    
+    if (windows.length < 3) {
+      return { hurst: 0.5, standardError: null, lower: null, upper: null, confidenceLevel, windows };
+    }
+    
+    const corrected = correction === 'anis-lloyd';
+    const x = windows.map(w => Math.log(w.size));
+    const y = windows.map(w => Math.log(w.rs) - (corrected ? Math.log(w.expected) : 0));
+    const { slope, standardError, rSquared } = this.computeRegression(x, y);
+    
+    const hurst = corrected ? 0.5 + slope : slope;
+    const margin = studentTQuantile((1 + confidenceLevel) / 2, windows.length - 2) * standardError;
+    
+    return {
+      hurst,
+      standardError,
+      lower: hurst - margin,
+      upper: hurst + margin,
+      confidenceLevel,
+      rSquared,
+      correction,
+      windows
+    };
+  }
+
+  /**
+   * R/S statistic of one block, or null for a constant block
+   */
+  computeRescaledRange(signal, start, size) {
+    let mean = 0;
+    for (let i = 0; i < size; i++) mean += signal[start + i];
+    mean /= size;
+    
+    let cumulative = 0;
+    let max = 0;
+    let min = 0;
+    let variance = 0;
+    
+    for (let i = 0; i < size; i++) {
+      const deviation = signal[start + i] - mean;
+      cumulative += deviation;
+      max = Math.max(max, cumulative);
+      min = Math.min(min, cumulative);
+      variance += deviation * deviation;
+    }
+    
+    const std = Math.sqrt(variance / size);
+    return std > 0 ? (max - min) / std : null;
+  }
+
+  /**
+   * Anis-Lloyd expected R/S of i.i.d. Gaussian noise
+   */
+  expectedRescaledRange(size) {
+    let sum = 0;
+    for (let i = 1; i < size; i++) {
+      sum += Math.sqrt((size - i) / i);
+    }
+    
+    const gammaRatio = Math.exp(lnGamma((size - 1) / 2) - lnGamma(size / 2)) / Math.sqrt(Math.PI);
+    return gammaRatio * sum;
+  }
+
   /**
    * Classify DFA exponent
    */
@@ -377,6 +630,50 @@ export class FractalProcessor {
     return denominator > 0 ? numerator / denominator : 0;
   }
 
+  /**
+   * Ordinary least squares line with slope standard error and R²
+   */
+  computeRegression(x, y) {
+    const n = x.length;
+    const meanX = x.reduce((sum, val) => sum + val, 0) / n;
+    const meanY = y.reduce((sum, val) => sum + val, 0) / n;
+    
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+      sxx += (x[i] - meanX) ** 2;
+      sxy += (x[i] - meanX) * (y[i] - meanY);
+      syy += (y[i] - meanY) ** 2;
+    }
+    
+    const slope = sxx > 0 ? sxy / sxx : 0;
+    const intercept = meanY - slope * meanX;
+    const residual = Math.max(syy - slope * sxy, 0);
+    
+    return {
+      slope,
+      intercept,
+      standardError: n > 2 && sxx > 0 ? Math.sqrt(residual / (n - 2) / sxx) : 0,
+      rSquared: syy > 0 ? 1 - residual / syy : 0
+    };
+  }
+
+  /**
+   * Up to `count` distinct integers spaced evenly in log between min and max
+   */
+  logSpacedIntegers(min, max, count) {
+    if (count < 2 || max <= min) return [min];
+    
+    const values = new Set();
+    const ratio = Math.log(max / min) / (count - 1);
+    for (let i = 0; i < count; i++) {
+      values.add(Math.round(min * Math.exp(ratio * i)));
+    }
+    
+    return [...values].sort((a, b) => a - b);
+  }
+
   computeLinearTrend(signal) {
     const n = signal.length;
     const x = Array.from({ length: n }, (_, i) => i);
@@ -0,0 +1,358 @@
+/**
+ * LyapunovProcessor - Largest Lyapunov exponent estimation
+ *
+ * Measures the mean exponential divergence of nearby trajectories in a delay
+ * embedding of a scalar series:
+ * - Rosenstein, Collins & De Luca (1993): slope of the mean log divergence of
+ *   nearest-neighbour pairs, robust for short and noisy series
+ * - Wolf, Swift, Swinney & Vastano (1985): fixed-evolution tracking of one
+ *   separation with orientation-preserving neighbour replacement
+ * - Sliding-window estimates whose rise flags the onset of chaotic dynamics
+ *
+ * Embedding dimension and delay come from RecurrenceProcessor (false nearest
+ * neighbours / mutual information) unless configured.
+ *
+ * @version 2.1.0
+ */
+
+import { RecurrenceProcessor } from './RecurrenceProcessor.js';
+
+export class LyapunovProcessor {
+  constructor(config = {}) {
+    this.config = {
+      method: 'rosenstein',       // 'rosenstein' | 'wolf'
+      sampleRate: 1,              // Exponents are per second (per sample at 1)
+      embeddingDimension: 'auto', // number | 'auto'
+      delay: 'auto',              // number | 'auto'
+      theilerWindow: 'auto',      // Temporal exclusion for neighbours; 'auto' = mean period
+      maxPoints: 1000,            // Most recent embedded points used (neighbour search is O(N²))
+      divergenceSteps: 20,        // Rosenstein: length of the mean log-divergence curve
+      fitStart: 'auto',           // Rosenstein: first step fitted; 'auto' = embedding window (m - 1)τ + 1
+      fitSteps: 'auto',           // Rosenstein: last step fitted; 'auto' stops before saturation
+      saturation: 0.7,            // ...at this fraction of the rise to the curve's plateau
+      evolutionSteps: 3,          // Wolf: steps a separation is followed before replacement
+      minScale: 0.001,            // Wolf: smallest admissible separation (fraction of the signal's std)
+      maxScale: 0.1,              // Wolf: largest admissible separation (fraction of the signal's std)
+      maxAngle: 0.3,              // Wolf: radians a replacement may turn the separation
+      window: 500,                // Sliding estimates: window length (samples)
+      step: 250,                  // ...and hop
+      maxWindows: 8,              // ...most recent windows kept
+      ...config
+    };
+
+    this.recurrence = new RecurrenceProcessor();
+  }
+
+  /**
+   * Largest Lyapunov exponent with the configured or requested method. Null when
+   * the series is too short or constant to embed.
+   */
+  estimate(signal, options = {}) {
+    const method = options.method || this.config.method;
+
+    switch (method) {
+      case 'rosenstein':
+        return this.rosenstein(signal, options);
+      case 'wolf':
+        return this.wolf(signal, options);
+      default:
+        throw new Error(`Unknown Lyapunov method: ${method}`);
+    }
+  }
+
+  /**
+   * Rosenstein estimator: λ is the slope of ⟨ln d_j(i)⟩ against time, where d_j(i)
+   * is the distance between point j's nearest neighbour pair i steps later
+   */
+  rosenstein(signal, options = {}) {
+    const settings = { ...this.config, ...options };
+    const phaseSpace = this.embedSignal(signal, settings);
+    if (!phaseSpace) return null;
+
+    const { points, embedding, theilerWindow } = phaseSpace;
+    const n = points.length;
+    const neighbors = nearestNeighbors(points, theilerWindow, 1e-9 * phaseSpace.spread);
+
+    const steps = Math.min(settings.divergenceSteps, n - 1);
+    const divergence = [];
+    for (let i = 0; i <= steps; i++) {
+      let sum = 0;
+      let count = 0;
+      for (let j = 0; j + i < n; j++) {
+        const k = neighbors[j];
+        if (k < 0 || k + i >= n) continue;
+        const d = distance(points[j + i], points[k + i]);
+        if (d > 0) {
+          sum += Math.log(d);
+          count++;
+        }
+      }
+      if (count === 0) break;
+      divergence.push(sum / count);
+    }
+    if (divergence.length < 3) return null;
+
+    // On noisy data the selected neighbours sit below the noise floor until the
+    // embedding window has moved past them, which would otherwise read as divergence
+    const start = settings.fitStart === 'auto' ? (embedding.dimension - 1) * embedding.delay + 1 : settings.fitStart;
+    const fitStart = Math.max(0, Math.min(start, divergence.length - 2));
+    const fitSteps = Math.max(fitStart + 1, settings.fitSteps === 'auto' ?
+      linearRegionEnd(divergence, settings.saturation, fitStart) :
+      Math.min(settings.fitSteps, divergence.length - 1));
+    const time = divergence.map((_, i) => i / settings.sampleRate);
+    const { slope, r2 } = linearFit(time.slice(fitStart, fitSteps + 1), divergence.slice(fitStart, fitSteps + 1));
+
+    return {
+      method: 'rosenstein',
+      exponent: slope,
+      embedding,
+      theilerWindow,
+      divergence,
+      fitRange: [fitStart, fitSteps],
+      r2
+    };
+  }
+
+  /**
+   * Wolf estimator: follow one neighbour pair for evolutionSteps, accumulate the
+   * log stretch, then replace the neighbour with the closest point (within
+   * maxScale) that keeps the separation's orientation
+   */
+  wolf(signal, options = {}) {
+    const settings = { ...this.config, ...options };
+    const phaseSpace = this.embedSignal(signal, settings);
+    if (!phaseSpace) return null;
+
+    const { points, embedding, theilerWindow, spread } = phaseSpace;
+    const n = points.length;
+    const evolution = Math.max(1, settings.evolutionSteps);
+    const minScale = settings.minScale * spread;
+    const maxScale = settings.maxScale * spread;
+
+    let neighbor = closestPoint(points, 0, theilerWindow, minScale, Infinity);
+    if (neighbor < 0) return null;
+
+    let logStretch = 0;
+    let elapsed = 0;
+    let replacements = 0;
+    for (let fiducial = 0; fiducial + evolution < n && neighbor + evolution < n; fiducial += evolution) {
+      const initial = distance(points[fiducial], points[neighbor]);
+      const next = fiducial + evolution;
+      const evolved = neighbor + evolution;
+      const final = distance(points[next], points[evolved]);
+      if (initial > 0 && final > 0) {
+        logStretch += Math.log(final / initial);
+        elapsed += evolution;
+      }
+
+      // Keep the evolved neighbour while it is still close enough
+      if (final <= maxScale && final >= minScale) {
+        neighbor = evolved;
+        continue;
+      }
+
+      const separation = points[evolved].map((v, k) => v - points[next][k]);
+      const replacement = replacementPoint(points, next, separation, theilerWindow, minScale, maxScale, settings.maxAngle);
+      neighbor = replacement >= 0 ? replacement : closestPoint(points, next, theilerWindow, minScale, Infinity);
+      if (neighbor < 0) break;
+      replacements++;
+    }
+    if (elapsed === 0) return null;
+
+    return {
+      method: 'wolf',
+      exponent: logStretch / elapsed * settings.sampleRate,
+      embedding,
+      theilerWindow,
+      replacements,
+      evolutionTime: elapsed / settings.sampleRate
+    };
+  }
+
+  /**
+   * Exponents over sliding windows with a common embedding (resolved on the
+   * latest window). `onset` is the latest exponent's z-score against the earlier
+   * windows, rising when nearby trajectories start to diverge faster.
+   */
+  slidingExponent(signal, options = {}) {
+    const settings = { ...this.config, ...options };
+    const samples = Float64Array.from(signal); // Windows are zero-copy views of one copy
+    const window = Math.min(settings.window, samples.length);
+    const starts = [];
+    for (let start = samples.length - window; start >= 0 && starts.length < settings.maxWindows; start -= settings.step) {
+      starts.unshift(start);
+    }
+
+    const latest = samples.subarray(samples.length - window);
+    const embedding = this.recurrence.resolveEmbedding(latest, {
+      ...this.recurrence.config,
+      embeddingDimension: settings.embeddingDimension,
+      delay: settings.delay
+    });
+    if (!embedding) return null;
+
+    const windowSettings = { ...options, embeddingDimension: embedding.dimension, delay: embedding.delay };
+    const exponents = [];
+    for (const start of starts) {
+      const result = this.estimate(samples.subarray(start, start + window), windowSettings);
+      if (result) exponents.push({ start, end: start + window, exponent: result.exponent });
+    }
+    if (exponents.length === 0) return null;
+
+    const values = exponents.map(e => e.exponent);
+    const current = values[values.length - 1];
+    const earlier = values.slice(0, -1);
+    const baseline = earlier.length > 0 ? earlier.reduce((a, b) => a + b, 0) / earlier.length : current;
+    const spread = earlier.length > 1 ?
+      Math.sqrt(earlier.reduce((acc, v) => acc + (v - baseline) ** 2, 0) / (earlier.length - 1)) :
+      0;
+
+    return {
+      method: settings.method,
+      embedding,
+      exponents,
+      latest: current,
+      baseline,
+      trend: values.length > 1 ? linearFit(values.map((_, i) => i), values).slope : 0,
+      onset: spread > 0 ? (current - baseline) / spread : 0
+    };
+  }
+
+  /**
+   * Delay embedding of the most recent maxPoints states, with the Theiler
+   * window resolved to the mean period (2N / zero crossings) when 'auto'
+   */
+  embedSignal(signal, settings = this.config) {
+    const embedding = this.recurrence.resolveEmbedding(signal, {
+      ...this.recurrence.config,
+      embeddingDimension: settings.embeddingDimension,
+      delay: settings.delay
+    });
+    if (!embedding) return null;
+
+    let points = this.recurrence.embed(signal, embedding.dimension, embedding.delay);
+    if (points.length > settings.maxPoints) points = points.slice(points.length - settings.maxPoints);
+    if (points.length < 10) return null;
+
+    const mean = signal.reduce((a, b) => a + b, 0) / signal.length;
+    const spread = Math.sqrt(signal.reduce((acc, v) => acc + (v - mean) ** 2, 0) / signal.length);
+
+    let theilerWindow = settings.theilerWindow;
+    if (theilerWindow === 'auto') {
+      let crossings = 0;
+      for (let i = 1; i < signal.length; i++) {
+        if ((signal[i - 1] - mean) * (signal[i] - mean) < 0) crossings++;
+      }
+      const meanPeriod = crossings > 0 ? 2 * signal.length / crossings : signal.length;
+      theilerWindow = Math.min(Math.ceil(meanPeriod), Math.floor(points.length / 4));
+    }
+
+    return { points, embedding, theilerWindow: Math.max(1, theilerWindow), spread };
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+}
+
+function distance(a, b) {
+  let sum = 0;
+  for (let k = 0; k < a.length; k++) sum += (a[k] - b[k]) ** 2;
+  return Math.sqrt(sum);
+}
+
+/**
+ * Index of each point's nearest neighbour at least theilerWindow steps away (-1
+ * if none). Exact repeats (below `resolution`) are skipped: their separation is
+ * rounding error and would read as divergence.
+ */
+function nearestNeighbors(points, theilerWindow, resolution) {
+  const n = points.length;
+  const neighbors = new Int32Array(n).fill(-1);
+  const best = new Float64Array(n).fill(Infinity);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + theilerWindow; j < n; j++) {
+      const d = distance(points[i], points[j]);
+      if (d <= resolution) continue;
+      if (d < best[i]) {
+        best[i] = d;
+        neighbors[i] = j;
+      }
+      if (d < best[j]) {
+        best[j] = d;
+        neighbors[j] = i;
+      }
+    }
+  }
+  return neighbors;
+}
+
+function closestPoint(points, index, theilerWindow, minScale, maxScale) {
+  let closest = -1;
+  let best = Infinity;
+  for (let j = 0; j < points.length; j++) {
+    if (Math.abs(j - index) < theilerWindow) continue;
+    const d = distance(points[index], points[j]);
+    if (d >= minScale && d <= maxScale && d < best) {
+      best = d;
+      closest = j;
+    }
+  }
+  return closest;
+}
+
+/**
+ * Closest point within [minScale, maxScale] whose separation from the fiducial
+ * point turns the previous separation by at most maxAngle
+ */
+function replacementPoint(points, index, separation, theilerWindow, minScale, maxScale, maxAngle) {
+  const norm = Math.sqrt(separation.reduce((acc, v) => acc + v * v, 0));
+  let replacement = -1;
+  let best = Infinity;
+  for (let j = 0; j < points.length; j++) {
+    if (Math.abs(j - index) < theilerWindow) continue;
+    const d = distance(points[index], points[j]);
+    if (d < minScale || d > maxScale || d >= best) continue;
+
+    let dot = 0;
+    for (let k = 0; k < separation.length; k++) dot += separation[k] * (points[j][k] - points[index][k]);
+    const cosine = norm > 0 ? dot / (norm * d) : 1;
+    if (Math.acos(Math.max(-1, Math.min(1, cosine))) <= maxAngle) {
+      best = d;
+      replacement = j;
+    }
+  }
+  return replacement;
+}
+
+/**
+ * Last step of the linear rise after `from`: the curve is cut where it first
+ * covers `saturation` of the climb to its plateau
+ */
+function linearRegionEnd(curve, saturation, from) {
+  const start = curve[from];
+  const plateau = Math.max(...curve.slice(from));
+  if (!(plateau > start)) return curve.length - 1;
+
+  const target = start + saturation * (plateau - start);
+  return from + curve.slice(from).findIndex(v => v >= target);
+}
+
+function linearFit(x, y) {
+  const n = x.length;
+  const meanX = x.reduce((a, b) => a + b, 0) / n;
+  const meanY = y.reduce((a, b) => a + b, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (x[i] - meanX) ** 2;
+    sxy += (x[i] - meanX) * (y[i] - meanY);
+    syy += (y[i] - meanY) ** 2;
+  }
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  return { slope, r2: sxx > 0 && syy > 0 ? sxy * sxy / (sxx * syy) : 0 };
+}
@@ -0,0 +1,392 @@
+/**
+ * RecurrenceProcessor - Recurrence quantification analysis (RQA)
+ *
+ * Reconstructs the phase space by delay embedding and quantifies when the
+ * trajectory revisits earlier states:
+ * - Embedding delay from the first minimum of the average mutual information
+ * - Embedding dimension from false nearest neighbours (Kennel, Brown & Abarbanel)
+ * - Recurrence plots with fixed-distance or fixed-rate thresholds
+ * - Recurrence rate, determinism, laminarity, trapping time, diagonal line
+ *   lengths and their Shannon entropy (Marwan et al. 2007)
+ *
+ * @version 2.1.0
+ */
+
+export class RecurrenceProcessor {
+  constructor(config = {}) {
+    this.config = {
+      embeddingDimension: 'auto', // number | 'auto' (false nearest neighbours)
+      delay: 'auto',              // number | 'auto' (first mutual-information minimum)
+      maxDimension: 8,
+      maxDelay: 20,
+      mutualInformationBins: 16,
+      fnnRatio: 10,               // Kennel R_tol: distance growth marking a false neighbour
+      fnnAttractorRatio: 2,       // Kennel A_tol, relative to the signal's standard deviation
+      fnnFraction: 0.05,          // Smallest dimension with fewer false neighbours is chosen
+      threshold: 0.1,             // Recurrence radius ε, interpreted by thresholdMode
+      thresholdMode: 'diameter',  // 'diameter' (fraction of max distance) | 'std' | 'absolute' | 'rate'
+      norm: 'euclidean',          // 'euclidean' | 'max'
+      theilerWindow: 1,           // Pairs with |i - j| below this are excluded
+      minLine: 2,                 // Shortest diagonal line counted (l_min)
+      minVertical: 2,             // Shortest vertical line counted (v_min)
+      maxPoints: 1000,            // Most recent embedded points kept (the plot is O(N²))
+      ...config
+    };
+  }
+
+  /**
+   * Embed the signal, build its recurrence plot and quantify it. Null when the
+   * series is too short or constant.
+   */
+  analyze(signal, options = {}) {
+    const plot = this.recurrencePlot(signal, options);
+    if (!plot) return null;
+
+    return {
+      embedding: plot.embedding,
+      threshold: plot.threshold,
+      points: plot.size,
+      ...this.quantify(plot.matrix, options)
+    };
+  }
+
+  /**
+   * Recurrence plot R[i][j] = 1 when embedded states i and j lie within ε. Rows
+   * are Uint8Arrays; the plot is symmetric with a recurrent main diagonal.
+   */
+  recurrencePlot(signal, options = {}) {
+    const settings = { ...this.config, ...options };
+    const embedding = this.resolveEmbedding(signal, settings);
+    if (!embedding) return null;
+
+    let points = this.embed(signal, embedding.dimension, embedding.delay);
+    if (points.length > settings.maxPoints) points = points.slice(points.length - settings.maxPoints);
+    const n = points.length;
+    if (n < 2 * settings.minLine + settings.theilerWindow) return null;
+
+    const distances = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const d = this.distance(points[i], points[j], settings.norm);
+        distances[i * n + j] = d;
+        distances[j * n + i] = d;
+      }
+    }
+
+    const threshold = this.resolveThreshold(signal, distances, n, settings);
+    const matrix = [];
+    for (let i = 0; i < n; i++) {
+      const row = new Uint8Array(n);
+      for (let j = 0; j < n; j++) row[j] = distances[i * n + j] <= threshold ? 1 : 0;
+      matrix.push(row);
+    }
+
+    return { matrix, size: n, threshold, embedding };
+  }
+
+  /**
+   * RQA measures of a recurrence plot. Pairs inside the Theiler window are
+   * excluded; determinism and laminarity are the fractions of recurrent points on
+   * diagonal / vertical lines of at least minLine / minVertical points.
+   */
+  quantify(matrix, options = {}) {
+    const { theilerWindow, minLine, minVertical } = { ...this.config, ...options };
+    const n = matrix.length;
+    const excluded = (i, j) => Math.abs(i - j) < theilerWindow;
+
+    // Recurrence rate over permitted pairs
+    let recurrences = 0;
+    let permitted = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (excluded(i, j)) continue;
+        permitted++;
+        recurrences += matrix[i][j];
+      }
+    }
+
+    // Diagonal lines of the upper triangle (the plot is symmetric)
+    const diagonals = new Map();
+    let upperRecurrences = 0;
+    for (let offset = Math.max(1, theilerWindow); offset < n; offset++) {
+      let run = 0;
+      for (let i = 0; i + offset <= n; i++) {
+        const recurrent = i + offset < n && matrix[i][i + offset] === 1;
+        if (recurrent) {
+          run++;
+          upperRecurrences++;
+        } else if (run > 0) {
+          diagonals.set(run, (diagonals.get(run) || 0) + 1);
+          run = 0;
+        }
+      }
+    }
+
+    // Vertical lines of every column
+    const verticals = new Map();
+    for (let j = 0; j < n; j++) {
+      let run = 0;
+      for (let i = 0; i <= n; i++) {
+        const recurrent = i < n && !excluded(i, j) && matrix[i][j] === 1;
+        if (recurrent) {
+          run++;
+        } else if (run > 0) {
+          verticals.set(run, (verticals.get(run) || 0) + 1);
+          run = 0;
+        }
+      }
+    }
+
+    const diagonal = lineStatistics(diagonals, minLine);
+    const vertical = lineStatistics(verticals, minVertical);
+
+    return {
+      recurrenceRate: permitted > 0 ? recurrences / permitted : 0,
+      determinism: upperRecurrences > 0 ? diagonal.points / upperRecurrences : 0,
+      averageDiagonalLength: diagonal.average,
+      maxDiagonalLength: diagonal.max,
+      divergence: diagonal.max > 0 ? 1 / diagonal.max : Infinity,
+      diagonalEntropy: diagonal.entropy,
+      laminarity: recurrences > 0 ? vertical.points / recurrences : 0,
+      trappingTime: vertical.average,
+      maxVerticalLength: vertical.max
+    };
+  }
+
+  /**
+   * Delay vectors (x[i], x[i + τ], ..., x[i + (m-1)τ])
+   */
+  embed(signal, dimension, delay) {
+    const count = signal.length - (dimension - 1) * delay;
+    const points = [];
+    for (let i = 0; i < count; i++) {
+      const point = new Array(dimension);
+      for (let k = 0; k < dimension; k++) point[k] = signal[i + k * delay];
+      points.push(point);
+    }
+    return points;
+  }
+
+  /**
+   * Configured or estimated { dimension, delay }; null for short or constant series
+   */
+  resolveEmbedding(signal, settings = this.config) {
+    if (signal.length < 10 || !(standardDeviation(signal) > 0)) return null;
+
+    const delay = settings.delay === 'auto' ?
+      this.estimateDelay(signal, settings).delay :
+      settings.delay;
+    const dimension = settings.embeddingDimension === 'auto' ?
+      this.estimateEmbeddingDimension(signal, delay, settings).dimension :
+      settings.embeddingDimension;
+
+    if (signal.length - (dimension - 1) * delay < 2) return null;
+    return { dimension, delay };
+  }
+
+  /**
+   * Delay at the first local minimum of the average mutual information I(τ), or
+   * the first τ where I(τ) falls below I(0)/e if that comes sooner
+   */
+  estimateDelay(signal, options = {}) {
+    const { maxDelay, mutualInformationBins } = { ...this.config, ...options };
+    const largest = Math.max(1, Math.min(maxDelay, Math.floor(signal.length / 4)));
+    const information = [];
+    for (let lag = 0; lag <= largest; lag++) {
+      information.push(this.mutualInformation(signal, lag, mutualInformationBins));
+    }
+
+    // Whichever comes first: past the 1/e point a later minimum is usually
+    // histogram noise on an already decorrelated series (e.g. chaotic maps)
+    let delay = largest;
+    for (let lag = 1; lag < largest; lag++) {
+      const minimum = information[lag] < information[lag - 1] && information[lag] <= information[lag + 1];
+      if (minimum || information[lag] < information[0] / Math.E) {
+        delay = lag;
+        break;
+      }
+    }
+
+    return { delay, mutualInformation: information };
+  }
+
+  /**
+   * Average mutual information (nats) between x[t] and x[t + lag] on an
+   * equal-width histogram
+   */
+  mutualInformation(signal, lag, bins = this.config.mutualInformationBins) {
+    const n = signal.length - lag;
+    if (n < 2) return 0;
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of signal) {
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    const width = (max - min) / bins;
+    if (!(width > 0)) return 0;
+
+    const bin = v => Math.min(bins - 1, Math.floor((v - min) / width));
+    const joint = new Float64Array(bins * bins);
+    const first = new Float64Array(bins);
+    const second = new Float64Array(bins);
+    for (let t = 0; t < n; t++) {
+      const a = bin(signal[t]);
+      const b = bin(signal[t + lag]);
+      joint[a * bins + b]++;
+      first[a]++;
+      second[b]++;
+    }
+
+    let information = 0;
+    for (let a = 0; a < bins; a++) {
+      for (let b = 0; b < bins; b++) {
+        const count = joint[a * bins + b];
+        if (count > 0) information += count / n * Math.log(count * n / (first[a] * second[b]));
+      }
+    }
+    return information;
+  }
+
+  /**
+   * False nearest neighbours: the fraction of nearest neighbours in dimension m
+   * that separate when the (m+1)-th coordinate is added, by more than fnnRatio
+   * times their distance or fnnAttractorRatio standard deviations overall. The
+   * first dimension below fnnFraction is chosen, else the one with the fewest.
+   */
+  estimateEmbeddingDimension(signal, delay, options = {}) {
+    const { maxDimension, fnnRatio, fnnAttractorRatio, fnnFraction, theilerWindow, maxPoints } =
+      { ...this.config, ...options };
+    const series = signal.length > maxPoints + maxDimension * delay ?
+      signal.slice(signal.length - maxPoints - maxDimension * delay) :
+      signal;
+    const spread = standardDeviation(series);
+    const falseNeighbors = [];
+
+    for (let m = 1; m <= maxDimension; m++) {
+      // Points that still have an (m+1)-th coordinate
+      const count = series.length - m * delay;
+      if (count < 10) break;
+
+      let falseCount = 0;
+      let tested = 0;
+      for (let i = 0; i < count; i++) {
+        let nearest = -1;
+        let nearestDistance = Infinity;
+        for (let j = 0; j < count; j++) {
+          if (Math.abs(i - j) < Math.max(1, theilerWindow)) continue;
+          let d = 0;
+          for (let k = 0; k < m; k++) d += (series[i + k * delay] - series[j + k * delay]) ** 2;
+          if (d < nearestDistance) {
+            nearestDistance = d;
+            nearest = j;
+          }
+        }
+        if (nearest < 0) continue;
+
+        const extra = Math.abs(series[i + m * delay] - series[nearest + m * delay]);
+        // Exact repeats (periodic signals) are true neighbours up to rounding
+        const distance = Math.sqrt(nearestDistance);
+        const grows = extra > fnnRatio * distance + 1e-9 * spread;
+        const escapes = Math.sqrt(nearestDistance + extra * extra) / spread > fnnAttractorRatio;
+        if (grows || escapes) falseCount++;
+        tested++;
+      }
+
+      falseNeighbors.push(tested > 0 ? falseCount / tested : 0);
+    }
+
+    if (falseNeighbors.length === 0) return { dimension: 1, falseNeighbors };
+
+    let dimension = falseNeighbors.findIndex(fraction => fraction < fnnFraction) + 1;
+    if (dimension === 0) {
+      dimension = falseNeighbors.indexOf(Math.min(...falseNeighbors)) + 1;
+    }
+    return { dimension, falseNeighbors };
+  }
+
+  /**
+   * Recurrence radius from the configured mode; 'rate' picks the distance
+   * quantile giving the target recurrence rate outside the Theiler window
+   */
+  resolveThreshold(signal, distances, n, settings = this.config) {
+    const { threshold, thresholdMode, theilerWindow } = settings;
+
+    switch (thresholdMode) {
+      case 'absolute':
+        return threshold;
+      case 'std':
+        return threshold * standardDeviation(signal);
+      case 'diameter': {
+        let max = 0;
+        for (let k = 0; k < distances.length; k++) if (distances[k] > max) max = distances[k];
+        return threshold * max;
+      }
+      case 'rate': {
+        const permitted = [];
+        for (let i = 0; i < n; i++) {
+          for (let j = i + Math.max(1, theilerWindow); j < n; j++) permitted.push(distances[i * n + j]);
+        }
+        permitted.sort((a, b) => a - b);
+        const index = Math.max(0, Math.ceil(threshold * permitted.length) - 1);
+        return permitted.length > 0 ? permitted[index] : 0;
+      }
+      default:
+        throw new Error(`Unknown recurrence threshold mode: ${thresholdMode}`);
+    }
+  }
+
+  distance(a, b, norm = this.config.norm) {
+    let result = 0;
+    for (let k = 0; k < a.length; k++) {
+      const d = Math.abs(a[k] - b[k]);
+      result = norm === 'max' ? Math.max(result, d) : result + d * d;
+    }
+    return norm === 'max' ? result : Math.sqrt(result);
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+}
+
+function standardDeviation(values) {
+  const n = values.length;
+  if (n < 2) return 0;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  return Math.sqrt(values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (n - 1));
+}
+
+/**
+ * Points on, mean and max length of, and Shannon entropy (nats) of the length
+ * distribution of lines at least minLength long
+ */
+function lineStatistics(histogram, minLength) {
+  let lines = 0;
+  let points = 0;
+  let max = 0;
+  for (const [length, count] of histogram) {
+    if (length < minLength) continue;
+    lines += count;
+    points += length * count;
+    max = Math.max(max, length);
+  }
+
+  let entropy = 0;
+  for (const [length, count] of histogram) {
+    if (length < minLength) continue;
+    const p = count / lines;
+    entropy -= p * Math.log(p);
+  }
+
+  return {
+    points,
+    max,
+    average: lines > 0 ? points / lines : 0,
+    entropy
+  };
+}
@@ -0,0 +1,493 @@
+/**
+ * SeasonalityProcessor - Seasonal-trend decomposition
+ *
+ * Splits a series into trend, one seasonal component per period and a remainder:
+ * - STL (Cleveland et al. 1990): loess cycle-subseries smoothing with optional
+ *   bisquare robustness iterations
+ * - MSTL (Bandara, Hyndman & Bergmeir) for several periods, e.g. hour-of-day and
+ *   day-of-week in hourly market data
+ * - Classical moving-average decomposition
+ *
+ * Periods come from the caller, from sample timestamps and named cycles
+ * (circadian, weekly) or from autocorrelation peaks.
+ *
+ * @version 2.1.0
+ */
+
+// Cycle lengths in milliseconds for periodsFromTimestamps
+const CYCLE_DURATIONS = {
+  minute: 60e3,
+  hour: 3600e3,
+  day: 86400e3,
+  week: 604800e3
+};
+
+export class SeasonalityProcessor {
+  constructor(config = {}) {
+    this.config = {
+      method: 'stl',             // 'stl' (MSTL for several periods) | 'classical'
+      periods: null,             // Seasonal periods in samples; null to infer them
+      cycles: ['day', 'week'],   // Named cycles (or durations in ms) converted with timestamps
+      minCycles: 2,              // Full cycles a period needs in the series to be estimated
+      seasonalWindow: null,      // Odd loess span over cycles, or 'periodic'; null for 7 + 4i (i-th period)
+      trendWindow: null,         // Odd loess span; null for Cleveland's default
+      innerIterations: 2,
+      robust: false,             // Bisquare robustness weights against outliers
+      outerIterations: 15,       // Robustness iterations when robust
+      mstlIterations: 2,         // Backfitting passes over the seasonal components
+      acfThreshold: 0.3,         // Minimum autocorrelation of a detected period
+      minProminence: 0.1,        // Rise of the autocorrelation peak above the preceding trough
+      maxPeriods: 3,
+      ...config
+    };
+  }
+
+  /**
+   * Decompose a series into trend + Σ seasonal + remainder. Periods are taken from
+   * options.periods, else derived from options.timestamps and cycles, else detected
+   * from the autocorrelation. Returns null when no period fits minCycles times.
+   */
+  decompose(signal, options = {}) {
+    const settings = { ...this.config, ...options };
+    const periods = this.resolvePeriods(signal, settings);
+    if (periods.length === 0) return null;
+
+    let components;
+    switch (settings.method) {
+      case 'stl':
+        components = this.mstl(signal, periods, settings);
+        break;
+      case 'classical':
+        components = this.classical(signal, periods);
+        break;
+      default:
+        throw new Error(`Unknown decomposition method: ${settings.method}`);
+    }
+
+    const { trend, seasonal, remainder } = components;
+    const totalSeasonal = signal.map((_, i) => periods.reduce((sum, p) => sum + seasonal[p][i], 0));
+    const strength = { trend: this.componentStrength(trend, remainder), seasonal: {} };
+    for (const period of periods) {
+      strength.seasonal[period] = this.componentStrength(seasonal[period], remainder);
+    }
+
+    return {
+      method: settings.method,
+      periods,
+      trend,
+      seasonal,
+      remainder,
+      deseasonalized: signal.map((v, i) => v - totalSeasonal[i]),
+      strength
+    };
+  }
+
+  /**
+   * Seasonally adjusted series (signal minus every seasonal component); the signal
+   * itself when no period can be estimated
+   */
+  deseasonalize(signal, options = {}) {
+    const decomposition = this.decompose(signal, options);
+    return decomposition ? decomposition.deseasonalized : [...signal];
+  }
+
+  /**
+   * Usable periods, ascending and de-duplicated, each fitting minCycles times
+   */
+  resolvePeriods(signal, settings = this.config) {
+    let periods;
+    if (settings.periods) {
+      periods = settings.periods;
+    } else if (settings.timestamps) {
+      periods = this.periodsFromTimestamps(settings.timestamps, settings.cycles);
+    } else {
+      periods = this.detectPeriods(signal, settings).map(candidate => candidate.period);
+    }
+
+    return [...new Set(periods.map(Math.round))]
+      .filter(p => p >= 2 && signal.length >= settings.minCycles * p)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Periods in samples of named cycles ('hour', 'day', 'week', ...) or cycle
+   * durations in ms, from the median sampling interval of the timestamps
+   */
+  periodsFromTimestamps(timestamps, cycles = this.config.cycles) {
+    if (timestamps.length < 2) return [];
+
+    const intervals = [];
+    for (let i = 1; i < timestamps.length; i++) {
+      intervals.push(timestamps[i] - timestamps[i - 1]);
+    }
+    intervals.sort((a, b) => a - b);
+    const interval = intervals[Math.floor(intervals.length / 2)];
+    if (!(interval > 0)) return [];
+
+    return cycles.map(cycle => {
+      const duration = typeof cycle === 'number' ? cycle : CYCLE_DURATIONS[cycle];
+      if (duration === undefined) {
+        throw new Error(`Unknown seasonal cycle: ${cycle}`);
+      }
+      return Math.round(duration / interval);
+    }).filter(p => p >= 2);
+  }
+
+  /**
+   * Candidate periods at autocorrelation peaks of the linearly detrended series.
+   * A peak at a multiple of an accepted period is a harmonic, kept only when it
+   * rises above the autocorrelation one base period either side (a longer cycle
+   * riding on the shorter one, e.g. day-of-week over hour-of-day).
+   */
+  detectPeriods(signal, options = {}) {
+    const { acfThreshold, minProminence, maxPeriods, minCycles } = { ...this.config, ...options };
+    const n = signal.length;
+    const maxLag = Math.floor(n / minCycles);
+    if (maxLag < 3) return [];
+
+    const acf = this.autocorrelation(this.detrend(signal), maxLag + 1);
+    const candidates = [];
+    let trough = acf[1];
+
+    for (let lag = 2; lag <= maxLag; lag++) {
+      trough = Math.min(trough, acf[lag]);
+      const isPeak = acf[lag] >= acf[lag - 1] && (lag === maxLag || acf[lag] > acf[lag + 1]);
+      if (!isPeak || acf[lag] < acfThreshold || acf[lag] - trough < minProminence) continue;
+
+      const harmonic = candidates.some(c => {
+        const multiple = Math.round(lag / c.period);
+        if (multiple < 2 || Math.abs(lag - multiple * c.period) > 1) return false;
+        const neighbours = Math.max(acf[lag - c.period], acf[lag + c.period] ?? -Infinity);
+        return acf[lag] - neighbours < minProminence;
+      });
+      if (!harmonic) {
+        candidates.push({ period: lag, autocorrelation: acf[lag] });
+      }
+    }
+
+    return candidates
+      .sort((a, b) => b.autocorrelation - a.autocorrelation)
+      .slice(0, maxPeriods)
+      .sort((a, b) => a.period - b.period);
+  }
+
+  /**
+   * MSTL: an initial STL pass per period (shortest first), then backfitting
+   * passes re-estimating each seasonal component from the series without the
+   * others. With one period this is plain STL.
+   */
+  mstl(signal, periods, options = {}) {
+    const settings = { ...this.config, ...options };
+    const seasonal = {};
+    const adjusted = [...signal];
+    const passes = periods.length > 1 ? 1 + settings.mstlIterations : 1;
+    let trend = null;
+
+    for (let pass = 0; pass < passes; pass++) {
+      periods.forEach((period, i) => {
+        if (seasonal[period]) {
+          for (let t = 0; t < adjusted.length; t++) adjusted[t] += seasonal[period][t];
+        }
+
+        const fit = this.stl(adjusted, period, {
+          ...settings,
+          seasonalWindow: settings.seasonalWindow ?? 7 + 4 * (i + 1)
+        });
+        seasonal[period] = fit.seasonal;
+        trend = fit.trend;
+        for (let t = 0; t < adjusted.length; t++) adjusted[t] -= fit.seasonal[t];
+      });
+    }
+
+    return {
+      trend,
+      seasonal,
+      remainder: adjusted.map((v, t) => v - trend[t])
+    };
+  }
+
+  /**
+   * STL for a single period. Inner loop: detrend, smooth each cycle-subseries by
+   * loess (extended one cycle each side), remove its low-pass content, then loess
+   * the deseasonalized series for the trend. Robust fits wrap this in outer
+   * iterations reweighting by bisquare(|remainder| / 6·median|remainder|).
+   */
+  stl(signal, period, options = {}) {
+    const settings = { ...this.config, ...options };
+    const n = signal.length;
+    const periodic = settings.seasonalWindow === 'periodic';
+    const seasonalWindow = periodic ? 10 * n + 1 : nextOdd(Math.max(settings.seasonalWindow ?? 7, 3));
+    const trendWindow = nextOdd(settings.trendWindow ??
+      Math.ceil(1.5 * period / (1 - 1.5 / seasonalWindow)));
+    const lowPassWindow = nextOdd(period);
+    const outerIterations = settings.robust ? settings.outerIterations : 0;
+
+    let trend = new Array(n).fill(0);
+    let seasonal = new Array(n).fill(0);
+    let weights = new Array(n).fill(1);
+
+    for (let outer = 0; outer <= outerIterations; outer++) {
+      for (let inner = 0; inner < settings.innerIterations; inner++) {
+        const detrended = signal.map((v, i) => v - trend[i]);
+
+        // Cycle-subseries smoothing, each subseries extended by one cycle either side
+        const cycles = new Array(n + 2 * period);
+        for (let phase = 0; phase < period; phase++) {
+          const values = [];
+          const subWeights = [];
+          for (let i = phase; i < n; i += period) {
+            values.push(detrended[i]);
+            subWeights.push(weights[i]);
+          }
+          const m = values.length;
+          for (let k = -1; k <= m; k++) {
+            cycles[(k + 1) * period + phase] = loessAt(values, subWeights, seasonalWindow, k, periodic ? 0 : 1);
+          }
+        }
+
+        // Low-pass filter: moving averages of period, period and 3, then loess
+        const smoothed = movingAverage(movingAverage(movingAverage(cycles, period), period), 3);
+        const lowPass = loess(smoothed, null, lowPassWindow);
+
+        seasonal = lowPass.map((v, i) => cycles[period + i] - v);
+        trend = loess(signal.map((v, i) => v - seasonal[i]), weights, trendWindow);
+      }
+
+      if (outer < outerIterations) {
+        weights = this.robustnessWeights(signal.map((v, i) => v - trend[i] - seasonal[i]));
+      }
+    }
+
+    return {
+      trend,
+      seasonal,
+      remainder: signal.map((v, i) => v - trend[i] - seasonal[i]),
+      weights
+    };
+  }
+
+  /**
+   * Classical additive decomposition: centred moving-average trend (2×p for even
+   * periods) and per-phase means of the detrended series, centred to sum to zero.
+   * Several periods are estimated shortest first on the series without the others;
+   * the trend comes from the longest. Trend and remainder are NaN where the moving
+   * average does not reach.
+   */
+  classical(signal, periods) {
+    const n = signal.length;
+    const seasonal = {};
+    for (const period of periods) seasonal[period] = new Array(n).fill(0);
+
+    const withoutOthers = (period) => signal.map((v, i) =>
+      v - periods.reduce((sum, p) => sum + (p === period ? 0 : seasonal[p][i]), 0));
+
+    let trend = null;
+    for (const period of periods) {
+      const series = withoutOthers(period);
+      trend = centeredMovingAverage(series, period);
+
+      const sums = new Array(period).fill(0);
+      const counts = new Array(period).fill(0);
+      for (let i = 0; i < n; i++) {
+        if (Number.isNaN(trend[i])) continue;
+        sums[i % period] += series[i] - trend[i];
+        counts[i % period]++;
+      }
+      const indices = sums.map((s, k) => counts[k] > 0 ? s / counts[k] : 0);
+      const offset = indices.reduce((a, b) => a + b, 0) / period;
+      seasonal[period] = signal.map((_, i) => indices[i % period] - offset);
+    }
+
+    const remainder = signal.map((v, i) =>
+      v - trend[i] - periods.reduce((sum, p) => sum + seasonal[p][i], 0));
+
+    return { trend, seasonal, remainder };
+  }
+
+  /**
+   * Strength of a component against the remainder (Wang, Smith & Hyndman):
+   * max(0, 1 − Var(R) / Var(C + R)), over samples where both are defined
+   */
+  componentStrength(component, remainder) {
+    const combined = [];
+    const residual = [];
+    for (let i = 0; i < component.length; i++) {
+      if (Number.isFinite(component[i]) && Number.isFinite(remainder[i])) {
+        combined.push(component[i] + remainder[i]);
+        residual.push(remainder[i]);
+      }
+    }
+
+    const total = this.computeVariance(combined);
+    if (!(total > 0)) return 0;
+    return Math.max(0, 1 - this.computeVariance(residual) / total);
+  }
+
+  /**
+   * Bisquare weights B(|r| / 6·median|r|)
+   */
+  robustnessWeights(residuals) {
+    const absolute = residuals.map(Math.abs).sort((a, b) => a - b);
+    const mid = Math.floor(absolute.length / 2);
+    const median = absolute.length % 2 ? absolute[mid] : (absolute[mid - 1] + absolute[mid]) / 2;
+    const h = 6 * median;
+    if (!(h > 0)) return residuals.map(() => 1);
+
+    return residuals.map(r => {
+      const u = Math.abs(r) / h;
+      return u < 1 ? (1 - u * u) ** 2 : 0;
+    });
+  }
+
+  /**
+   * Sample autocorrelation at lags 0..maxLag-1
+   */
+  autocorrelation(signal, maxLag) {
+    const n = signal.length;
+    const mean = signal.reduce((a, b) => a + b, 0) / n;
+    const centered = signal.map(v => v - mean);
+    const variance = centered.reduce((acc, v) => acc + v * v, 0);
+
+    const acf = new Array(Math.min(maxLag, n)).fill(0);
+    if (!(variance > 0)) return acf;
+
+    for (let lag = 0; lag < acf.length; lag++) {
+      let sum = 0;
+      for (let i = lag; i < n; i++) sum += centered[i] * centered[i - lag];
+      acf[lag] = sum / variance;
+    }
+    return acf;
+  }
+
+  /**
+   * Residuals of a least-squares line through the series
+   */
+  detrend(signal) {
+    const n = signal.length;
+    const meanX = (n - 1) / 2;
+    const meanY = signal.reduce((a, b) => a + b, 0) / n;
+
+    let sxy = 0;
+    let sxx = 0;
+    for (let i = 0; i < n; i++) {
+      sxy += (i - meanX) * (signal[i] - meanY);
+      sxx += (i - meanX) ** 2;
+    }
+    const slope = sxx > 0 ? sxy / sxx : 0;
+
+    return signal.map((v, i) => v - meanY - slope * (i - meanX));
+  }
+
+  computeVariance(values) {
+    const n = values.length;
+    if (n < 2) return 0;
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    return values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (n - 1);
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+}
+
+function nextOdd(value) {
+  const rounded = Math.round(value);
+  return rounded % 2 === 0 ? rounded + 1 : rounded;
+}
+
+/**
+ * Loess of equally spaced values (x = index) evaluated at every index
+ */
+function loess(values, weights, span) {
+  const fitted = new Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    fitted[i] = loessAt(values, weights, span, i, 1);
+  }
+  return fitted;
+}
+
+/**
+ * Local polynomial (degree 0 or 1) fit at position x, which may lie outside
+ * [0, m-1]: tricube weights over the span nearest points (scaled up when the
+ * span exceeds the series), times the optional robustness weights
+ */
+function loessAt(values, weights, span, x, degree) {
+  const m = values.length;
+  const q = Math.min(span, m);
+  const left = Math.max(0, Math.min(m - q, Math.round(x - (q - 1) / 2)));
+  const right = left + q - 1;
+
+  let h = Math.max(x - left, right - x);
+  if (span > m) h += Math.floor((span - m) / 2);
+
+  let total = 0;
+  let sumX = 0;
+  let sumXX = 0;
+  let sumY = 0;
+  let sumXY = 0;
+  for (let i = left; i <= right; i++) {
+    const r = Math.abs(i - x);
+    if (r > 0.999 * h) continue;
+    const u = r / h;
+    const tricube = 1 - u * u * u;
+    let w = r <= 0.001 * h ? 1 : tricube * tricube * tricube;
+    if (weights) w *= weights[i];
+    total += w;
+    sumX += w * i;
+    sumXX += w * i * i;
+    sumY += w * values[i];
+    sumXY += w * i * values[i];
+  }
+
+  // Every neighbour downweighted to zero: fall back to the plain tricube fit
+  if (!(total > 0)) {
+    return weights ? loessAt(values, null, span, x, degree) : values[Math.max(0, Math.min(m - 1, Math.round(x)))];
+  }
+
+  const meanX = sumX / total;
+  const meanY = sumY / total;
+  const sxx = sumXX / total - meanX * meanX;
+
+  // Local line only when the weighted spread of x supports it
+  if (degree > 0 && Math.sqrt(Math.max(sxx, 0)) > 0.001 * (m - 1)) {
+    return meanY + (sumXY / total - meanX * meanY) / sxx * (x - meanX);
+  }
+  return meanY;
+}
+
+function movingAverage(values, length) {
+  const averaged = new Array(values.length - length + 1);
+  let sum = 0;
+  for (let i = 0; i < length; i++) sum += values[i];
+  averaged[0] = sum / length;
+  for (let i = length; i < values.length; i++) {
+    sum += values[i] - values[i - length];
+    averaged[i - length + 1] = sum / length;
+  }
+  return averaged;
+}
+
+/**
+ * Centred moving average of the period (2×period for even periods); NaN at the ends
+ */
+function centeredMovingAverage(values, period) {
+  const n = values.length;
+  const half = Math.floor(period / 2);
+  const averaged = new Array(n).fill(NaN);
+
+  for (let i = half; i < n - half; i++) {
+    let sum = 0;
+    if (period % 2) {
+      for (let k = -half; k <= half; k++) sum += values[i + k];
+      averaged[i] = sum / period;
+    } else {
+      for (let k = -half + 1; k < half; k++) sum += values[i + k];
+      sum += (values[i - half] + values[i + half]) / 2;
+      averaged[i] = sum / period;
+    }
+  }
+  return averaged;
+}
@@ -3,13 +3,20 @@
  * 
  * Performs comprehensive frequency domain analysis including:
  * - FFT-based spectral analysis
- * - Power spectral density estimation
+ * - Power spectral density estimation (periodogram, Welch, DPSS multitaper)
  * - Spectral features extraction
  * - Cross-spectral analysis
+ * - Streaming (sliding DFT) analysis for continuous feeds
  * 
  * @version 2.0.0
  */
 
+import { chiSquareQuantile } from '../SpecialFunctions.js';
+import { RingBuffer } from '../RingBuffer.js';
+
+// Largest prime factor handled by direct mixed-radix butterflies; larger primes use Bluestein
+const MAX_DIRECT_RADIX = 13;
+
 export class SpectralProcessor {
   constructor(config = {}) {
     this.config = {
@@ -17,12 +24,21 @@ export class SpectralProcessor {
       overlap: 0.5,
       windowType: 'hann',
       fftSize: 512,
+      fftMode: 'padded',          // 'padded' (zero-pad/truncate to fftSize) | 'exact' (any length)
       sampleRate: 1000,
       enableGPU: false,
+      
+      // Power spectral density estimation
+      psdMethod: 'periodogram',   // 'periodogram' | 'welch' | 'multitaper'
+      psdSegmentLength: null,     // Welch segment length (default: a quarter of the signal)
+      timeBandwidth: 4,           // Multitaper time-bandwidth product NW
+      tapers: null,               // Multitaper taper count (default: 2NW - 1)
+      confidenceLevel: 0.95,      // Per-bin confidence interval level
       ...config
     };
     
     this.cache = new Map();
+    this.dpssCache = new Map();
     this.windowFunction = this.generateWindow(this.config.windowType, this.config.windowSize);
   }
 
@@ -31,30 +47,38 @@ export class SpectralProcessor {
    */
   async analyze(signal) {
     try {
-      // Apply windowing
-      const windowed = this.applyWindow(signal);
-      
-      // Compute FFT
-      const fftResult = this.computeFFT(windowed);
-      
-      // Extract spectral features
-      const features = this.extractSpectralFeatures(fftResult);
-      
-      return {
-        fft: fftResult,
-        features,
-        powerSpectrum: this.computePowerSpectrum(fftResult),
-        spectralCentroid: features.centroid,
-        spectralBandwidth: features.bandwidth,
-        spectralRolloff: features.rolloff,
-        timestamp: Date.now()
-      };
-      
+      return this.analyzeSpectrum(this.computeWindowedFFT(signal));
     } catch (error) {
       throw new Error(`Spectral analysis failed: ${error.message}`);
     }
   }
 
+  /**
+   * Window the signal and transform it (the FFT behind analyze)
+   */
+  computeWindowedFFT(signal) {
+    return this.computeFFT(this.applyWindow(signal));
+  }
+
+  /**
+   * Spectral analysis of an FFT from computeWindowedFFT, so one transform can
+   * be shared by several consumers
+   */
+  analyzeSpectrum(fftResult) {
+    const features = this.extractSpectralFeatures(fftResult);
+    
+    return {
+      fft: fftResult,
+      features,
+      powerSpectrum: this.computePowerSpectrum(fftResult),
+      frequencies: this.getFrequencyBins(fftResult.length),
+      spectralCentroid: features.centroid,
+      spectralBandwidth: features.bandwidth,
+      spectralRolloff: features.rolloff,
+      timestamp: Date.now()
+    };
+  }
+
   /**
    * Generate window function
    */
@@ -93,6 +117,11 @@ export class SpectralProcessor {
    */
   applyWindow(signal) {
     const windowed = new Float32Array(signal.length);
+    
+    // Exact-length transforms taper the whole signal rather than the first windowSize samples
+    if (this.config.fftMode === 'exact' && this.windowFunction.length !== signal.length) {
+      this.windowFunction = this.generateWindow(this.config.windowType, signal.length);
+    }
     const windowSize = Math.min(signal.length, this.windowFunction.length);
     
     for (let i = 0; i < windowSize; i++) {
@@ -104,8 +133,15 @@ export class SpectralProcessor {
 
   /**
    * Compute FFT using optimized algorithm
+   *
+   * In 'padded' mode the signal is zero-padded (or truncated) to `fftSize`;
+   * in 'exact' mode it is transformed at its own length.
    */
   computeFFT(signal) {
+    if (this.config.fftMode === 'exact') {
+      return this.fft(signal);
+    }
+    
     const N = this.config.fftSize;
     const padded = new Float32Array(N);
     
@@ -120,40 +156,234 @@ export class SpectralProcessor {
   }
 
   /**
-   * Cooley-Tukey FFT implementation
+   * Cooley-Tukey FFT implementation (non-power-of-two lengths are routed to the exact transform)
    */
   cooleyTukeyFFT(x) {
-    const N = x.length;
-    if (N <= 1) return [{ real: x[0] || 0, imag: 0 }];
+    return this.fft(x);
+  }
+
+  /**
+   * Forward DFT of any length. Accepts real samples or {real, imag} values.
+   */
+  fft(input) {
+    const { real, imag } = this.toComplexArrays(input);
+    return this.fromComplexArrays(this.transform(real, imag, false));
+  }
+
+  /**
+   * Inverse DFT of any length (scaled by 1/N). Accepts {real, imag} values or real samples.
+   */
+  inverseFFT(spectrum) {
+    const { real, imag } = this.toComplexArrays(spectrum);
+    const result = this.transform(real, imag, true);
+    const N = real.length;
+    
+    for (let i = 0; i < N; i++) {
+      result.real[i] /= N;
+      result.imag[i] /= N;
+    }
+    
+    return this.fromComplexArrays(result);
+  }
+
+  /**
+   * Unscaled DFT on Float64Array pairs: radix-2 for powers of two, mixed radix
+   * for lengths with small prime factors, Bluestein chirp-z otherwise.
+   */
+  transform(real, imag, inverse = false) {
+    const N = real.length;
+    const sign = inverse ? 1 : -1;
+    
+    if (N <= 1) {
+      return { real: Float64Array.from(real), imag: Float64Array.from(imag) };
+    }
+    if ((N & (N - 1)) === 0) {
+      return this.radix2Transform(real, imag, sign);
+    }
+    if (this.smallestPrimeFactor(N) > MAX_DIRECT_RADIX) {
+      return this.bluesteinTransform(real, imag, sign);
+    }
+    return this.mixedRadixTransform(real, imag, sign);
+  }
+
+  /**
+   * Iterative in-place radix-2 transform on copies of the inputs
+   */
+  radix2Transform(real, imag, sign) {
+    const N = real.length;
+    const bits = Math.log2(N);
+    const re = new Float64Array(N);
+    const im = new Float64Array(N);
     
     // Bit-reverse permutation
-    const X = new Array(N);
     for (let i = 0; i < N; i++) {
-      const j = this.bitReverse(i, Math.log2(N));
-      X[j] = { real: x[i], imag: 0 };
+      const j = this.bitReverse(i, bits);
+      re[j] = real[i];
+      im[j] = imag[i];
     }
     
-    // Compute FFT
     for (let size = 2; size <= N; size *= 2) {
       const halfSize = size / 2;
-      const w = { real: Math.cos(-2 * Math.PI / size), imag: Math.sin(-2 * Math.PI / size) };
+      const step = sign * 2 * Math.PI / size;
       
-      for (let i = 0; i < N; i += size) {
-        let wn = { real: 1, imag: 0 };
+      for (let j = 0; j < halfSize; j++) {
+        const wr = Math.cos(step * j);
+        const wi = Math.sin(step * j);
         
-        for (let j = 0; j < halfSize; j++) {
-          const u = X[i + j];
-          const t = this.complexMultiply(wn, X[i + j + halfSize]);
-          
-          X[i + j] = this.complexAdd(u, t);
-          X[i + j + halfSize] = this.complexSubtract(u, t);
+        for (let i = j; i < N; i += size) {
+          const k = i + halfSize;
+          const tr = wr * re[k] - wi * im[k];
+          const ti = wr * im[k] + wi * re[k];
           
-          wn = this.complexMultiply(wn, w);
+          re[k] = re[i] - tr;
+          im[k] = im[i] - ti;
+          re[i] += tr;
+          im[i] += ti;
         }
       }
     }
     
-    return X;
+    return { real: re, imag: im };
+  }
+
+  /**
+   * Recursive decimation-in-time by the smallest prime factor p:
+   * X[k] = Σ_r W_N^{rk} · DFT_{N/p}(x[r], x[r+p], ...)[k mod N/p]
+   */
+  mixedRadixTransform(real, imag, sign) {
+    const N = real.length;
+    const p = this.smallestPrimeFactor(N);
+    const M = N / p;
+    
+    const subTransforms = [];
+    for (let r = 0; r < p; r++) {
+      const subReal = new Float64Array(M);
+      const subImag = new Float64Array(M);
+      for (let j = 0; j < M; j++) {
+        subReal[j] = real[j * p + r];
+        subImag[j] = imag[j * p + r];
+      }
+      subTransforms.push(this.transform(subReal, subImag, sign > 0));
+    }
+    
+    const cosTable = new Float64Array(N);
+    const sinTable = new Float64Array(N);
+    for (let t = 0; t < N; t++) {
+      cosTable[t] = Math.cos(2 * Math.PI * t / N);
+      sinTable[t] = sign * Math.sin(2 * Math.PI * t / N);
+    }
+    
+    const re = new Float64Array(N);
+    const im = new Float64Array(N);
+    for (let k = 0; k < N; k++) {
+      const km = k % M;
+      let sumReal = 0;
+      let sumImag = 0;
+      
+      for (let r = 0; r < p; r++) {
+        const t = (r * k) % N;
+        const xr = subTransforms[r].real[km];
+        const xi = subTransforms[r].imag[km];
+        sumReal += xr * cosTable[t] - xi * sinTable[t];
+        sumImag += xr * sinTable[t] + xi * cosTable[t];
+      }
+      
+      re[k] = sumReal;
+      im[k] = sumImag;
+    }
+    
+    return { real: re, imag: im };
+  }
+
+  /**
+   * Bluestein chirp-z transform: an arbitrary-length DFT expressed as a
+   * power-of-two circular convolution, using nk = (n² + k² - (k - n)²) / 2.
+   */
+  bluesteinTransform(real, imag, sign) {
+    const N = real.length;
+    const M = this.nextPowerOfTwo(2 * N - 1);
+    
+    // Chirp w[n] = exp(sign · iπ n² / N); n² is reduced mod 2N to keep the angle accurate
+    const chirpReal = new Float64Array(N);
+    const chirpImag = new Float64Array(N);
+    for (let n = 0; n < N; n++) {
+      const angle = sign * Math.PI * ((n * n) % (2 * N)) / N;
+      chirpReal[n] = Math.cos(angle);
+      chirpImag[n] = Math.sin(angle);
+    }
+    
+    const aReal = new Float64Array(M);
+    const aImag = new Float64Array(M);
+    const bReal = new Float64Array(M);
+    const bImag = new Float64Array(M);
+    
+    for (let n = 0; n < N; n++) {
+      aReal[n] = real[n] * chirpReal[n] - imag[n] * chirpImag[n];
+      aImag[n] = real[n] * chirpImag[n] + imag[n] * chirpReal[n];
+    }
+    
+    // b = conj(chirp), wrapped for negative indices
+    bReal[0] = chirpReal[0];
+    bImag[0] = -chirpImag[0];
+    for (let n = 1; n < N; n++) {
+      bReal[n] = bReal[M - n] = chirpReal[n];
+      bImag[n] = bImag[M - n] = -chirpImag[n];
+    }
+    
+    const A = this.radix2Transform(aReal, aImag, -1);
+    const B = this.radix2Transform(bReal, bImag, -1);
+    for (let k = 0; k < M; k++) {
+      const pr = A.real[k] * B.real[k] - A.imag[k] * B.imag[k];
+      const pi = A.real[k] * B.imag[k] + A.imag[k] * B.real[k];
+      A.real[k] = pr;
+      A.imag[k] = pi;
+    }
+    const conv = this.radix2Transform(A.real, A.imag, 1);
+    
+    const re = new Float64Array(N);
+    const im = new Float64Array(N);
+    for (let k = 0; k < N; k++) {
+      const cr = conv.real[k] / M;
+      const ci = conv.imag[k] / M;
+      re[k] = cr * chirpReal[k] - ci * chirpImag[k];
+      im[k] = cr * chirpImag[k] + ci * chirpReal[k];
+    }
+    
+    return { real: re, imag: im };
+  }
+
+  smallestPrimeFactor(n) {
+    if (n % 2 === 0) return 2;
+    for (let f = 3; f * f <= n; f += 2) {
+      if (n % f === 0) return f;
+    }
+    return n;
+  }
+
+  toComplexArrays(input) {
+    const N = input.length;
+    const real = new Float64Array(N);
+    const imag = new Float64Array(N);
+    
+    for (let i = 0; i < N; i++) {
+      const value = input[i];
+      if (typeof value === 'number') {
+        real[i] = value;
+      } else {
+        real[i] = value.real;
+        imag[i] = value.imag || 0;
+      }
+    }
+    
+    return { real, imag };
+  }
+
+  fromComplexArrays({ real, imag }) {
+    const result = new Array(real.length);
+    for (let i = 0; i < real.length; i++) {
+      result[i] = { real: real[i], imag: imag[i] };
+    }
+    return result;
   }
 
   /**
@@ -201,6 +431,337 @@ export class SpectralProcessor {
     );
   }
 
+  /**
+   * Estimate the power spectral density with the configured (or requested) estimator
+   */
+  estimatePSD(signal, options = {}) {
+    const method = options.method || this.config.psdMethod;
+    
+    switch (method) {
+      case 'welch':
+        return this.computeWelchPSD(signal, options);
+      case 'multitaper':
+        return this.computeMultitaperPSD(signal, options);
+      case 'periodogram':
+        return this.computePeriodogramPSD(signal, options);
+      default:
+        throw new Error(`Unknown PSD method: ${method}`);
+    }
+  }
+
+  /**
+   * Single windowed periodogram as a one-sided density (2 degrees of freedom per bin)
+   */
+  computePeriodogramPSD(signal, options = {}) {
+    return this.computeWelchPSD(signal, {
+      ...options,
+      segmentLength: signal.length,
+      overlap: 0
+    });
+  }
+
+  /**
+   * Welch PSD: average of overlapping, windowed, mean-removed segment periodograms
+   */
+  computeWelchPSD(signal, options = {}) {
+    const n = signal.length;
+    if (n < 2) return this.createEmptyPSD('welch');
+    
+    const segmentLength = Math.min(n, Math.max(2, Math.floor(
+      options.segmentLength || this.config.psdSegmentLength || Math.max(8, n / 4)
+    )));
+    const overlap = Math.min(0.95, Math.max(0, options.overlap ?? this.config.overlap));
+    const step = Math.max(1, Math.round(segmentLength * (1 - overlap)));
+    const window = this.generateWindow(options.windowType || this.config.windowType, segmentLength);
+    const windowPower = window.reduce((sum, w) => sum + w * w, 0);
+    const nfft = this.nextPowerOfTwo(segmentLength);
+    const sampleRate = this.config.sampleRate;
+    const numBins = Math.floor(nfft / 2) + 1;
+    
+    const psd = new Float64Array(numBins);
+    let segments = 0;
+    
+    for (let start = 0; start + segmentLength <= n; start += step) {
+      let mean = 0;
+      for (let i = 0; i < segmentLength; i++) mean += signal[start + i];
+      mean /= segmentLength;
+      
+      const padded = new Float64Array(nfft);
+      for (let i = 0; i < segmentLength; i++) {
+        padded[i] = (signal[start + i] - mean) * window[i];
+      }
+      
+      const spectrum = this.cooleyTukeyFFT(padded);
+      for (let k = 0; k < numBins; k++) {
+        psd[k] += spectrum[k].real * spectrum[k].real + spectrum[k].imag * spectrum[k].imag;
+      }
+      segments++;
+    }
+    
+    const scale = 1 / (sampleRate * windowPower * segments);
+    for (let k = 0; k < numBins; k++) {
+      const oneSided = (k === 0 || (k === numBins - 1 && nfft % 2 === 0)) ? 1 : 2;
+      psd[k] *= scale * oneSided;
+    }
+    
+    // Equivalent degrees of freedom for overlapping segments (Percival & Walden, eq. 292b)
+    let correlationSum = 0;
+    for (let m = 1; m < segments; m++) {
+      const shift = m * step;
+      if (shift >= segmentLength) break;
+      let overlapPower = 0;
+      for (let i = 0; i + shift < segmentLength; i++) {
+        overlapPower += window[i] * window[i + shift];
+      }
+      const rho = overlapPower / windowPower;
+      correlationSum += (1 - m / segments) * rho * rho;
+    }
+    const dof = 2 * segments / (1 + 2 * correlationSum);
+    
+    return {
+      method: segments === 1 && segmentLength === n ? 'periodogram' : 'welch',
+      frequencies: this.getFrequencyBins(nfft, numBins),
+      psd: Array.from(psd),
+      ...this.computePSDConfidenceBounds(psd, dof, options.confidenceLevel),
+      segments,
+      segmentLength,
+      overlap,
+      nfft
+    };
+  }
+
+  /**
+   * Multitaper PSD using discrete prolate spheroidal (Slepian) tapers
+   */
+  computeMultitaperPSD(signal, options = {}) {
+    const n = signal.length;
+    if (n < 4) return this.createEmptyPSD('multitaper');
+    
+    const timeBandwidth = options.timeBandwidth || this.config.timeBandwidth;
+    const numTapers = Math.max(1, Math.min(
+      n - 1,
+      options.tapers || this.config.tapers || Math.floor(2 * timeBandwidth - 1)
+    ));
+    const { tapers, concentrations } = this.getDPSS(n, timeBandwidth, numTapers);
+    const nfft = this.nextPowerOfTwo(n);
+    const numBins = Math.floor(nfft / 2) + 1;
+    const sampleRate = this.config.sampleRate;
+    
+    const mean = signal.reduce((sum, val) => sum + val, 0) / n;
+    const psd = new Float64Array(numBins);
+    let weightSum = 0;
+    
+    tapers.forEach((taper, t) => {
+      const padded = new Float64Array(nfft);
+      for (let i = 0; i < n; i++) {
+        padded[i] = (signal[i] - mean) * taper[i];
+      }
+      
+      const spectrum = this.cooleyTukeyFFT(padded);
+      const weight = concentrations[t];
+      for (let k = 0; k < numBins; k++) {
+        psd[k] += weight * (spectrum[k].real * spectrum[k].real + spectrum[k].imag * spectrum[k].imag);
+      }
+      weightSum += weight;
+    });
+    
+    for (let k = 0; k < numBins; k++) {
+      const oneSided = (k === 0 || (k === numBins - 1 && nfft % 2 === 0)) ? 1 : 2;
+      psd[k] *= oneSided / (sampleRate * weightSum);
+    }
+    
+    return {
+      method: 'multitaper',
+      frequencies: this.getFrequencyBins(nfft, numBins),
+      psd: Array.from(psd),
+      ...this.computePSDConfidenceBounds(psd, 2 * tapers.length, options.confidenceLevel),
+      tapers: tapers.length,
+      timeBandwidth,
+      concentrations,
+      nfft
+    };
+  }
+
+  /**
+   * Cached DPSS tapers (taper design dominates the multitaper cost for fixed windows)
+   */
+  getDPSS(length, timeBandwidth, numTapers) {
+    const key = `${length}:${timeBandwidth}:${numTapers}`;
+    if (!this.dpssCache.has(key)) {
+      if (this.dpssCache.size >= 8) {
+        this.dpssCache.delete(this.dpssCache.keys().next().value);
+      }
+      this.dpssCache.set(key, this.computeDPSS(length, timeBandwidth, numTapers));
+    }
+    
+    return this.dpssCache.get(key);
+  }
+
+  /**
+   * Discrete prolate spheroidal sequences via the symmetric tridiagonal formulation
+   * (eigenvalues by Sturm bisection, eigenvectors by inverse iteration).
+   */
+  computeDPSS(length, timeBandwidth, numTapers) {
+    const n = length;
+    const w = timeBandwidth / n;
+    const cos2piW = Math.cos(2 * Math.PI * w);
+    
+    const diagonal = new Float64Array(n);
+    const offDiagonal = new Float64Array(n); // offDiagonal[i] couples i - 1 and i
+    for (let i = 0; i < n; i++) {
+      const c = (n - 1 - 2 * i) / 2;
+      diagonal[i] = c * c * cos2piW;
+      offDiagonal[i] = i > 0 ? i * (n - i) / 2 : 0;
+    }
+    
+    // Gershgorin bounds
+    let lowerBound = Infinity;
+    let upperBound = -Infinity;
+    for (let i = 0; i < n; i++) {
+      const radius = Math.abs(offDiagonal[i]) + (i + 1 < n ? Math.abs(offDiagonal[i + 1]) : 0);
+      lowerBound = Math.min(lowerBound, diagonal[i] - radius);
+      upperBound = Math.max(upperBound, diagonal[i] + radius);
+    }
+    
+    // Number of eigenvalues strictly below x
+    const countBelow = (x) => {
+      let count = 0;
+      let q = diagonal[0] - x;
+      if (q < 0) count++;
+      for (let i = 1; i < n; i++) {
+        const prev = q === 0 ? 1e-300 : q;
+        q = diagonal[i] - x - offDiagonal[i] * offDiagonal[i] / prev;
+        if (q < 0) count++;
+      }
+      return count;
+    };
+    
+    const tapers = [];
+    const concentrations = [];
+    const concentrationFFT = this.nextPowerOfTwo(4 * n);
+    
+    for (let k = 0; k < numTapers; k++) {
+      // k-th largest eigenvalue: smallest x with countBelow(x) >= n - k
+      let lo = lowerBound;
+      let hi = upperBound;
+      for (let iter = 0; iter < 200 && hi - lo > 1e-13 * Math.max(1, Math.abs(hi)); iter++) {
+        const mid = (lo + hi) / 2;
+        if (countBelow(mid) >= n - k) {
+          hi = mid;
+        } else {
+          lo = mid;
+        }
+      }
+      const eigenvalue = (lo + hi) / 2;
+      
+      // Inverse iteration on (T - λI)
+      let vector = new Float64Array(n);
+      for (let i = 0; i < n; i++) vector[i] = 1 + Math.sin(1.7 * i + k);
+      const shift = eigenvalue + 1e-10 * Math.max(1, Math.abs(eigenvalue));
+      for (let iter = 0; iter < 4; iter++) {
+        vector = this.solveTridiagonal(diagonal, offDiagonal, shift, vector);
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+        for (let i = 0; i < n; i++) vector[i] /= norm;
+      }
+      
+      // Sign convention: symmetric tapers sum positive, antisymmetric tapers start positive
+      const orientation = k % 2 === 0 ?
+        vector.reduce((sum, v) => sum + v, 0) :
+        vector.reduce((sum, v, i) => sum + (n - 1 - 2 * i) * v, 0);
+      if (orientation < 0) {
+        for (let i = 0; i < n; i++) vector[i] = -vector[i];
+      }
+      
+      tapers.push(vector);
+      concentrations.push(this.computeBandConcentration(vector, w, concentrationFFT));
+    }
+    
+    return { tapers, concentrations };
+  }
+
+  /**
+   * Solve (T - shift·I) x = b for a symmetric tridiagonal T (Thomas algorithm)
+   */
+  solveTridiagonal(diagonal, offDiagonal, shift, rhs) {
+    const n = diagonal.length;
+    const c = new Float64Array(n);
+    const d = new Float64Array(n);
+    
+    let denom = diagonal[0] - shift;
+    if (denom === 0) denom = 1e-300;
+    c[0] = (n > 1 ? offDiagonal[1] : 0) / denom;
+    d[0] = rhs[0] / denom;
+    
+    for (let i = 1; i < n; i++) {
+      denom = (diagonal[i] - shift) - offDiagonal[i] * c[i - 1];
+      if (denom === 0) denom = 1e-300;
+      c[i] = (i + 1 < n ? offDiagonal[i + 1] : 0) / denom;
+      d[i] = (rhs[i] - offDiagonal[i] * d[i - 1]) / denom;
+    }
+    
+    const x = new Float64Array(n);
+    x[n - 1] = d[n - 1];
+    for (let i = n - 2; i >= 0; i--) {
+      x[i] = d[i] - c[i] * x[i + 1];
+    }
+    
+    return x;
+  }
+
+  /**
+   * Fraction of a taper's energy inside the band [-w, w] (cycles/sample)
+   */
+  computeBandConcentration(taper, w, nfft) {
+    const padded = new Float64Array(nfft);
+    padded.set(taper);
+    const spectrum = this.cooleyTukeyFFT(padded);
+    
+    let inBand = 0;
+    let total = 0;
+    for (let k = 0; k < nfft; k++) {
+      const power = spectrum[k].real * spectrum[k].real + spectrum[k].imag * spectrum[k].imag;
+      const freq = Math.min(k, nfft - k) / nfft;
+      if (freq <= w) inBand += power;
+      total += power;
+    }
+    
+    return total > 0 ? inBand / total : 0;
+  }
+
+  /**
+   * Chi-square confidence bounds for a PSD estimate with `dof` equivalent degrees of freedom
+   */
+  computePSDConfidenceBounds(psd, dof, confidenceLevel = this.config.confidenceLevel) {
+    const alpha = 1 - confidenceLevel;
+    const lowerFactor = dof / chiSquareQuantile(1 - alpha / 2, dof);
+    const upperFactor = dof / chiSquareQuantile(alpha / 2, dof);
+    
+    return {
+      lower: Array.from(psd, value => value * lowerFactor),
+      upper: Array.from(psd, value => value * upperFactor),
+      dof,
+      confidenceLevel
+    };
+  }
+
+  createEmptyPSD(method) {
+    return {
+      method,
+      frequencies: [],
+      psd: [],
+      lower: [],
+      upper: [],
+      dof: 0,
+      confidenceLevel: this.config.confidenceLevel
+    };
+  }
+
+  nextPowerOfTwo(n) {
+    let size = 1;
+    while (size < n) size *= 2;
+    return size;
+  }
+
   /**
    * Extract spectral features
    */
@@ -210,7 +771,7 @@ export class SpectralProcessor {
     // Only use the positive frequency half of the spectrum
     const halfLength = Math.floor(powerSpectrum.length / 2);
     const positivePowerSpectrum = powerSpectrum.slice(0, halfLength);
-    const freqs = this.getFrequencyBins();
+    const freqs = this.getFrequencyBins(fftResult.length);
     
     // Ensure frequency bins match power spectrum length
     const minLength = Math.min(positivePowerSpectrum.length, freqs.length);
@@ -273,11 +834,11 @@ export class SpectralProcessor {
   /**
    * Get frequency bins
    */
-  getFrequencyBins() {
+  getFrequencyBins(fftSize = this.config.fftSize, count = fftSize / 2) {
     const bins = [];
-    const binWidth = this.config.sampleRate / this.config.fftSize;
+    const binWidth = this.config.sampleRate / fftSize;
     
-    for (let i = 0; i < this.config.fftSize / 2; i++) {
+    for (let i = 0; i < count; i++) {
       bins.push(i * binWidth);
     }
     
@@ -285,23 +846,54 @@ export class SpectralProcessor {
   }
 
   /**
-   * Compute spectral entropy
+   * Compute spectral entropy of the normalized power distribution (bits).
+   * method: 'shannon' | 'renyi' (order α) | 'tsallis' (index q = order);
+   * `normalize` divides by the value of a flat spectrum over all bins.
    */
-  computeSpectralEntropy(powerSpectrum) {
+  computeSpectralEntropy(powerSpectrum, options = {}) {
+    const { method = 'shannon', order = 2, normalize = false } = options;
     const validPowerSpectrum = powerSpectrum.filter(val => !isNaN(val) && val > 0);
     const total = validPowerSpectrum.reduce((sum, val) => sum + val, 0);
+    const bins = powerSpectrum.length;
     
     if (total === 0 || validPowerSpectrum.length === 0) return 0;
     
-    let entropy = 0;
-    for (const power of validPowerSpectrum) {
-      if (power > 0) {
-        const probability = power / total;
-        entropy -= probability * Math.log2(probability);
-      }
+    const probabilities = validPowerSpectrum.map(power => power / total);
+    let entropy;
+    let maximum;
+    
+    switch (method) {
+      case 'shannon':
+        entropy = probabilities.reduce((sum, p) => sum - p * Math.log2(p), 0);
+        maximum = Math.log2(bins);
+        break;
+      case 'renyi':
+        entropy = order === 1 ?
+          probabilities.reduce((sum, p) => sum - p * Math.log2(p), 0) :
+          Math.log2(probabilities.reduce((sum, p) => sum + Math.pow(p, order), 0)) / (1 - order);
+        maximum = Math.log2(bins);
+        break;
+      case 'tsallis':
+        entropy = order === 1 ?
+          probabilities.reduce((sum, p) => sum - p * Math.log(p), 0) :
+          (1 - probabilities.reduce((sum, p) => sum + Math.pow(p, order), 0)) / (order - 1);
+        maximum = order === 1 ? Math.log(bins) : (1 - Math.pow(bins, 1 - order)) / (order - 1);
+        break;
+      default:
+        throw new Error(`Unknown spectral entropy method: ${method}`);
     }
     
-    return isNaN(entropy) ? 0 : entropy;
+    // Also maps NaN and the -0 of a single-line spectrum to 0
+    if (!(entropy > 0)) return 0;
+    return normalize ? (maximum > 0 ? entropy / maximum : 0) : entropy;
+  }
+
+  /**
+   * Create a stateful streaming analyzer over a sliding window.
+   * Options override this processor's configuration (windowSize, windowType, sampleRate).
+   */
+  createStream(options = {}) {
+    return new StreamingSpectrum({ ...this.config, ...options });
   }
 
   /**
@@ -315,4 +907,206 @@ export class SpectralProcessor {
       this.windowFunction = this.generateWindow(this.config.windowType, this.config.windowSize);
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Cosine-sum window coefficients [a0, a1, a2] for w[n] = a0 - a1 cos(2πn/N) + a2 cos(4πn/N).
+ * Applied in the frequency domain as a 5-tap convolution of the rectangular DFT.
+ */
+const COSINE_WINDOWS = {
+  hann: [0.5, 0.5, 0],
+  hamming: [0.54, 0.46, 0],
+  blackman: [0.42, 0.5, 0.08],
+  rectangular: [1, 0, 0]
+};
+
+/**
+ * StreamingSpectrum - Sliding DFT over the most recent `windowSize` samples
+ *
+ * Each pushed sample updates every bin in O(N) instead of recomputing an
+ * O(N log N) FFT per frame. Windowing is applied in the frequency domain using
+ * periodic cosine-sum windows, and the running spectrum is periodically
+ * recomputed from the sample buffer to bound floating point drift.
+ */
+export class StreamingSpectrum {
+  constructor(config = {}) {
+    this.config = {
+      windowSize: 256,
+      windowType: 'hann',
+      sampleRate: 1000,
+      hopSize: 1,            // Samples between completed frames
+      resyncInterval: null,  // Samples between exact recomputations (default 4 × windowSize)
+      ...config
+    };
+
+    const N = Math.floor(this.config.windowSize);
+    if (!Number.isFinite(N) || N < 2) {
+      throw new Error(`Invalid streaming window size: ${this.config.windowSize}`);
+    }
+
+    this.size = N;
+    this.resyncInterval = this.config.resyncInterval || 4 * N;
+    this.windowCoefficients = COSINE_WINDOWS[this.config.windowType] || COSINE_WINDOWS.rectangular;
+
+    // Feature extraction reuses the batch processor with an exact-length bin layout
+    this.processor = new SpectralProcessor({ ...this.config, windowSize: N, fftSize: N });
+
+    this.samples = new RingBuffer(N); // The window, kept full (zeros until N samples arrive)
+    this.real = new Float64Array(N);
+    this.imag = new Float64Array(N);
+
+    this.twiddleReal = new Float64Array(N);
+    this.twiddleImag = new Float64Array(N);
+    for (let k = 0; k < N; k++) {
+      this.twiddleReal[k] = Math.cos(2 * Math.PI * k / N);
+      this.twiddleImag[k] = Math.sin(2 * Math.PI * k / N);
+    }
+
+    this.reset();
+  }
+
+  /**
+   * Push a single sample. Returns true when a hop completes and a new frame is available.
+   */
+  push(sample) {
+    const N = this.size;
+    const value = Number.isFinite(sample) ? sample : 0;
+    const delta = value - this.samples.at(0);
+
+    this.samples.push(value);
+    if (this.count < N) this.count++;
+
+    // X_k <- (X_k + x_new - x_old) · e^{j2πk/N}
+    for (let k = 0; k < N; k++) {
+      const re = this.real[k] + delta;
+      const im = this.imag[k];
+      this.real[k] = re * this.twiddleReal[k] - im * this.twiddleImag[k];
+      this.imag[k] = re * this.twiddleImag[k] + im * this.twiddleReal[k];
+    }
+
+    this.totalSamples++;
+    if (++this.samplesSinceResync >= this.resyncInterval) {
+      this.resync();
+    }
+
+    if (++this.samplesSinceHop >= this.config.hopSize) {
+      this.samplesSinceHop = 0;
+      this.framesAvailable++;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Push a block of samples. Returns the number of frames completed.
+   */
+  pushBlock(samples) {
+    let frames = 0;
+    for (let i = 0; i < samples.length; i++) {
+      if (this.push(samples[i])) frames++;
+    }
+    return frames;
+  }
+
+  /**
+   * Whether the sliding window has been completely filled
+   */
+  isReady() {
+    return this.count >= this.size;
+  }
+
+  /**
+   * Recompute the rectangular DFT exactly from the sample buffer
+   */
+  resync() {
+    const fft = this.processor.fft(this.samples.view());
+    for (let k = 0; k < this.size; k++) {
+      this.real[k] = fft[k].real;
+      this.imag[k] = fft[k].imag;
+    }
+
+    this.samplesSinceResync = 0;
+  }
+
+  /**
+   * Samples currently in the window, oldest first
+   */
+  getWindowSamples() {
+    return this.samples.toArray();
+  }
+
+  /**
+   * Windowed spectrum of the current window in the same {real, imag} layout as computeFFT
+   */
+  getSpectrum() {
+    const N = this.size;
+    const [a0, a1, a2] = this.windowCoefficients;
+    const spectrum = new Array(N);
+
+    for (let k = 0; k < N; k++) {
+      const k1m = (k - 1 + N) % N;
+      const k1p = (k + 1) % N;
+      const k2m = (k - 2 + N) % N;
+      const k2p = (k + 2) % N;
+
+      spectrum[k] = {
+        real: a0 * this.real[k] -
+              (a1 / 2) * (this.real[k1m] + this.real[k1p]) +
+              (a2 / 2) * (this.real[k2m] + this.real[k2p]),
+        imag: a0 * this.imag[k] -
+              (a1 / 2) * (this.imag[k1m] + this.imag[k1p]) +
+              (a2 / 2) * (this.imag[k2m] + this.imag[k2p])
+      };
+    }
+
+    return spectrum;
+  }
+
+  /**
+   * Spectral features of the current window (same shape as SpectralProcessor.extractSpectralFeatures)
+   */
+  getFeatures() {
+    return this.processor.extractSpectralFeatures(this.getSpectrum());
+  }
+
+  /**
+   * Analyze the current window, mirroring the SpectralProcessor.analyze result
+   */
+  analyze() {
+    const fft = this.getSpectrum();
+    const features = this.processor.extractSpectralFeatures(fft);
+    this.framesAvailable = 0;
+
+    return {
+      fft,
+      features,
+      powerSpectrum: this.processor.computePowerSpectrum(fft),
+      frequencies: this.processor.getFrequencyBins(),
+      spectralCentroid: features.centroid,
+      spectralBandwidth: features.bandwidth,
+      spectralRolloff: features.rolloff,
+      streaming: {
+        windowSize: this.size,
+        filled: this.count,
+        totalSamples: this.totalSamples
+      },
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Clear all streaming state
+   */
+  reset() {
+    this.samples.clear();
+    for (let i = 0; i < this.size; i++) this.samples.push(0);
+    this.real.fill(0);
+    this.imag.fill(0);
+    this.count = 0;
+    this.totalSamples = 0;
+    this.samplesSinceHop = 0;
+    this.samplesSinceResync = 0;
+    this.framesAvailable = 0;
+  }
+}
@@ -0,0 +1,549 @@
+/**
+ * StationarityProcessor - Unit-root and stationarity tests
+ *
+ * Implements the three standard tests for a single series:
+ * - Augmented Dickey-Fuller, with the lag order chosen by AIC or BIC
+ * - KPSS (Kwiatkowski-Phillips-Schmidt-Shin), with Bartlett long-run variance
+ * - Phillips-Perron Z(τ), the non-parametric alternative to augmenting ADF
+ *
+ * ADF and Phillips-Perron share the Dickey-Fuller τ distribution: p-values come
+ * from MacKinnon's (1994) response surfaces and critical values from MacKinnon
+ * (2010). KPSS p-values are exact asymptotic tail probabilities of its limiting
+ * Brownian-bridge functional, obtained by Imhof inversion.
+ *
+ * Deterministic terms follow the usual codes: 'n' (none, ADF/PP only),
+ * 'c' (constant) and 'ct' (constant and linear trend).
+ *
+ * @version 2.1.0
+ */
+
+import { normalCdf } from '../SpecialFunctions.js';
+
+// MacKinnon (1994) τ response surfaces for one series: the p-value is Φ of a
+// polynomial in the statistic, quadratic below tauStar and cubic above it;
+// outside [tauMin, tauMax] it is 0 or 1.
+const TAU_PVALUE_SURFACES = {
+  n: { tauMin: -19.04, tauMax: 1.51, tauStar: -1.04,
+       small: [0.6344, 1.2378, 0.032496], large: [0.4797, 0.93557, -0.06999, 0.033066] },
+  c: { tauMin: -18.83, tauMax: 2.74, tauStar: -1.61,
+       small: [2.1659, 1.4412, 0.038269], large: [1.7339, 0.93202, -0.12745, -0.010368] },
+  ct: { tauMin: -16.18, tauMax: 0.7, tauStar: -2.89,
+        small: [3.2512, 1.6047, 0.049588], large: [2.5261, 0.61654, -0.37956, -0.060285] }
+};
+
+// MacKinnon (2010) finite-sample critical values: β∞ + β1/T + β2/T² + β3/T³
+const TAU_CRITICAL_SURFACES = {
+  n: {
+    '1%': [-2.56574, -2.2358, -3.627, 0],
+    '5%': [-1.94100, -0.2686, -3.365, 31.223],
+    '10%': [-1.61682, 0.2656, -2.714, 25.364]
+  },
+  c: {
+    '1%': [-3.43035, -6.5393, -16.786, -79.433],
+    '5%': [-2.86154, -2.8903, -4.234, -40.040],
+    '10%': [-2.56677, -1.5384, -2.809, 0]
+  },
+  ct: {
+    '1%': [-3.95877, -9.0531, -28.428, -134.155],
+    '5%': [-3.41049, -4.3904, -9.036, -45.374],
+    '10%': [-3.12705, -2.5856, -3.925, -22.380]
+  }
+};
+
+// Kwiatkowski et al. (1992) asymptotic critical values
+const KPSS_CRITICAL_VALUES = {
+  c: { '10%': 0.347, '5%': 0.463, '2.5%': 0.574, '1%': 0.739 },
+  ct: { '10%': 0.119, '5%': 0.146, '2.5%': 0.176, '1%': 0.216 }
+};
+
+const DETERMINISTIC_TERMS = { n: 0, c: 1, ct: 2 };
+
+// Leading eigenvalues kept explicitly in the KPSS limiting distribution; the
+// remainder enters as its (nearly deterministic) mean
+const KPSS_EIGENVALUE_COUNT = 12;
+let kpssSpectra = null;
+
+export class StationarityProcessor {
+  constructor(config = {}) {
+    this.config = {
+      regression: 'c',           // 'n' | 'c' | 'ct' (KPSS treats 'n' as 'c')
+      lagCriterion: 'aic',       // ADF lag selection: 'aic' | 'bic'
+      maxLags: null,             // ADF lag search bound; null = 12·(n/100)^¼ (Schwert)
+      kpssLags: 'auto',          // Bartlett bandwidth: 'auto' (Hobijn et al.) or a number
+      ppLags: null,              // Bartlett bandwidth; null = 12·(n/100)^¼
+      significance: 0.05,        // Level for the combined verdict
+      minLength: 20,
+      ...config
+    };
+  }
+
+  /**
+   * Run ADF, Phillips-Perron and KPSS together. The series is called stationary when
+   * both unit-root tests reject and KPSS does not, non-stationary in the mirror case,
+   * and inconclusive otherwise. `stationarity` in [0, 1] averages the unit-root
+   * evidence (1 - the larger ADF/PP p-value) with the KPSS p-value.
+   * Returns null for series that are too short, constant or exactly deterministic.
+   */
+  test(series, options = {}) {
+    const regression = options.regression || this.config.regression;
+    const significance = options.significance ?? this.config.significance;
+
+    if (series.length < this.config.minLength || !(this.computeVariance(series) > 0)) {
+      return null;
+    }
+
+    const adf = this.augmentedDickeyFuller(series, { ...options, regression });
+    const pp = this.phillipsPerron(series, { ...options, regression });
+    const kpss = this.kpss(series, { ...options, regression: regression === 'ct' ? 'ct' : 'c' });
+
+    if ([adf, pp, kpss].some(result => Number.isNaN(result.pValue))) {
+      return null;
+    }
+
+    const unitRootPValue = Math.max(adf.pValue, pp.pValue);
+    const unitRootRejected = unitRootPValue < significance;
+    const stationarityRejected = kpss.pValue < significance;
+
+    let verdict = 'inconclusive';
+    if (unitRootRejected && !stationarityRejected) verdict = 'stationary';
+    else if (!unitRootRejected && stationarityRejected) verdict = 'unit-root';
+
+    return {
+      adf,
+      pp,
+      kpss,
+      regression,
+      significance,
+      verdict,
+      isStationary: verdict === 'stationary',
+      stationarity: ((1 - unitRootPValue) + kpss.pValue) / 2
+    };
+  }
+
+  /**
+   * Augmented Dickey-Fuller: t-statistic of γ in
+   *   Δx_t = deterministic + γ·x_{t-1} + Σ_{i=1..p} δ_i·Δx_{t-i} + ε_t
+   * with p chosen by the information criterion over a common sample, then refitted on
+   * all available observations. H0: unit root. Lag orders whose regression is
+   * singular or fits exactly are skipped; NaN statistic when none remains.
+   */
+  augmentedDickeyFuller(series, options = {}) {
+    const regression = options.regression || this.config.regression;
+    const criterion = options.lagCriterion || this.config.lagCriterion;
+    const trendTerms = this.getTrendTermCount(regression);
+    const n = series.length;
+    const differences = this.difference(series);
+
+    let lags = options.lags;
+    let informationCriterion = null;
+
+    if (lags === undefined || lags === null) {
+      const bound = options.maxLags ?? this.config.maxLags ?? this.schwertLags(n);
+      const maxLags = Math.max(0, Math.min(bound, Math.floor(n / 2) - trendTerms - 2));
+
+      lags = 0;
+      for (let p = 0; p <= maxLags; p++) {
+        const fit = this.fitDickeyFuller(series, differences, p, regression, maxLags);
+        if (!fit || !(fit.ssr > 0)) continue;
+
+        const score = this.computeInformationCriterion(fit, criterion);
+        if (informationCriterion === null || score < informationCriterion) {
+          informationCriterion = score;
+          lags = p;
+        }
+      }
+    }
+
+    const fit = this.fitDickeyFuller(series, differences, lags, regression, lags);
+    const statistic = fit ? fit.beta[0] / fit.standardErrors[0] : NaN;
+    const nobs = n - 1 - lags;
+
+    return {
+      statistic,
+      pValue: this.unitRootPValue(statistic, regression),
+      criticalValues: this.unitRootCriticalValues(nobs, regression),
+      lags,
+      nobs,
+      regression,
+      lagCriterion: options.lags === undefined || options.lags === null ? criterion : null,
+      informationCriterion
+    };
+  }
+
+  /**
+   * KPSS: η = Σ S_t² / (n²·σ̂²) where S_t are partial sums of the residuals from the
+   * deterministic fit and σ̂² their Bartlett long-run variance. H0: (trend-)stationary.
+   */
+  kpss(series, options = {}) {
+    const regression = (options.regression || this.config.regression) === 'ct' ? 'ct' : 'c';
+    const n = series.length;
+    const residuals = this.detrend(series, regression);
+
+    const bandwidth = options.lags ?? this.config.kpssLags;
+    const lags = bandwidth === 'auto' ?
+      this.kpssAutomaticLags(residuals) :
+      Math.min(bandwidth, n - 1);
+
+    let partialSum = 0;
+    let eta = 0;
+    for (let t = 0; t < n; t++) {
+      partialSum += residuals[t];
+      eta += partialSum * partialSum;
+    }
+    const statistic = eta / (n * n * this.longRunVariance(residuals, lags));
+
+    return {
+      statistic,
+      pValue: this.kpssPValue(statistic, regression),
+      criticalValues: { ...KPSS_CRITICAL_VALUES[regression] },
+      lags,
+      nobs: n,
+      regression
+    };
+  }
+
+  /**
+   * Phillips-Perron Z(τ): the Dickey-Fuller t-statistic without augmentation, corrected
+   * for serial correlation with a Bartlett long-run variance of the residuals.
+   * H0: unit root; same asymptotic distribution as ADF.
+   */
+  phillipsPerron(series, options = {}) {
+    const regression = options.regression || this.config.regression;
+    const n = series.length;
+    const lags = Math.min(options.lags ?? this.config.ppLags ?? this.schwertLags(n), n - 2);
+
+    const fit = this.fitDickeyFuller(series, this.difference(series), 0, regression, 0);
+    if (!fit) {
+      return { statistic: NaN, pValue: NaN, criticalValues: null, lags, nobs: n - 1, regression };
+    }
+
+    const { nobs, residuals, ssr } = fit;
+    const k = fit.beta.length;
+
+    const gamma0 = ssr / nobs;
+    const lambda2 = this.longRunVariance(residuals, lags);
+    const lambda = Math.sqrt(lambda2);
+    const s = Math.sqrt(ssr / (nobs - k));
+    const sigma = fit.standardErrors[0];
+    const tau = fit.beta[0] / sigma;
+
+    const statistic = Math.sqrt(gamma0 / lambda2) * tau -
+      0.5 * ((lambda2 - gamma0) / lambda) * (nobs * sigma / s);
+
+    return {
+      statistic,
+      pValue: this.unitRootPValue(statistic, regression),
+      criticalValues: this.unitRootCriticalValues(nobs, regression),
+      lags,
+      nobs,
+      regression
+    };
+  }
+
+  /**
+   * Dickey-Fuller regression with `lags` augmentation terms on the sample that
+   * leaves room for `sampleLags` lags (so candidate lag orders share one sample)
+   */
+  fitDickeyFuller(series, differences, lags, regression, sampleLags) {
+    const n = series.length;
+    const trendTerms = this.getTrendTermCount(regression);
+    const design = [];
+    const response = [];
+
+    // Row for Δx_t = x_t - x_{t-1}, t = sampleLags+1 .. n-1
+    for (let t = sampleLags + 1; t < n; t++) {
+      const row = [series[t - 1]];
+      if (trendTerms >= 1) row.push(1);
+      if (trendTerms === 2) row.push(t / n);
+      for (let i = 1; i <= lags; i++) row.push(differences[t - 1 - i]);
+
+      design.push(row);
+      response.push(differences[t - 1]);
+    }
+
+    return this.leastSquares(design, response);
+  }
+
+  /**
+   * Ordinary least squares with coefficient standard errors, or null when the
+   * design is singular
+   */
+  leastSquares(design, response) {
+    const nobs = design.length;
+    const k = design[0].length;
+    const gram = Array.from({ length: k }, () => new Array(k).fill(0));
+    const moment = new Array(k).fill(0);
+
+    for (let r = 0; r < nobs; r++) {
+      const row = design[r];
+      for (let i = 0; i < k; i++) {
+        moment[i] += row[i] * response[r];
+        for (let j = i; j < k; j++) gram[i][j] += row[i] * row[j];
+      }
+    }
+    for (let i = 0; i < k; i++) {
+      for (let j = 0; j < i; j++) gram[i][j] = gram[j][i];
+    }
+
+    const inverse = invertMatrix(gram);
+    if (!inverse) return null;
+
+    const beta = inverse.map(row => row.reduce((sum, v, j) => sum + v * moment[j], 0));
+    const residuals = new Array(nobs);
+    let ssr = 0;
+    for (let r = 0; r < nobs; r++) {
+      const fitted = design[r].reduce((sum, v, j) => sum + v * beta[j], 0);
+      residuals[r] = response[r] - fitted;
+      ssr += residuals[r] * residuals[r];
+    }
+
+    const variance = ssr / (nobs - k);
+    const standardErrors = inverse.map((row, i) => Math.sqrt(variance * row[i]));
+
+    return { beta, standardErrors, residuals, ssr, nobs };
+  }
+
+  /**
+   * Gaussian-likelihood AIC or BIC (up to a constant shared by all candidates)
+   */
+  computeInformationCriterion(fit, criterion) {
+    const k = fit.beta.length;
+    const fitTerm = fit.nobs * Math.log(fit.ssr / fit.nobs);
+
+    switch (criterion) {
+      case 'aic':
+        return fitTerm + 2 * k;
+      case 'bic':
+        return fitTerm + k * Math.log(fit.nobs);
+      default:
+        throw new Error(`Unknown lag selection criterion: ${criterion}`);
+    }
+  }
+
+  /**
+   * MacKinnon (1994) approximate p-value of a Dickey-Fuller τ statistic
+   */
+  unitRootPValue(statistic, regression = this.config.regression) {
+    const surface = TAU_PVALUE_SURFACES[regression];
+    if (!surface) {
+      throw new Error(`Unknown deterministic terms: ${regression}`);
+    }
+
+    if (Number.isNaN(statistic)) return NaN;
+    if (statistic > surface.tauMax) return 1;
+    if (statistic < surface.tauMin) return 0;
+
+    const coefficients = statistic <= surface.tauStar ? surface.small : surface.large;
+    const z = coefficients.reduceRight((acc, c) => acc * statistic + c, 0);
+    return normalCdf(z);
+  }
+
+  /**
+   * MacKinnon (2010) 1%, 5% and 10% critical values for `nobs` observations
+   */
+  unitRootCriticalValues(nobs, regression = this.config.regression) {
+    const surfaces = TAU_CRITICAL_SURFACES[regression];
+    if (!surfaces) {
+      throw new Error(`Unknown deterministic terms: ${regression}`);
+    }
+
+    const values = {};
+    for (const [level, [b0, b1, b2, b3]] of Object.entries(surfaces)) {
+      values[level] = b0 + b1 / nobs + b2 / nobs ** 2 + b3 / nobs ** 3;
+    }
+    return values;
+  }
+
+  /**
+   * Asymptotic KPSS p-value P(Σ λ_j Z_j² > η), where λ_j are the eigenvalues of the
+   * (de-trended) Brownian-bridge covariance, by Imhof's inversion formula
+   */
+  kpssPValue(statistic, regression = 'c') {
+    const { eigenvalues, remainder } = getKPSSSpectrum(regression);
+    const x = statistic - remainder;
+
+    // Beyond 20 means the tail is below 1e-7 for both cases
+    if (statistic >= 20 * (remainder + eigenvalues.reduce((sum, l) => sum + l, 0))) return 0;
+
+    const integrand = (u) => {
+      let theta = -0.5 * x * u;
+      let logRho = 0;
+      for (const lambda of eigenvalues) {
+        theta += 0.5 * Math.atan(lambda * u);
+        logRho += 0.25 * Math.log1p(lambda * lambda * u * u);
+      }
+      return Math.sin(theta) / (u * Math.exp(logRho));
+    };
+
+    // Truncate where the integrand envelope 1/(u·ρ(u)) drops below 1e-9
+    const envelope = (u) => u * Math.exp(eigenvalues.reduce((sum, l) => sum + 0.25 * Math.log1p(l * l * u * u), 0));
+    let upper = 10;
+    while (envelope(upper) < 1e9) upper *= 1.5;
+
+    // Simpson's rule with roughly two nodes per half-period of sin(x·u/2)
+    let steps = Math.ceil(upper * Math.abs(x) / Math.PI * 2) + 200;
+    steps += steps % 2;
+    const h = upper / steps;
+    const atZero = 0.5 * (eigenvalues.reduce((sum, l) => sum + l, 0) - x);
+
+    let integral = atZero + integrand(upper);
+    for (let i = 1; i < steps; i++) {
+      integral += (i % 2 ? 4 : 2) * integrand(i * h);
+    }
+    integral *= h / 3;
+
+    return Math.max(0, Math.min(1, 0.5 + integral / Math.PI));
+  }
+
+  /**
+   * Hobijn, Franses & Ooms (2004) data-dependent Bartlett bandwidth
+   */
+  kpssAutomaticLags(residuals) {
+    const n = residuals.length;
+    const covarianceLags = Math.floor(Math.pow(n, 2 / 9));
+    let s0 = residuals.reduce((sum, e) => sum + e * e, 0) / n;
+    let s1 = 0;
+
+    for (let i = 1; i <= covarianceLags; i++) {
+      let product = 0;
+      for (let t = i; t < n; t++) product += residuals[t] * residuals[t - i];
+      product /= n / 2;
+      s0 += product;
+      s1 += i * product;
+    }
+
+    const gamma = 1.1447 * Math.pow((s1 / s0) ** 2, 1 / 3);
+    return Math.min(n - 1, Math.floor(gamma * Math.pow(n, 1 / 3)));
+  }
+
+  /**
+   * Newey-West long-run variance with Bartlett weights 1 - j/(lags + 1)
+   */
+  longRunVariance(residuals, lags) {
+    const n = residuals.length;
+    let variance = residuals.reduce((sum, e) => sum + e * e, 0);
+
+    for (let j = 1; j <= lags; j++) {
+      let autocovariance = 0;
+      for (let t = j; t < n; t++) autocovariance += residuals[t] * residuals[t - j];
+      variance += 2 * (1 - j / (lags + 1)) * autocovariance;
+    }
+
+    return variance / n;
+  }
+
+  /**
+   * Residuals after removing the mean ('c') or an OLS linear trend ('ct')
+   */
+  detrend(series, regression) {
+    const n = series.length;
+    const mean = series.reduce((sum, v) => sum + v, 0) / n;
+    if (regression !== 'ct') return series.map(v => v - mean);
+
+    const meanT = (n - 1) / 2;
+    let stt = 0;
+    let sty = 0;
+    for (let t = 0; t < n; t++) {
+      stt += (t - meanT) ** 2;
+      sty += (t - meanT) * (series[t] - mean);
+    }
+    const slope = sty / stt;
+    return series.map((v, t) => v - mean - slope * (t - meanT));
+  }
+
+  difference(series) {
+    const differences = new Array(series.length - 1);
+    for (let i = 1; i < series.length; i++) differences[i - 1] = series[i] - series[i - 1];
+    return differences;
+  }
+
+  computeVariance(series) {
+    const mean = series.reduce((sum, v) => sum + v, 0) / series.length;
+    return series.reduce((sum, v) => sum + (v - mean) ** 2, 0) / series.length;
+  }
+
+  /**
+   * Schwert's rule of thumb 12·(n/100)^¼
+   */
+  schwertLags(n) {
+    return Math.ceil(12 * Math.pow(n / 100, 0.25));
+  }
+
+  getTrendTermCount(regression) {
+    const terms = DETERMINISTIC_TERMS[regression];
+    if (terms === undefined) {
+      throw new Error(`Unknown deterministic terms: ${regression}`);
+    }
+    return terms;
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+}
+
+/**
+ * Gauss-Jordan inverse with partial pivoting, or null when singular
+ */
+function invertMatrix(matrix) {
+  const k = matrix.length;
+  const a = matrix.map((row, i) => [...row, ...Array.from({ length: k }, (_, j) => (i === j ? 1 : 0))]);
+  const scale = Math.max(...matrix.map((row, i) => Math.abs(row[i])));
+
+  for (let col = 0; col < k; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < k; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    if (!(Math.abs(a[pivot][col]) > 1e-12 * scale)) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    const divisor = a[col][col];
+    for (let j = 0; j < 2 * k; j++) a[col][j] /= divisor;
+
+    for (let r = 0; r < k; r++) {
+      if (r === col || a[r][col] === 0) continue;
+      const factor = a[r][col];
+      for (let j = 0; j < 2 * k; j++) a[r][j] -= factor * a[col][j];
+    }
+  }
+
+  return a.map(row => row.slice(k));
+}
+
+/**
+ * Eigenvalues of the KPSS limiting covariance kernels. For the demeaned case
+ * (Brownian bridge) λ_j = 1/(jπ)²; for the de-trended case they are 1/ω² with
+ * ω = 2jπ or ω = 2x where tan x = x. Their sum (the distribution's mean) is 1/6
+ * and 1/15 respectively.
+ */
+function getKPSSSpectrum(regression) {
+  if (!kpssSpectra) {
+    const level = [];
+    const trend = [];
+
+    for (let j = 1; j <= KPSS_EIGENVALUE_COUNT; j++) {
+      level.push(1 / (j * Math.PI) ** 2);
+
+      // Root of tan x = x in (jπ, (j + ½)π) by Newton's method from just below the asymptote
+      let x = (j + 0.5) * Math.PI - 1e-3;
+      for (let i = 0; i < 50; i++) {
+        const step = (Math.tan(x) - x) / (Math.tan(x) ** 2);
+        x -= step;
+        if (Math.abs(step) < 1e-14) break;
+      }
+      trend.push(1 / (2 * j * Math.PI) ** 2, 1 / (2 * x) ** 2);
+    }
+
+    const spectrum = (eigenvalues, mean) => ({
+      eigenvalues,
+      remainder: mean - eigenvalues.reduce((sum, l) => sum + l, 0)
+    });
+    kpssSpectra = { c: spectrum(level, 1 / 6), ct: spectrum(trend, 1 / 15) };
+  }
+
+  return kpssSpectra[regression === 'ct' ? 'ct' : 'c'];
+}
@@ -10,15 +10,37 @@
  * @version 2.0.0
  */
 
+import { FractalProcessor } from './FractalProcessor.js';
+import { ChangePointProcessor } from './ChangePointProcessor.js';
+import { StationarityProcessor } from './StationarityProcessor.js';
+import { DistributionProcessor } from './DistributionProcessor.js';
+import { SeasonalityProcessor } from './SeasonalityProcessor.js';
+import { CouplingProcessor } from './CouplingProcessor.js';
+
 export class StatisticalProcessor {
   constructor(config = {}) {
     this.config = {
       windowSize: 100,
       overlap: 0.5,
       enableRobustStats: true,
-      enableDistributionFitting: true,
+      enableDistributionFitting: true,   // MLE fits in computeFeatures (MathCore turns them off per frame)
+      enableStationarityTests: false,    // ADF / PP / KPSS in computeFeatures (testStationarity() runs them on demand)
+      enableSeasonalityDetection: false, // STL period detection in computeFeatures (detectSeasonality() on demand)
+      changePoints: { method: 'pelt' }, // ChangePointProcessor options
+      stationarity: { regression: 'c' }, // StationarityProcessor options
+      distributionFitting: {},           // DistributionProcessor options (e.g. distributions)
+      seasonality: { minStrength: 0.3 }, // SeasonalityProcessor options; minStrength gates detection
+      coupling: {},                      // CouplingProcessor options (e.g. sampleRate, band, measures)
       ...config
     };
+    
+    // Rescaled-range Hurst estimator backing computePersistence
+    this.fractal = new FractalProcessor();
+    this.changePointDetector = new ChangePointProcessor();
+    this.stationarityTests = new StationarityProcessor();
+    this.distributions = new DistributionProcessor();
+    this.seasonality = new SeasonalityProcessor();
+    this.coupling = new CouplingProcessor(this.config.coupling);
   }
 
   /**
@@ -139,7 +161,8 @@ export class StatisticalProcessor {
   }
 
   /**
-   * Compute time series specific features
+   * Compute time series specific features (stationarity and seasonality null
+   * unless enableStationarityTests / enableSeasonalityDetection are set)
    */
   computeTimeSeriesFeatures(signal) {
     const n = signal.length;
@@ -154,11 +177,11 @@ export class StatisticalProcessor {
     // Trend analysis
     const trend = this.computeLinearTrend(signal);
     
-    // Stationarity tests
-    const stationarity = this.testStationarity(signal);
+    // Stationarity tests (unit-root regressions over many lags; opt-in on the hot path)
+    const stationarity = this.config.enableStationarityTests ? this.testStationarity(signal) : null;
     
-    // Seasonality detection
-    const seasonality = this.detectSeasonality(signal);
+    // Seasonality detection (STL per candidate period; opt-in on the hot path)
+    const seasonality = this.config.enableSeasonalityDetection ? this.detectSeasonality(signal) : null;
     
     // Change point detection
     const changePoints = this.detectChangePoints(signal);
@@ -188,7 +211,9 @@ export class StatisticalProcessor {
     const normality = this.testNormality(signal);
     
     // Distribution fitting
-    const fittedDistributions = this.fitDistributions(signal);
+    const fittedDistributions = this.config.enableDistributionFitting ?
+      this.fitDistributions(signal) :
+      null;
     
     return {
       histogram,
@@ -231,20 +256,35 @@ export class StatisticalProcessor {
   }
 
   /**
-   * Compute crosscorrelation with lagged versions
+   * Compute crosscorrelation with lagged versions: corr(signal[t], other[t + lag]),
+   * against the signal itself when no other signal is given
    */
-  computeCrosscorrelation(signal) {
-    // Self-correlation with different lags
+  computeCrosscorrelation(signal, other = null) {
     const lags = [-5, -4, -3, -2, -1, 0, 1, 2, 3, 4, 5];
     const correlations = {};
     
     for (const lag of lags) {
-      correlations[`lag${lag}`] = this.computeLaggedCorrelation(signal, lag);
+      correlations[`lag${lag}`] = this.computeLaggedCorrelation(signal, lag, other || signal);
     }
     
     return correlations;
   }
 
+  /**
+   * Coherence, phase locking, transfer entropy and Granger causality between two
+   * signals via CouplingProcessor; options override config.coupling
+   */
+  computeCoupling(x, y, options = {}) {
+    return this.coupling.analyze(x, y, options);
+  }
+
+  /**
+   * Pairwise coupling and directed Granger links across a { name: signal } map
+   */
+  computeCouplingNetwork(signals, options = {}) {
+    return this.coupling.analyzeNetwork(signals, options);
+  }
+
   /**
    * Compute entropy measures
    */
@@ -261,7 +301,8 @@ export class StatisticalProcessor {
     return {
       shannon,
       approximate,
-      sample
+      sample,
+      permutation: this.computePermutationEntropy(signal)
     };
   }
 
@@ -406,22 +447,141 @@ export class StatisticalProcessor {
     return phi(m) - phi(m + 1);
   }
 
+  /**
+   * Sample entropy (Richman & Moorman): -ln(A / B), where B and A count template
+   * pairs of length m and m + 1 within Chebyshev distance r (self-matches excluded).
+   * When no pair matches, the largest finite value ln(C(N - m, 2)) is returned.
+   */
   computeSampleEntropy(signal, m = 2, r = null) {
-    // Simplified sample entropy implementation
-    return this.computeApproximateEntropy(signal, m, r);
+    if (signal.length <= m + 1) return 0;
+    
+    if (r === null) {
+      r = 0.2 * this.computeStandardDeviation(signal);
+    }
+    
+    const { templates, matchesM, matchesM1 } = this.countTemplateMatches(signal, m, r);
+    
+    if (matchesM1 === 0) {
+      return Math.log(templates * (templates - 1) / 2);
+    }
+    
+    return Math.log(matchesM / matchesM1);
+  }
+
+  /**
+   * Template pairs (i < j) matching within r for lengths m and m + 1. Both lengths
+   * use the same N - m starting points.
+   */
+  countTemplateMatches(signal, m, r) {
+    const templates = signal.length - m;
+    let matchesM = 0;
+    let matchesM1 = 0;
+    
+    for (let i = 0; i < templates - 1; i++) {
+      for (let j = i + 1; j < templates; j++) {
+        let k = 0;
+        while (k < m && Math.abs(signal[i + k] - signal[j + k]) <= r) k++;
+        
+        if (k === m) {
+          matchesM++;
+          if (Math.abs(signal[i + m] - signal[j + m]) <= r) {
+            matchesM1++;
+          }
+        }
+      }
+    }
+    
+    return { templates, matchesM, matchesM1 };
+  }
+
+  /**
+   * Multiscale entropy (Costa et al.): sample entropy of the coarse-grained series
+   * (non-overlapping means of τ samples) for τ = 1..maxScale, with r fixed from the
+   * original series. Scales too short to yield any m + 1 match report null; the
+   * complexity index sums the defined scales.
+   */
+  computeMultiscaleEntropy(signal, options = {}) {
+    const { maxScale = 5, m = 2, tolerance = 0.2 } = options;
+    const r = tolerance * this.computeStandardDeviation(signal);
+    const scales = [];
+    const entropies = [];
+    
+    for (let scale = 1; scale <= maxScale; scale++) {
+      const length = Math.floor(signal.length / scale);
+      if (length <= m + 1) break;
+      
+      const coarse = new Array(length);
+      for (let i = 0; i < length; i++) {
+        let sum = 0;
+        for (let j = 0; j < scale; j++) sum += signal[i * scale + j];
+        coarse[i] = sum / scale;
+      }
+      
+      const { matchesM, matchesM1 } = this.countTemplateMatches(coarse, m, r);
+      scales.push(scale);
+      entropies.push(matchesM1 > 0 ? Math.log(matchesM / matchesM1) : null);
+    }
+    
+    return {
+      scales,
+      entropies,
+      complexityIndex: entropies.reduce((sum, e) => sum + (e ?? 0), 0)
+    };
+  }
+
+  /**
+   * Permutation entropy (Bandt & Pompe): Shannon entropy of ordinal patterns of
+   * `order` samples spaced `delay` apart, normalized by ln(order!) by default.
+   * Ties are ranked by position.
+   */
+  computePermutationEntropy(signal, options = {}) {
+    const { order = 3, delay = 1, normalize = true } = options;
+    const count = signal.length - (order - 1) * delay;
+    if (count <= 0 || order < 2) return 0;
+    
+    const patterns = new Map();
+    const indices = Array.from({ length: order }, (_, i) => i);
+    
+    for (let t = 0; t < count; t++) {
+      const ranking = [...indices].sort((a, b) =>
+        signal[t + a * delay] - signal[t + b * delay] || a - b
+      );
+      const key = ranking.join(',');
+      patterns.set(key, (patterns.get(key) || 0) + 1);
+    }
+    
+    let entropy = 0;
+    for (const frequency of patterns.values()) {
+      const p = frequency / count;
+      entropy -= p * Math.log(p);
+    }
+    
+    if (!normalize) return entropy;
+    
+    let logFactorial = 0;
+    for (let k = 2; k <= order; k++) logFactorial += Math.log(k);
+    return entropy / logFactorial;
   }
 
-  computeLaggedCorrelation(signal, lag) {
+  computeStandardDeviation(signal) {
     const n = signal.length;
+    if (n < 2) return 0;
+    
+    const mean = signal.reduce((sum, val) => sum + val, 0) / n;
+    return Math.sqrt(signal.reduce((sum, val) => sum + (val - mean) ** 2, 0) / (n - 1));
+  }
+
+  computeLaggedCorrelation(signal, lag, other = signal) {
+    const n = Math.min(signal.length, other.length);
     if (Math.abs(lag) >= n) return 0;
     
     let x, y;
     if (lag >= 0) {
       x = signal.slice(0, n - lag);
-      y = signal.slice(lag);
+      y = other.slice(lag, n);
     } else {
-      x = signal.slice(-lag);
-      y = signal.slice(0, n + lag);
+      x = signal.slice(-lag, n);
+      y = other.slice(0, n + lag);
     }
     
     const meanX = x.reduce((acc, val) => acc + val, 0) / x.length;
@@ -454,50 +614,49 @@ export class StatisticalProcessor {
     return significant;
   }
 
-  // Placeholder implementations for advanced methods
-  testStationarity(signal) {
-    // Simplified stationarity test
-    const firstHalf = signal.slice(0, Math.floor(signal.length / 2));
-    const secondHalf = signal.slice(Math.floor(signal.length / 2));
-    
-    const mean1 = firstHalf.reduce((acc, val) => acc + val, 0) / firstHalf.length;
-    const mean2 = secondHalf.reduce((acc, val) => acc + val, 0) / secondHalf.length;
-    
-    return {
-      isStationary: Math.abs(mean1 - mean2) < 0.1 * Math.abs(mean1),
-      meanDifference: Math.abs(mean1 - mean2)
-    };
+  /**
+   * ADF, Phillips-Perron and KPSS via StationarityProcessor; options override
+   * config.stationarity. Null for series too short or constant to test.
+   */
+  testStationarity(signal, options = {}) {
+    return this.stationarityTests.test(signal, { ...this.config.stationarity, ...options });
   }
 
-  detectSeasonality(signal) {
-    // Basic seasonality detection using autocorrelation
-    const autocorr = this.computeAutocorrelation(signal);
-    const significantLags = this.findSignificantLags(autocorr.values, 0.3);
-    
+  /**
+   * Seasonal periods from autocorrelation peaks (or options.periods / timestamps),
+   * confirmed by the strength of their STL components. Options override
+   * config.seasonality.
+   */
+  detectSeasonality(signal, options = {}) {
+    const { minStrength = 0.3, ...settings } = { ...this.config.seasonality, ...options };
+    const decomposition = this.seasonality.decompose(signal, settings);
+    if (!decomposition) {
+      return { detected: false, periods: [], strength: {} };
+    }
+
+    const periods = decomposition.periods.filter(p => decomposition.strength.seasonal[p] >= minStrength);
     return {
-      detected: significantLags.length > 0,
-      periods: significantLags.map(lag => lag.lag)
+      detected: periods.length > 0,
+      periods,
+      strength: decomposition.strength.seasonal
     };
   }
 
-  detectChangePoints(signal) {
-    // Simple change point detection
-    const changes = [];
-    const windowSize = Math.max(10, Math.floor(signal.length / 10));
-    
-    for (let i = windowSize; i < signal.length - windowSize; i++) {
-      const before = signal.slice(i - windowSize, i);
-      const after = signal.slice(i, i + windowSize);
-      
-      const meanBefore = before.reduce((acc, val) => acc + val, 0) / before.length;
-      const meanAfter = after.reduce((acc, val) => acc + val, 0) / after.length;
-      
-      if (Math.abs(meanAfter - meanBefore) > 0.5) {
-        changes.push({ index: i, magnitude: Math.abs(meanAfter - meanBefore) });
-      }
-    }
-    
-    return changes;
+  /**
+   * Trend, per-period seasonal and remainder components (STL / MSTL by default);
+   * options override config.seasonality
+   */
+  decomposeSeasonality(signal, options = {}) {
+    const { minStrength, ...settings } = { ...this.config.seasonality, ...options };
+    return this.seasonality.decompose(signal, settings);
+  }
+
+  /**
+   * Regime changes via ChangePointProcessor (PELT by default); options override
+   * config.changePoints
+   */
+  detectChangePoints(signal, options = {}) {
+    return this.changePointDetector.detect(signal, { ...this.config.changePoints, ...options }).changePoints;
   }
 
   computeVolatility(signal) {
@@ -515,74 +674,35 @@ export class StatisticalProcessor {
   }
 
   computePersistence(signal) {
-    // Hurst exponent estimation (simplified)
-    const n = signal.length;
-    if (n < 4) return 0.5;
+    // Hurst exponent from bias-corrected rescaled-range analysis
+    if (signal.length < 4) return 0.5;
     
-    // Use rescaled range analysis
-    const ranges = [];
-    const lags = [2, 4, 8, 16, Math.min(32, Math.floor(n / 2))];
-    
-    for (const lag of lags) {
-      if (lag >= n) continue;
-      
-      const subseries = [];
-      for (let i = 0; i <= n - lag; i++) {
-        subseries.push(signal.slice(i, i + lag));
-      }
-      
-      let avgRange = 0;
-      for (const series of subseries) {
-        const mean = series.reduce((acc, val) => acc + val, 0) / series.length;
-        const cumulative = [];
-        let sum = 0;
-        
-        for (const val of series) {
-          sum += val - mean;
-          cumulative.push(sum);
-        }
-        
-        const range = Math.max(...cumulative) - Math.min(...cumulative);
-        const std = Math.sqrt(series.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / (series.length - 1));
-        
-        avgRange += std > 0 ? range / std : 0;
-      }
-      
-      avgRange /= subseries.length;
-      ranges.push({ lag, rs: avgRange });
-    }
-    
-    // Estimate Hurst exponent from log-log slope
-    if (ranges.length < 2) return 0.5;
-    
-    const logLags = ranges.map(r => Math.log(r.lag));
-    const logRS = ranges.map(r => Math.log(r.rs));
-    
-    const trend = this.computeLinearTrend(logRS);
-    return Math.max(0, Math.min(1, trend.slope)); // Hurst exponent
+    const { hurst } = this.fractal.computeRescaledRangeHurst(signal, { minWindow: 4 });
+    return Math.max(0, Math.min(1, hurst));
   }
 
+  /**
+   * Jarque-Bera and Anderson-Darling normality tests alongside the sample moments
+   */
   testNormality(signal) {
-    // Simplified normality test using skewness and kurtosis
     const moments = this.computeMoments(signal);
-    
-    const skewnessTest = Math.abs(moments.skewness) < 2;
-    const kurtosisTest = Math.abs(moments.kurtosis) < 4;
+    const tests = this.distributions.testNormality(signal, this.config.distributionFitting);
     
     return {
-      isNormal: skewnessTest && kurtosisTest,
+      isNormal: tests ? tests.isNormal : false,
       skewness: moments.skewness,
-      kurtosis: moments.kurtosis
+      kurtosis: moments.kurtosis,
+      jarqueBera: tests ? tests.jarqueBera : null,
+      andersonDarling: tests ? tests.andersonDarling : null
     };
   }
 
-  fitDistributions(signal) {
-    // Placeholder for distribution fitting
-    return {
-      normal: { fitted: false },
-      exponential: { fitted: false },
-      uniform: { fitted: false }
-    };
+  /**
+   * Maximum-likelihood fits ranked by AIC, with Kolmogorov-Smirnov and
+   * Anderson-Darling goodness of fit; options override config.distributionFitting
+   */
+  fitDistributions(signal, options = {}) {
+    return this.distributions.fit(signal, { ...this.config.distributionFitting, ...options });
   }
 
   detectOutliers(signal) {
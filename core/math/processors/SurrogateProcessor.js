@@ -0,0 +1,223 @@
+/**
+ * SurrogateProcessor - Surrogate data and significance testing
+ *
+ * Generates surrogate series that keep some properties of a signal and destroy
+ * the rest, and ranks any statistic against them:
+ * - Shuffled: same values, no temporal structure (H0: i.i.d. noise)
+ * - Phase-randomized: same power spectrum (H0: linear Gaussian process)
+ * - IAAFT (Schreiber & Schmitz 1996): same values and approximately the same
+ *   spectrum (H0: linear Gaussian process under a static nonlinear transform)
+ *
+ * @version 2.1.0
+ */
+
+import { SpectralProcessor } from './SpectralProcessor.js';
+import { seededUniform } from '../Random.js';
+
+const METHODS = ['shuffle', 'phase', 'iaaft'];
+
+export class SurrogateProcessor {
+  constructor(config = {}) {
+    this.config = {
+      method: 'iaaft',             // 'shuffle' | 'phase' | 'iaaft'
+      surrogates: 39,              // Smallest p-value is 1/40 one-sided, 2/40 two-sided
+      seed: 42,                    // Every call restarts from this seed (reproducible); null: Math.random
+      iterations: 100,             // IAAFT amplitude/spectrum alternations
+      alternative: 'two-sided',    // 'two-sided' | 'greater' | 'less'
+      alpha: 0.05,
+      quantiles: [0.025, 0.5, 0.975],
+      ...config
+    };
+
+    this.spectral = new SpectralProcessor({ fftMode: 'exact' });
+  }
+
+  /**
+   * `count` surrogates of the signal (Float64Arrays)
+   */
+  generate(signal, options = {}) {
+    const { method, surrogates: count, seed, iterations } = { ...this.config, ...options };
+    if (!METHODS.includes(method)) throw new Error(`Unknown surrogate method: ${method}`);
+
+    const random = uniformSource(seed);
+    const values = Float64Array.from(signal);
+    const surrogates = [];
+    for (let s = 0; s < count; s++) {
+      switch (method) {
+        case 'shuffle':
+          surrogates.push(this.shuffle(values, random));
+          break;
+        case 'phase':
+          surrogates.push(this.phaseRandomize(values, random));
+          break;
+        case 'iaaft':
+          surrogates.push(this.iaaft(values, random, iterations));
+          break;
+      }
+    }
+    return surrogates;
+  }
+
+  /**
+   * Fisher-Yates permutation of the values
+   */
+  shuffle(signal, random = uniformSource(this.config.seed)) {
+    const result = Float64Array.from(signal);
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  /**
+   * Same Fourier amplitudes with uniformly random phases (conjugate-symmetric,
+   * so the surrogate is real; the mean and Nyquist bin are kept)
+   */
+  phaseRandomize(signal, random = uniformSource(this.config.seed)) {
+    const n = signal.length;
+    const { real, imag } = this.spectral.transform(Float64Array.from(signal), new Float64Array(n));
+
+    for (let k = 1; k < Math.ceil(n / 2); k++) {
+      const amplitude = Math.hypot(real[k], imag[k]);
+      const phase = 2 * Math.PI * random();
+      real[k] = amplitude * Math.cos(phase);
+      imag[k] = amplitude * Math.sin(phase);
+      real[n - k] = real[k];
+      imag[n - k] = -imag[k];
+    }
+
+    const inverse = this.spectral.transform(real, imag, true).real;
+    return inverse.map(v => v / n);
+  }
+
+  /**
+   * Iterative amplitude-adjusted Fourier transform: alternately impose the
+   * signal's Fourier amplitudes and its exact value distribution (by rank) until
+   * the ranks stop changing
+   */
+  iaaft(signal, random = uniformSource(this.config.seed), iterations = this.config.iterations) {
+    const n = signal.length;
+    const zeros = new Float64Array(n);
+    const sorted = Float64Array.from(signal).sort();
+    const original = this.spectral.transform(Float64Array.from(signal), zeros);
+    const amplitudes = original.real.map((re, k) => Math.hypot(re, original.imag[k]));
+
+    let surrogate = this.shuffle(signal, random);
+    let ranks = null;
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      // Impose the amplitudes, keep the current phases
+      const { real, imag } = this.spectral.transform(surrogate, zeros);
+      for (let k = 0; k < n; k++) {
+        const magnitude = Math.hypot(real[k], imag[k]);
+        const scale = magnitude > 0 ? amplitudes[k] / magnitude : 0;
+        real[k] = magnitude > 0 ? real[k] * scale : amplitudes[k];
+        imag[k] *= scale;
+      }
+      // Unscaled inverse: only the ordering matters below
+      const filtered = this.spectral.transform(real, imag, true).real;
+
+      // Impose the values by rank
+      const order = Uint32Array.from({ length: n }, (_, i) => i).sort((a, b) => filtered[a] - filtered[b]);
+      const nextRanks = new Uint32Array(n);
+      surrogate = new Float64Array(n);
+      for (let rank = 0; rank < n; rank++) {
+        nextRanks[order[rank]] = rank;
+        surrogate[order[rank]] = sorted[rank];
+      }
+
+      const converged = ranks !== null && nextRanks.every((rank, i) => rank === ranks[i]);
+      ranks = nextRanks;
+      if (converged) break;
+    }
+
+    return surrogate;
+  }
+
+  /**
+   * Rank `processorFn(signal)` against its values on surrogates. The p-value is
+   * the rank-based (1 + #as extreme) / (N + 1), doubled for two-sided tests, so
+   * 39 surrogates reach p = 0.05 two-sided when the signal is the most extreme.
+   * Surrogates where the statistic is not finite are skipped.
+   */
+  significance(processorFn, signal, nSurrogates = this.config.surrogates, options = {}) {
+    const settings = { ...this.config, ...options, surrogates: nSurrogates };
+    const statistic = processorFn(signal);
+    if (!Number.isFinite(statistic)) return null;
+
+    const values = this.generate(signal, settings)
+      .map(surrogate => processorFn(surrogate))
+      .filter(Number.isFinite)
+      .sort((a, b) => a - b);
+    const count = values.length;
+    if (count === 0) return null;
+
+    const mean = values.reduce((a, b) => a + b, 0) / count;
+    const std = count > 1 ? Math.sqrt(values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (count - 1)) : 0;
+    const greater = (1 + values.filter(v => v >= statistic).length) / (count + 1);
+    const less = (1 + values.filter(v => v <= statistic).length) / (count + 1);
+
+    let pValue;
+    switch (settings.alternative) {
+      case 'greater':
+        pValue = greater;
+        break;
+      case 'less':
+        pValue = less;
+        break;
+      case 'two-sided':
+        pValue = Math.min(1, 2 * Math.min(greater, less));
+        break;
+      default:
+        throw new Error(`Unknown alternative hypothesis: ${settings.alternative}`);
+    }
+
+    return {
+      statistic,
+      method: settings.method,
+      alternative: settings.alternative,
+      surrogates: count,
+      nullDistribution: {
+        mean,
+        std,
+        quantiles: Object.fromEntries(settings.quantiles.map(q => [q, quantile(values, q)])),
+        values
+      },
+      zScore: std > 0 ? (statistic - mean) / std : 0,
+      pValue,
+      significant: pValue <= settings.alpha
+    };
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+}
+
+/**
+ * Rank `processorFn(signal)` against `nSurrogates` surrogates (IAAFT unless
+ * `options.method` says otherwise)
+ */
+export function significance(processorFn, signal, nSurrogates = 39, options = {}) {
+  return new SurrogateProcessor(options).significance(processorFn, signal, nSurrogates);
+}
+
+/**
+ * Seeded uniform draws, or unseeded ones for a null seed
+ */
+function uniformSource(seed) {
+  return seed == null ? Math.random : seededUniform(seed);
+}
+
+/**
+ * Linearly interpolated quantile of sorted values
+ */
+function quantile(sorted, q) {
+  const position = q * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.min(sorted.length - 1, lower + 1);
+  return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+}
@@ -0,0 +1,376 @@
+/**
+ * WaveletFilters - Orthogonal wavelet filter library
+ *
+ * Reconstruction lowpass (scaling) filters for the Daubechies, Symlet and Coiflet
+ * families, in the same orientation as PyWavelets' `rec_lo`. The remaining three
+ * filters of each quadrature-mirror bank are derived in `getWaveletFilterBank`.
+ *
+ * Daubechies and Symlet filters come from spectral factorization of the
+ * Daubechies polynomial (minimum-phase and least-asymmetric root choices);
+ * Coiflets solve the orthonormality and moment conditions directly. All filters
+ * satisfy Σh = √2 and Σ h[k] h[k + 2m] = δ[m] to double precision.
+ *
+ * @version 2.1.0
+ */
+
+export const WAVELET_FILTERS = {
+  // Daubechies (dbN: N vanishing moments, 2N taps, minimum phase)
+  db1: [
+    0.7071067811865476,
+    0.7071067811865476
+  ],
+  db2: [
+    0.48296291314453427,
+    0.836516303737808,
+    0.2241438680420133,
+    -0.12940952255126045
+  ],
+  db3: [
+    0.33267055295008274,
+    0.8068915093110928,
+    0.45987750211849165,
+    -0.13501102001025472,
+    -0.08544127388202669,
+    0.03522629188570956
+  ],
+  db4: [
+    0.23037781330889653,
+    0.7148465705529158,
+    0.6308807679298589,
+    -0.02798376941685996,
+    -0.1870348117190931,
+    0.030841381835560764,
+    0.032883011666885203,
+    -0.010597401785069033
+  ],
+  db5: [
+    0.1601023979741929,
+    0.6038292697971896,
+    0.7243085284377732,
+    0.1384281459013209,
+    -0.24229488706638205,
+    -0.032244869584638444,
+    0.07757149384004569,
+    -0.0062414902127982804,
+    -0.012580751999081994,
+    0.003335725285473771
+  ],
+  db6: [
+    0.11154074335010943,
+    0.4946238903984529,
+    0.7511339080210955,
+    0.3152503517091978,
+    -0.2262646939654398,
+    -0.12976686756726172,
+    0.09750160558732293,
+    0.027522865530305727,
+    -0.03158203931748603,
+    0.0005538422011614953,
+    0.004777257510945509,
+    -0.001077301085308479
+  ],
+  db7: [
+    0.07785205408500917,
+    0.3965393194819172,
+    0.7291320908462353,
+    0.4697822874051925,
+    -0.14390600392856412,
+    -0.22403618499387506,
+    0.07130921926683005,
+    0.08061260915108294,
+    -0.03802993693501428,
+    -0.016574541630666902,
+    0.012550998556099837,
+    0.00042957797292136597,
+    -0.00180164070404749,
+    0.00035371379997451986
+  ],
+  db8: [
+    0.054415842243104,
+    0.31287159091429995,
+    0.6756307362972894,
+    0.585354683654207,
+    -0.01582910525634854,
+    -0.28401554296154796,
+    0.00047248457391374813,
+    0.12874742662047858,
+    -0.017369301001807655,
+    -0.044088253930794706,
+    0.013981027917398277,
+    0.008746094047405763,
+    -0.004870352993451567,
+    -0.0003917403733769485,
+    0.0006754494064505693,
+    -0.00011747678412476951
+  ],
+  db9: [
+    0.038077947363878324,
+    0.24383467461259029,
+    0.6048231236901108,
+    0.6572880780513003,
+    0.13319738582500795,
+    -0.29327378327917414,
+    -0.09684078322297697,
+    0.14854074933810635,
+    0.030725681479333144,
+    -0.06763282906132943,
+    0.0002509471148311207,
+    0.022361662123679172,
+    -0.004723204757751388,
+    -0.004281503682463436,
+    0.0018476468830562268,
+    0.0002303857635231957,
+    -0.00025196318894270974,
+    0.00003934732031627152
+  ],
+  db10: [
+    0.026670057900555554,
+    0.18817680007769155,
+    0.5272011889317256,
+    0.6884590394536038,
+    0.2811723436605773,
+    -0.24984642432731527,
+    -0.19594627437737744,
+    0.1273693403357938,
+    0.09305736460357168,
+    -0.07139414716639658,
+    -0.029457536821875924,
+    0.0332126740593409,
+    0.0036065535669562365,
+    -0.010733175483330571,
+    0.001395351747052885,
+    0.0019924052951850644,
+    -0.0006858566949597142,
+    -0.00011646685512928491,
+    0.0000935886703200695,
+    -0.000013264202894521234
+  ],
+
+  // Symlets (symN: least-asymmetric Daubechies factorization, 2N taps)
+  sym2: [
+    0.48296291314453427,
+    0.836516303737808,
+    0.2241438680420133,
+    -0.12940952255126045
+  ],
+  sym3: [
+    0.33267055295008274,
+    0.8068915093110928,
+    0.45987750211849165,
+    -0.13501102001025472,
+    -0.08544127388202669,
+    0.03522629188570956
+  ],
+  sym4: [
+    0.03222310060405147,
+    -0.01260396726203132,
+    -0.09921954357663357,
+    0.2978577956053062,
+    0.803738751805132,
+    0.4976186676327751,
+    -0.029635527646002607,
+    -0.07576571478950225
+  ],
+  sym5: [
+    0.019538882735249837,
+    -0.02110183402468903,
+    -0.1753280899080564,
+    0.016602105764510787,
+    0.6339789634567922,
+    0.7234076904040408,
+    0.1993975339768557,
+    -0.03913424930231386,
+    0.02951949092570626,
+    0.02733306834499877
+  ],
+  sym6: [
+    -0.007800708325032384,
+    0.0017677118642540118,
+    0.04472490177078145,
+    -0.021060292512370828,
+    -0.07263752278637643,
+    0.33792942172816554,
+    0.7876411410286513,
+    0.49105594192797386,
+    -0.04831174258569805,
+    -0.11799011114852002,
+    0.0034907120842221384,
+    0.015404109327044823
+  ],
+  sym7: [
+    0.0102681767084648,
+    0.004010244871522379,
+    -0.10780823770328973,
+    -0.14004724044293348,
+    0.28862963175064815,
+    0.7677643170048822,
+    0.5361019170905691,
+    0.01744125508683569,
+    -0.04955283493704271,
+    0.0678926935012205,
+    0.030515513165877858,
+    -0.012636303403240555,
+    -0.001047384888679737,
+    0.0026818145682601453
+  ],
+  sym8: [
+    0.0018899503327676882,
+    -0.0003029205147241363,
+    -0.014952258337062185,
+    0.0038087520138945065,
+    0.049137179673730234,
+    -0.027219029917103527,
+    -0.05194583810788144,
+    0.36444189483617795,
+    0.7771857516996292,
+    0.4813596512590521,
+    -0.06127335906781045,
+    -0.1432942383512727,
+    0.007607487324976669,
+    0.031695087811526,
+    -0.000542132331800014,
+    -0.0033824159510050036
+  ],
+
+  // Coiflets (coifN: 2N vanishing wavelet moments, 2N - 1 vanishing scaling moments, 6N taps)
+  coif1: [
+    -0.07273261951252644,
+    0.33789766245748193,
+    0.8525720202116005,
+    0.3848648468648575,
+    -0.07273261951252644,
+    -0.01565572813579186
+  ],
+  coif2: [
+    0.016387336463202434,
+    -0.041464936786870486,
+    -0.0673725547237222,
+    0.38611006682275695,
+    0.8127236354494111,
+    0.4170051844232485,
+    -0.0764885990782825,
+    -0.05943441864643784,
+    0.02368017194685067,
+    0.005611434819370718,
+    -0.0018232088709120588,
+    -0.0007205494455204455
+  ],
+  coif3: [
+    -0.0037935128643782168,
+    0.007782596425667769,
+    0.023452696142061854,
+    -0.06577191128143899,
+    -0.061123390002939114,
+    0.4051769024090378,
+    0.793777222626058,
+    0.4284834763774867,
+    -0.0717998216191583,
+    -0.08230192710639787,
+    0.034555027573324855,
+    0.015880544863716494,
+    -0.009007976136752284,
+    -0.0025745176881489364,
+    0.0011175187708380265,
+    0.0004662169598221084,
+    -0.00007098330250734661,
+    -0.00003459977319748364
+  ],
+  coif4: [
+    0.000892313900185976,
+    -0.0016294924212475982,
+    -0.0073461679196163,
+    0.016068947100195848,
+    0.026682304620996775,
+    -0.08126671014130163,
+    -0.05607731953208805,
+    0.41530842678968943,
+    0.7822389343799752,
+    0.43438603337059484,
+    -0.06662747238571153,
+    -0.09622042473345296,
+    0.03933442266105174,
+    0.025082253432360962,
+    -0.015211728230909436,
+    -0.0056582838264050755,
+    0.0037514347138648944,
+    0.0012665610831842965,
+    -0.0005890202278737983,
+    -0.000259974337971323,
+    0.00006233885465891989,
+    0.000031229861830338427,
+    -0.000003259647986747028,
+    -0.0000017849909295462442
+  ],
+  coif5: [
+    -0.00021205625685283147,
+    0.0003585344201227555,
+    0.002178061908580445,
+    -0.004158885395758165,
+    -0.01013066782746321,
+    0.023406431027824626,
+    0.028167727476247136,
+    -0.09191664412189487,
+    -0.05204410290825087,
+    0.42156282089809816,
+    0.7742920827774761,
+    0.43799214651980706,
+    -0.06203827933463177,
+    -0.10557106140915884,
+    0.04128941706784849,
+    0.03267913788221104,
+    -0.01976013820620102,
+    -0.009161084759866097,
+    0.006762421195292506,
+    0.0024319524413460468,
+    -0.0016619106448240214,
+    -0.0006376334805071699,
+    0.0003019155699879144,
+    0.00014037657769455178,
+    -0.00004122923472065934,
+    -0.000021275150184971337,
+    0.0000037020410199849504,
+    0.0000020618226193320635,
+    -1.6243696038109571e-7,
+    -9.608580566117557e-8
+  ]
+};
+
+// Legacy names used by WaveletProcessor before the library existed
+const ALIASES = {
+  haar: 'db1',
+  daubechies: 'db2'
+};
+
+/**
+ * Resolve a wavelet name (including legacy aliases) to its library key, or null
+ */
+export function resolveWaveletName(name) {
+  const key = ALIASES[name] || name;
+  return Object.prototype.hasOwnProperty.call(WAVELET_FILTERS, key) ? key : null;
+}
+
+/**
+ * Available discrete wavelet names
+ */
+export function listWavelets() {
+  return Object.keys(WAVELET_FILTERS);
+}
+
+/**
+ * Quadrature-mirror filter bank for an orthogonal wavelet:
+ * decLo[k] = recLo[L-1-k], recHi[k] = (-1)^k recLo[L-1-k], decHi[k] = recHi[L-1-k]
+ */
+export function getWaveletFilterBank(name) {
+  const key = resolveWaveletName(name);
+  if (!key) {
+    throw new Error(`Unknown discrete wavelet: ${name}`);
+  }
+
+  const recLo = WAVELET_FILTERS[key];
+  const L = recLo.length;
+  const decLo = recLo.slice().reverse();
+  const recHi = decLo.map((value, k) => (k % 2 === 0 ? value : -value));
+  const decHi = recHi.slice().reverse();
+
+  return { name: key, length: L, decLo, decHi, recLo, recHi };
+}
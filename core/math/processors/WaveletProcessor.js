@@ -2,14 +2,21 @@
  * WaveletProcessor - Wavelet transform analysis
  * 
  * Performs time-frequency analysis using wavelets:
- * - Continuous Wavelet Transform (CWT)
- * - Discrete Wavelet Transform (DWT)
- * - Wavelet packet decomposition
+ * - Continuous Wavelet Transform (CWT), direct or FFT-based with cone of influence
+ * - Discrete Wavelet Transform (DWT) with Daubechies, Symlet and Coiflet filters
+ * - Wavelet packet decomposition with best-basis selection
  * - Multi-resolution analysis
+ * - Wavelet shrinkage denoising (VisuShrink, SureShrink, BayesShrink)
  * 
  * @version 2.0.0
  */
 
+import { SpectralProcessor } from './SpectralProcessor.js';
+import { getWaveletFilterBank, resolveWaveletName } from './WaveletFilters.js';
+
+// Γ(5/2), normalization of the Mexican hat (second derivative of Gaussian) in the Fourier domain
+const GAMMA_FIVE_HALVES = 1.329340388179137;
+
 export class WaveletProcessor {
   constructor(config = {}) {
     this.config = {
@@ -18,10 +25,21 @@ export class WaveletProcessor {
       centerFrequency: 1.0,
       bandwidth: 1.0,
       dwtLevels: 5,
-      borderMode: 'symmetric', // 'symmetric', 'periodization', 'zero'
+      dwtWavelet: null,        // 'db1'-'db10', 'sym2'-'sym8', 'coif1'-'coif5'; defaults to waveletType if discrete, else Haar
+      borderMode: 'symmetric', // 'symmetric', 'reflect', 'periodic', 'constant', 'zero', 'periodization'
+      denoiseWavelet: 'sym4',  // Wavelet used by denoise()
+      thresholdRule: 'bayes',  // 'visu' | 'sure' | 'bayes'
+      thresholdMode: 'soft',   // 'soft' | 'hard'
+      cwtMethod: 'fft',        // 'fft' (Fourier-domain convolution) | 'direct' (time-domain summation)
+      omega0: 6,               // Morlet non-dimensional frequency for the FFT path
+      samplingRate: 1,         // Hz, used to map scales (in samples) to frequencies
+      maskCOI: true,           // Zero scalogram values inside the cone of influence
       ...config
     };
     
+    // Shared exact-length FFT for Fourier-domain convolution
+    this.spectral = new SpectralProcessor({ fftMode: 'exact' });
+    
     // Pre-compute wavelets for efficiency
     this.wavelets = this.precomputeWavelets();
   }
@@ -55,6 +73,18 @@ export class WaveletProcessor {
    * Compute Continuous Wavelet Transform
    */
   computeContinuousWaveletTransform(signal) {
+    const fourierDefined = this.config.waveletType === 'morlet' || this.config.waveletType === 'mexican_hat';
+    
+    if (this.config.cwtMethod === 'fft' && fourierDefined && signal.length > 1) {
+      return this.computeFFTWaveletTransform(signal);
+    }
+    return this.computeDirectWaveletTransform(signal);
+  }
+
+  /**
+   * CWT by per-scale, per-position summation in the time domain (O(N·L) per scale)
+   */
+  computeDirectWaveletTransform(signal) {
     const n = signal.length;
     const coefficients = [];
     
@@ -81,14 +111,136 @@ export class WaveletProcessor {
   }
 
   /**
-   * Compute Discrete Wavelet Transform
+   * CWT as a product in the Fourier domain (Torrence & Compo, 1998):
+   * W(s, n) = IFFT[ X(ω) · conj(ψ̂(sω)) · sqrt(2πs) ], one FFT of the signal and one inverse per scale.
+   * Scales are in samples; the signal is mean-removed and zero-padded to limit wrap-around.
    */
-  computeDiscreteWaveletTransform(signal) {
+  computeFFTWaveletTransform(signal) {
+    const n = signal.length;
+    const type = this.config.waveletType;
+    const paddedLength = this.spectral.nextPowerOfTwo(2 * n);
+    
+    const mean = signal.reduce((sum, val) => sum + val, 0) / n;
+    const real = new Float64Array(paddedLength);
+    for (let i = 0; i < n; i++) real[i] = signal[i] - mean;
+    
+    const spectrum = this.spectral.transform(real, new Float64Array(paddedLength), false);
+    
+    // Angular frequency (radians/sample) of each FFT bin
+    const omega = new Float64Array(paddedLength);
+    for (let k = 0; k < paddedLength; k++) {
+      const bin = k <= paddedLength / 2 ? k : k - paddedLength;
+      omega[k] = 2 * Math.PI * bin / paddedLength;
+    }
+    
+    const coefficients = this.config.scales.map(scale => {
+      const productReal = new Float64Array(paddedLength);
+      const productImag = new Float64Array(paddedLength);
+      const norm = Math.sqrt(2 * Math.PI * scale);
+      
+      for (let k = 0; k < paddedLength; k++) {
+        const daughter = norm * this.fourierWavelet(type, scale * omega[k]);
+        productReal[k] = spectrum.real[k] * daughter;
+        productImag[k] = spectrum.imag[k] * daughter;
+      }
+      
+      const inverse = this.spectral.transform(productReal, productImag, true);
+      const realPart = new Array(n);
+      const imagPart = new Array(n);
+      for (let i = 0; i < n; i++) {
+        realPart[i] = inverse.real[i] / paddedLength;
+        imagPart[i] = inverse.imag[i] / paddedLength;
+      }
+      
+      return {
+        scale,
+        coefficients: realPart,
+        imaginary: type === 'morlet' ? imagPart : null,
+        frequency: this.scaleToFrequency(scale),
+        coiMask: this.computeCOIMask(n, scale)
+      };
+    });
+    
+    return {
+      coefficients,
+      scales: this.config.scales,
+      frequencies: coefficients.map(c => c.frequency),
+      coi: this.computeConeOfInfluence(n),
+      scalogram: this.computeScalogram(coefficients)
+    };
+  }
+
+  /**
+   * Fourier transform of the mother wavelet at (scaled) angular frequency sω
+   */
+  fourierWavelet(type, scaledOmega) {
+    if (type === 'mexican_hat') {
+      const x2 = scaledOmega * scaledOmega;
+      return x2 * Math.exp(-x2 / 2) / Math.sqrt(GAMMA_FIVE_HALVES);
+    }
+    
+    // Analytic Morlet: zero for negative frequencies
+    if (scaledOmega <= 0) return 0;
+    const shifted = scaledOmega - this.config.omega0;
+    return Math.pow(Math.PI, -0.25) * Math.exp(-shifted * shifted / 2);
+  }
+
+  /**
+   * Ratio of equivalent Fourier period to scale for the configured wavelet
+   */
+  getFourierFactor(type = this.config.waveletType) {
+    switch (type) {
+      case 'morlet': {
+        const w0 = this.config.omega0;
+        return 4 * Math.PI / (w0 + Math.sqrt(2 + w0 * w0));
+      }
+      case 'mexican_hat':
+        return 2 * Math.PI / Math.sqrt(2.5);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Cone of influence: largest reliable scale at each position, i.e. distance to the
+   * nearest edge divided by the e-folding time √2·s (both Morlet and Mexican hat).
+   */
+  computeConeOfInfluence(length) {
+    const coi = new Array(length);
+    for (let i = 0; i < length; i++) {
+      coi[i] = Math.min(i + 1, length - i) / Math.SQRT2;
+    }
+    return coi;
+  }
+
+  /**
+   * Per-position reliability mask for one scale (1 = outside the cone of influence)
+   */
+  computeCOIMask(length, scale) {
+    const edge = Math.SQRT2 * scale;
+    const mask = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+      mask[i] = Math.min(i + 1, length - i) >= edge ? 1 : 0;
+    }
+    return mask;
+  }
+
+  /**
+   * Compute Discrete Wavelet Transform (multilevel pyramid)
+   */
+  computeDiscreteWaveletTransform(signal, options = {}) {
+    const wavelet = this.resolveDiscreteWavelet(options.wavelet);
+    const mode = options.mode || this.config.borderMode;
+    const { length: filterLength } = this.getWaveletFilters(wavelet);
+    const maxLevel = this.getMaxDWTLevel(signal.length, filterLength);
+    const requested = options.levels ?? this.config.dwtLevels;
+    const levels = signal.length < 2 ? 0 : Math.max(1, Math.min(requested, maxLevel));
+    
     let currentSignal = [...signal];
     const decomposition = [];
     
-    for (let level = 0; level < this.config.dwtLevels && currentSignal.length > 2; level++) {
-      const { approximation, detail } = this.dwtStep(currentSignal);
+    for (let level = 0; level < levels; level++) {
+      const { approximation, detail } = this.dwtStep(currentSignal, wavelet, mode);
       
       decomposition.push({
         level: level + 1,
@@ -102,42 +254,129 @@ export class WaveletProcessor {
     
     return {
       decomposition,
-      reconstruction: this.reconstructFromDWT(decomposition),
-      levels: decomposition.length
+      reconstruction: this.reconstructFromDWT(decomposition, { wavelet, mode }),
+      levels: decomposition.length,
+      wavelet,
+      mode,
+      maxLevel
     };
   }
 
   /**
-   * Single DWT decomposition step
+   * Discrete wavelet used by the DWT and packet transforms: explicit option, then
+   * config.dwtWavelet, then waveletType when it names a discrete wavelet, else Haar
+   */
+  resolveDiscreteWavelet(wavelet) {
+    const name = wavelet || this.config.dwtWavelet;
+    if (name) {
+      // Throws for unknown names
+      return getWaveletFilterBank(name).name;
+    }
+    return resolveWaveletName(this.config.waveletType) || 'db1';
+  }
+
+  /**
+   * Deepest useful decomposition level, floor(log2(N / (L - 1)))
+   */
+  getMaxDWTLevel(signalLength, filterLength) {
+    if (filterLength < 2 || signalLength < filterLength - 1) return 0;
+    return Math.floor(Math.log2(signalLength / (filterLength - 1)));
+  }
+
+  /**
+   * Single DWT decomposition step. Filters are applied by full convolution of the
+   * extended signal followed by downsampling, giving floor((N + L - 1) / 2)
+   * coefficients, or ceil(N / 2) in periodization mode.
    */
-  dwtStep(signal) {
+  dwtStep(signal, wavelet = this.resolveDiscreteWavelet(), mode = this.config.borderMode) {
+    const { decLo, decHi, length: L } = this.getWaveletFilters(wavelet);
+    
+    if (mode === 'periodization') {
+      return this.periodizedDWTStep(signal, decLo, decHi);
+    }
+    
     const n = signal.length;
-    const halfN = Math.floor(n / 2);
+    const outputLength = Math.floor((n + L - 1) / 2);
+    const approximation = new Array(outputLength);
+    const detail = new Array(outputLength);
     
-    // Get wavelet filters
-    const { lowpass, highpass } = this.getWaveletFilters(this.config.waveletType);
+    for (let k = 0; k < outputLength; k++) {
+      let approxSum = 0;
+      let detailSum = 0;
+      
+      for (let j = 0; j < L; j++) {
+        const value = this.getExtendedSample(signal, 2 * k + 1 - j, mode);
+        approxSum += decLo[j] * value;
+        detailSum += decHi[j] * value;
+      }
+      
+      approximation[k] = approxSum;
+      detail[k] = detailSum;
+    }
     
+    return { approximation, detail };
+  }
+
+  /**
+   * Periodization step: circular convolution on an even-length signal (odd lengths
+   * repeat the last sample), an orthogonal transform with no redundant coefficients
+   */
+  periodizedDWTStep(signal, decLo, decHi) {
+    const padded = signal.length % 2 === 1 ? [...signal, signal[signal.length - 1]] : signal;
+    const n = padded.length;
+    const halfN = n / 2;
     const approximation = new Array(halfN);
     const detail = new Array(halfN);
     
-    // Convolution and downsampling
-    for (let i = 0; i < halfN; i++) {
+    for (let k = 0; k < halfN; k++) {
       let approxSum = 0;
       let detailSum = 0;
       
-      for (let j = 0; j < lowpass.length; j++) {
-        const signalIndex = (2 * i + j) % n; // Handle boundary conditions
-        approxSum += signal[signalIndex] * lowpass[j];
-        detailSum += signal[signalIndex] * highpass[j];
+      for (let j = 0; j < decLo.length; j++) {
+        const value = padded[(((2 * k + 1 - j) % n) + n) % n];
+        approxSum += decLo[j] * value;
+        detailSum += decHi[j] * value;
       }
       
-      approximation[i] = approxSum;
-      detail[i] = detailSum;
+      approximation[k] = approxSum;
+      detail[k] = detailSum;
     }
     
     return { approximation, detail };
   }
 
+  /**
+   * Sample at any integer index of the signal extended by the given border mode
+   */
+  getExtendedSample(signal, index, mode) {
+    const n = signal.length;
+    if (index >= 0 && index < n) return signal[index];
+    
+    switch (mode) {
+      case 'zero':
+        return 0;
+      case 'constant':
+        return index < 0 ? signal[0] : signal[n - 1];
+      case 'periodic':
+        return signal[((index % n) + n) % n];
+      case 'reflect': {
+        // Whole-sample symmetry: x[-1] = x[1]
+        if (n === 1) return signal[0];
+        const period = 2 * n - 2;
+        const m = ((index % period) + period) % period;
+        return signal[m < n ? m : period - m];
+      }
+      case 'symmetric': {
+        // Half-sample symmetry: x[-1] = x[0]
+        const period = 2 * n;
+        const m = ((index % period) + period) % period;
+        return signal[m < n ? m : period - 1 - m];
+      }
+      default:
+        throw new Error(`Unknown border mode: ${mode}`);
+    }
+  }
+
   /**
    * Compute single wavelet coefficient
    */
@@ -248,16 +487,10 @@ export class WaveletProcessor {
   }
 
   /**
-   * Create Daubechies wavelet (simplified db4)
+   * Create Daubechies wavelet (dbN wavelet filter from the coefficient library)
    */
-  createDaubechiesWavelet() {
-    // Simplified Daubechies 4 coefficients
-    return [
-      0.48296291314469025,
-      0.8365163037378079,
-      0.22414386804185735,
-      -0.12940952255092145
-    ];
+  createDaubechiesWavelet(order = 2) {
+    return getWaveletFilterBank(`db${order}`).recHi;
   }
 
   /**
@@ -268,35 +501,41 @@ export class WaveletProcessor {
   }
 
   /**
-   * Get wavelet filters for DWT
+   * Get the orthogonal filter bank for a discrete wavelet ('db1'-'db10', 'sym2'-'sym8',
+   * 'coif1'-'coif5', or the legacy 'haar' / 'daubechies'). `lowpass` / `highpass`
+   * are the decomposition filters.
    */
   getWaveletFilters(type) {
-    switch (type) {
-      case 'haar':
-        return {
-          lowpass: [0.7071067811865476, 0.7071067811865476],
-          highpass: [0.7071067811865476, -0.7071067811865476]
-        };
-      case 'daubechies':
-        return {
-          lowpass: [0.48296291314469025, 0.8365163037378079, 0.22414386804185735, -0.12940952255092145],
-          highpass: [0.12940952255092145, 0.22414386804185735, -0.8365163037378079, 0.48296291314469025]
-        };
-      default:
-        return this.getWaveletFilters('haar');
-    }
+    const bank = getWaveletFilterBank(resolveWaveletName(type) ? type : 'haar');
+    
+    return {
+      ...bank,
+      lowpass: bank.decLo,
+      highpass: bank.decHi
+    };
   }
 
   /**
    * Compute scalogram (magnitude of CWT coefficients)
    */
   computeScalogram(coefficients) {
-    return coefficients.map(scaleData => ({
-      scale: scaleData.scale,
-      frequency: scaleData.frequency,
-      magnitude: scaleData.coefficients.map(c => Math.abs(c)),
-      power: scaleData.coefficients.map(c => c * c)
-    }));
+    return coefficients.map(scaleData => {
+      const { imaginary, coiMask } = scaleData;
+      const masked = this.config.maskCOI && coiMask;
+      
+      const power = scaleData.coefficients.map((c, i) => {
+        if (masked && !coiMask[i]) return 0;
+        const im = imaginary ? imaginary[i] : 0;
+        return c * c + im * im;
+      });
+      
+      return {
+        scale: scaleData.scale,
+        frequency: scaleData.frequency,
+        magnitude: power.map(p => Math.sqrt(p)),
+        power
+      };
+    });
   }
 
   /**
@@ -413,7 +652,8 @@ export class WaveletProcessor {
   }
 
   /**
-   * Compute CWT energy
+   * Compute CWT energy (a zero distribution when there is none, e.g. for a
+   * constant signal)
    */
   computeCWTEnergy(cwt) {
     const totalEnergy = cwt.scalogram.reduce((sum, scaleData) => {
@@ -428,7 +668,7 @@ export class WaveletProcessor {
     return {
       total: totalEnergy,
       byFrequency: energyByFrequency,
-      distribution: energyByFrequency.map(freq => freq.energy / totalEnergy)
+      distribution: energyByFrequency.map(freq => (totalEnergy > 0 ? freq.energy / totalEnergy : 0))
     };
   }
 
@@ -503,49 +743,318 @@ export class WaveletProcessor {
   }
 
   /**
-   * Reconstruct signal from DWT
+   * Reconstruct signal from DWT, trimming each level to its recorded input length
    */
-  reconstructFromDWT(decomposition) {
+  reconstructFromDWT(decomposition, options = {}) {
+    if (decomposition.length === 0) return [];
+    
+    const wavelet = this.resolveDiscreteWavelet(options.wavelet);
+    const mode = options.mode || this.config.borderMode;
     let reconstructed = decomposition[decomposition.length - 1].approximation;
     
     // Reconstruct level by level
     for (let i = decomposition.length - 1; i >= 0; i--) {
       const level = decomposition[i];
-      reconstructed = this.idwtStep(reconstructed, level.detail);
+      reconstructed = this.idwtStep(reconstructed, level.detail, wavelet, mode, level.length);
     }
     
     return reconstructed;
   }
 
   /**
-   * Inverse DWT step
+   * Inverse DWT step: upsample, convolve with the reconstruction filters and keep the
+   * samples aligned with the original signal
    */
-  idwtStep(approximation, detail) {
-    const { lowpass, highpass } = this.getWaveletFilters(this.config.waveletType);
-    const reconstructed = new Array(approximation.length * 2);
+  idwtStep(approximation, detail, wavelet = this.resolveDiscreteWavelet(), mode = this.config.borderMode, length = null) {
+    const { decLo, decHi, recLo, recHi, length: L } = this.getWaveletFilters(wavelet);
+    const n = approximation.length;
+    
+    if (mode === 'periodization') {
+      // Transpose of the circular analysis operator
+      const size = 2 * n;
+      const reconstructed = new Array(size).fill(0);
+      
+      for (let k = 0; k < n; k++) {
+        for (let j = 0; j < L; j++) {
+          const index = (((2 * k + 1 - j) % size) + size) % size;
+          reconstructed[index] += decLo[j] * approximation[k] + decHi[j] * detail[k];
+        }
+      }
+      
+      return length === null ? reconstructed : reconstructed.slice(0, length);
+    }
+    
+    const outputLength = 2 * n - L + 2;
+    const reconstructed = new Array(Math.max(0, outputLength));
     
-    // Upsampling and convolution
+    // Full convolution of the upsampled coefficients, offset by L - 2
     for (let i = 0; i < reconstructed.length; i++) {
+      const position = i + L - 2;
       let sum = 0;
       
-      for (let j = 0; j < lowpass.length; j++) {
-        const approxIndex = Math.floor((i - j) / 2);
-        const detailIndex = Math.floor((i - j) / 2);
-        
-        if ((i - j) % 2 === 0) {
-          if (approxIndex >= 0 && approxIndex < approximation.length) {
-            sum += approximation[approxIndex] * lowpass[j];
-          }
-          if (detailIndex >= 0 && detailIndex < detail.length) {
-            sum += detail[detailIndex] * highpass[j];
-          }
+      for (let j = position % 2; j < L; j += 2) {
+        const k = (position - j) / 2;
+        if (k >= 0 && k < n) {
+          sum += recLo[j] * approximation[k] + recHi[j] * detail[k];
         }
       }
       
       reconstructed[i] = sum;
     }
     
-    return reconstructed;
+    return length === null ? reconstructed : reconstructed.slice(0, length);
+  }
+
+  /**
+   * Full wavelet packet tree: both approximation ('a') and detail ('d') branches are
+   * split at every level. Nodes are keyed by path from the root ('' → 'a', 'd' → 'aa', ...).
+   */
+  computeWaveletPacketTree(signal, options = {}) {
+    const wavelet = this.resolveDiscreteWavelet(options.wavelet);
+    const mode = options.mode || this.config.borderMode;
+    const { length: filterLength } = this.getWaveletFilters(wavelet);
+    const maxLevel = this.getMaxDWTLevel(signal.length, filterLength);
+    const levels = Math.max(1, Math.min(options.levels ?? this.config.dwtLevels, maxLevel));
+    
+    const nodes = { '': { path: '', level: 0, data: [...signal], length: signal.length } };
+    let frontier = [''];
+    
+    for (let level = 1; level <= levels; level++) {
+      const next = [];
+      
+      for (const path of frontier) {
+        const parent = nodes[path];
+        const { approximation, detail } = this.dwtStep(parent.data, wavelet, mode);
+        
+        nodes[path + 'a'] = { path: path + 'a', level, data: approximation, length: approximation.length };
+        nodes[path + 'd'] = { path: path + 'd', level, data: detail, length: detail.length };
+        next.push(path + 'a', path + 'd');
+      }
+      
+      frontier = next;
+    }
+    
+    return { wavelet, mode, levels, nodes };
+  }
+
+  /**
+   * Packet nodes of one level, ordered by frequency band (Gray-code order) rather
+   * than by path
+   */
+  getPacketLevel(tree, level) {
+    const paths = [''];
+    
+    for (let l = 0; l < level; l++) {
+      const next = [];
+      for (const path of paths) {
+        // A detail branch mirrors the spectrum, so its children swap order
+        const mirrored = (path.split('d').length - 1) % 2 === 1;
+        next.push(...(mirrored ? [path + 'd', path + 'a'] : [path + 'a', path + 'd']));
+      }
+      paths.splice(0, paths.length, ...next);
+    }
+    
+    return paths.map(path => tree.nodes[path]);
+  }
+
+  /**
+   * Additive information cost of a coefficient vector used for best-basis search
+   */
+  computePacketCost(coefficients, cost = 'shannon', options = {}) {
+    switch (cost) {
+      case 'shannon':
+        // -Σ c² log c²
+        return coefficients.reduce((sum, c) => {
+          const e = c * c;
+          return e > 0 ? sum - e * Math.log(e) : sum;
+        }, 0);
+      case 'logEnergy':
+        return coefficients.reduce((sum, c) => (c !== 0 ? sum + Math.log(c * c) : sum), 0);
+      case 'threshold': {
+        const threshold = options.threshold ?? 0;
+        return coefficients.reduce((count, c) => count + (Math.abs(c) > threshold ? 1 : 0), 0);
+      }
+      case 'norm': {
+        const p = options.p ?? 1;
+        return coefficients.reduce((sum, c) => sum + Math.pow(Math.abs(c), p), 0);
+      }
+      default:
+        throw new Error(`Unknown packet cost function: ${cost}`);
+    }
+  }
+
+  /**
+   * Coifman-Wickerhauser best basis: bottom-up, keep a parent whenever its cost does
+   * not exceed the summed cost of its children's best bases
+   */
+  selectBestBasis(tree, options = {}) {
+    const cost = options.cost || 'shannon';
+    
+    const search = (path) => {
+      const node = tree.nodes[path];
+      const own = this.computePacketCost(node.data, cost, options);
+      
+      if (node.level === tree.levels) {
+        return { paths: [path], cost: own };
+      }
+      
+      const a = search(path + 'a');
+      const d = search(path + 'd');
+      const childCost = a.cost + d.cost;
+      
+      return own <= childCost
+        ? { paths: [path], cost: own }
+        : { paths: [...a.paths, ...d.paths], cost: childCost };
+    };
+    
+    const best = search('');
+    
+    return {
+      paths: best.paths,
+      cost: best.cost,
+      nodes: best.paths.map(path => tree.nodes[path])
+    };
+  }
+
+  /**
+   * Reconstruct the signal from the coefficients of a set of packet nodes that tile
+   * the tree (e.g. a best basis). Coefficients are read from `tree.nodes`, so they
+   * can be modified (thresholded) before reconstruction.
+   */
+  reconstructFromPacketBasis(tree, paths) {
+    const basis = new Set(paths);
+    
+    const rebuild = (path) => {
+      const node = tree.nodes[path];
+      if (!node) {
+        throw new Error(`Packet basis does not cover node '${path.slice(0, -1)}'`);
+      }
+      if (basis.has(path)) return node.data;
+      if (node.level === tree.levels) {
+        throw new Error(`Packet basis does not cover node '${path}'`);
+      }
+      
+      return this.idwtStep(rebuild(path + 'a'), rebuild(path + 'd'), tree.wavelet, tree.mode, node.length);
+    };
+    
+    return rebuild('');
+  }
+
+  /**
+   * Wavelet shrinkage denoising. The noise level is estimated from the finest detail
+   * coefficients (MAD / 0.6745); detail coefficients are then thresholded per level
+   * and the signal is reconstructed.
+   *
+   * thresholdRule: 'visu' (universal σ√(2 ln N)), 'sure' (hybrid SureShrink, per level)
+   * or 'bayes' (BayesShrink σ² / σ_x, per level); thresholdMode: 'soft' | 'hard'
+   */
+  denoise(signal, options = {}) {
+    const rule = options.thresholdRule || this.config.thresholdRule;
+    const thresholdMode = options.thresholdMode || this.config.thresholdMode;
+    const wavelet = this.resolveDiscreteWavelet(options.wavelet || this.config.denoiseWavelet);
+    const mode = options.mode || this.config.borderMode;
+    
+    if (signal.length < 2) {
+      return { signal: [...signal], noiseSigma: 0, thresholds: [], wavelet, mode, rule, thresholdMode };
+    }
+    
+    const dwt = this.computeDiscreteWaveletTransform(signal, { wavelet, mode, levels: options.levels });
+    const { decomposition } = dwt;
+    const noiseSigma = this.estimateNoiseSigma(decomposition[0].detail);
+    
+    const thresholds = decomposition.map(level => {
+      const threshold = noiseSigma > 0 ?
+        this.computeShrinkageThreshold(level.detail, noiseSigma, rule, signal.length) :
+        0;
+      level.detail = level.detail.map(c => this.applyThreshold(c, threshold, thresholdMode));
+      return { level: level.level, threshold };
+    });
+    
+    return {
+      signal: this.reconstructFromDWT(decomposition, { wavelet, mode }),
+      noiseSigma,
+      thresholds,
+      wavelet,
+      mode,
+      rule,
+      thresholdMode
+    };
+  }
+
+  /**
+   * Robust Gaussian noise level from detail coefficients: median(|d|) / 0.6745
+   */
+  estimateNoiseSigma(detail) {
+    const magnitudes = detail.map(Math.abs).sort((a, b) => a - b);
+    const mid = Math.floor(magnitudes.length / 2);
+    const median = magnitudes.length % 2 === 1 ?
+      magnitudes[mid] :
+      (magnitudes[mid - 1] + magnitudes[mid]) / 2;
+    
+    return median / 0.6745;
+  }
+
+  /**
+   * Threshold for one level of detail coefficients
+   */
+  computeShrinkageThreshold(detail, sigma, rule, signalLength) {
+    switch (rule) {
+      case 'visu':
+        return sigma * Math.sqrt(2 * Math.log(signalLength));
+      
+      case 'sure': {
+        const n = detail.length;
+        const universal = Math.sqrt(2 * Math.log(n));
+        const squares = detail.map(c => (c / sigma) ** 2);
+        
+        // Sparse levels fall back to the universal threshold (Donoho & Johnstone hybrid)
+        const energy = (squares.reduce((sum, v) => sum + v, 0) - n) / n;
+        const critical = Math.pow(Math.log2(n), 1.5) / Math.sqrt(n);
+        if (energy <= critical) {
+          return sigma * universal;
+        }
+        
+        // Minimize Stein's unbiased risk estimate over the candidate thresholds |x_k|
+        squares.sort((a, b) => a - b);
+        let cumulative = 0;
+        let bestRisk = Infinity;
+        let best = 0;
+        
+        for (let k = 0; k < n; k++) {
+          cumulative += squares[k];
+          const risk = (n - 2 * (k + 1) + cumulative + (n - k - 1) * squares[k]) / n;
+          if (risk < bestRisk) {
+            bestRisk = risk;
+            best = Math.sqrt(squares[k]);
+          }
+        }
+        
+        return sigma * Math.min(best, universal);
+      }
+      
+      case 'bayes': {
+        const variance = detail.reduce((sum, c) => sum + c * c, 0) / detail.length;
+        const signalSigma = Math.sqrt(Math.max(variance - sigma * sigma, 0));
+        
+        // No signal energy above the noise floor: remove the whole level
+        return signalSigma > 0 ?
+          sigma * sigma / signalSigma :
+          Math.max(...detail.map(Math.abs));
+      }
+      
+      default:
+        throw new Error(`Unknown threshold rule: ${rule}`);
+    }
+  }
+
+  /**
+   * Soft (shrink towards zero) or hard (keep or kill) thresholding of one coefficient
+   */
+  applyThreshold(value, threshold, mode = 'soft') {
+    if (mode === 'hard') {
+      return Math.abs(value) > threshold ? value : 0;
+    }
+    return Math.sign(value) * Math.max(Math.abs(value) - threshold, 0);
   }
 
   /**
@@ -563,8 +1072,23 @@ export class WaveletProcessor {
     return wavelets;
   }
 
+  /**
+   * Equivalent Fourier frequency (Hz) of a scale in samples. Morlet and Mexican hat use
+   * their exact Fourier factors; other wavelets keep the centre-frequency approximation.
+   */
   scaleToFrequency(scale) {
-    return this.config.centerFrequency / scale;
+    const factor = this.getFourierFactor();
+    if (!factor) return this.config.centerFrequency / scale;
+    return this.config.samplingRate / (factor * scale);
+  }
+
+  /**
+   * Scale (in samples) whose equivalent Fourier frequency is `frequency` Hz
+   */
+  frequencyToScale(frequency) {
+    const factor = this.getFourierFactor();
+    if (!factor) return this.config.centerFrequency / frequency;
+    return this.config.samplingRate / (factor * frequency);
   }
 
   computeTimeFrequencyLocalization(scalogram) {
@@ -0,0 +1,12 @@
+/**
+ * Shared fixtures for the unit tests
+ */
+
+import { seededGaussian } from '../../core/math/Random.js';
+
+/**
+ * Deterministic Gaussian noise (Park-Miller + Box-Muller, as in core/math/Random.js)
+ */
+export function gaussianNoise(length, seed) {
+  return Array.from({ length }, seededGaussian(seed));
+}
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ChangePointProcessor } from '../../core/math/processors/ChangePointProcessor.js';
+import { StatisticalProcessor } from '../../core/math/processors/StatisticalProcessor.js';
+import { gaussianNoise } from './fixtures.js';
+
+describe('ChangePointProcessor', () => {
+  const processor = new ChangePointProcessor();
+  // Price-scale series: level 3000 → 3020 at 100 → 3005 at 200, noise σ = 5
+  const prices = gaussianNoise(300, 12345).map((e, i) => 3000 + (i >= 100 ? 20 : 0) - (i >= 200 ? 15 : 0) + 5 * e);
+  const near = (changePoints, expected, tolerance) =>
+    expected.every(location => changePoints.some(cp => Math.abs(cp.index - location) <= tolerance));
+
+  for (const method of ['pelt', 'cusum', 'bocpd']) {
+    it(`should locate mean shifts at price scale with ${method}`, () => {
+      const { changePoints } = processor.detect(prices, { method });
+
+      assert.ok(near(changePoints, [100, 200], 5), `${method} found ${changePoints.map(cp => cp.index)}`);
+      assert.ok(changePoints.length <= 3, `${method} reported ${changePoints.length} changes`);
+      changePoints.forEach(cp => assert.ok(cp.confidence > 0.5 && cp.confidence <= 1));
+    });
+
+    it(`should be invariant to location and scale with ${method}`, () => {
+      const rescaled = prices.map(v => (v - 3000) / 1000);
+      const original = processor.detect(prices, { method }).changePoints.map(cp => cp.index);
+      const transformed = processor.detect(rescaled, { method }).changePoints.map(cp => cp.index);
+
+      assert.deepStrictEqual(transformed, original);
+    });
+  }
+
+  it('should stay quiet on stationary noise', () => {
+    for (const seed of [1, 2, 3]) {
+      const noise = gaussianNoise(300, seed * 7919);
+      assert.strictEqual(processor.detectPELT(noise).changePoints.length, 0);
+      assert.strictEqual(processor.detectBayesianOnline(noise).changePoints.length, 0);
+    }
+  });
+
+  it('should detect a volatility change with variance-aware costs', () => {
+    const noise = gaussianNoise(300, 42).map((e, i) => (i >= 150 ? 4 : 1) * e);
+
+    const meanvar = processor.detectPELT(noise, { cost: 'meanvar' }).changePoints;
+    assert.strictEqual(meanvar.length, 1);
+    assert.ok(Math.abs(meanvar[0].index - 150) <= 5);
+    assert.ok(Math.abs(processor.detectPELT(noise, { cost: 'variance' }).changePoints[0].index - 150) <= 5);
+
+    // The mean cost assumes constant noise and fragments the high-variance regime
+    assert.ok(processor.detectPELT(noise, { cost: 'mean' }).changePoints.length > 1);
+  });
+
+  it('should report the run-length posterior and alarm delays', () => {
+    const bocpd = processor.detectBayesianOnline(prices);
+    assert.strictEqual(bocpd.runLength.length, prices.length);
+    assert.ok(bocpd.runLength[299] < 110, 'Final run should start near the last change');
+
+    const cusum = processor.detectCUSUM(prices);
+    cusum.changePoints.forEach(cp => assert.ok(cp.detectedAt >= cp.index));
+  });
+
+  it('should return no change points for a constant series', () => {
+    for (const method of ['pelt', 'cusum', 'bocpd']) {
+      assert.deepStrictEqual(processor.detect(new Array(50).fill(7), { method }).changePoints, []);
+    }
+  });
+
+  it('should back StatisticalProcessor.detectChangePoints', () => {
+    const stats = new StatisticalProcessor({ changePoints: { method: 'bocpd' } });
+    const changePoints = stats.detectChangePoints(prices);
+
+    assert.ok(near(changePoints, [100, 200], 5));
+    assert.ok(changePoints.every(cp => typeof cp.magnitude === 'number' && cp.magnitude > 5));
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { CouplingProcessor } from '../../core/math/processors/CouplingProcessor.js';
+import { StatisticalProcessor } from '../../core/math/processors/StatisticalProcessor.js';
+import { FinancialAntifragileManager } from '../../antifragile/FinancialAntifragileManager.js';
+import { BiometricManager } from '../../biometrics/BiometricManager.js';
+import { SampleBuffer } from '../../core/math/RingBuffer.js';
+import { fisherFCdf } from '../../core/math/SpecialFunctions.js';
+import { gaussianNoise } from './fixtures.js';
+
+// x drives y one step later: y[t] = 0.3·y[t-1] + coupling·x[t-1] + e[t]
+function drivenPair(length, coupling, seed) {
+  const ex = gaussianNoise(length, seed);
+  const ey = gaussianNoise(length, seed + 1);
+  const x = [ex[0]];
+  const y = [ey[0]];
+  for (let t = 1; t < length; t++) {
+    x.push(0.5 * x[t - 1] + ex[t]);
+    y.push(0.3 * y[t - 1] + coupling * x[t - 1] + ey[t]);
+  }
+  return { x, y };
+}
+
+describe('CouplingProcessor', () => {
+  const processor = new CouplingProcessor({ sampleRate: 1 });
+
+  it('should match tabulated F distribution quantiles', () => {
+    assert.ok(Math.abs(fisherFCdf(4.3512, 1, 20) - 0.95) < 1e-4);
+    assert.ok(Math.abs(fisherFCdf(3.4928, 2, 20) - 0.95) < 1e-4);
+    assert.ok(Math.abs(fisherFCdf(3.6990, 5, 30) - 0.99) < 1e-4);
+  });
+
+  it('should find Granger causality and transfer entropy in the driving direction only', () => {
+    const { x, y } = drivenPair(500, 0.6, 42);
+    const result = processor.analyze(x, y);
+
+    assert.strictEqual(result.direction, 'xToY');
+    assert.strictEqual(result.granger.xToY.lags, 1);
+    assert.ok(result.granger.xToY.pValue < 1e-10);
+    assert.ok(result.granger.yToX.pValue > 0.05);
+    assert.ok(result.transferEntropy.xToY.effective > 0.1);
+    assert.ok(result.transferEntropy.yToX.effective < 0.02);
+    assert.ok(result.transferEntropy.xToY.pValue <= 0.05);
+  });
+
+  it('should hold the nominal Granger size for independent series', () => {
+    let rejections = 0;
+    for (let r = 0; r < 100; r++) {
+      const { x } = drivenPair(300, 0, 1000 + 2 * r);
+      const noise = gaussianNoise(300, 5000 + r);
+      if (processor.grangerCausality(noise, x).pValue < 0.05) rejections++;
+    }
+
+    assert.ok(rejections >= 1 && rejections <= 11, `Rejected ${rejections} of 100`);
+  });
+
+  it('should measure coherence and phase locking of a shared rhythm', () => {
+    const eeg = new CouplingProcessor({ sampleRate: 250 });
+    const a = gaussianNoise(1000, 7);
+    const b = gaussianNoise(1000, 8);
+    const shared = a.map((e, t) => Math.sin(2 * Math.PI * 10 * t / 250) + 0.5 * e);
+    const lagged = b.map((e, t) => Math.sin(2 * Math.PI * 10 * t / 250 - 0.7) + 0.5 * e +
+      Math.sin(2 * Math.PI * 40 * t / 250));
+
+    const coherence = eeg.coherence(shared, lagged);
+    assert.strictEqual(coherence.peak.frequency, 10);
+    assert.ok(coherence.peak.value > 0.95);
+    assert.ok(coherence.threshold > 0.1 && coherence.threshold < 0.5);
+
+    const locked = eeg.phaseLockingValue(shared, lagged, { band: [8, 12] });
+    assert.ok(locked.value > 0.95);
+    assert.ok(Math.abs(locked.meanPhase - 0.7) < 0.1, `Phase lag ${locked.meanPhase}`);
+    assert.ok(eeg.phaseLockingValue(a, b, { band: [8, 12] }).value < 0.3);
+  });
+
+  it('should map directed links and causal density across channels', () => {
+    const { x, y } = drivenPair(400, 0.6, 11);
+    const network = processor.analyzeNetwork({ x, y, z: gaussianNoise(400, 99) }, { measures: ['granger'] });
+
+    assert.strictEqual(network.pairs.length, 3);
+    assert.ok(network.links.some(link => link.source === 'x' && link.target === 'y'));
+    assert.ok(network.outflow.x > 0 && network.outflow.y < 0);
+    assert.ok(network.causalDensity > 0 && network.causalDensity <= 0.5);
+    assert.throws(() => processor.analyze(x, y, { measures: ['mutualInformation'] }), /Unknown coupling measure/);
+  });
+});
+
+describe('Coupling integrations', () => {
+  it('should cross-correlate two signals in StatisticalProcessor', () => {
+    const stats = new StatisticalProcessor({ coupling: { sampleRate: 1 } });
+    const x = gaussianNoise(300, 3);
+    const y = [0, 0, ...x.slice(0, 298)];
+
+    const correlations = stats.computeCrosscorrelation(x, y);
+    assert.ok(correlations.lag2 > 0.99);
+    assert.ok(Math.abs(correlations.lag0) < 0.2);
+    assert.strictEqual(stats.computeCoupling(x, y, { measures: ['granger'] }).direction, 'xToY');
+  });
+
+  it('should report which asset leads in a correlation breakdown', () => {
+    const manager = new FinancialAntifragileManager();
+    const { x, y } = drivenPair(200, 0.6, 21);
+    const toPrices = returns => returns.reduce((prices, r) => [...prices, prices[prices.length - 1] * (1 + 0.01 * r)], [100]);
+
+    const breakdown = manager.extractCorrelationBreakdown({
+      BTC: { price: toPrices(x) },
+      ETH: { price: toPrices(y) }
+    });
+
+    // A weak chance link back from ETH must not outweigh the BTC → ETH influence
+    const { leader, pairs } = breakdown.directionalCoupling;
+    assert.strictEqual(leader, 'BTC');
+    assert.ok(pairs[0].transferEntropy.xToY > 2 * pairs[0].transferEntropy.yToX);
+    assert.strictEqual(manager.extractCorrelationBreakdown({ BTC: { price: [1, 2] }, ETH: { price: [2, 1] } })
+      .directionalCoupling, null);
+  });
+
+  it('should fuse HRV and GSR coupling on a common time grid', async () => {
+    const manager = new BiometricManager();
+    const { x, y } = drivenPair(240, 0.8, 31);
+
+    // GSR drives RR intervals one grid step (250 ms) later
+    const samples = (values, field) => {
+      const buffer = new SampleBuffer(values.length);
+      values.forEach((value, i) => buffer.push({ [field]: value, timestamp: 1000 + 250 * i }));
+      return buffer;
+    };
+    manager.state.dataBuffers.set('gsr', samples(x.map(v => 8 + v), 'conductance'));
+    manager.state.dataBuffers.set('hrv', samples(y.map(v => 800 + 20 * v), 'rrInterval'));
+
+    const series = manager.getCouplingSeries();
+    assert.strictEqual(series.hrv.length, 240);
+
+    const fused = await manager.processors.fusion.process({ series, timestamp: 61000 });
+    const pair = fused.coupling.pairs[0];
+    assert.deepStrictEqual(pair.signals, ['hrv', 'gsr']);
+    assert.strictEqual(pair.direction, 'yToX');
+    assert.strictEqual(pair.coupled, true);
+  });
+});
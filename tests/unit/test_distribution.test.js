@@ -0,0 +1,202 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { DistributionProcessor } from '../../core/math/processors/DistributionProcessor.js';
+import { StatisticalProcessor } from '../../core/math/processors/StatisticalProcessor.js';
+import { FinancialMetricProcessor } from '../../core/math/processors/FinancialMetricProcessor.js';
+import { MathCore } from '../../core/math/MathCore.js';
+import { nelderMead } from '../../core/math/Optimization.js';
+import { seededUniform, seededGaussian } from '../../core/math/Random.js';
+
+// Student t with integer dof as N(0,1) / sqrt(χ²_ν / ν)
+function studentSample(length, dof, seed) {
+  const gaussian = seededGaussian(seed);
+  return Array.from({ length }, () => {
+    let chi = 0;
+    for (let i = 0; i < dof; i++) chi += gaussian() ** 2;
+    return gaussian() / Math.sqrt(chi / dof);
+  });
+}
+
+describe('Nelder-Mead', () => {
+  it('should minimize the Rosenbrock function', () => {
+    const { point, converged } = nelderMead(([x, y]) => (1 - x) ** 2 + 100 * (y - x * x) ** 2, [-1.2, 1], {
+      maxIterations: 2000,
+      tolerance: 1e-12
+    });
+
+    assert.ok(converged);
+    assert.ok(Math.abs(point[0] - 1) < 1e-4 && Math.abs(point[1] - 1) < 1e-4, `Minimum at ${point}`);
+  });
+});
+
+describe('DistributionProcessor fitting', () => {
+  const processor = new DistributionProcessor();
+
+  it('should recover Student t parameters and rank heavy tails above the normal', () => {
+    const returns = studentSample(1000, 4, 99).map(v => 0.001 + 0.01 * v);
+    const { fits, ranking, best } = processor.fit(returns);
+
+    assert.ok(['studentT', 'skewedT'].includes(best), `Best fit ${best}`);
+    assert.strictEqual(ranking[ranking.length - 1], 'normal');
+    assert.ok(Math.abs(fits.studentT.parameters.dof - 4) < 1.5, `dof ${fits.studentT.parameters.dof}`);
+    assert.ok(Math.abs(fits.studentT.parameters.scale - 0.01) < 0.001);
+    assert.ok(fits.normal.andersonDarling.pValue < 0.01, 'Normal should be rejected');
+    assert.ok(fits.studentT.kolmogorovSmirnov.pValue > 0.1);
+    assert.strictEqual(fits.lognormal.fitted, false);
+  });
+
+  it('should prefer the log-normal for positive skewed data', () => {
+    const gaussian = seededGaussian(7);
+    const sample = Array.from({ length: 500 }, () => Math.exp(1 + 0.5 * gaussian()));
+    const { fits, best } = processor.fit(sample);
+
+    assert.strictEqual(best, 'lognormal');
+    assert.ok(Math.abs(fits.lognormal.parameters.mu - 1) < 0.1);
+    assert.ok(Math.abs(fits.lognormal.parameters.sigma - 0.5) < 0.05);
+  });
+
+  it('should keep the skewed t consistent between density, CDF and quantile', () => {
+    const params = { mean: 0.3, stdDev: 2, dof: 5, skew: -0.4 };
+    let mass = 0;
+    let mean = 0;
+    let second = 0;
+    for (let x = -80; x < 80; x += 0.002) {
+      const density = Math.exp(processor.logDensity('skewedT', x, params)) * 0.002;
+      mass += density;
+      mean += x * density;
+      second += x * x * density;
+    }
+
+    assert.ok(Math.abs(mass - 1) < 1e-4);
+    assert.ok(Math.abs(mean - 0.3) < 1e-3);
+    assert.ok(Math.abs(Math.sqrt(second - mean * mean) - 2) < 2e-3);
+    for (const p of [0.01, 0.3, 0.9]) {
+      assert.ok(Math.abs(processor.cdf('skewedT', processor.quantile('skewedT', p, params), params) - p) < 1e-10);
+    }
+  });
+
+  it('should fit a Generalized Pareto tail of an exponential sample', () => {
+    const uniform = seededUniform(21);
+    const sample = Array.from({ length: 2000 }, () => -Math.log(uniform()));
+    const fit = processor.fitGeneralizedPareto(sample, { tailFraction: 0.2 });
+
+    // Exceedances of an exponential are exponential: ξ = 0, β = 1
+    assert.ok(Math.abs(fit.parameters.shape) < 0.12, `shape ${fit.parameters.shape}`);
+    assert.ok(Math.abs(fit.parameters.scale - 1) < 0.15, `scale ${fit.parameters.scale}`);
+    assert.strictEqual(fit.parameters.exceedances, 400);
+
+    const q = processor.quantile('generalizedPareto', 0.99, fit.parameters);
+    assert.ok(Math.abs(q - Math.log(100)) < 0.4, `99% quantile ${q}`);
+    assert.ok(Number.isNaN(processor.quantile('generalizedPareto', 0.5, fit.parameters)));
+  });
+
+  it('should reduce to the normal and Lévy laws for stable limits', () => {
+    // S0(2, 0) is N(0, 2); S0(1/2, 1) is Lévy with location -1 and scale 1
+    const normal = x => Math.exp(-x * x / 4) / Math.sqrt(4 * Math.PI);
+    const levy = x => Math.exp(-1 / (2 * (x + 1))) / (Math.sqrt(2 * Math.PI) * Math.pow(x + 1, 1.5));
+
+    for (const x of [-1.5, 0.2, 3]) {
+      assert.ok(Math.abs(processor.stableDensity(x, 1.99999, 0) / normal(x) - 1) < 1e-3);
+    }
+    for (const x of [-0.5, 1, 50]) {
+      assert.ok(Math.abs(processor.stableDensity(x, 0.5, 1) / levy(x) - 1) < 1e-6);
+    }
+    assert.ok(Math.abs(processor.stableCdf(1.3, 1, 0) - (0.5 + Math.atan(1.3) / Math.PI)) < 1e-12);
+  });
+
+  it('should fit an α-stable sample when requested', () => {
+    // Chambers-Mallows-Stuck draws of S0(1.5, 0, 2, 5)
+    const uniform = seededUniform(5);
+    const alpha = 1.5;
+    const sample = Array.from({ length: 300 }, () => {
+      const v = Math.PI * (uniform() - 0.5);
+      const w = -Math.log(uniform());
+      const x = Math.sin(alpha * v) / Math.pow(Math.cos(v), 1 / alpha) *
+        Math.pow(Math.cos(v - alpha * v) / w, (1 - alpha) / alpha);
+      return 5 + 2 * x;
+    });
+
+    const { fits, ranking } = processor.fit(sample, { distributions: ['normal', 'stable'] });
+    const { parameters } = fits.stable;
+
+    assert.deepStrictEqual(ranking, ['stable', 'normal']);
+    assert.ok(Math.abs(parameters.alpha - 1.5) < 0.25, `alpha ${parameters.alpha}`);
+    assert.ok(Math.abs(parameters.scale - 2) < 0.4, `scale ${parameters.scale}`);
+    assert.ok(Math.abs(parameters.location - 5) < 0.6, `location ${parameters.location}`);
+  });
+
+  it('should compute expected shortfall from fitted quantiles', () => {
+    const normalShortfall = -Math.exp(-(1.6448536269514722 ** 2) / 2) / Math.sqrt(2 * Math.PI) / 0.05;
+    assert.ok(Math.abs(processor.expectedShortfall('normal', 0.05, { mean: 0, stdDev: 1 }) - normalShortfall) < 1e-5);
+
+    // Closed form for Student t: -(ν + q²)/(ν - 1)·f(q)/p
+    const q = processor.quantile('studentT', 0.05, { location: 0, scale: 1, dof: 4 });
+    const density = Math.exp(processor.logDensity('studentT', q, { location: 0, scale: 1, dof: 4 }));
+    const expected = -(4 + q * q) / 3 * density / 0.05;
+    assert.ok(Math.abs(processor.expectedShortfall('studentT', 0.05, { location: 0, scale: 1, dof: 4 }) - expected) < 1e-3);
+  });
+});
+
+describe('Goodness of fit', () => {
+  const processor = new DistributionProcessor();
+
+  it('should hold the nominal size for a fully specified uniform', () => {
+    const uniform = seededUniform(5);
+    let ks = 0;
+    let ad = 0;
+    for (let r = 0; r < 400; r++) {
+      const sample = Array.from({ length: 100 }, uniform);
+      ks += processor.kolmogorovSmirnov(sample, x => x).pValue < 0.05;
+      ad += processor.andersonDarling(sample, x => x).pValue < 0.05;
+    }
+
+    assert.ok(ks / 400 > 0.02 && ks / 400 < 0.09, `KS size ${ks / 400}`);
+    assert.ok(ad / 400 > 0.02 && ad / 400 < 0.09, `AD size ${ad / 400}`);
+  });
+
+  it('should test normality in StatisticalProcessor', () => {
+    const stats = new StatisticalProcessor();
+    const gaussian = seededGaussian(15838);
+    const normal = stats.testNormality(Array.from({ length: 400 }, () => 3 + gaussian()));
+    const heavy = stats.testNormality(studentSample(400, 3, 13));
+
+    assert.strictEqual(normal.isNormal, true);
+    assert.ok(normal.jarqueBera.pValue > 0.05 && normal.andersonDarling.pValue > 0.05);
+    assert.strictEqual(heavy.isNormal, false);
+    assert.ok(heavy.jarqueBera.pValue < 0.001);
+  });
+
+  it('should fit distributions in computeFeatures unless disabled (as MathCore does)', async () => {
+    const sample = studentSample(200, 4, 21);
+    const processor = new StatisticalProcessor();
+    const { fittedDistributions } = (await processor.computeFeatures(sample)).distribution;
+    assert.strictEqual(fittedDistributions.best, processor.fitDistributions(sample).best);
+
+    const disabled = new StatisticalProcessor({ enableDistributionFitting: false });
+    assert.strictEqual((await disabled.computeFeatures(sample)).distribution.fittedDistributions, null);
+    assert.strictEqual(new MathCore().stats.config.enableDistributionFitting, false);
+  });
+});
+
+describe('FinancialMetricProcessor fitted tails', () => {
+  it('should report fitted VaR and expected shortfall beside the empirical values', () => {
+    const processor = new FinancialMetricProcessor();
+    const returns = studentSample(1000, 4, 4).map(v => 0.0005 + 0.01 * v);
+    const risk = processor.computeRiskMetrics(returns, 252);
+    const { generalizedPareto, parametric } = risk.fittedTail;
+
+    for (const estimate of [generalizedPareto, parametric]) {
+      assert.ok(Math.abs(estimate.valueAtRisk - risk.valueAtRisk) < 0.004, `VaR ${estimate.valueAtRisk} vs ${risk.valueAtRisk}`);
+      assert.ok(estimate.conditionalVaR < estimate.valueAtRisk);
+    }
+    assert.strictEqual(parametric.distribution, 'skewedT');
+    assert.ok(generalizedPareto.shape > 0, 'Student t losses have a heavy (Fréchet) tail');
+  });
+
+  it('should skip fitted tails for short samples', () => {
+    const processor = new FinancialMetricProcessor();
+    const returns = studentSample(60, 4, 3).map(v => 0.01 * v);
+
+    assert.strictEqual(processor.computeRiskMetrics(returns, 252).fittedTail, null);
+  });
+});
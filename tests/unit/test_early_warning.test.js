@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { EarlyWarningProcessor } from '../../core/math/processors/EarlyWarningProcessor.js';
+import { MarketFractureIndex } from '../../core/math/MarketFractureIndex.js';
+import { PhysiologicalFractureIndex } from '../../core/math/PhysiologicalFractureIndex.js';
+import { gaussianNoise } from './fixtures.js';
+
+// AR(1) whose coefficient creeps from 0.1 to 0.95 over a drifting level: critical slowing down
+function slowingDown(length, seed) {
+  let x = 0;
+  return gaussianNoise(length, seed).map((e, t) => (x = (0.1 + 0.85 * t / length) * x + e) + 0.002 * t);
+}
+
+function stationary(length, seed) {
+  let x = 0;
+  return gaussianNoise(length, seed).map(e => (x = 0.5 * x + e));
+}
+
+describe('EarlyWarningProcessor', () => {
+  const processor = new EarlyWarningProcessor();
+
+  it('should detect critical slowing down with surrogate-calibrated trends', () => {
+    const result = processor.analyze(slowingDown(1000, 3));
+    const { ar1, variance, returnRate } = result.indicators;
+
+    assert.strictEqual(result.warning, true);
+    assert.ok(ar1.tau > 0.8 && ar1.surrogatePValue <= 0.05, `AR(1) τ ${ar1.tau}, p ${ar1.surrogatePValue}`);
+    assert.ok(returnRate.tau < -0.8 && returnRate.warning);
+    assert.ok(variance.tau > 0.5);
+    assert.strictEqual(ar1.values.length, 501);
+    assert.strictEqual(result.end[0], 499);
+  });
+
+  it('should rarely warn on stationary series', () => {
+    let warnings = 0;
+    for (let s = 0; s < 20; s++) {
+      if (processor.analyze(stationary(400, 100 + s), { surrogates: 39 }).warning) warnings++;
+    }
+
+    assert.ok(warnings <= 3, `${warnings} false warnings in 20`);
+    assert.ok(processor.analyze(stationary(1000, 4)).score < 0.3);
+  });
+
+  it('should measure flickering as the bimodality coefficient', () => {
+    const noise = gaussianNoise(400, 8);
+    const switching = noise.map((e, t) => (Math.floor(t / 25) % 2 ? 2 : -2) + 0.5 * e);
+
+    const bimodal = processor.rollingIndicators(switching, 400).flickering[0];
+    const unimodal = processor.rollingIndicators(noise, 400).flickering[0];
+    assert.ok(bimodal > 5 / 9, `Bimodal BC ${bimodal}`);
+    assert.ok(unimodal < 5 / 9, `Unimodal BC ${unimodal}`);
+  });
+
+  it('should score monotone trends with Kendall τ-b', () => {
+    const rising = processor.kendallTrend([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.strictEqual(rising.tau, 1);
+    assert.ok(rising.pValue < 0.001);
+    assert.ok(Math.abs(processor.kendallTrend([1, 1, 2]).tau - 2 / Math.sqrt(6)) < 1e-12);
+  });
+
+  it('should be reproducible, block-average long series and validate options', () => {
+    const signal = slowingDown(5000, 6);
+    const first = processor.analyze(signal, { maxLength: 1000 });
+    const second = processor.analyze(signal, { maxLength: 1000 });
+
+    assert.deepStrictEqual(first, second);
+    assert.strictEqual(first.window, 2500);
+    assert.strictEqual(first.end[first.end.length - 1], 4999);
+    assert.strictEqual(processor.analyze([1, 2, 3, 4, 5]), null);
+    assert.throws(() => processor.analyze(signal, { indicators: ['kurtosis'] }), /Unknown early-warning indicator/);
+    assert.throws(() => processor.analyze(signal, { detrending: 'spline' }), /Unknown detrending method/);
+  });
+});
+
+describe('Early warning in the fracture indices', () => {
+  it('should add an opt-in early-warning component to the MFI', async () => {
+    const fill = mfi => {
+      const buffer = mfi.marketBuffers.get('price');
+      slowingDown(300, 11).forEach((v, i) => buffer.push({ value: 100 + v, timestamp: 1000 + i }));
+      return mfi.calculateMFI();
+    };
+
+    const plain = await fill(new MarketFractureIndex());
+    const warned = await fill(new MarketFractureIndex({ earlyWarning: true }));
+
+    assert.strictEqual(plain.components.earlyWarning, undefined);
+    assert.strictEqual(plain.earlyWarning, null);
+    assert.ok(warned.components.earlyWarning > 0.4, `Early warning ${warned.components.earlyWarning}`);
+    assert.strictEqual(warned.earlyWarning.price.indicators.ar1.values, undefined);
+
+    // The composite renormalizes over the active weights
+    const { weights } = new MarketFractureIndex().config;
+    const expected = Object.entries(warned.components).reduce((sum, [name, score]) => sum + weights[name] * score, 0) /
+      (1 + weights.earlyWarning);
+    assert.ok(Math.abs(warned.mfi - Math.min(1, expected)) < 1e-12);
+  });
+
+  it('should add an opt-in early-warning component to the PFI', async () => {
+    const pfi = new PhysiologicalFractureIndex({ sampleRate: 10, earlyWarning: { surrogates: 19 } });
+    const buffer = pfi.signalBuffers.get('rr');
+    slowingDown(600, 13).forEach((v, i) => buffer.push({ value: v, timestamp: 1000 + 100 * i }));
+
+    const result = await pfi.calculatePFI();
+    assert.ok(result.components.earlyWarning > 0.4, `Early warning ${result.components.earlyWarning}`);
+    assert.ok(result.earlyWarning.rr.indicators.ar1.tau > 0.5);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { FilterProcessor } from '../../core/math/processors/FilterProcessor.js';
+import { BiometricManager } from '../../biometrics/BiometricManager.js';
+import { PhysiologicalFractureIndex } from '../../core/math/PhysiologicalFractureIndex.js';
+
+const tone = (frequency, length, sampleRate, amplitude = 1) =>
+  Array.from({ length }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+
+describe('FilterProcessor', () => {
+  const filters = new FilterProcessor({ sampleRate: 250 });
+
+  it('should place Butterworth band edges at -3 dB', () => {
+    const lowpass = filters.design('lowpass', 30);
+    const bandpass = filters.design('bandpass', [8, 13]);
+    const [dc, edge, stop] = filters.frequencyResponse(lowpass, [0, 30, 100]);
+    const [low, center, high, far] = filters.frequencyResponse(bandpass, [8, Math.sqrt(8 * 13), 13, 40]);
+
+    assert.ok(Math.abs(dc - 1) < 1e-9);
+    assert.ok(Math.abs(edge - Math.SQRT1_2) < 1e-6);
+    assert.ok(stop < 1e-3);
+    assert.ok(Math.abs(low - Math.SQRT1_2) < 1e-6 && Math.abs(high - Math.SQRT1_2) < 1e-6);
+    assert.ok(Math.abs(center - 1) < 1e-3);
+    assert.ok(far < 1e-2);
+  });
+
+  it('should keep Chebyshev passband ripple within the design tolerance', () => {
+    const chebyshev = filters.design('lowpass', 30, { design: 'chebyshev', ripple: 1 });
+    const passband = filters.frequencyResponse(chebyshev, Array.from({ length: 30 }, (_, i) => i));
+    const floor = Math.pow(10, -1 / 20);
+
+    passband.forEach(gain => assert.ok(gain <= 1 + 1e-9 && gain >= floor - 1e-9, `Gain ${gain} outside ripple`));
+    assert.ok(filters.frequencyResponse(chebyshev, [60])[0] < 0.05);
+  });
+
+  it('should filter with zero phase', () => {
+    const signal = tone(10, 1000, 250);
+    const filtered = filters.filtfilt(signal, filters.design('lowpass', 40));
+
+    for (let i = 100; i < 900; i++) {
+      assert.ok(Math.abs(filtered[i] - signal[i]) < 1e-3, `Sample ${i} shifted`);
+    }
+  });
+
+  it('should notch out mains interference', () => {
+    const clean = tone(10, 2500, 250);
+    const noisy = clean.map((v, i) => v + Math.sin(2 * Math.PI * 60 * i / 250));
+    const filtered = filters.removeMains(noisy, { frequency: 60 });
+
+    const residual = filtered.slice(500, 2000).reduce((sum, v, i) => sum + (v - clean[i + 500]) ** 2, 0) / 1500;
+    assert.ok(residual < 1e-3, `Residual power ${residual}`);
+  });
+
+  it('should attribute power to the correct bands', () => {
+    const signal = tone(10, 5000, 250, 2).map((v, i) => v + Math.sin(2 * Math.PI * 20 * i / 250));
+    const { absolute, relative } = filters.bandPowers(signal, {
+      theta: [4, 8], alpha: [8, 13], beta: [13, 30]
+    });
+
+    // A sine of amplitude A carries power A²/2
+    assert.ok(Math.abs(absolute.alpha - 2) < 0.1, `Alpha power ${absolute.alpha}`);
+    assert.ok(Math.abs(absolute.beta - 0.5) < 0.05, `Beta power ${absolute.beta}`);
+    assert.ok(relative.theta < 0.01);
+  });
+});
+
+describe('Biometric band extraction', () => {
+  it('should derive EEG indices from filtered band powers', async () => {
+    const manager = new BiometricManager();
+    const alphaDominant = tone(10, 2500, 250, 20).map((v, i) => ({
+      channels: { O1: v + 2 * Math.sin(2 * Math.PI * 20 * i / 250) }
+    }));
+    const betaDominant = tone(20, 2500, 250, 20).map((v, i) => ({
+      channels: { O1: v + 2 * Math.sin(2 * Math.PI * 10 * i / 250) }
+    }));
+
+    const relaxed = await manager.processors.eeg.processBatch(alphaDominant);
+    const engaged = await manager.processors.eeg.processBatch(betaDominant);
+
+    assert.ok(relaxed.bandPowers.average.alpha > 0.9);
+    assert.ok(engaged.avgAttention > relaxed.avgAttention);
+  });
+
+  it('should compute HRV LF/HF powers from RR intervals', async () => {
+    const manager = new BiometricManager();
+    // 0.1 Hz (LF) modulation of the heart period over ~5 minutes
+    const rr = [];
+    let t = 0;
+    while (t < 300) {
+      const interval = 1000 + 50 * Math.sin(2 * Math.PI * 0.1 * t);
+      rr.push({ rrInterval: interval });
+      t += interval / 1000;
+    }
+
+    const result = await manager.processors.hrv.processBatch(rr);
+
+    assert.ok(result.avgRMSSD > 0);
+    assert.ok(result.lfHfRatio > 10, `LF/HF ratio ${result.lfHfRatio}`);
+    assert.ok(result.relativeLF > 0.9);
+  });
+
+  it('should compute PFI ECG LF/HF powers from the R-R tachogram', () => {
+    // 60 s of narrow R waves whose heart period swings at 0.1 Hz (LF)
+    const beats = [];
+    for (let t = 0.5; t < 60; t += 1 + 0.05 * Math.sin(2 * Math.PI * 0.1 * t)) beats.push(t);
+    const ecg = Array.from({ length: 15000 }, (_, i) =>
+      beats.reduce((sum, beat) => sum + Math.exp(-(((i / 250 - beat) / 0.01) ** 2)), 0));
+
+    const pfi = new PhysiologicalFractureIndex();
+    const peaks = pfi.filterProcessor.detectRPeaks(ecg);
+    assert.strictEqual(peaks.length, beats.length);
+    assert.ok(peaks.every((peak, i) => Math.abs(peak / 250 - beats[i]) < 0.02));
+
+    const { absolute } = pfi.computeHRVBandPowers(ecg, pfi.config.signals.ecg.bands);
+    assert.ok(absolute.lf / absolute.hf > 10, `LF/HF ratio ${absolute.lf / absolute.hf}`);
+    assert.ok(absolute.lf > 100, `LF power ${absolute.lf} ms²`);
+    assert.strictEqual(pfi.computeHRVBandPowers(ecg.slice(0, 5000), pfi.config.signals.ecg.bands), null, 'Too short for LF');
+  });
+});
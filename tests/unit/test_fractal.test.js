@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { FractalProcessor } from '../../core/math/processors/FractalProcessor.js';
+import { studentTQuantile } from '../../core/math/SpecialFunctions.js';
+import { gaussianNoise } from './fixtures.js';
+
+// Binomial multiplicative cascade: analytically multifractal, Δα = log2(0.7 / 0.3)
+function binomialCascade(levels, weight = 0.7) {
+  let values = [1];
+  for (let l = 0; l < levels; l++) {
+    values = values.flatMap(v => [v * weight, v * (1 - weight)]);
+  }
+  return values;
+}
+
+describe('Multifractal DFA', () => {
+  const processor = new FractalProcessor();
+
+  it('should report h(q) ≈ 0.5 and a narrow spectrum for white noise', () => {
+    const result = processor.computeMultifractalDFA(gaussianNoise(4096, 11));
+
+    assert.strictEqual(result.hq.length, result.qValues.length);
+    assert.ok(Math.abs(result.hurst - 0.5) < 0.05, `h(2) = ${result.hurst}`);
+    assert.ok(result.width < 0.3, `Monofractal width ${result.width}`);
+  });
+
+  it('should give h(2) ≈ 1.5 for a random walk', () => {
+    let position = 0;
+    const walk = gaussianNoise(4096, 5).map(step => (position += step));
+
+    assert.ok(Math.abs(processor.computeMultifractalDFA(walk).hurst - 1.5) < 0.1);
+  });
+
+  it('should detect the width of a multiplicative cascade', () => {
+    const result = processor.computeMultifractalDFA(binomialCascade(12));
+
+    // Finite q range and scales underestimate the analytic Δα ≈ 1.22
+    assert.ok(result.width > 0.8, `Cascade width ${result.width}`);
+    assert.ok(result.hq[0] > result.hq[result.hq.length - 1], 'h(q) should decrease with q');
+    const peak = Math.max(...result.f);
+    assert.ok(Math.abs(peak - 1) < 0.05, `max f(α) = ${peak}`);
+  });
+});
+
+describe('Rescaled-range Hurst exponent', () => {
+  const processor = new FractalProcessor();
+
+  it('should be unbiased for white noise with bias correction', () => {
+    const estimates = [1, 2, 3, 4, 5, 6, 7, 8].map(seed => processor.computeRescaledRangeHurst(gaussianNoise(2048, seed)));
+    const mean = estimates.reduce((sum, e) => sum + e.hurst, 0) / estimates.length;
+
+    assert.ok(Math.abs(mean - 0.5) < 0.03, `Mean H = ${mean}`);
+    estimates.forEach(e => assert.ok(e.lower < e.hurst && e.hurst < e.upper));
+  });
+
+  it('should match the simulated expected R/S of Gaussian noise', () => {
+    // Monte Carlo E[R/S] for n = 8 is ≈ 2.626
+    assert.ok(Math.abs(processor.expectedRescaledRange(8) - 2.626) < 0.01);
+  });
+
+  it('should detect persistence in a smoothed series', () => {
+    const noise = gaussianNoise(2048, 9);
+    const smoothed = noise.map((_, i) => noise.slice(Math.max(0, i - 20), i + 1).reduce((s, v) => s + v, 0));
+    const { hurst, lower } = processor.computeRescaledRangeHurst(smoothed);
+
+    assert.ok(hurst > 0.7 && lower > 0.5, `H = ${hurst}, lower ${lower}`);
+  });
+
+  it('should use Student t quantiles for the bounds', () => {
+    assert.ok(Math.abs(studentTQuantile(0.975, 5) - 2.570582) < 1e-6);
+    assert.ok(Math.abs(studentTQuantile(0.025, 30) + 2.042272) < 1e-6);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { once } from 'events';
+import { FractureIndex } from '../../core/math/FractureIndex.js';
+import { MarketFractureIndex } from '../../core/math/MarketFractureIndex.js';
+import { PhysiologicalFractureIndex } from '../../core/math/PhysiologicalFractureIndex.js';
+import { ManualClock } from '../../core/math/Clock.js';
+
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Code-review fatigue: reviews getting shorter and quieter, optionally late at night
+class ReviewFatigueIndex extends FractureIndex {
+  constructor(config = {}) {
+    super('rfi', {
+      series: ['minutes', 'comments'], // Per review: time spent, comments left
+      windowSize: 20,                  // Reviews
+      weights: { haste: 2, silence: 1, lateHours: 1 },
+      lateHours: false,
+      ...config
+    });
+
+    this.defineComponent('haste', metrics => metrics.drop.minutes ?? 0)
+      .defineComponent('silence', metrics => metrics.drop.comments ?? 0)
+      .defineComponent('lateHours', metrics => metrics.lateShare, { enabled: () => this.config.lateHours });
+  }
+
+  createMetrics() {
+    return { drop: {}, lateShare: 0 };
+  }
+
+  // Relative fall from the first half of the window to the second
+  analyzeSeries(name, values, timestamps, metrics) {
+    const half = values.length >> 1;
+    const before = mean(values.slice(0, half));
+    metrics.drop[name] = Math.max(0, Math.min(1, (before - mean(values.slice(half))) / before));
+    metrics.lateShare = timestamps.filter(t => new Date(t).getUTCHours() >= 20).length / timestamps.length;
+    return values;
+  }
+}
+
+function review(index, count, minutes, comments, time = index.clock.now()) {
+  for (let i = 0; i < count; i++) {
+    index.addData('minutes', minutes, time + i * 60000);
+    index.addData('comments', comments, time + i * 60000);
+  }
+}
+
+describe('FractureIndex', () => {
+  it('should combine component scores over the enabled weights', async () => {
+    const index = new ReviewFatigueIndex({ clock: new ManualClock() });
+    const evening = Date.UTC(2025, 0, 6, 21);
+    review(index, 10, 30, 5, evening);
+    review(index, 10, 6, 2, evening + 600000);
+
+    const result = await index.calculate();
+    assert.deepStrictEqual(result.components, { haste: 0.8, silence: 0.6 });
+    assert.ok(Math.abs(result.value - (2 * 0.8 + 0.6) / 3) < 1e-12, 'Weights need not sum to one');
+    assert.strictEqual(result.level, 'moderate');
+    assert.strictEqual(result.confidence, 1);
+
+    index.updateConfig({ lateHours: true });
+    const late = await index.calculate();
+    assert.strictEqual(late.components.lateHours, 1);
+    assert.ok(Math.abs(late.value - (2 * 0.8 + 0.6 + 1) / 4) < 1e-12);
+
+    assert.strictEqual(index.combine({}), 0);
+    assert.strictEqual(index.combine({ haste: 1, unweighted: 0 }), 1);
+
+    const levels = new ReviewFatigueIndex({ thresholds: { watch: 0.2, rest: 0.5 } });
+    assert.deepStrictEqual([0.1, 0.4, 0.9].map(v => levels.classifyLevel(v)), ['normal', 'watch', 'rest']);
+    assert.throws(() => levels.defineComponent('broken', 0.5), /Component broken needs a score function/);
+  });
+
+  it('should pace updates by the clock, emit them and report the trend', async () => {
+    const clock = new ManualClock();
+    const index = new ReviewFatigueIndex({ clock, updateInterval: 60000 });
+    const updates = [];
+    index.on('rfiUpdated', result => updates.push(result));
+
+    assert.strictEqual(await index.calculate(), null, 'No series has half a window yet');
+    review(index, 20, 30, 5);
+    assert.strictEqual(updates.length, 0, 'Not due before updateInterval');
+
+    clock.set(60000);
+    index.addData('minutes', 30);
+    await once(index, 'rfiUpdated');
+    assert.strictEqual(updates[0].value, 0);
+    assert.strictEqual(updates[0].level, 'normal');
+
+    clock.set(60500);
+    review(index, 10, 6, 2);
+    assert.strictEqual(updates.length, 1);
+
+    for (const time of [120000, 180000]) {
+      clock.set(time);
+      index.addData('comments', 2);
+      await once(index, 'rfiUpdated');
+    }
+    const status = index.getStatus();
+    assert.deepStrictEqual(status.history.map(h => h.timestamp), [60000, 120000, 180000]);
+    assert.strictEqual(status.trend, 'increasing');
+    assert.strictEqual(status.current, updates[2].value);
+    assert.strictEqual(status.quality.minutes.sampleCount, 20);
+
+    index.reset();
+    assert.strictEqual(index.getStatus().current, 0);
+    assert.strictEqual(index.history.length, 0);
+    assert.strictEqual(index.buffers.get('minutes').length, 0);
+  });
+
+  it('should keep the MFI and PFI interfaces on the shared base', () => {
+    const mfi = new MarketFractureIndex({ lyapunov: true });
+    assert.ok(mfi instanceof FractureIndex);
+    assert.strictEqual(mfi.marketBuffers, mfi.buffers);
+    assert.deepStrictEqual([...mfi.marketBuffers.keys()], ['price', 'volume', 'orderbook', 'volatility', 'sentiment']);
+    assert.deepStrictEqual([...mfi.components].filter(([, c]) => c.enabled()).map(([name]) => name),
+      ['spectralSlope', 'autocorrelation', 'orderImbalance', 'volumeVelocity', 'chaosOnset']);
+    assert.strictEqual(mfi.classifyMFILevel(0.85), 'aggressive');
+    assert.strictEqual(mfi.getMFIStatus().currentMFI, 0);
+    assert.ok('price' in mfi.getMFIStatus().dataQuality);
+
+    const pfi = new PhysiologicalFractureIndex({ updateInterval: 5 });
+    assert.strictEqual(pfi.getUpdateInterval(), 5000, 'PFI intervals are in seconds');
+    assert.strictEqual(pfi.signalBuffers, pfi.buffers);
+    assert.strictEqual(pfi.pfiHistory, pfi.history);
+    assert.ok('rr' in pfi.getPFIStatus().signalQuality);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { LyapunovProcessor } from '../../core/math/processors/LyapunovProcessor.js';
+import { MarketFractureIndex } from '../../core/math/MarketFractureIndex.js';
+import { PhysiologicalFractureIndex } from '../../core/math/PhysiologicalFractureIndex.js';
+import { gaussianNoise } from './fixtures.js';
+
+// Logistic map x → r·x·(1 - x); λ = ln 2 at r = 4
+function logistic(length, r = () => 4) {
+  let x = 0.3;
+  return Array.from({ length }, (_, t) => (x = r(t) * x * (1 - x)));
+}
+
+// x-coordinate of the Hénon map (a = 1.4, b = 0.3), λ ≈ 0.419
+function henon(length) {
+  let x = 0.1;
+  let y = 0;
+  const series = [];
+  for (let t = 0; t < length + 100; t++) {
+    [x, y] = [1 - 1.4 * x * x + y, 0.3 * x];
+    if (t >= 100) series.push(x);
+  }
+  return series;
+}
+
+// Period-4 logistic regime (r = 3.5) that turns chaotic (r = 3.9), with a little observation noise
+function chaosOnset(length, onset, seed) {
+  const noise = gaussianNoise(length, seed);
+  return logistic(length, t => (t < onset ? 3.5 : 3.9)).map((v, t) => v + 0.001 * noise[t]);
+}
+
+describe('LyapunovProcessor', () => {
+  const processor = new LyapunovProcessor();
+  const mapEmbedding = { embeddingDimension: 1, delay: 1 };
+
+  it('should recover known exponents with the Rosenstein estimator', () => {
+    const map = processor.rosenstein(logistic(1000), mapEmbedding);
+    assert.ok(Math.abs(map.exponent - Math.LN2) < 0.05, `Logistic λ ${map.exponent}`);
+    assert.ok(map.r2 > 0.95);
+    assert.strictEqual(map.divergence.length, 21);
+
+    const attractor = processor.rosenstein(henon(1000), { embeddingDimension: 2, delay: 1 });
+    assert.ok(Math.abs(attractor.exponent - 0.419) < 0.05, `Hénon λ ${attractor.exponent}`);
+  });
+
+  it('should recover known exponents with the Wolf estimator', () => {
+    const map = processor.wolf(logistic(1000), mapEmbedding);
+    assert.ok(Math.abs(map.exponent - Math.LN2) < 0.05, `Logistic λ ${map.exponent}`);
+    assert.ok(map.replacements > 0);
+
+    const attractor = processor.wolf(henon(1000), { embeddingDimension: 2, delay: 1 });
+    assert.ok(Math.abs(attractor.exponent - 0.419) < 0.05, `Hénon λ ${attractor.exponent}`);
+  });
+
+  it('should find no divergence on a limit cycle and scale by the sample rate', () => {
+    const sine = Array.from({ length: 1000 }, (_, t) => Math.sin(2 * Math.PI * t / 40));
+    assert.ok(Math.abs(processor.estimate(sine).exponent) < 0.05);
+    assert.ok(Math.abs(processor.estimate(sine, { method: 'wolf' }).exponent) < 0.05);
+
+    const perSecond = new LyapunovProcessor({ sampleRate: 10 }).estimate(logistic(1000), mapEmbedding);
+    assert.ok(Math.abs(perSecond.exponent - 10 * Math.LN2) < 0.5);
+  });
+
+  it('should flag the onset of chaos over sliding windows', () => {
+    const result = processor.slidingExponent(chaosOnset(3000, 2000, 5), { embeddingDimension: 2, delay: 1 });
+
+    assert.strictEqual(result.exponents.length, 8);
+    assert.ok(result.exponents[0].exponent < 0.1);
+    assert.ok(result.latest > 0.3, `Latest λ ${result.latest}`);
+    assert.ok(result.onset > 1 && result.trend > 0);
+  });
+
+  it('should reject unknown methods and degenerate input', () => {
+    assert.throws(() => processor.estimate(henon(200), { method: 'kantz' }), /Unknown Lyapunov method/);
+    assert.strictEqual(processor.estimate(new Array(200).fill(1)), null);
+    assert.strictEqual(processor.estimate([1, 2, 3]), null);
+  });
+});
+
+describe('Chaos onset in the fracture indices', () => {
+  it('should add an opt-in chaos-onset component to the MFI', async () => {
+    const fill = mfi => {
+      const buffer = mfi.marketBuffers.get('price');
+      let price = 100;
+      chaosOnset(300, 200, 9).forEach((v, i) => {
+        price *= Math.exp(0.01 * (v - 0.5));
+        buffer.push({ value: price, timestamp: 1000 + i });
+      });
+      return mfi.calculateMFI();
+    };
+
+    const plain = await fill(new MarketFractureIndex());
+    const chaotic = await fill(new MarketFractureIndex({ lyapunov: { embeddingDimension: 2, delay: 1 } }));
+
+    assert.strictEqual(plain.components.chaosOnset, undefined);
+    assert.strictEqual(plain.lyapunov, null);
+    assert.ok(chaotic.components.chaosOnset > 0.5, `Chaos onset ${chaotic.components.chaosOnset}`);
+    assert.ok(chaotic.lyapunov.latest > chaotic.lyapunov.baseline);
+  });
+
+  it('should add an opt-in chaos-onset component to the PFI', async () => {
+    const pfi = new PhysiologicalFractureIndex({
+      sampleRate: 10,
+      lyapunov: { window: 100, step: 50, embeddingDimension: 2, delay: 1 }
+    });
+    const buffer = pfi.signalBuffers.get('rr');
+    chaosOnset(600, 480, 13).forEach((v, i) => buffer.push({ value: v, timestamp: 1000 + 100 * i }));
+
+    const result = await pfi.calculatePFI();
+    assert.ok(result.components.chaosOnset > 0.5, `Chaos onset ${result.components.chaosOnset}`);
+    assert.ok(result.lyapunov.rr.onset > 1.5);
+    assert.ok(result.pfi >= 0 && result.pfi <= 1);
+  });
+});
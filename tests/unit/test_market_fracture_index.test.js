@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { MarketFractureIndex } from '../../core/math/MarketFractureIndex.js';
+import { gaussianNoise } from './fixtures.js';
+
+describe('MarketFractureIndex regime breaks', () => {
+  for (const [label, config] of [['default', {}], ['partially overridden', { changePoints: { method: 'pelt' } }]]) {
+    it(`should emit a volatility regime break once, stamped with the tick time (${label} change points)`, async () => {
+      const mfi = new MarketFractureIndex({ windowSize: 300, ...config });
+      const events = [];
+      mfi.on('regimeBreak', event => events.push(event));
+
+      // Fill the buffer directly to avoid per-tick MFI updates
+      const buffer = mfi.marketBuffers.get('price');
+      let price = 1000;
+      gaussianNoise(300, 12345).forEach((e, i) => {
+        price *= Math.exp((i >= 200 ? 0.01 : 0.001) * e);
+        buffer.push({ value: price, timestamp: 1000 + i });
+      });
+
+      const first = await mfi.calculateMFI();
+      const second = await mfi.calculateMFI();
+
+      assert.strictEqual(events.length, 1);
+      assert.ok(Math.abs(events[0].timestamp - 1200) <= 3, `Break at ${events[0].timestamp}`);
+      assert.deepStrictEqual(first.regimeBreaks, events);
+      assert.deepStrictEqual(second.regimeBreaks, []);
+    });
+  }
+});
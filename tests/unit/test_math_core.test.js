@@ -1,6 +1,7 @@
 import { test, describe, it, before } from 'node:test';
 import assert from 'node:assert';
 import { MathCore } from '../../core/math/MathCore.js';
+import { gaussianNoise } from './fixtures.js';
 
 describe('MathCore', () => {
   let mathCore;
@@ -39,3 +40,241 @@ describe('MathCore', () => {
     assert.ok(result.uiState.gamma > 0, 'Gamma should be positive');
   });
 });
+
+describe('MathCore preprocessing', () => {
+  it('should wavelet-denoise phi history when enabled', async () => {
+    const input = Array.from({ length: 128 }, (_, i) => Math.sin(i / 8) + (i % 2 === 0 ? 0.2 : -0.2));
+    const plain = await new MathCore().preprocessData(input);
+    const denoised = await new MathCore({ denoise: { thresholdRule: 'sure' } }).preprocessData(input);
+
+    assert.deepStrictEqual(plain.cleaned, input);
+    assert.strictEqual(plain.metadata.noiseSigma, null);
+    assert.ok(denoised.metadata.noiseSigma > 0);
+
+    // Alternating jitter is confined to the finest detail level and should be removed
+    const jitter = (values) => values.slice(1).reduce((sum, v, i) => sum + Math.abs(v - values[i]), 0);
+    assert.ok(jitter(denoised.cleaned) < 0.5 * jitter(input));
+  });
+});
+
+describe('MathCore complexity features', () => {
+  it('should derive complexity features from the data', () => {
+    const mathCore = new MathCore();
+    const regular = Array.from({ length: 128 }, (_, i) => Math.sin(i / 6));
+    const irregular = Array.from({ length: 128 }, (_, i) => Math.sin(i * i * 0.37) + Math.cos(i * 1.7));
+
+    const a = mathCore.computeComplexityFeatures(regular);
+    const b = mathCore.computeComplexityFeatures(irregular);
+
+    assert.ok(a.sampleEntropy < b.sampleEntropy, 'Regular signal should be less complex');
+    assert.ok(a.permutationEntropy < b.permutationEntropy);
+    assert.strictEqual(a.multiscaleEntropy.length, mathCore.config.complexity.maxScale);
+    assert.strictEqual(a.spectralEntropy, null);
+  });
+
+  it('should keep complexity defaults under a partial override and bound their FI share', async () => {
+    const mathCore = new MathCore();
+    const partial = new MathCore({ complexity: { maxScale: 3 } });
+    const history = healthyPhi(128, 9);
+
+    const expected = mathCore.computeComplexityFeatures(history);
+    const actual = partial.computeComplexityFeatures(history);
+    assert.strictEqual(actual.sampleEntropy, expected.sampleEntropy);
+    assert.strictEqual(actual.multiscaleEntropy.length, 3);
+
+    // The no-match fallback (ln C(N - m, 2)) counts no more than white noise would
+    const features = await mathCore.extractFeatures(await mathCore.preprocessData(history));
+    const fi = sampleEntropy => mathCore.computeAdvancedFI({ ...features, complexity: { ...features.complexity, sampleEntropy } });
+    assert.strictEqual(fi(Math.log(126 * 125 / 2)), fi(2.5));
+    assert.ok(fi(1) < fi(2.5));
+  });
+});
+
+describe('MathCore temporal features', () => {
+  it('should score stationarity from unit-root tests', () => {
+    const mathCore = new MathCore();
+    const oscillating = Array.from({ length: 64 }, (_, i) => Math.sin(i * 1.3) + 0.5 * Math.cos(i * 2.9));
+    const drifting = Array.from({ length: 64 }, (_, i) => Math.sqrt(i) + 0.2 * Math.sin(i * i));
+
+    const stationary = mathCore.computeTemporalFeatures(oscillating);
+    const trending = mathCore.computeTemporalFeatures(drifting);
+
+    assert.strictEqual(stationary.isStationary, true);
+    assert.ok(stationary.stationarity > trending.stationarity);
+    assert.strictEqual(trending.isStationary, false);
+    assert.strictEqual(mathCore.computeTemporalFeatures([0.1, 0.2]).stationarity, null);
+  });
+});
+
+describe('MathCore regime breaks', () => {
+  it('should emit each regime break once as the window slides', async () => {
+    const mathCore = new MathCore();
+    await mathCore.initialize();
+
+    const events = [];
+    mathCore.on('regimeBreak', event => events.push(event));
+
+    // Deterministic jitter with a level shift at sample 100
+    const history = [];
+    for (let i = 0; i < 140; i++) {
+      history.push((i >= 100 ? 3 : 0) + 0.3 * Math.sin(i * 2.7) * Math.cos(i * 1.3));
+      if (history.length >= 64) {
+        await mathCore.process({ phiHistory: history.slice(-64) });
+      }
+    }
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].position, 100);
+    assert.ok(events[0].confidence >= 0.95);
+    assert.ok(Math.abs(events[0].shift - 3) < 0.5);
+  });
+
+  it('should keep the reporting thresholds under a partial changePoints override', async () => {
+    const mathCore = new MathCore({ changePoints: { method: 'cusum' } });
+    await mathCore.initialize();
+    assert.strictEqual(mathCore.config.changePoints.minConfidence, 0.95);
+
+    const events = [];
+    mathCore.on('regimeBreak', event => events.push(event));
+    const history = [];
+    for (let i = 0; i < 140; i++) {
+      history.push((i >= 100 ? 3 : 0) + 0.3 * Math.sin(i * 2.7) * Math.cos(i * 1.3));
+      if (history.length >= 64) {
+        await mathCore.process({ phiHistory: history.slice(-64) });
+      }
+    }
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].method, 'cusum');
+  });
+});
+
+// Healthy phi: persistent fluctuations from AR(1) components at several time scales (close to 1/f)
+function healthyPhi(length, seed) {
+  const components = [0.5, 0.9, 0.99].map((phi, j) => ({ phi, x: 0, noise: gaussianNoise(length, seed + 1000 * j) }));
+  return Array.from({ length }, (_, t) => 0.7 + 0.02 * components.reduce((sum, c) =>
+    sum + (c.x = c.phi * c.x + c.noise[t] * Math.sqrt(1 - c.phi * c.phi)), 0));
+}
+
+describe('MathCore fracture index components', () => {
+  const features = async (mathCore, data, biometricData = null) =>
+    mathCore.extractFeatures(await mathCore.preprocessData(data), biometricData);
+
+  it('should raise FI as phi histories degrade', async () => {
+    const mathCore = new MathCore({ significance: false });
+    await mathCore.initialize();
+
+    const seeds = 4;
+    const increase = { jittery: 0, lateBreakdown: 0, noise: 0 };
+    for (let seed = 1; seed <= seeds; seed++) {
+      const healthy = healthyPhi(128, seed);
+      const jitter = gaussianNoise(128, 50 + seed);
+      const degraded = {
+        jittery: healthy.map((v, i) => v + 0.05 * jitter[i]),
+        lateBreakdown: healthy.map((v, i) => (i < 64 ? v : 0.7 + 0.05 * jitter[i])),
+        noise: jitter.map(v => 0.7 + 0.05 * v)
+      };
+
+      const baseline = (await mathCore.process(healthy)).fi;
+      for (const [name, history] of Object.entries(degraded)) {
+        const fi = (await mathCore.process(history)).fi;
+        assert.ok(fi > baseline, `Seed ${seed}, ${name}: FI ${fi} vs healthy ${baseline}`);
+        increase[name] += (fi - baseline) / seeds;
+      }
+    }
+
+    for (const [name, mean] of Object.entries(increase)) {
+      assert.ok(mean > 0.4, `Mean FI increase for ${name}: ${mean}`);
+    }
+  });
+
+  it('should score short- and long-scale instability', async () => {
+    const mathCore = new MathCore({ significance: false });
+    const spectralOnly = new MathCore({ significance: false, enableWavelets: false, enableFractals: false });
+    const healthy = healthyPhi(128, 7);
+    const noise = gaussianNoise(128, 8);
+
+    for (const core of [mathCore, spectralOnly]) {
+      const calm = await features(core, healthy);
+      const noisy = await features(core, noise);
+      assert.ok(core.computeShortScaleFI(noisy) > 0.8);
+      assert.ok(core.computeShortScaleFI(calm) < core.computeShortScaleFI(noisy) - 0.3);
+    }
+    const calm = await features(mathCore, healthy);
+    const noisy = await features(mathCore, noise);
+    assert.ok(mathCore.computeLongScaleFI(calm) < mathCore.computeLongScaleFI(noisy) - 0.2);
+
+    // DFA α of 1 is the healthy reference; drift and white noise both depart from it
+    assert.strictEqual(mathCore.computeLongScaleFI({ fractal: { dfa: { exponent: 1 } } }), 0);
+    assert.strictEqual(mathCore.computeLongScaleFI({ fractal: { dfa: { exponent: 1.5 } } }), 1);
+    assert.strictEqual(mathCore.computeLongScaleFI({ fractal: { dfa: { exponent: 0.75 } }, temporal: { stationarity: 1 } }), 0.25);
+    assert.strictEqual(mathCore.computeShortScaleFI({}), 0);
+  });
+
+  it('should modulate FI with the biometric load', async () => {
+    const mathCore = new MathCore({ significance: false });
+    const calm = { processed: { fused: { stress: 0.1, cognitiveLoad: 0.2, attention: 0.9 } }, quality: 1 };
+    const stressed = {
+      processed: { fused: { stress: 0.9, cognitiveLoad: 0.8, attention: 0.2 }, eeg: { attention: 0.9, drowsiness: 0.6 } },
+      quality: 1
+    };
+
+    const biometric = mathCore.computeBiometricFeatures(stressed);
+    assert.deepStrictEqual(biometric, {
+      stress: 0.9, cognitiveLoad: 0.8, attention: 0.2, drowsiness: 0.6, hrvCoherence: null, quality: 1
+    });
+    assert.ok(Math.abs(mathCore.computeBiometricFactor(biometric) - 1.16) < 1e-12);
+    assert.ok(mathCore.computeBiometricFactor(mathCore.computeBiometricFeatures(calm)) < 1);
+    assert.strictEqual(mathCore.computeBiometricFactor(mathCore.computeBiometricFeatures({})), 1);
+    assert.strictEqual(mathCore.computeBiometricFactor(mathCore.computeBiometricFeatures({ ...stressed, quality: 0 })), 1);
+
+    const healthy = healthyPhi(128, 3);
+    const fi = async data => mathCore.computeAdvancedFI(await features(mathCore, healthy, data));
+    assert.ok(await fi(calm) < await fi(null));
+    assert.ok(await fi(stressed) > await fi(null));
+  });
+
+  it('should keep fractureIndex defaults under a partial override', async () => {
+    const mathCore = new MathCore({ fractureIndex: { biometricGain: 1 } });
+    await mathCore.initialize();
+    assert.deepStrictEqual(mathCore.config.fractureIndex, {
+      shortScaleLevels: 2, healthyExponent: 1, exponentTolerance: 0.5, biometricGain: 1
+    });
+
+    const { fi } = await mathCore.process(healthyPhi(128, 5));
+    assert.ok(Number.isFinite(fi), `FI ${fi}`);
+
+    mathCore.updateConfig({ fractureIndex: { healthyExponent: 0.8 } });
+    assert.strictEqual(mathCore.config.fractureIndex.exponentTolerance, 0.5);
+    assert.strictEqual(mathCore.config.fractureIndex.biometricGain, 1);
+  });
+
+  it('should derive UI anchors, complexity and focus from the phi dynamics', async () => {
+    const mathCore = new MathCore({ significance: false });
+
+    // Cosine exactly on an FFT bin: the anchor is its phase at the newest sample
+    const frequency = 2 * Math.PI * 20 / 512;
+    const cosine = Array.from({ length: 128 }, (_, n) => Math.cos(frequency * n + 0.3));
+    const regular = await features(mathCore, cosine);
+    const expected = (0.3 + frequency * 127) % (2 * Math.PI);
+    assert.ok(Math.abs(mathCore.computeCoherenceAnchor(regular, {}) - expected) < 0.05);
+
+    const noisy = await features(mathCore, gaussianNoise(128, 21));
+    assert.ok(mathCore.computeVisualComplexity(regular) > mathCore.computeVisualComplexity(noisy) + 0.3);
+    assert.ok(mathCore.computeAttentionFocus(regular) > mathCore.computeAttentionFocus(noisy) + 0.3);
+
+    const attentive = await features(mathCore, gaussianNoise(128, 21), { attention: 1 });
+    assert.ok(mathCore.computeAttentionFocus(attentive) > mathCore.computeAttentionFocus(noisy) + 0.4);
+  });
+
+  it('should return neutral UI values for a flat phi history', async () => {
+    const mathCore = new MathCore();
+    for (const level of [0.7, 0.1, 123.456]) {
+      const flat = await features(mathCore, Array(64).fill(level));
+      assert.strictEqual(flat.statistical.basic.range, 0, 'Centered to exact zeros');
+      assert.strictEqual(mathCore.computeCoherenceAnchor(flat, {}), 0);
+      assert.strictEqual(mathCore.computeVisualComplexity(flat), 0.5);
+      assert.strictEqual(mathCore.computeAttentionFocus(flat), 0.5);
+    }
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Pipeline } from '../../core/math/Pipeline.js';
+import { MathCore, DEFAULT_PIPELINE } from '../../core/math/MathCore.js';
+
+const input = Array.from({ length: 128 }, (_, i) => Math.sin(i / 5) + 0.3 * Math.sin(i * 1.3));
+
+describe('Pipeline', () => {
+  it('should run each needed stage once, in dependency order', async () => {
+    const calls = [];
+    const operations = {
+      double: ({ input }) => { calls.push('double'); return input * 2; },
+      square: ({ input }) => { calls.push('square'); return input * input; },
+      sum: ({ left, right }, { options }) => { calls.push('sum'); return left + right + (options.offset || 0); }
+    };
+    const pipeline = new Pipeline({
+      stages: {
+        total: { op: 'sum', inputs: { left: 'doubled', right: 'squared' }, options: { offset: 1 } },
+        doubled: { op: 'double', inputs: ['input'] },
+        squared: { op: 'square', inputs: ['input'] },
+        both: { op: ({ doubled, total }) => doubled * total, inputs: ['doubled', 'total'] },
+        unused: { op: () => { calls.push('unused'); }, inputs: ['input'] }
+      },
+      outputs: ['both', 'total']
+    }, operations);
+
+    assert.deepStrictEqual(pipeline.order, ['doubled', 'squared', 'total', 'both', 'unused']);
+
+    const { results, timings } = await pipeline.run(3);
+    assert.deepStrictEqual(results, { both: 96, total: 16 });
+    assert.deepStrictEqual(calls.sort(), ['double', 'square', 'sum']);
+    assert.deepStrictEqual(Object.keys(timings).sort(), ['both', 'doubled', 'squared', 'total']);
+    assert.ok(Object.values(timings).every(t => t.time >= 0 && t.cached === false));
+
+    // Supplied values replace stages
+    const partial = await pipeline.run(3, { outputs: ['total'], values: { doubled: 100 } });
+    assert.strictEqual(partial.results.total, 110);
+    assert.strictEqual(pipeline.getStatus().stages.doubled.runs, 1);
+    assert.strictEqual(pipeline.getStatus().stages.squared.runs, 2);
+  });
+
+  it('should reuse cached stages for the same key and skip their inputs', async () => {
+    let upstream = 0;
+    const pipeline = new Pipeline({
+      stages: {
+        slow: { op: ({ input }) => { upstream++; return input + 1; }, inputs: ['input'] },
+        cached: { op: ({ slow }) => slow * 10, inputs: ['slow'], cache: true }
+      }
+    }, {}, { cacheSize: 2 });
+
+    assert.deepStrictEqual(pipeline.outputs, ['cached']);
+    assert.strictEqual((await pipeline.run(1, { key: 'a' })).results.cached, 20);
+    const again = await pipeline.run(1, { key: 'a' });
+    assert.strictEqual(again.results.cached, 20);
+    assert.deepStrictEqual(again.timings, { cached: { time: 0, cached: true } });
+    assert.strictEqual(upstream, 1);
+
+    await pipeline.run(2, { key: 'b' });
+    await pipeline.run(3, { key: 'c' });
+    await pipeline.run(1, { key: 'a' });
+    assert.strictEqual(upstream, 4, 'Evicted beyond cacheSize');
+    await pipeline.run(1);
+    assert.strictEqual(upstream, 5, 'No key, no caching');
+
+    pipeline.clearCache();
+    await pipeline.run(1, { key: 'a' });
+    assert.strictEqual(pipeline.getStatus().stages.cached.cacheHits, 1);
+  });
+
+  it('should reject invalid graphs and report failing stages', async () => {
+    const noop = () => 0;
+    assert.throws(() => new Pipeline({ stages: { a: { op: 'missing' } } }), /Unknown pipeline operation: missing/);
+    assert.throws(() => new Pipeline({ stages: { a: { op: noop, inputs: ['b'] } } }), /Unknown input of pipeline stage a: b/);
+    assert.throws(() => new Pipeline({ stages: { input: { op: noop } } }), /reserved: input/);
+    assert.throws(() => new Pipeline({ stages: { a: { op: noop } }, outputs: ['b'] }), /Unknown pipeline output: b/);
+    assert.throws(() => new Pipeline({
+      stages: {
+        a: { op: noop, inputs: ['c'] },
+        b: { op: noop, inputs: ['a'] },
+        c: { op: noop, inputs: ['b'] }
+      }
+    }), /Pipeline cycle: a -> c -> b -> a/);
+
+    const pipeline = new Pipeline({ stages: { bad: { op: () => { throw new Error('no data'); }, inputs: ['input'] } } });
+    await assert.rejects(pipeline.run(1), /Pipeline stage bad failed: no data/);
+    assert.strictEqual(pipeline.getStatus().stages.bad.errors, 1);
+  });
+});
+
+describe('MathCore pipeline', () => {
+  it('should share one FFT per frame and report stage timings', async () => {
+    const core = new MathCore();
+    await core.initialize();
+
+    const result = await core.process(input);
+    const { stageTimings } = result.metadata;
+    for (const stage of ['preprocess', 'fft', 'spectral', 'complexity', 'features', 'fi']) {
+      assert.ok(stageTimings[stage].time >= 0, stage);
+    }
+    assert.deepStrictEqual(result.features.spectral.fft, (await core.spectral.analyze(core.applyWindow(
+      Float64Array.from(input, v => v - input.reduce((a, b) => a + b, 0) / input.length), 'hann'))).fft);
+
+    const { stages } = core.getStatus().pipeline;
+    assert.strictEqual(stages.fft.runs, 1);
+    assert.strictEqual(stages.spectral.runs, 1);
+
+    // Past the result cache, cached stages spare the processors
+    core.resultCache.clear();
+    const again = await core.process(input);
+    assert.strictEqual(again.fi, result.fi);
+    assert.strictEqual(again.metadata.stageTimings.fft.cached, true);
+    assert.strictEqual(again.metadata.stageTimings.statistical.cached, true);
+    assert.strictEqual(again.metadata.stageTimings.complexity.cached, false, 'Uncached stages rerun');
+    assert.strictEqual(core.getStatus().pipeline.stages.fft.runs, 1);
+  });
+
+  it('should build custom fracture indices from the same primitives', async () => {
+    const core = new MathCore({ enableFractals: false });
+    await core.initialize();
+
+    const custom = core.createPipeline({
+      stages: {
+        ...DEFAULT_PIPELINE.stages,
+        scaleIndex: {
+          op: ({ shortScale, longScale, biometricFactor }, { options }) =>
+            options.gain * (shortScale + longScale) * biometricFactor,
+          inputs: ['shortScale', 'longScale', 'biometricFactor'],
+          options: { gain: 2 }
+        },
+        shortScale: { op: 'shortScale', inputs: ['features'] },
+        longScale: { op: 'longScale', inputs: ['features'] },
+        biometricFactor: { op: 'biometricFactor', inputs: ['features'] }
+      },
+      outputs: ['scaleIndex', 'features']
+    });
+
+    const { results, timings } = await custom.run({ phiHistory: input, biometricData: null, metadata: {} });
+    const expected = 2 * (core.computeShortScaleFI(results.features) + core.computeLongScaleFI(results.features));
+    assert.ok(Math.abs(results.scaleIndex - expected) < 1e-12);
+    assert.strictEqual(timings.regimeBreaks, undefined, 'Stages no output needs are skipped');
+    assert.strictEqual(core.state.samplesSeen, 0);
+
+    // A JSON definition with a named operation drives process() itself
+    const jsonCore = new MathCore({
+      pipeline: JSON.parse(JSON.stringify({
+        stages: {
+          preprocess: { op: 'preprocess', inputs: ['input'] },
+          statistical: { op: 'statistical', inputs: ['preprocess'] },
+          fi: { op: 'autocorrIndex', inputs: ['statistical'] }
+        }
+      })),
+      operations: { autocorrIndex: ({ statistical }) => 1 - Math.abs(statistical.autocorrelation.lag1) }
+    });
+    await jsonCore.initialize();
+    const jsonResult = await jsonCore.process(input);
+    assert.ok(jsonResult.fi > 0 && jsonResult.fi < 1);
+    assert.deepStrictEqual(jsonResult.regimeBreaks, []);
+    assert.strictEqual(jsonResult.features, undefined);
+
+    assert.throws(() => new MathCore({ pipeline: { stages: { preprocess: { op: 'preprocess', inputs: ['input'] } } } }),
+      /MathCore pipeline has no fi stage/);
+  });
+});
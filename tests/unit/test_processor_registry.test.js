@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ProcessorRegistry } from '../../core/math/ProcessorRegistry.js';
+import { MathCore } from '../../core/math/MathCore.js';
+
+const input = Array.from({ length: 128 }, (_, i) => Math.sin(i / 5) + 0.3 * Math.sin(i * 1.3));
+
+// Fraction of sign changes between consecutive samples
+class ZeroCrossingProcessor {
+  constructor(options = {}) {
+    this.options = { scale: 1, ...options };
+    this.calls = 0;
+  }
+
+  analyze(series, { features }) {
+    this.calls++;
+    let crossings = 0;
+    for (let i = 1; i < series.length; i++) {
+      if (Math.sign(series[i]) !== Math.sign(series[i - 1])) crossings++;
+    }
+    return {
+      rate: this.options.scale * crossings / (series.length - 1),
+      sawSpectral: Boolean(features.spectral)
+    };
+  }
+}
+
+describe('ProcessorRegistry', () => {
+  it('should validate definitions, input requirements and output schemas', async () => {
+    const registry = new ProcessorRegistry(['spectral']);
+    const entry = registry.register({
+      name: 'crossings',
+      processor: ZeroCrossingProcessor,
+      options: { scale: 2 },
+      input: { series: 'windowed', minLength: 8 },
+      output: { rate: 'number', sawSpectral: 'boolean' },
+      score: 'rate',
+      weight: 0.5
+    });
+
+    assert.ok(entry.instance instanceof ZeroCrossingProcessor);
+    assert.deepStrictEqual(entry.input, { series: 'windowed', minLength: 8, biometric: false });
+    assert.throws(() => registry.register({ name: 'spectral', processor: ZeroCrossingProcessor }), /already in use: spectral/);
+    assert.throws(() => registry.register({ name: 'crossings', processor: ZeroCrossingProcessor }), /already in use: crossings/);
+    assert.throws(() => registry.register({ name: 'a', processor: ZeroCrossingProcessor, method: 'run' }), /has no method run/);
+    assert.throws(() => registry.register({ name: 'b', processor: ZeroCrossingProcessor, input: { series: 'raw' } }), /Unknown input series: raw/);
+    assert.throws(() => registry.register({ name: 'c', processor: ZeroCrossingProcessor, output: { rate: 'float' } }), /Unknown output type for c.rate: float/);
+    assert.throws(() => registry.register({ name: 'd', processor: ZeroCrossingProcessor, weight: NaN }), /Invalid weight/);
+
+    const output = await registry.run('crossings', { windowed: [1, -1, 1, -1, 1, -1, 1, -1] });
+    assert.deepStrictEqual(output, { rate: 2, sawSpectral: false });
+    assert.strictEqual(registry.score('crossings', output), 2);
+    assert.strictEqual(await registry.run('crossings', { windowed: [1, -1] }), null, 'Too short');
+
+    registry.register({ name: 'broken', processor: { analyze: () => ({ rate: 'fast' }) }, output: { rate: 'number' } });
+    await assert.rejects(registry.run('broken', { normalized: [1] }), /broken output rate: expected number, got string/);
+    await assert.rejects(registry.run('missing', { normalized: [1] }), /Unknown processor: missing/);
+
+    assert.strictEqual(registry.unregister('broken'), true);
+    assert.deepStrictEqual(registry.list().map(e => e.name), ['crossings']);
+  });
+});
+
+describe('Custom processors in MathCore', () => {
+  it('should run registered processors in feature extraction and weight them into FI', async () => {
+    const plain = new MathCore({ enableFractals: false, enableWavelets: false });
+    const custom = new MathCore({
+      enableFractals: false,
+      enableWavelets: false,
+      customProcessors: [{
+        name: 'crossings',
+        processor: ZeroCrossingProcessor,
+        output: { rate: 'number' },
+        score: output => output.rate,
+        weight: 1
+      }]
+    });
+    await plain.initialize();
+    await custom.initialize();
+
+    const expected = await plain.process(input);
+    const result = await custom.process(input);
+    const { rate, sawSpectral } = result.features.crossings;
+
+    assert.ok(rate > 0 && rate < 1);
+    assert.strictEqual(sawSpectral, true, 'Built-in features are passed in');
+    assert.strictEqual(custom.getAdaptiveWeights(result.features).crossings, 1);
+    assert.ok(Math.abs(result.fi - (expected.fi + rate)) < 1e-9);
+    assert.strictEqual(custom.getStatus().processors.crossings, 'active');
+  });
+
+  it('should isolate failing processors and clear the cache when the registry changes', async () => {
+    const core = new MathCore({ enableFractals: false, enableWavelets: false });
+    const errors = [];
+    core.on('processorError', event => errors.push(event.processor));
+    await core.initialize();
+
+    const baseline = await core.process(input);
+
+    core.registerProcessor({
+      name: 'failing',
+      processor: { analyze: () => { throw new Error('sensor offline'); } },
+      weight: 5
+    });
+    const failed = await core.process(input);
+    assert.deepStrictEqual(errors, ['failing']);
+    assert.strictEqual(failed.features.failing, null);
+    assert.strictEqual(failed.fi, baseline.fi);
+
+    core.registerProcessor({ name: 'needsBiometrics', processor: ZeroCrossingProcessor, input: { biometric: true }, score: 'rate', weight: 1 });
+    assert.strictEqual((await core.process(input)).features.needsBiometrics, null);
+    const withBiometrics = await core.process({ phiHistory: input, biometricData: { stress: 0.5 } });
+    assert.ok(withBiometrics.features.needsBiometrics.rate > 0);
+
+    assert.strictEqual(core.unregisterProcessor('failing'), true);
+    assert.strictEqual(core.unregisterProcessor('failing'), false);
+    assert.ok(!('failing' in (await core.process(input)).features));
+    assert.throws(() => core.registerProcessor({ name: 'autocorr', processor: ZeroCrossingProcessor }), /already in use: autocorr/);
+  });
+});
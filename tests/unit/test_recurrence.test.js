@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { RecurrenceProcessor } from '../../core/math/processors/RecurrenceProcessor.js';
+import { MathCore } from '../../core/math/MathCore.js';
+import { gaussianNoise } from './fixtures.js';
+
+// x-coordinate of the Hénon map (a = 1.4, b = 0.3) after a transient
+function henon(length) {
+  let x = 0.1;
+  let y = 0;
+  const series = [];
+  for (let t = 0; t < length + 100; t++) {
+    [x, y] = [1 - 1.4 * x * x + y, 0.3 * x];
+    if (t >= 100) series.push(x);
+  }
+  return series;
+}
+
+const sine = length => Array.from({ length }, (_, t) => Math.sin(2 * Math.PI * t / 40));
+
+describe('RecurrenceProcessor', () => {
+  const processor = new RecurrenceProcessor();
+
+  it('should build a symmetric recurrence plot over the delay embedding', () => {
+    const plot = processor.recurrencePlot(sine(200), { embeddingDimension: 2, delay: 10 });
+
+    assert.strictEqual(plot.size, 190);
+    assert.deepStrictEqual(processor.embed([1, 2, 3, 4, 5], 3, 2), [[1, 3, 5]]);
+    for (let i = 0; i < plot.size; i += 7) {
+      assert.strictEqual(plot.matrix[i][i], 1);
+      for (let j = 0; j < plot.size; j += 11) assert.strictEqual(plot.matrix[i][j], plot.matrix[j][i]);
+    }
+    // A whole period later the state recurs
+    assert.strictEqual(plot.matrix[5][45], 1);
+    assert.strictEqual(plot.matrix[5][25], 0);
+  });
+
+  it('should select the embedding dimension by false nearest neighbours', () => {
+    const map = processor.estimateEmbeddingDimension(henon(500), 1);
+    assert.strictEqual(map.dimension, 2);
+    assert.ok(map.falseNeighbors[0] > 0.5 && map.falseNeighbors[1] < 0.01);
+
+    assert.strictEqual(processor.resolveEmbedding(sine(500)).dimension, 2);
+
+    // Noise never unfolds: false neighbours stay plentiful in every dimension
+    const noise = processor.estimateEmbeddingDimension(gaussianNoise(400, 5), 1);
+    assert.ok(Math.min(...noise.falseNeighbors) > 0.1);
+  });
+
+  it('should choose the delay from the mutual information', () => {
+    const { delay, mutualInformation } = processor.estimateDelay(sine(500));
+
+    assert.strictEqual(mutualInformation.length, 21);
+    assert.ok(delay > 1 && delay < 20);
+    assert.ok(mutualInformation[delay] < mutualInformation[0]);
+    assert.strictEqual(processor.estimateDelay(gaussianNoise(500, 9)).delay, 1);
+  });
+
+  it('should separate deterministic from stochastic dynamics', () => {
+    // Same recurrence rate for both, so line structure is compared like for like
+    const fixedRate = { thresholdMode: 'rate', threshold: 0.05 };
+    const periodic = processor.analyze(sine(500), fixedRate);
+    const noise = processor.analyze(gaussianNoise(500, 5), { ...fixedRate, embeddingDimension: 1, delay: 1 });
+
+    assert.ok(periodic.determinism > 0.99);
+    assert.ok(periodic.maxDiagonalLength > 400);
+    assert.ok(noise.determinism < 0.3, `Noise DET ${noise.determinism}`);
+    assert.ok(periodic.diagonalEntropy >= 0 && noise.diagonalEntropy >= 0);
+  });
+
+  it('should find laminar states through vertical lines', () => {
+    const noise = gaussianNoise(400, 5);
+    const intermittent = noise.map((v, t) => Math.floor(t / 20) % 2 ? 0.05 * v : v);
+    const options = { embeddingDimension: 1, delay: 1, thresholdMode: 'rate', threshold: 0.1 };
+
+    const plain = processor.analyze(noise, options);
+    const laminar = processor.analyze(intermittent, options);
+
+    assert.ok(Math.abs(plain.recurrenceRate - 0.1) < 0.005);
+    assert.ok(laminar.laminarity > 2 * plain.laminarity);
+    assert.ok(laminar.trappingTime > plain.trappingTime);
+  });
+
+  it('should reject degenerate input and unknown threshold modes', () => {
+    assert.strictEqual(processor.analyze(new Array(100).fill(3)), null);
+    assert.strictEqual(processor.analyze([1, 2, 3]), null);
+    assert.throws(() => processor.analyze(sine(100), { thresholdMode: 'percentile' }), /Unknown recurrence threshold mode/);
+  });
+});
+
+describe('MathCore recurrence features', () => {
+  it('should add RQA metrics only when enabled', async () => {
+    const input = sine(128);
+    const plain = new MathCore();
+    const enabled = new MathCore({ enableRecurrence: true });
+
+    const off = await plain.extractFeatures(await plain.preprocessData(input));
+    const on = await enabled.extractFeatures(await enabled.preprocessData(input));
+
+    assert.strictEqual(off.recurrence, null);
+    assert.ok(on.recurrence.determinism > 0.9);
+    assert.strictEqual(on.recurrence.embedding.dimension, 2);
+  });
+});
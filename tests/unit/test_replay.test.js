@@ -0,0 +1,184 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { MathCore } from '../../core/math/MathCore.js';
+import { ManualClock } from '../../core/math/Clock.js';
+import { MathCoreRecorder, MathCoreReplayer, diffRecords, toRecord, fromRecord } from '../../core/math/Replay.js';
+import { BiometricManager } from '../../biometrics/BiometricManager.js';
+import { gaussianNoise } from './fixtures.js';
+
+const GOLDEN = fileURLToPath(new URL('../golden/math-core.golden.json', import.meta.url));
+
+// Sliding 96-sample windows over a smooth series that turns noisy halfway
+function phiFrames(count, step = 16) {
+  const noise = gaussianNoise(96 + count * step, 7);
+  const series = noise.map((v, i) => (i < 96 ? 0.7 + 0.05 * Math.sin(i / 6) : 0.7 + 0.05 * v));
+  return Array.from({ length: count }, (_, k) => series.slice(k * step, k * step + 96));
+}
+
+// Frames exercising biometrics, time of day and a repeated (cached) input
+function recordFrames(recorder, clock) {
+  const frames = phiFrames(4);
+  const inputs = [
+    frames[0],
+    { phiHistory: frames[1], metadata: { timeOfDay: true } },
+    { phiHistory: frames[2], biometricData: { stress: 0.8, cognitiveLoad: 0.6, attention: 0.3 } },
+    { phiHistory: frames[2], biometricData: { stress: 0.8, cognitiveLoad: 0.6, attention: 0.3 } },
+    { phiHistory: frames[3], metadata: { userProfile: 'neurodiverse' } }
+  ];
+  // The repeat arrives 50 ms after the original, inside the result cache's lifetime
+  const times = [0, 1000, 2000, 2050, 3000].map(ms => Date.UTC(2025, 0, 6, 20) + ms);
+  return inputs.reduce(async (previous, input, i) => {
+    await previous;
+    clock.set(times[i]);
+    await recorder.process(input);
+  }, Promise.resolve());
+}
+
+const GOLDEN_FIELDS = [
+  'fi', 'uiState', 'thresholds', 'regimeBreaks',
+  'features.statistical.moments', 'features.spectral.features',
+  'features.complexity', 'features.temporal', 'features.biometric',
+  'metadata.frameNumber'
+];
+
+describe('Deterministic MathCore', () => {
+  it('should read cache expiry and time of day from the injected clock', async () => {
+    const clock = new ManualClock(Date.UTC(2025, 0, 6, 12));
+    const core = new MathCore({ deterministic: true, clock });
+    await core.initialize();
+
+    const [input] = phiFrames(1);
+    const working = await core.process({ phiHistory: input, metadata: { timeOfDay: true } });
+    assert.strictEqual(working.thresholds.gentle, 0.7, '12:00 UTC is within working hours');
+
+    clock.advance(50);
+    await core.process({ phiHistory: input, metadata: { timeOfDay: true } });
+    assert.strictEqual(core.state.cacheHits, 1);
+
+    clock.set(Date.UTC(2025, 0, 6, 22));
+    const evening = await core.process({ phiHistory: input, metadata: { timeOfDay: true } });
+    assert.strictEqual(core.state.cacheHits, 1, 'Expired by the clock');
+    assert.ok(Math.abs(evening.thresholds.gentle - 0.63) < 1e-12);
+  });
+
+  it('should step the default deterministic clock one frame per call', async () => {
+    const core = new MathCore({ deterministic: true, frameRate: 50 });
+    await core.initialize();
+
+    const [input] = phiFrames(1);
+    for (let i = 0; i < 7; i++) await core.process(input);
+    assert.strictEqual(core.clock.now(), 140);
+    assert.strictEqual(core.state.cacheHits, 5, 'The frame at 120ms recomputes');
+  });
+
+  it('should seed surrogates and mock biometric sensors', async () => {
+    const a = new MathCore({ deterministic: true, seed: 7 });
+    const b = new MathCore({ deterministic: true, seed: 8 });
+    const signal = gaussianNoise(64, 3);
+    assert.deepStrictEqual(a.surrogates.generate(signal, { surrogates: 1 }), new MathCore({ deterministic: true, seed: 7 }).surrogates.generate(signal, { surrogates: 1 }));
+    assert.notDeepStrictEqual(a.surrogates.generate(signal, { surrogates: 1 }), b.surrogates.generate(signal, { surrogates: 1 }));
+
+    const unseeded = new MathCore();
+    assert.notDeepStrictEqual(unseeded.surrogates.generate(signal, { surrogates: 1 }), unseeded.surrogates.generate(signal, { surrogates: 1 }));
+
+    const metrics = async seed => {
+      const manager = new BiometricManager({ seed });
+      return [
+        await manager.processors.hrv.processRealTime({}, 0),
+        await manager.processors.eeg.processRealTime({}, 0),
+        await manager.processors.gsr.processRealTime({}, 0)
+      ];
+    };
+    assert.deepStrictEqual(await metrics(5), await metrics(5));
+    assert.notDeepStrictEqual(await metrics(5), await metrics(6));
+  });
+});
+
+describe('Recording and replay', () => {
+  it('should diff numbers within tolerance and everything else exactly', () => {
+    assert.deepStrictEqual(diffRecords({ a: 1, b: [1, 2] }, { a: 1 + 1e-12, b: [1, 2] }), []);
+    assert.deepStrictEqual(diffRecords({ a: 1 }, { a: 1.01 }, { relativeTolerance: 0.1 }), []);
+
+    const differences = diffRecords(
+      { fi: 1, nested: { list: [1, 2], label: 'x', gone: 1 }, timestamp: 5 },
+      { fi: 1.1, nested: { list: [1], label: 'y', extra: 2 }, timestamp: 9 }
+    );
+    assert.deepStrictEqual(differences.map(d => [d.path, d.reason.split(' ')[0]]), [
+      ['fi', 'off'],
+      ['nested.list', 'length'],
+      ['nested.label', 'value'],
+      ['nested.gone', 'missing'],
+      ['nested.extra', 'unexpected']
+    ]);
+
+    const record = toRecord({ values: Float64Array.of(1, NaN, -Infinity), map: new Map([['k', 1]]) });
+    assert.deepStrictEqual(record, { values: [1, 'NaN', '-Infinity'], map: { k: 1 } });
+    assert.deepStrictEqual(fromRecord(record).values, [1, NaN, -Infinity]);
+  });
+
+  it('should replay a recording and report numeric regressions', async () => {
+    const clock = new ManualClock();
+    const core = new MathCore({ deterministic: true, clock });
+    await core.initialize();
+    const recorder = new MathCoreRecorder(core, { metadata: { description: 'round trip' } });
+    await recordFrames(recorder, clock);
+
+    assert.strictEqual(recorder.frames.length, 5);
+    assert.strictEqual(core.state.cacheHits, 1, 'The repeated frame came from the cache');
+
+    const directory = await mkdtemp(join(tmpdir(), 'ria-replay-'));
+    try {
+      const path = join(directory, 'recording.json');
+      await recorder.save(path);
+
+      const report = await (await MathCoreReplayer.load(path)).replay();
+      assert.deepStrictEqual(report, { passed: true, frames: 5, differences: [] });
+
+      // A changed biometric gain moves FI only on the biometric frames
+      const changed = await (await MathCoreReplayer.load(path, {
+        config: { fractureIndex: { ...core.config.fractureIndex, biometricGain: 0.9 } }
+      })).replay();
+      assert.strictEqual(changed.passed, false);
+      assert.deepStrictEqual([...new Set(changed.differences.filter(d => d.path === 'fi').map(d => d.frame))], [2, 3]);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+
+    assert.throws(() => new MathCoreReplayer({ format: 99 }), /Unsupported recording format: 99/);
+  });
+
+  it('should record the frame times an owned deterministic clock stepped to', async () => {
+    const core = new MathCore({ deterministic: true, frameRate: 50 });
+    await core.initialize();
+    const recorder = new MathCoreRecorder(core, { fields: ['fi'] });
+
+    const [input] = phiFrames(1);
+    for (let i = 0; i < 3; i++) await recorder.process(input);
+
+    assert.deepStrictEqual(recorder.frames.map(frame => frame.time), [20, 40, 60]);
+    assert.deepStrictEqual(await new MathCoreReplayer(recorder.toJSON()).replay(), { passed: true, frames: 3, differences: [] });
+  });
+
+  it('should match the golden recording', async () => {
+    // UPDATE_GOLDEN=1 node --test tests/unit/test_replay.test.js rewrites it after an intended change
+    if (process.env.UPDATE_GOLDEN) {
+      const clock = new ManualClock();
+      const core = new MathCore({ deterministic: true, clock });
+      await core.initialize();
+      const recorder = new MathCoreRecorder(core, {
+        fields: GOLDEN_FIELDS,
+        metadata: { description: 'MathCore defaults over a smooth-to-noisy phi stream' }
+      });
+      await recordFrames(recorder, clock);
+      await recorder.save(GOLDEN);
+    }
+
+    const report = await (await MathCoreReplayer.load(GOLDEN)).replay();
+    assert.deepStrictEqual(report.differences.slice(0, 5), []);
+    assert.strictEqual(report.frames, 5);
+  });
+});
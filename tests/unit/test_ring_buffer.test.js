@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { RingBuffer, SampleBuffer } from '../../core/math/RingBuffer.js';
+import { MathCore } from '../../core/math/MathCore.js';
+import { MarketFractureIndex } from '../../core/math/MarketFractureIndex.js';
+import { SpectralProcessor } from '../../core/math/processors/SpectralProcessor.js';
+
+describe('RingBuffer', () => {
+  it('should keep the newest samples as contiguous zero-copy views', () => {
+    const ring = new RingBuffer(4);
+    [1, 2, 3, 4, 5, 6].forEach(v => ring.push(v));
+
+    assert.strictEqual(ring.length, 4);
+    assert.strictEqual(ring.total, 6);
+    assert.deepStrictEqual(Array.from(ring.view()), [3, 4, 5, 6]);
+    assert.deepStrictEqual(Array.from(ring.view(2)), [5, 6]);
+    assert.deepStrictEqual([...ring], [3, 4, 5, 6]);
+    assert.strictEqual(ring.at(0), 3);
+    assert.strictEqual(ring.at(-1), 6);
+    assert.strictEqual(ring.at(4), undefined);
+
+    // Views alias the storage, copies do not
+    const view = ring.view();
+    const copy = ring.toArray();
+    assert.strictEqual(view.buffer, ring.data.buffer);
+    ring.push(7);
+    assert.deepStrictEqual(Array.from(copy), [3, 4, 5, 6]);
+    assert.deepStrictEqual(Array.from(ring.view()), [4, 5, 6, 7]);
+
+    ring.clear();
+    assert.strictEqual(ring.view().length, 0);
+    assert.throws(() => new RingBuffer(0), /Invalid ring buffer capacity/);
+  });
+});
+
+describe('SampleBuffer', () => {
+  it('should store numeric fields column-wise and keep other fields per record', () => {
+    const buffer = new SampleBuffer(3);
+    buffer.push({ value: 1, timestamp: 10 });
+    buffer.push({ value: { buy: 2 }, timestamp: 20 });
+    buffer.push({ value: 3, extra: 30, timestamp: 30 });
+    buffer.push({ value: 4, timestamp: 40 });
+
+    assert.strictEqual(buffer.length, 3);
+    assert.deepStrictEqual(Array.from(buffer.column('timestamp')), [20, 30, 40]);
+    assert.deepStrictEqual(Array.from(buffer.column('value')), [NaN, 3, 4]);
+    assert.deepStrictEqual(Array.from(buffer.column('extra', 2)), [30, NaN]);
+    assert.strictEqual(buffer.column('missing'), null);
+    assert.deepStrictEqual(buffer.getAll(), [
+      { value: { buy: 2 }, timestamp: 20 },
+      { value: 3, extra: 30, timestamp: 30 },
+      { value: 4, timestamp: 40 }
+    ]);
+    assert.deepStrictEqual(buffer.getRecent(1), [{ value: 4, timestamp: 40 }]);
+  });
+
+  it('should bound the fracture-index buffers at one analysis window', () => {
+    const mfi = new MarketFractureIndex({ windowSize: 50, updateInterval: Infinity });
+    for (let i = 0; i < 120; i++) mfi.addMarketData('price', 100 + i, 1000 + i);
+
+    const buffer = mfi.marketBuffers.get('price');
+    assert.strictEqual(buffer.length, 50);
+    assert.strictEqual(buffer.column('value')[0], 170);
+    assert.strictEqual(mfi.getDataQualitySummary().price.lastUpdate, 1119);
+  });
+});
+
+describe('Ring buffers in MathCore', () => {
+  it('should process a RingBuffer of phi samples like the equivalent array', async () => {
+    const ring = new RingBuffer(128);
+    for (let i = 0; i < 200; i++) ring.push(Math.sin(i / 5) + 0.1 * Math.cos(i * 1.7));
+
+    const core = new MathCore();
+    await core.initialize();
+    const fromRing = await core.process(ring);
+    const fromArray = await new MathCore().preprocessData(Array.from(ring.view()));
+
+    assert.strictEqual(typeof fromRing.fi, 'number');
+    assert.ok(fromRing.features.spectral);
+    assert.ok(fromArray.normalized instanceof Float64Array);
+    assert.deepStrictEqual((await core.preprocessData(ring.view())).normalized, fromArray.normalized);
+  });
+
+  it('should snapshot a RingBuffer so samples pushed mid-frame do not leak in', async () => {
+    const ring = new RingBuffer(128);
+    for (let i = 0; i < 128; i++) ring.push(Math.sin(i / 5));
+    const expected = await new MathCore().preprocessData(ring.toArray());
+
+    const core = new MathCore();
+    await core.initialize();
+    const frame = core.process(ring);
+    for (let i = 0; i < 64; i++) ring.push(100);
+
+    assert.deepStrictEqual((await frame).features.statistical.basic, (await core.extractFeatures(expected)).statistical.basic);
+  });
+
+  it('should keep the phi history seen so far in its data buffer', async () => {
+    const series = Array.from({ length: 200 }, (_, i) => Math.sin(i / 5) + 0.1 * Math.cos(i * 1.7));
+    const core = new MathCore();
+    await core.initialize();
+
+    for (let end = 64; end <= 200; end += 8) {
+      await core.process(series.slice(end - 64, end));
+    }
+    assert.strictEqual(core.state.samplesSeen, 200);
+    assert.strictEqual(core.dataBuffer.total, 200, 'Only new samples are appended');
+    assert.deepStrictEqual(Array.from(core.dataBuffer.view()), series);
+
+    // A longer history grows the buffer
+    await core.process(series.concat(series.map(v => v + 1)));
+    assert.ok(core.dataBuffer.capacity >= 400);
+    assert.strictEqual(core.dataBuffer.view(400)[399], series[199] + 1);
+  });
+});
+
+describe('Ring buffers in processors', () => {
+  it('should slide the streaming spectrum window over a ring buffer', () => {
+    const stream = new SpectralProcessor().createStream({ windowSize: 8 });
+    assert.deepStrictEqual(Array.from(stream.getWindowSamples()), [0, 0, 0, 0, 0, 0, 0, 0], 'Zeros until filled');
+
+    stream.pushBlock([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.ok(stream.samples instanceof RingBuffer);
+    assert.deepStrictEqual(Array.from(stream.getWindowSamples()), [3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.ok(stream.isReady());
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SeasonalityProcessor } from '../../core/math/processors/SeasonalityProcessor.js';
+import { StatisticalProcessor } from '../../core/math/processors/StatisticalProcessor.js';
+import { MarketFractureIndex } from '../../core/math/MarketFractureIndex.js';
+import { gaussianNoise } from './fixtures.js';
+
+const rmse = (a, b) => Math.sqrt(a.reduce((sum, v, i) => sum + (v - b[i]) ** 2, 0) / a.length);
+
+// Six weeks of hourly samples: hour-of-day and day-of-week cycles over a drifting trend
+function hourlySeries(seed = 42) {
+  const n = 24 * 7 * 6;
+  const noise = gaussianNoise(n, seed);
+  const daily = [];
+  const weekly = [];
+  const trend = [];
+  for (let t = 0; t < n; t++) {
+    daily.push(2 * Math.sin(2 * Math.PI * t / 24) + Math.cos(4 * Math.PI * t / 24));
+    weekly.push(Math.floor(t / 24) % 7 >= 5 ? -2.5 : 1);
+    trend.push(0.01 * t + 3 * Math.sin(2 * Math.PI * t / n));
+  }
+  // Weekend dip centred so the weekly component averages zero
+  const weeklyMean = weekly.reduce((a, b) => a + b, 0) / n;
+  for (let t = 0; t < n; t++) {
+    weekly[t] -= weeklyMean;
+    trend[t] += weeklyMean;
+  }
+
+  const series = trend.map((v, t) => v + daily[t] + weekly[t] + 0.5 * noise[t]);
+  const timestamps = series.map((_, t) => 1704067200000 + t * 3600e3);
+  return { series, timestamps, daily, weekly, trend };
+}
+
+describe('SeasonalityProcessor', () => {
+  const processor = new SeasonalityProcessor();
+
+  it('should derive hour-of-day and day-of-week periods from timestamps', () => {
+    const { timestamps } = hourlySeries();
+
+    assert.deepStrictEqual(processor.periodsFromTimestamps(timestamps), [24, 168]);
+    assert.deepStrictEqual(processor.periodsFromTimestamps(timestamps, ['hour', 'day']), [24]);
+    assert.throws(() => processor.periodsFromTimestamps(timestamps, ['fortnight']), /Unknown seasonal cycle/);
+  });
+
+  it('should detect the daily and weekly periods without harmonics', () => {
+    const { series } = hourlySeries();
+    const periods = processor.detectPeriods(series).map(candidate => candidate.period);
+
+    assert.deepStrictEqual(periods, [24, 168]);
+  });
+
+  it('should separate daily, weekly and trend components with MSTL', () => {
+    const { series, timestamps, daily, weekly, trend } = hourlySeries();
+    const result = processor.decompose(series, { timestamps });
+
+    assert.deepStrictEqual(result.periods, [24, 168]);
+    assert.ok(rmse(result.seasonal[24], daily) < 0.3, `Daily error ${rmse(result.seasonal[24], daily)}`);
+    assert.ok(rmse(result.seasonal[168], weekly) < 0.4, `Weekly error ${rmse(result.seasonal[168], weekly)}`);
+    assert.ok(rmse(result.trend, trend) < 0.3, `Trend error ${rmse(result.trend, trend)}`);
+    assert.ok(result.strength.seasonal[24] > 0.9 && result.strength.seasonal[168] > 0.9);
+
+    // Components add back up to the series
+    series.forEach((v, i) => {
+      const rebuilt = result.trend[i] + result.seasonal[24][i] + result.seasonal[168][i] + result.remainder[i];
+      assert.ok(Math.abs(rebuilt - v) < 1e-9);
+    });
+    assert.ok(rmse(result.deseasonalized, trend) < 0.7);
+  });
+
+  it('should estimate the same components with the classical decomposition', () => {
+    const { series, daily, weekly } = hourlySeries();
+    const result = processor.decompose(series, { periods: [24, 168], method: 'classical' });
+
+    assert.ok(rmse(result.seasonal[24], daily) < 0.3);
+    assert.ok(rmse(result.seasonal[168], weekly) < 0.4);
+    assert.ok(Number.isNaN(result.trend[0]) && Number.isFinite(result.trend[500]));
+  });
+
+  it('should resist outliers with robust STL', () => {
+    const daily = Array.from({ length: 240 }, (_, t) => 2 * Math.sin(2 * Math.PI * t / 24));
+    const spiked = gaussianNoise(240, 7).map((e, t) => daily[t] + 0.01 * t + 0.5 * e);
+    for (let k = 0; k < 8; k++) spiked[17 + 29 * k] += 40;
+
+    const plain = processor.stl(spiked, 24);
+    const robust = processor.stl(spiked, 24, { robust: true });
+
+    assert.ok(rmse(robust.seasonal, daily) < 0.4, `Robust error ${rmse(robust.seasonal, daily)}`);
+    assert.ok(rmse(plain.seasonal, daily) > 1);
+    assert.strictEqual(robust.weights[17], 0);
+  });
+
+  it('should leave aperiodic series alone', () => {
+    let level = 0;
+    const walk = gaussianNoise(300, 99).map(e => (level += e));
+
+    assert.strictEqual(processor.decompose(walk), null);
+    assert.deepStrictEqual(processor.deseasonalize(walk), walk);
+    assert.strictEqual(processor.decompose(walk.slice(0, 40), { periods: [24] }), null);
+  });
+});
+
+describe('Seasonality in StatisticalProcessor and MarketFractureIndex', () => {
+  it('should report seasonal periods with their strength', () => {
+    const stats = new StatisticalProcessor();
+    const { series } = hourlySeries();
+    const seasonality = stats.detectSeasonality(series);
+
+    assert.strictEqual(seasonality.detected, true);
+    assert.deepStrictEqual(seasonality.periods, [24, 168]);
+    assert.ok(seasonality.strength[24] > 0.9);
+    assert.strictEqual(stats.detectSeasonality(gaussianNoise(200, 3)).detected, false);
+  });
+
+  it('should leave seasonality out of computeFeatures unless enabled', async () => {
+    const { series } = hourlySeries();
+    assert.strictEqual((await new StatisticalProcessor().computeFeatures(series)).timeSeries.seasonality, null);
+
+    const enabled = new StatisticalProcessor({ enableSeasonalityDetection: true });
+    assert.deepStrictEqual((await enabled.computeFeatures(series)).timeSeries.seasonality.periods, [24, 168]);
+  });
+
+  it('should deseasonalize configured MFI series from buffer timestamps', () => {
+    const { series, timestamps, trend } = hourlySeries();
+    const plain = new MarketFractureIndex();
+    const adjusted = new MarketFractureIndex({ deseasonalize: true, deseasonalizeSeries: ['volume'] });
+
+    assert.strictEqual(plain.prepareSeries('volume', series, timestamps), series);
+    assert.strictEqual(adjusted.prepareSeries('price', series, timestamps), series);
+    assert.ok(rmse(adjusted.prepareSeries('volume', series, timestamps), trend) < 0.7);
+  });
+});
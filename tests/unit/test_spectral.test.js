@@ -0,0 +1,198 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SpectralProcessor, StreamingSpectrum } from '../../core/math/processors/SpectralProcessor.js';
+import { gaussianNoise } from './fixtures.js';
+
+function windowedDFT(samples) {
+  const N = samples.length;
+  const result = [];
+
+  for (let k = 0; k < N; k++) {
+    let real = 0;
+    let imag = 0;
+    for (let n = 0; n < N; n++) {
+      const w = 0.5 - 0.5 * Math.cos(2 * Math.PI * n / N); // Periodic Hann
+      real += samples[n] * w * Math.cos(-2 * Math.PI * k * n / N);
+      imag += samples[n] * w * Math.sin(-2 * Math.PI * k * n / N);
+    }
+    result.push({ real, imag });
+  }
+
+  return result;
+}
+
+function directDFT(samples) {
+  const N = samples.length;
+  const result = [];
+
+  for (let k = 0; k < N; k++) {
+    let real = 0;
+    let imag = 0;
+    for (let n = 0; n < N; n++) {
+      const angle = -2 * Math.PI * ((k * n) % N) / N;
+      real += samples[n] * Math.cos(angle);
+      imag += samples[n] * Math.sin(angle);
+    }
+    result.push({ real, imag });
+  }
+
+  return result;
+}
+
+describe('Arbitrary-length FFT', () => {
+  const processor = new SpectralProcessor();
+
+  it('should match a direct DFT for power-of-two, composite and prime lengths', () => {
+    // 64: radix-2, 300: mixed radix 2·2·3·5·5, 151: prime (Bluestein), 1018: 2·509 (mixed + Bluestein)
+    for (const N of [64, 300, 151, 1018]) {
+      const signal = Array.from({ length: N }, (_, i) => Math.sin(0.37 * i) + (i % 5) * 0.1);
+      const expected = directDFT(signal);
+      const actual = processor.fft(signal);
+
+      assert.strictEqual(actual.length, N);
+      for (let k = 0; k < N; k++) {
+        const error = Math.hypot(actual[k].real - expected[k].real, actual[k].imag - expected[k].imag);
+        assert.ok(error < 1e-9, `N=${N} bin ${k} error ${error}`);
+      }
+    }
+  });
+
+  it('should invert the forward transform', () => {
+    const signal = Array.from({ length: 250 }, (_, i) => Math.cos(0.11 * i) - 0.5 * Math.sin(0.02 * i * i));
+    const roundTrip = processor.inverseFFT(processor.fft(signal));
+
+    roundTrip.forEach((value, i) => {
+      assert.ok(Math.abs(value.real - signal[i]) < 1e-12, `Sample ${i} not recovered`);
+      assert.ok(Math.abs(value.imag) < 1e-12, `Sample ${i} has residual imaginary part`);
+    });
+  });
+
+  it('should analyze the full window in exact mode', async () => {
+    const exact = new SpectralProcessor({ windowSize: 300, sampleRate: 1, fftMode: 'exact' });
+    const signal = Array.from({ length: 300 }, (_, i) => Math.sin(2 * Math.PI * 0.1 * i));
+    const result = await exact.analyze(signal);
+
+    assert.strictEqual(result.fft.length, 300);
+    assert.strictEqual(result.frequencies.length, 150);
+    const peak = result.powerSpectrum.slice(0, 150).reduce((best, p, i, arr) => (p > arr[best] ? i : best), 0);
+    assert.ok(Math.abs(result.frequencies[peak] - 0.1) < 1e-12, `Peak at ${result.frequencies[peak]} Hz`);
+  });
+});
+
+describe('StreamingSpectrum', () => {
+  const signal = Array.from({ length: 700 }, (_, i) =>
+    Math.sin(2 * Math.PI * 7 * i / 100) + 0.3 * Math.cos(i * 0.37)
+  );
+
+  it('should match a direct windowed DFT of the latest window', () => {
+    const stream = new SpectralProcessor({ sampleRate: 100 }).createStream({ windowSize: 60 });
+    stream.pushBlock(signal);
+
+    const expected = windowedDFT(signal.slice(-60));
+    const actual = stream.getSpectrum();
+
+    for (let k = 0; k < 60; k++) {
+      assert.ok(Math.abs(actual[k].real - expected[k].real) < 1e-9, `Real part mismatch at bin ${k}`);
+      assert.ok(Math.abs(actual[k].imag - expected[k].imag) < 1e-9, `Imaginary part mismatch at bin ${k}`);
+    }
+  });
+
+  it('should expose the same feature shape as batch analysis', () => {
+    const stream = new StreamingSpectrum({ windowSize: 100, sampleRate: 100 });
+    stream.pushBlock(signal);
+
+    const result = stream.analyze();
+
+    assert.ok(stream.isReady(), 'Window should be filled');
+    assert.strictEqual(result.fft.length, 100);
+    assert.strictEqual(result.frequencies.length, 50);
+    for (const key of ['centroid', 'bandwidth', 'rolloff', 'energy', 'entropy']) {
+      assert.strictEqual(typeof result.features[key], 'number', `Missing feature ${key}`);
+    }
+    assert.ok(Math.abs(result.features.centroid - 7) < 3, `Centroid should be near 7 Hz, got ${result.features.centroid}`);
+  });
+
+  it('should report completed frames per hop', () => {
+    const stream = new StreamingSpectrum({ windowSize: 32, hopSize: 8 });
+
+    assert.strictEqual(stream.pushBlock(signal.slice(0, 40)), 5);
+    stream.reset();
+    assert.strictEqual(stream.isReady(), false);
+  });
+});
+
+describe('PSD estimators', () => {
+  // Deterministic unit-variance white noise
+  const noise = gaussianNoise(2048, 12345);
+
+  const relativeSpread = (values) => {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+    return { mean, cv: Math.sqrt(variance) / mean };
+  };
+
+  it('should reduce periodogram variance with Welch and multitaper estimates', () => {
+    const processor = new SpectralProcessor({ sampleRate: 100 });
+    const periodogram = relativeSpread(processor.estimatePSD(noise, { method: 'periodogram' }).psd.slice(5, -5));
+
+    for (const method of ['welch', 'multitaper']) {
+      const estimate = processor.estimatePSD(noise, { method });
+      const { mean, cv } = relativeSpread(estimate.psd.slice(5, -5));
+
+      // One-sided white-noise density is 2σ²/fs
+      assert.ok(Math.abs(mean - 0.02) < 0.003, `${method} mean density ${mean}`);
+      assert.ok(cv < periodogram.cv / 2, `${method} CV ${cv} vs periodogram ${periodogram.cv}`);
+      assert.ok(estimate.dof > 8, `${method} should report averaged degrees of freedom`);
+    }
+  });
+
+  it('should bracket each bin with chi-square confidence bounds', () => {
+    const processor = new SpectralProcessor({ sampleRate: 100, psdMethod: 'welch', confidenceLevel: 0.9 });
+    const estimate = processor.estimatePSD(noise);
+
+    assert.strictEqual(estimate.method, 'welch');
+    assert.strictEqual(estimate.frequencies.length, estimate.psd.length);
+    assert.strictEqual(estimate.frequencies[estimate.frequencies.length - 1], 50);
+    estimate.psd.forEach((value, k) => {
+      assert.ok(estimate.lower[k] < value && value < estimate.upper[k], `Bin ${k} not bracketed`);
+    });
+  });
+
+  it('should produce orthonormal, well-concentrated DPSS tapers', () => {
+    const processor = new SpectralProcessor();
+    const { tapers, concentrations } = processor.computeDPSS(128, 4, 7);
+
+    for (let a = 0; a < tapers.length; a++) {
+      for (let b = a; b < tapers.length; b++) {
+        const dot = tapers[a].reduce((sum, v, i) => sum + v * tapers[b][i], 0);
+        assert.ok(Math.abs(dot - (a === b ? 1 : 0)) < 1e-8, `Tapers ${a},${b} inner product ${dot}`);
+      }
+    }
+    assert.ok(concentrations[0] > 0.9999, 'First taper should be almost fully concentrated');
+    assert.ok(concentrations.every((c, i) => i === 0 || c <= concentrations[i - 1] + 1e-12));
+  });
+});
+
+describe('Spectral entropy variants', () => {
+  const processor = new SpectralProcessor();
+
+  it('should reach one for a flat spectrum and zero for a single line when normalized', () => {
+    const flat = new Array(64).fill(2);
+    const line = new Array(64).fill(0);
+    line[10] = 5;
+
+    for (const method of ['shannon', 'renyi', 'tsallis']) {
+      assert.ok(Math.abs(processor.computeSpectralEntropy(flat, { method, normalize: true }) - 1) < 1e-12, method);
+      assert.strictEqual(processor.computeSpectralEntropy(line, { method, normalize: true }), 0, method);
+    }
+  });
+
+  it('should order Rényi entropies by decreasing order', () => {
+    const spectrum = Array.from({ length: 32 }, (_, k) => 1 / (k + 1));
+    const shannon = processor.computeSpectralEntropy(spectrum);
+    const renyi2 = processor.computeSpectralEntropy(spectrum, { method: 'renyi', order: 2 });
+
+    assert.ok(renyi2 < shannon);
+    assert.ok(Math.abs(processor.computeSpectralEntropy(spectrum, { method: 'renyi', order: 1 }) - shannon) < 1e-12);
+  });
+});
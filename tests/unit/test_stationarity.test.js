@@ -0,0 +1,138 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { StationarityProcessor } from '../../core/math/processors/StationarityProcessor.js';
+import { StatisticalProcessor } from '../../core/math/processors/StatisticalProcessor.js';
+import { FinancialAntifragileManager } from '../../antifragile/FinancialAntifragileManager.js';
+import { gaussianNoise } from './fixtures.js';
+
+const randomWalk = (length, seed) => {
+  let level = 0;
+  return gaussianNoise(length, seed).map(e => (level += e));
+};
+
+const autoregressive = (length, seed, phi = 0.5) => {
+  let level = 0;
+  return gaussianNoise(length, seed).map(e => (level = phi * level + e));
+};
+
+describe('StationarityProcessor distributions', () => {
+  const processor = new StationarityProcessor();
+
+  it('should map Dickey-Fuller critical values to their levels', () => {
+    for (const regression of ['n', 'c', 'ct']) {
+      const critical = processor.unitRootCriticalValues(1e6, regression);
+      for (const [level, value] of Object.entries(critical)) {
+        const expected = parseFloat(level) / 100;
+        const pValue = processor.unitRootPValue(value, regression);
+        assert.ok(Math.abs(pValue - expected) < 0.003, `${regression} ${level}: p = ${pValue}`);
+      }
+    }
+  });
+
+  it('should widen critical values in small samples', () => {
+    const small = processor.unitRootCriticalValues(50, 'c');
+    const large = processor.unitRootCriticalValues(5000, 'c');
+
+    assert.ok(small['5%'] < large['5%']);
+    assert.ok(Math.abs(large['5%'] + 2.862) < 0.001);
+  });
+
+  it('should reproduce the KPSS asymptotic critical values', () => {
+    for (const regression of ['c', 'ct']) {
+      const { criticalValues } = processor.kpss(gaussianNoise(100, 3), { regression });
+      for (const [level, value] of Object.entries(criticalValues)) {
+        const expected = parseFloat(level) / 100;
+        const pValue = processor.kpssPValue(value, regression);
+        assert.ok(Math.abs(pValue - expected) / expected < 0.06, `${regression} ${level}: p = ${pValue}`);
+      }
+    }
+    assert.strictEqual(processor.kpssPValue(50, 'c'), 0);
+  });
+});
+
+describe('StationarityProcessor tests', () => {
+  const processor = new StationarityProcessor();
+
+  it('should keep the unit-root null for a random walk', () => {
+    const walk = randomWalk(400, 11);
+
+    assert.ok(processor.augmentedDickeyFuller(walk).pValue > 0.05);
+    assert.ok(processor.phillipsPerron(walk).pValue > 0.05);
+    assert.ok(processor.kpss(walk).pValue < 0.05);
+    assert.strictEqual(processor.test(walk).verdict, 'unit-root');
+  });
+
+  it('should find a stationary AR(1) stationary', () => {
+    const series = autoregressive(400, 29);
+    const result = processor.test(series);
+
+    assert.ok(result.adf.pValue < 0.01 && result.pp.pValue < 0.01);
+    assert.ok(result.kpss.pValue > 0.05);
+    assert.strictEqual(result.verdict, 'stationary');
+    assert.ok(result.stationarity > 0.5);
+  });
+
+  it('should separate trend-stationary from difference-stationary series', () => {
+    const trending = gaussianNoise(300, 5).map((e, t) => 0.05 * t + e);
+
+    assert.strictEqual(processor.test(trending, { regression: 'c' }).isStationary, false);
+    assert.strictEqual(processor.test(trending, { regression: 'ct' }).verdict, 'stationary');
+  });
+
+  it('should select longer ADF lags for autocorrelated differences', () => {
+    // Integrated AR(1): a unit root with serially correlated increments
+    const increments = autoregressive(500, 41, 0.6);
+    let level = 0;
+    const series = increments.map(d => (level += d));
+
+    const aic = processor.augmentedDickeyFuller(series, { lagCriterion: 'aic' });
+    const bic = processor.augmentedDickeyFuller(series, { lagCriterion: 'bic' });
+    const fixed = processor.augmentedDickeyFuller(series, { lags: 3 });
+
+    assert.ok(bic.lags >= 1 && bic.lags <= aic.lags, `BIC ${bic.lags}, AIC ${aic.lags}`);
+    assert.strictEqual(fixed.lags, 3);
+    assert.strictEqual(fixed.lagCriterion, null);
+    assert.ok(aic.pValue > 0.05);
+  });
+
+  it('should decline short or constant series', () => {
+    assert.strictEqual(processor.test([1, 2, 3]), null);
+    assert.strictEqual(processor.test(new Array(100).fill(4)), null);
+  });
+
+  it('should back StatisticalProcessor.testStationarity', () => {
+    const stats = new StatisticalProcessor({ stationarity: { regression: 'ct' } });
+    const result = stats.testStationarity(autoregressive(200, 3));
+
+    assert.strictEqual(result.regression, 'ct');
+    assert.strictEqual(result.isStationary, true);
+  });
+
+  it('should leave the tests out of computeFeatures unless enabled', async () => {
+    const series = autoregressive(200, 3);
+    assert.strictEqual((await new StatisticalProcessor().computeFeatures(series)).timeSeries.stationarity, null);
+
+    const enabled = new StatisticalProcessor({ enableStationarityTests: true });
+    assert.deepStrictEqual((await enabled.computeFeatures(series)).timeSeries.stationarity, enabled.testStationarity(series));
+  });
+});
+
+describe('FinancialAntifragileManager regime stationarity', () => {
+  const components = { spectralSlope: 0.5, autocorrelation: 0.8 };
+
+  it('should class mean-reverting prices as sideways despite momentum', () => {
+    const manager = new FinancialAntifragileManager();
+    const prices = autoregressive(200, 17).map(e => 100 * Math.exp(0.01 * e));
+
+    assert.strictEqual(manager.detectMarketRegime({ components: { BTC: components }, prices }), 'sideways');
+    assert.strictEqual(manager.priceStationarity.verdict, 'stationary');
+  });
+
+  it('should keep trending regimes for unit-root prices', () => {
+    const manager = new FinancialAntifragileManager();
+    const prices = randomWalk(200, 23).map((e, t) => 100 * Math.exp(0.002 * t + 0.01 * e));
+
+    assert.strictEqual(manager.detectMarketRegime({ components: { BTC: components }, prices }), 'bull');
+    assert.strictEqual(manager.priceStationarity.isStationary, false);
+  });
+});
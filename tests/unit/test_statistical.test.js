@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { StatisticalProcessor } from '../../core/math/processors/StatisticalProcessor.js';
+import { gaussianNoise } from './fixtures.js';
+
+function bruteForceSampleEntropy(signal, m, r) {
+  const count = (length) => {
+    let matches = 0;
+    for (let i = 0; i < signal.length - m; i++) {
+      for (let j = i + 1; j < signal.length - m; j++) {
+        let distance = 0;
+        for (let k = 0; k < length; k++) distance = Math.max(distance, Math.abs(signal[i + k] - signal[j + k]));
+        if (distance <= r) matches++;
+      }
+    }
+    return matches;
+  };
+  return -Math.log(count(m + 1) / count(m));
+}
+
+describe('Entropy measures', () => {
+  const processor = new StatisticalProcessor();
+  const noise = gaussianNoise(1000, 3);
+
+  it('should match a brute-force Chebyshev SampEn', () => {
+    const signal = noise.slice(0, 200);
+    assert.ok(Math.abs(processor.computeSampleEntropy(signal, 2, 0.3) - bruteForceSampleEntropy(signal, 2, 0.3)) < 1e-12);
+  });
+
+  it('should separate white noise from a regular signal', () => {
+    const sine = Array.from({ length: 1000 }, (_, i) => Math.sin(i / 10));
+
+    // Theoretical SampEn of Gaussian white noise at m = 2, r = 0.2σ is ≈ 2.2
+    assert.ok(Math.abs(processor.computeSampleEntropy(noise) - 2.2) < 0.15);
+    assert.ok(processor.computeSampleEntropy(sine) < 0.5);
+    assert.strictEqual(processor.computeSampleEntropy(new Array(50).fill(1)), 0);
+  });
+
+  it('should show decreasing multiscale entropy for white noise only', () => {
+    const white = processor.computeMultiscaleEntropy(noise, { maxScale: 6 });
+    assert.deepStrictEqual(white.scales, [1, 2, 3, 4, 5, 6]);
+    assert.ok(white.entropies[5] < white.entropies[0] - 0.5, 'White noise loses entropy under coarse-graining');
+
+    // Strongly correlated AR(1) gains entropy with scale
+    let state = 0;
+    const correlated = noise.map(x => (state = 0.95 * state + x));
+    const ar = processor.computeMultiscaleEntropy(correlated, { maxScale: 6 });
+    assert.ok(ar.entropies[5] > ar.entropies[0]);
+  });
+
+  it('should report null for scales with no matches', () => {
+    const result = processor.computeMultiscaleEntropy(noise.slice(0, 30), { maxScale: 10, tolerance: 0.05 });
+
+    assert.ok(result.entropies.includes(null));
+    assert.ok(Number.isFinite(result.complexityIndex));
+  });
+
+  it('should compute normalized permutation entropy', () => {
+    assert.ok(processor.computePermutationEntropy(noise, { order: 4 }) > 0.99);
+    assert.strictEqual(processor.computePermutationEntropy(Array.from({ length: 100 }, (_, i) => i)), 0);
+
+    // Two equally likely patterns of order 2: ln 2 / ln 2!
+    const alternating = Array.from({ length: 101 }, (_, i) => i % 2);
+    assert.ok(Math.abs(processor.computePermutationEntropy(alternating, { order: 2 }) - 1) < 1e-3);
+  });
+});
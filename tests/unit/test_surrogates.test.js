@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SurrogateProcessor, significance } from '../../core/math/processors/SurrogateProcessor.js';
+import { MathCore } from '../../core/math/MathCore.js';
+import { gaussianNoise } from './fixtures.js';
+
+function ar1(length, phi, seed) {
+  let x = 0;
+  return gaussianNoise(length, seed).map(e => (x = phi * x + e));
+}
+
+function amplitudes(signal, processor) {
+  const { real, imag } = processor.spectral.transform(Float64Array.from(signal), new Float64Array(signal.length));
+  return Array.from(real, (re, k) => Math.hypot(re, imag[k]));
+}
+
+const lag1 = series => {
+  const mean = series.reduce((a, b) => a + b, 0) / series.length;
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < series.length; i++) {
+    den += (series[i] - mean) ** 2;
+    if (i > 0) num += (series[i] - mean) * (series[i - 1] - mean);
+  }
+  return num / den;
+};
+
+// Time-reversal asymmetry, zero in expectation for linear Gaussian processes
+const asymmetry = series => {
+  let sum = 0;
+  for (let i = 1; i < series.length; i++) sum += (series[i] - series[i - 1]) ** 3;
+  return Math.abs(sum / (series.length - 1));
+};
+
+describe('SurrogateProcessor', () => {
+  const processor = new SurrogateProcessor({ surrogates: 5, iterations: 50 });
+  const signal = ar1(256, 0.9, 3);
+  const sorted = [...signal].sort((a, b) => a - b);
+
+  it('should keep the values of shuffled and IAAFT surrogates', () => {
+    for (const method of ['shuffle', 'iaaft']) {
+      for (const surrogate of processor.generate(signal, { method })) {
+        assert.deepStrictEqual(Array.from(surrogate).sort((a, b) => a - b), sorted);
+      }
+    }
+  });
+
+  it('should keep the Fourier amplitudes of phase-randomized and IAAFT surrogates', () => {
+    const original = amplitudes(signal, processor);
+    const error = surrogate => {
+      const matched = amplitudes(surrogate, processor);
+      return Math.hypot(...matched.map((a, k) => a - original[k])) / Math.hypot(...original);
+    };
+
+    const [phase] = processor.generate(signal, { method: 'phase' });
+    const [iaaft] = processor.generate(signal, { method: 'iaaft' });
+    const [shuffled] = processor.generate(signal, { method: 'shuffle' });
+    assert.ok(error(phase) < 1e-10, `Phase surrogate error ${error(phase)}`);
+    assert.ok(error(iaaft) < 0.05, `IAAFT error ${error(iaaft)}`);
+    assert.ok(error(shuffled) > 0.5);
+    assert.ok(Math.abs(lag1(iaaft) - lag1(signal)) < 0.05);
+  });
+
+  it('should reject i.i.d. noise for an autocorrelated series', () => {
+    const result = processor.significance(lag1, signal, 39, { method: 'shuffle' });
+
+    assert.strictEqual(result.surrogates, 39);
+    assert.strictEqual(result.pValue, 0.05);
+    assert.strictEqual(result.significant, true);
+    assert.ok(result.zScore > 5);
+
+    const { quantiles, values } = result.nullDistribution;
+    assert.strictEqual(values.length, 39);
+    assert.ok(quantiles[0.025] < quantiles[0.5] && quantiles[0.5] < quantiles[0.975]);
+    assert.ok(quantiles[0.975] < result.statistic);
+
+    const noise = processor.significance(lag1, gaussianNoise(256, 4), 39, { method: 'shuffle' });
+    assert.strictEqual(noise.significant, false);
+  });
+
+  it('should separate nonlinear from linear dynamics with IAAFT surrogates', () => {
+    let x = 0.4;
+    const logistic = Array.from({ length: 256 }, () => (x = 3.9 * x * (1 - x)));
+    const options = { iterations: 50, alternative: 'greater' };
+
+    assert.ok(significance(asymmetry, logistic, 19, options).significant);
+    assert.strictEqual(significance(asymmetry, ar1(256, 0.9, 1), 19, options).significant, false);
+  });
+
+  it('should be reproducible and validate options', () => {
+    const first = processor.significance(lag1, signal, 9, { method: 'phase' });
+    assert.deepStrictEqual(processor.significance(lag1, signal, 9, { method: 'phase' }), first);
+    assert.notDeepStrictEqual(processor.significance(lag1, signal, 9, { method: 'phase', seed: 7 }), first);
+    assert.strictEqual(processor.significance(() => NaN, signal), null);
+    assert.throws(() => processor.generate(signal, { method: 'bootstrap' }), /Unknown surrogate method/);
+    assert.throws(() => processor.significance(lag1, signal, 3, { alternative: 'both' }), /Unknown alternative hypothesis/);
+  });
+});
+
+describe('Surrogate confidence in MathCore', () => {
+  const confidence = async (core, data) => core.computeConfidence(await core.extractFeatures(await core.preprocessData(data)));
+
+  it('should be more confident on structured windows than on noise', async () => {
+    const core = new MathCore({ significance: true, deterministic: true }); // Seeded surrogates
+    let structured = 0;
+    let noise = 0;
+    for (let s = 0; s < 10; s++) {
+      structured += await confidence(core, ar1(100, 0.8, 50 + s)) / 10;
+      noise += await confidence(core, gaussianNoise(100, 80 + s)) / 10;
+    }
+
+    assert.ok(structured >= 0.9, `Structured confidence ${structured}`);
+    assert.ok(noise < 0.7, `Noise confidence ${noise}`);
+    assert.strictEqual(await confidence(core, Array(100).fill(0.5)), 0);
+
+    const features = core.computeSignificanceFeatures(ar1(100, 0.8, 50));
+    assert.ok(features.autocorrelation.statistic > features.autocorrelation.quantiles[0.975]);
+    assert.ok(features.autocorrelation.pValue <= 0.05);
+    assert.ok(features.sampleEntropy.statistic < features.sampleEntropy.quantiles[0.5]);
+  });
+
+  it('should report no confidence when surrogate tests are off (the default)', async () => {
+    const core = new MathCore();
+    const features = await core.extractFeatures(await core.preprocessData(gaussianNoise(100, 9)));
+
+    assert.strictEqual(features.significance, null);
+    assert.strictEqual(core.computeConfidence(features), null);
+
+    await core.initialize();
+    assert.strictEqual((await core.process(gaussianNoise(100, 9))).uiState.confidence, null);
+    assert.strictEqual((await core.process(gaussianNoise(16, 9))).uiState.confidence, null, 'Minimal results too');
+    assert.throws(() => new MathCore({ significance: { statistics: ['kurtosis'] } }).computeSignificanceFeatures(gaussianNoise(64, 2)),
+      /Unknown significance statistic/);
+  });
+});
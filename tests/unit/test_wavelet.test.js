@@ -1,6 +1,8 @@
 import { test, describe, it, before } from 'node:test';
 import assert from 'node:assert';
 import { WaveletProcessor } from '../../core/math/processors/WaveletProcessor.js';
+import { getWaveletFilterBank, listWavelets } from '../../core/math/processors/WaveletFilters.js';
+import { gaussianNoise } from './fixtures.js';
 
 describe('WaveletProcessor', () => {
   let processor;
@@ -68,3 +70,212 @@ describe('WaveletProcessor', () => {
     assert.strictEqual(concDisp, 0, 'Concentration should be min (0)');
   });
 });
+
+describe('FFT continuous wavelet transform', () => {
+  const samplingRate = 100;
+  const signal = Array.from({ length: 1000 }, (_, i) => Math.sin(2 * Math.PI * 10 * i / samplingRate));
+
+  it('should map scales to Fourier frequencies for Morlet and Mexican hat', () => {
+    for (const waveletType of ['morlet', 'mexican_hat']) {
+      const processor = new WaveletProcessor({ waveletType, samplingRate });
+      for (const frequency of [1, 10, 25]) {
+        const scale = processor.frequencyToScale(frequency);
+        assert.ok(Math.abs(processor.scaleToFrequency(scale) - frequency) < 1e-12);
+      }
+    }
+
+    // Morlet (ω0 = 6) Fourier period is ≈1.033 × scale
+    const morlet = new WaveletProcessor({ samplingRate: 1 });
+    assert.ok(Math.abs(1 / morlet.scaleToFrequency(1) - 1.0330) < 1e-4);
+  });
+
+  it('should peak at the scale matching the signal frequency', () => {
+    for (const waveletType of ['morlet', 'mexican_hat']) {
+      const processor = new WaveletProcessor({ waveletType, samplingRate });
+      processor.updateConfig({ scales: [2.5, 5, 10, 20, 40].map(f => processor.frequencyToScale(f)) });
+
+      const cwt = processor.computeContinuousWaveletTransform(signal);
+      const energies = cwt.scalogram.map(s => s.power.reduce((sum, p) => sum + p, 0));
+      const peak = energies.indexOf(Math.max(...energies));
+
+      assert.ok(Math.abs(cwt.frequencies[peak] - 10) < 1e-9, `${waveletType} peaked at ${cwt.frequencies[peak]} Hz`);
+    }
+  });
+
+  it('should agree with direct convolution against the analytic Morlet', () => {
+    const processor = new WaveletProcessor({ samplingRate, scales: [8] });
+    const noisy = signal.map((v, i) => v + 0.5 * Math.cos(0.7 * i));
+    const mean = noisy.reduce((sum, v) => sum + v, 0) / noisy.length;
+    const { coefficients, imaginary } = processor.computeContinuousWaveletTransform(noisy).coefficients[0];
+
+    // W(n) = Σ x[m] ψ*((m - n)/s) / √s with ψ(t) = π^-1/4 e^{iω0 t} e^{-t²/2}
+    const n = 500;
+    const s = 8;
+    let real = 0;
+    let imag = 0;
+    for (let m = 0; m < noisy.length; m++) {
+      const t = (m - n) / s;
+      const envelope = Math.pow(Math.PI, -0.25) * Math.exp(-t * t / 2) / Math.sqrt(s);
+      real += (noisy[m] - mean) * envelope * Math.cos(6 * t);
+      imag -= (noisy[m] - mean) * envelope * Math.sin(6 * t);
+    }
+
+    assert.ok(Math.abs(coefficients[n] - real) < 1e-3 * Math.hypot(real, imag), `Real ${coefficients[n]} vs ${real}`);
+    assert.ok(Math.abs(imaginary[n] - imag) < 1e-3 * Math.hypot(real, imag), `Imaginary ${imaginary[n]} vs ${imag}`);
+  });
+
+  it('should mask coefficients inside the cone of influence', () => {
+    const processor = new WaveletProcessor({ samplingRate, scales: [20] });
+    const cwt = processor.computeContinuousWaveletTransform(signal);
+    const { coiMask } = cwt.coefficients[0];
+    const { power } = cwt.scalogram[0];
+    const edge = Math.ceil(Math.SQRT2 * 20);
+
+    assert.strictEqual(coiMask[0], 0);
+    assert.strictEqual(coiMask[500], 1);
+    assert.strictEqual(power[edge - 2], 0);
+    assert.ok(power[500] > 0);
+    assert.strictEqual(cwt.coi.length, signal.length);
+  });
+
+  it('should report a zero energy distribution for a constant signal', () => {
+    const processor = new WaveletProcessor({ samplingRate });
+    const energy = processor.computeCWTEnergy(processor.computeContinuousWaveletTransform(new Array(256).fill(3)));
+
+    assert.strictEqual(energy.total, 0);
+    assert.ok(energy.distribution.length > 0 && energy.distribution.every(share => share === 0));
+  });
+});
+
+describe('Discrete wavelet filter library', () => {
+  const processor = new WaveletProcessor();
+  const signal = Array.from({ length: 203 }, (_, i) => Math.sin(0.21 * i) + 0.5 * Math.cos(0.05 * i * i) + (i % 7) * 0.1);
+  const maxError = (a, b) => Math.max(...a.map((v, i) => Math.abs(v - b[i])));
+
+  it('should provide orthonormal filters with the expected vanishing moments', () => {
+    for (const name of listWavelets()) {
+      const { recLo, recHi } = getWaveletFilterBank(name);
+      const order = Number(name.match(/\d+/)[0]);
+      const moments = name.startsWith('coif') ? 2 * order : order;
+
+      assert.ok(Math.abs(recLo.reduce((s, h) => s + h, 0) - Math.SQRT2) < 1e-12, `${name} lowpass sum`);
+      for (let m = 0; 2 * m < recLo.length; m++) {
+        const dot = recLo.reduce((s, h, k) => s + h * (recLo[k + 2 * m] || 0), 0);
+        assert.ok(Math.abs(dot - (m === 0 ? 1 : 0)) < 1e-12, `${name} shift ${m} inner product ${dot}`);
+      }
+      for (let p = 0; p < moments; p++) {
+        const moment = recHi.reduce((s, g, k) => s + g * Math.pow(k / recHi.length, p), 0);
+        assert.ok(Math.abs(moment) < 1e-9, `${name} moment ${p} = ${moment}`);
+      }
+    }
+  });
+
+  it('should match published db2 coefficients and Haar outputs', () => {
+    const { recLo } = getWaveletFilterBank('db2');
+    [0.48296291314453416, 0.8365163037378079, 0.2241438680420134, -0.12940952255126037].forEach((h, k) => {
+      assert.ok(Math.abs(recLo[k] - h) < 1e-14);
+    });
+
+    const { approximation, detail } = processor.dwtStep([1, 2, 3, 4], 'haar', 'symmetric');
+    assert.deepStrictEqual(approximation.map(v => +v.toFixed(10)), [2.1213203436, 4.9497474683]);
+    assert.deepStrictEqual(detail.map(v => +v.toFixed(10)), [-0.7071067812, -0.7071067812]);
+  });
+
+  it('should reconstruct perfectly for every family and border mode', () => {
+    for (const wavelet of listWavelets()) {
+      for (const mode of ['zero', 'constant', 'symmetric', 'reflect', 'periodic', 'periodization']) {
+        for (const input of [signal, signal.slice(0, 128)]) {
+          const dwt = processor.computeDiscreteWaveletTransform(input, { wavelet, mode, levels: 3 });
+          assert.strictEqual(dwt.reconstruction.length, input.length);
+          const error = maxError(input, dwt.reconstruction);
+          assert.ok(error < 1e-10, `${wavelet}/${mode}/N=${input.length} error ${error}`);
+        }
+      }
+    }
+  });
+
+  it('should cap the decomposition depth at the maximum useful level', () => {
+    const dwt = processor.computeDiscreteWaveletTransform(signal.slice(0, 64), { wavelet: 'db4', levels: 10 });
+
+    assert.strictEqual(dwt.maxLevel, 3); // floor(log2(64 / 7))
+    assert.strictEqual(dwt.levels, 3);
+    assert.strictEqual(dwt.wavelet, 'db4');
+  });
+});
+
+describe('Wavelet packets', () => {
+  const processor = new WaveletProcessor();
+  const signal = Array.from({ length: 256 }, (_, i) => Math.sin(2 * Math.PI * 0.3 * i) + (i > 100 && i < 110 ? 1 : 0));
+
+  it('should order a packet level by frequency band', () => {
+    const tree = processor.computeWaveletPacketTree(signal, { wavelet: 'sym4', levels: 3, mode: 'periodization' });
+    const energies = processor.getPacketLevel(tree, 3).map(node => node.data.reduce((s, v) => s + v * v, 0));
+    const peak = energies.indexOf(Math.max(...energies));
+
+    // 0.3 cycles/sample lies in band [0.25, 0.3125) of eight equal bands over [0, 0.5]
+    assert.strictEqual(peak, 4);
+    assert.ok(Math.abs(energies.reduce((s, e) => s + e, 0) - signal.reduce((s, v) => s + v * v, 0)) < 1e-9,
+      'Periodized packets should preserve energy');
+  });
+
+  it('should select a best basis that tiles the tree and reconstructs the signal', () => {
+    for (const cost of ['shannon', 'logEnergy', 'threshold', 'norm']) {
+      const tree = processor.computeWaveletPacketTree(signal, { wavelet: 'coif2', levels: 4, mode: 'symmetric' });
+      const basis = processor.selectBestBasis(tree, { cost, threshold: 0.1 });
+
+      const coverage = basis.paths.reduce((sum, path) => sum + Math.pow(2, -path.length), 0);
+      assert.ok(Math.abs(coverage - 1) < 1e-12, `${cost} basis should tile the frequency axis`);
+
+      const reconstruction = processor.reconstructFromPacketBasis(tree, basis.paths);
+      const error = Math.max(...signal.map((v, i) => Math.abs(v - reconstruction[i])));
+      assert.ok(error < 1e-10, `${cost} reconstruction error ${error}`);
+    }
+  });
+
+  it('should prefer a basis with lower cost than the plain DWT', () => {
+    const tree = processor.computeWaveletPacketTree(signal, { wavelet: 'db4', levels: 4, mode: 'periodization' });
+    const best = processor.selectBestBasis(tree);
+    const dwtCost = ['aaaa', 'aaad', 'aad', 'ad', 'd']
+      .reduce((sum, path) => sum + processor.computePacketCost(tree.nodes[path].data), 0);
+
+    assert.ok(best.cost <= dwtCost + 1e-12);
+  });
+});
+
+describe('Wavelet denoising', () => {
+  const processor = new WaveletProcessor();
+
+  const clean = Array.from({ length: 1024 }, (_, i) => 2 * Math.sin(2 * Math.PI * i / 128) + (i > 500 && i < 700 ? 1.5 : 0));
+  const noise = gaussianNoise(1024, 7);
+  const noisy = clean.map((v, i) => v + 0.4 * noise[i]);
+  const rmse = (values) => Math.sqrt(values.reduce((sum, v, i) => sum + (v - clean[i]) ** 2, 0) / clean.length);
+
+  it('should estimate the noise level and reduce error for every rule and mode', () => {
+    for (const thresholdRule of ['visu', 'sure', 'bayes']) {
+      for (const thresholdMode of ['soft', 'hard']) {
+        const result = processor.denoise(noisy, { thresholdRule, thresholdMode });
+
+        assert.strictEqual(result.signal.length, noisy.length);
+        assert.ok(Math.abs(result.noiseSigma - 0.4) < 0.05, `Estimated sigma ${result.noiseSigma}`);
+        assert.ok(rmse(result.signal) < 0.5 * rmse(noisy), `${thresholdRule}/${thresholdMode} RMSE ${rmse(result.signal)}`);
+      }
+    }
+  });
+
+  it('should use the universal threshold for VisuShrink and adapt per level otherwise', () => {
+    const visu = processor.denoise(noisy, { thresholdRule: 'visu' });
+    const expected = visu.noiseSigma * Math.sqrt(2 * Math.log(noisy.length));
+    visu.thresholds.forEach(({ threshold }) => assert.ok(Math.abs(threshold - expected) < 1e-12));
+
+    const bayes = processor.denoise(noisy, { thresholdRule: 'bayes' });
+    const coarsest = bayes.thresholds[bayes.thresholds.length - 1].threshold;
+    assert.ok(coarsest < bayes.thresholds[0].threshold, 'Signal-dominated coarse levels should be shrunk less');
+  });
+
+  it('should leave a noiseless signal unchanged', () => {
+    const ramp = Array.from({ length: 64 }, (_, i) => i);
+    const result = processor.denoise(ramp, { wavelet: 'db2', mode: 'periodization' });
+
+    result.signal.forEach((v, i) => assert.ok(Math.abs(v - ramp[i]) < 1e-9));
+  });
+});
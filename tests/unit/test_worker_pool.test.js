@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { once } from 'events';
+import { WorkerPool } from '../../core/math/WorkerPool.js';
+import { MathCore } from '../../core/math/MathCore.js';
+import { SpectralProcessor } from '../../core/math/processors/SpectralProcessor.js';
+import { StatisticalProcessor } from '../../core/math/processors/StatisticalProcessor.js';
+
+const input = Array.from({ length: 256 }, (_, i) => Math.sin(i / 5) + 0.3 * Math.sin(i * 1.3));
+
+// Processor results carry their own creation time
+const withoutTimestamps = value => JSON.parse(JSON.stringify(value, (key, v) => (key === 'timestamp' ? undefined : v)));
+
+describe('WorkerPool', () => {
+  it('should run processor methods on worker threads with transferred typed arrays', async () => {
+    const pool = new WorkerPool({ size: 2 });
+    assert.strictEqual(await pool.initialize(), true);
+
+    try {
+      const signal = Float64Array.from(input);
+      const [spectral, stats] = await Promise.all([
+        pool.run('spectral', 'analyze', [signal]),
+        pool.run('stats', 'computeSampleEntropy', [signal, 2, 0.2])
+      ]);
+
+      assert.strictEqual(signal.length, 256, 'The caller keeps its array');
+      assert.deepStrictEqual(withoutTimestamps(spectral), withoutTimestamps(await new SpectralProcessor().analyze(signal)));
+      assert.strictEqual(stats, new StatisticalProcessor().computeSampleEntropy(signal, 2, 0.2));
+      await assert.rejects(pool.run('spectral', 'missing', [signal]), /Unknown worker task: spectral.missing/);
+
+      const status = pool.getStatus();
+      assert.strictEqual(status.workers.length, 2);
+      assert.strictEqual(status.workers.reduce((sum, worker) => sum + worker.tasks, 0), 2);
+      assert.strictEqual(status.workers.reduce((sum, worker) => sum + worker.errors, 0), 1);
+      assert.ok(status.workers.every(worker => worker.threadId > 0 && !worker.busy));
+    } finally {
+      await pool.terminate();
+    }
+    await assert.rejects(pool.run('spectral', 'analyze', [input]), /Worker pool unavailable/);
+  });
+
+  it('should report itself unavailable when workers cannot start', async () => {
+    const pool = new WorkerPool({ size: 1, script: new URL('./missing-worker.js', import.meta.url) });
+
+    assert.strictEqual(await pool.initialize(), false);
+    assert.strictEqual(pool.getStatus().available, false);
+    assert.ok(pool.getStatus().error);
+  });
+
+  it('should stop replacement workers that fail to start and drop their slots', async () => {
+    const pool = new WorkerPool({ size: 1, restartAttempts: 2, restartDelay: 10 });
+    assert.strictEqual(await pool.initialize(), true);
+
+    // Replacements time out during startup; record their exits
+    const exits = [];
+    const { Worker } = pool;
+    pool.Worker = class extends Worker {
+      constructor(...args) {
+        super(...args);
+        exits.push(once(this, 'exit'));
+      }
+    };
+    pool.config.startupTimeout = 1;
+    const errors = [];
+    pool.on('workerError', event => errors.push(event.error.message));
+
+    const unavailable = once(pool, 'unavailable');
+    pool.workers[0].worker.terminate();
+    await unavailable;
+
+    assert.strictEqual(exits.length, 2, 'One start per restart attempt');
+    await Promise.all(exits);
+    assert.deepStrictEqual(errors.slice(1), ['Worker 0 did not start', 'Worker 0 did not start']);
+    assert.strictEqual(pool.getStatus().available, false);
+    assert.strictEqual(pool.getStatus().workers.length, 0);
+    await assert.rejects(pool.run('spectral', 'analyze', [input]), /Worker pool unavailable/);
+  });
+});
+
+describe('MathCore worker execution', () => {
+  it('should match in-thread features and surface per-worker timing', async () => {
+    const plain = new MathCore({ enableRecurrence: true });
+    const threaded = new MathCore({ enableRecurrence: true, enableWorkers: true, parallelWorkers: 2 });
+    await plain.initialize();
+    await threaded.initialize();
+
+    try {
+      const expected = await plain.process(input);
+      const result = await threaded.process(input);
+
+      for (const name of ['spectral', 'statistical', 'fractal', 'wavelet', 'recurrence']) {
+        assert.deepStrictEqual(withoutTimestamps(result.features[name]), withoutTimestamps(expected.features[name]), name);
+      }
+      assert.strictEqual(result.fi, expected.fi);
+
+      const { workers } = threaded.getStatus();
+      assert.strictEqual(workers.available, true);
+      assert.strictEqual(workers.fallbacks, 0);
+      assert.strictEqual(workers.workers.reduce((sum, worker) => sum + worker.tasks, 0), 5);
+      assert.ok(workers.workers.some(worker => worker.meanTime > 0 && worker.meanRoundTrip >= worker.meanTime));
+      assert.strictEqual(plain.getStatus().workers, null);
+    } finally {
+      await threaded.shutdown();
+    }
+  });
+
+  it('should fall back to in-thread execution when workers time out or are missing', async () => {
+    const slow = new MathCore({ enableWorkers: true, parallelWorkers: 1, workerTimeout: 1 });
+    const fallbacks = [];
+    slow.on('workerFallback', event => fallbacks.push(`${event.processor}.${event.method}`));
+    await slow.initialize();
+
+    try {
+      const result = await slow.process(input);
+      assert.ok(typeof result.fi === 'number');
+      assert.ok(fallbacks.includes('stats.computeFeatures'));
+      assert.strictEqual(slow.getStatus().workers.fallbacks, fallbacks.length);
+    } finally {
+      await slow.shutdown();
+    }
+
+    const missing = new MathCore({ enableWorkers: true });
+    missing.workerPool = new WorkerPool({ size: 1, script: new URL('./missing-worker.js', import.meta.url) });
+    await missing.initialize();
+    const result = await missing.process(input);
+
+    assert.ok(typeof result.fi === 'number');
+    assert.strictEqual(missing.getStatus().workers.available, false);
+    assert.strictEqual(missing.getStatus().workers.fallbacks, 0);
+  });
+});